@@ -0,0 +1,87 @@
+/**
+ * Puts the FaceLandmarker runtime + model under public/mediapipe/ so they are served (and
+ * precached by the service worker) from our own origin instead of a CDN:
+ *
+ *   public/mediapipe/wasm/*                 copied from node_modules/@mediapipe/tasks-vision (pinned
+ *                                           exactly in package.json)
+ *   public/mediapipe/face_landmarker.task   downloaded once from the versioned (immutable) model URL
+ *
+ * and the ONNX Runtime Web files for on-device inference (src/ml/ortAssets.js) the same way:
+ *
+ *   public/ort/<version>/*                  copied from node_modules/onnxruntime-web/dist (pinned
+ *                                           exactly in package.json)
+ *
+ * Runs before `npm start` and `npm run build`. Bump MODEL_URL together with MEDIAPIPE_MODEL in
+ * src/mediapipeAssets.js, the tasks-vision version together with MEDIAPIPE_VERSION there, and the
+ * onnxruntime-web version together with ORT_VERSION in src/ml/ortAssets.js.
+ */
+const fs = require("fs");
+const https = require("https");
+const path = require("path");
+
+const MODEL_URL =
+  "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task";
+
+const root = path.join(__dirname, "..");
+const dest = path.join(root, "public", "mediapipe");
+const wasmSrc = path.join(root, "node_modules", "@mediapipe", "tasks-vision", "wasm");
+const ortSrc = path.join(root, "node_modules", "onnxruntime-web");
+// the runtime module (ORT_MODULE_URL in src/ml/ortAssets.js), its WASM glue and the WASM binary;
+// ORT_FILES there must list the same files (the service worker caches those)
+const ORT_FILES = ["ort.wasm.min.mjs", "ort-wasm-simd-threaded.mjs", "ort-wasm-simd-threaded.wasm"];
+
+function copyWasm() {
+  fs.mkdirSync(path.join(dest, "wasm"), { recursive: true });
+  const files = fs.readdirSync(wasmSrc);
+  for (const f of files) fs.copyFileSync(path.join(wasmSrc, f), path.join(dest, "wasm", f));
+  console.log(`mediapipe: copied ${files.length} wasm files`);
+}
+
+// Into a directory named after the installed version, which is what the app asks for
+function copyOrt() {
+  const { version } = JSON.parse(fs.readFileSync(path.join(ortSrc, "package.json"), "utf8"));
+  const ortDest = path.join(root, "public", "ort", version);
+  fs.mkdirSync(ortDest, { recursive: true });
+  for (const f of ORT_FILES) fs.copyFileSync(path.join(ortSrc, "dist", f), path.join(ortDest, f));
+  console.log(`onnxruntime-web: copied ${ORT_FILES.length} files to ${path.relative(root, ortDest)}`);
+}
+
+function download(url, file, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+          res.resume();
+          resolve(download(new URL(res.headers.location, url).href, file, redirects - 1));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          return;
+        }
+        const tmp = `${file}.part`;
+        const out = fs.createWriteStream(tmp);
+        res.pipe(out);
+        out.on("finish", () => out.close(() => fs.rename(tmp, file, (e) => (e ? reject(e) : resolve()))));
+        out.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+async function main() {
+  copyWasm();
+  copyOrt();
+  const model = path.join(dest, "face_landmarker.task");
+  if (fs.existsSync(model)) return;
+  console.log(`mediapipe: downloading ${MODEL_URL}`);
+  await download(MODEL_URL, model);
+  console.log(`mediapipe: saved ${path.relative(root, model)} (${fs.statSync(model).size} bytes)`);
+}
+
+main().catch((e) => {
+  console.error(`mediapipe: ${e.message}`);
+  console.error(`Download ${MODEL_URL} manually to public/mediapipe/face_landmarker.task and retry.`);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+/* eslint-disable no-console */
+/**
+ * Writes the placeholder on-device model (public/models/skin-classifier.onnx), so the on-device
+ * path has a file with the right graph to load in tests and while wiring up a real export:
+ *
+ *   node scripts/make-placeholder-model.js
+ *
+ * It is NOT a trained classifier. The graph has the shape a real one needs (skin-classifier.json):
+ * "input" [N, 3, 224, 224] -> GlobalAveragePool -> Flatten -> Gemm -> "logits" [N, 5], with zero
+ * weights and a bias that favours class 0, so every image comes out as "Clear". That's why
+ * skin-classifier.json says "placeholder": true and the app refuses to run it (src/ml/local.js).
+ * Replace the .onnx with a real export, bump "version" and drop "placeholder"; nothing else has to change.
+ *
+ * The protobuf is encoded by hand (onnx.proto field numbers below) to avoid a Python/onnx toolchain;
+ * the output is deterministic.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const OUT = path.join(__dirname, "..", "public", "models", "skin-classifier.onnx");
+const SIZE = 224;
+const CLASSES = 5;
+const BIAS = [1, 0, 0, 0, 0];
+
+const FLOAT = 1; // TensorProto.DataType
+const ATTR_INT = 2; // AttributeProto.AttributeType
+
+function main() {
+  const graph = [
+    node(1, { inputs: ["input"], outputs: ["pooled"], op: "GlobalAveragePool" }),
+    node(1, { inputs: ["pooled"], outputs: ["features"], op: "Flatten", attrs: { axis: 1 } }),
+    node(1, { inputs: ["features", "weight", "bias"], outputs: ["logits"], op: "Gemm" }),
+    string(2, "skin-classifier-placeholder"),
+    tensor(5, "weight", [3, CLASSES], new Array(3 * CLASSES).fill(0)),
+    tensor(5, "bias", [CLASSES], BIAS),
+    valueInfo(11, "input", ["N", 3, SIZE, SIZE]),
+    valueInfo(12, "logits", ["N", CLASSES]),
+  ];
+  const model = Buffer.concat([
+    varint(1, 8), // ir_version
+    string(2, "skinscan placeholder"), // producer_name
+    bytes(7, Buffer.concat(graph)),
+    bytes(8, Buffer.concat([string(1, ""), varint(2, 13)])), // opset_import: default domain, opset 13
+  ]);
+  fs.writeFileSync(OUT, model);
+  console.log(`wrote ${path.relative(process.cwd(), OUT)} (${model.length} bytes)`);
+}
+
+/** ---------- onnx.proto messages ---------- **/
+
+function node(field, { inputs, outputs, op, attrs = {} }) {
+  return bytes(
+    field,
+    Buffer.concat([
+      ...inputs.map((s) => string(1, s)),
+      ...outputs.map((s) => string(2, s)),
+      string(3, outputs[0]),
+      string(4, op),
+      ...Object.entries(attrs).map(([name, i]) => bytes(5, Buffer.concat([string(1, name), varint(3, i), varint(20, ATTR_INT)]))),
+    ])
+  );
+}
+
+function tensor(field, name, dims, values) {
+  const raw = Buffer.alloc(values.length * 4);
+  values.forEach((v, i) => raw.writeFloatLE(v, i * 4));
+  return bytes(field, Buffer.concat([...dims.map((d) => varint(1, d)), varint(2, FLOAT), string(8, name), bytes(9, raw)]));
+}
+
+// dims: numbers are fixed sizes, strings are symbolic (e.g. the batch)
+function valueInfo(field, name, dims) {
+  const shape = dims.map((d) => bytes(1, typeof d === "number" ? varint(1, d) : string(2, d)));
+  const tensorType = Buffer.concat([varint(1, FLOAT), bytes(2, Buffer.concat(shape))]);
+  return bytes(field, Buffer.concat([string(1, name), bytes(2, bytes(1, tensorType))]));
+}
+
+/** ---------- protobuf wire format ---------- **/
+
+function key(field, wireType) {
+  return encodeVarint(field * 8 + wireType);
+}
+
+function varint(field, n) {
+  return Buffer.concat([key(field, 0), encodeVarint(n)]);
+}
+
+function bytes(field, buf) {
+  return Buffer.concat([key(field, 2), encodeVarint(buf.length), buf]);
+}
+
+function string(field, s) {
+  return bytes(field, Buffer.from(s, "utf8"));
+}
+
+function encodeVarint(n) {
+  const out = [];
+  while (n > 127) {
+    out.push((n & 127) | 128);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+  return Buffer.from(out);
+}
+
+main();
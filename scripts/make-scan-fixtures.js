@@ -0,0 +1,248 @@
+/* eslint-disable no-console */
+/**
+ * Regenerates the synthetic scan fixtures used by the pipeline tests (src/__fixtures__/*.png):
+ *
+ *   node scripts/make-scan-fixtures.js
+ *
+ * Every image paints the same stored face (src/__fixtures__/face-landmarks.json) with a different
+ * skin / lighting condition: skin over the landmark hull, blush circles on the cheeks, specular
+ * highlights on the nose, white sclera + dark irises, plus seeded noise so sharpness is non-zero.
+ * The output is deterministic; re-run it only when the fixture definitions below change, then
+ * re-check the expected ranges in src/pipeline.test.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const DIR = path.join(__dirname, "..", "src", "__fixtures__");
+const SIZE = 256;
+
+// blush/shine centres are landmark indices (cheek centres 205/425, nose tip 4 / dorsum 195)
+const FIXTURES = [
+  { name: "even", skin: [196, 150, 128], gain: 1 },
+  { name: "flushed", skin: [196, 150, 128], gain: 1, blush: { color: [204, 132, 116], radius: 0.09 } },
+  { name: "oily", skin: [196, 150, 128], gain: 1, shine: { color: [252, 248, 244], radius: 0.035 } },
+  { name: "dark", skin: [196, 150, 128], gain: 0.22 },
+  { name: "warm-cast", skin: [196, 150, 128], gain: 1, cast: [1.12, 1, 0.78] },
+  // deep skin (ITA about -33°) under the same light; the flush is the same relative shift as above
+  { name: "deep", skin: [120, 80, 60], gain: 1 },
+  { name: "deep-flushed", skin: [120, 80, 60], gain: 1, blush: { color: [125, 70, 55], radius: 0.09 } },
+  // texture: a shade map multiplied into the skin (see TEXTURES)
+  { name: "pores", skin: [196, 150, 128], gain: 1, texture: "pores" },
+  { name: "lines", skin: [196, 150, 128], gain: 1, texture: "lines" },
+  { name: "dry", skin: [196, 150, 128], gain: 1, texture: "flakes" },
+];
+
+// Each returns a SIZE x SIZE brightness multiplier. px = landmarks in pixels, rand = its own seeded
+// generator, so the noise of the plain fixtures doesn't change when these do.
+const TEXTURES = {
+  // small dark dots on a jittered 6 px grid around the cheek centres and the nose tip
+  pores(px, rand) {
+    const shade = new Float32Array(SIZE * SIZE).fill(1);
+    const areas = [
+      { c: px[205], r: 0.12 * SIZE },
+      { c: px[425], r: 0.12 * SIZE },
+      { c: px[4], r: 0.05 * SIZE },
+    ];
+    for (let gy = 0; gy < SIZE; gy += 6) {
+      for (let gx = 0; gx < SIZE; gx += 6) {
+        const x = gx + (rand() - 0.5) * 3;
+        const y = gy + (rand() - 0.5) * 3;
+        if (!areas.some((a) => Math.hypot(x - a.c.x, y - a.c.y) < a.r)) continue;
+        stamp(shade, x, y, 1.3, 0.28);
+      }
+    }
+    return shade;
+  },
+  // three forehead creases between landmarks 10 and 9, two lines under each eye
+  lines(px) {
+    const shade = new Float32Array(SIZE * SIZE).fill(1);
+    const top = px[10].y;
+    const bottom = px[9].y;
+    for (const f of [0.4, 0.6, 0.8]) {
+      const y0 = top + (bottom - top) * f;
+      crease(shade, px[10].x - 30, px[10].x + 30, (x) => y0 + Math.sin(x / 9));
+    }
+    for (const [outer, inner] of [
+      [33, 133],
+      [263, 362],
+    ]) {
+      const a = px[outer];
+      const b = px[inner];
+      for (const dy of [9, 13]) {
+        crease(shade, Math.min(a.x, b.x), Math.max(a.x, b.x), (x) => a.y + dy + ((x - a.x) / (b.x - a.x)) * 2);
+      }
+    }
+    return shade;
+  },
+  // dry, flaky skin: 3 px cells, some lifted (lighter), some cracked (darker)
+  flakes(px, rand) {
+    const shade = new Float32Array(SIZE * SIZE).fill(1);
+    for (let cy = 0; cy < SIZE; cy += 3) {
+      for (let cx = 0; cx < SIZE; cx += 3) {
+        const v = rand();
+        const k = v < 0.2 ? 1.15 : v < 0.32 ? 0.88 : 1;
+        for (let y = cy; y < Math.min(SIZE, cy + 3); y += 1) {
+          for (let x = cx; x < Math.min(SIZE, cx + 3); x += 1) shade[y * SIZE + x] = k;
+        }
+      }
+    }
+    return shade;
+  },
+};
+
+function main() {
+  const { landmarks } = JSON.parse(fs.readFileSync(path.join(DIR, "face-landmarks.json"), "utf8"));
+  const px = landmarks.map((p) => ({ x: p.x * SIZE, y: p.y * SIZE }));
+  const hull = convexHull(px);
+
+  for (const f of FIXTURES) {
+    const rgb = new Uint8Array(SIZE * SIZE * 3);
+    const rand = lcg(1234);
+    const centre = (ids) => ({
+      x: ids.reduce((s, i) => s + px[i].x, 0) / ids.length,
+      y: ids.reduce((s, i) => s + px[i].y, 0) / ids.length,
+    });
+    const blushAt = [centre([205]), centre([425])];
+    const shineAt = [centre([4]), centre([195])];
+    const irisR = Math.hypot(px[469].x - px[468].x, px[469].y - px[468].y);
+    const shade = f.texture ? TEXTURES[f.texture](px, lcg(5678)) : null;
+
+    for (let y = 0; y < SIZE; y += 1) {
+      for (let x = 0; x < SIZE; x += 1) {
+        const pt = { x, y };
+        let c = [90, 110, 130]; // background wall
+        if (inside(pt, hull)) {
+          c = f.skin;
+          if (f.blush) c = mixCircles(c, pt, blushAt, f.blush.color, f.blush.radius * SIZE);
+          if (f.shine) c = mixCircles(c, pt, shineAt, f.shine.color, f.shine.radius * SIZE);
+          if (shade) c = c.map((v) => v * shade[y * SIZE + x]);
+          for (const [ci, eye] of [
+            [468, [33, 133]],
+            [473, [263, 362]],
+          ]) {
+            const eyeW = Math.hypot(px[eye[0]].x - px[eye[1]].x, px[eye[0]].y - px[eye[1]].y);
+            const d = Math.hypot(x - px[ci].x, (y - px[ci].y) * 2.2);
+            if (d < irisR) c = [60, 40, 30];
+            else if (d < eyeW / 2) c = [235, 235, 232];
+          }
+        }
+        const n = (rand() - 0.5) * 16;
+        const cast = f.cast || [1, 1, 1];
+        const i = (y * SIZE + x) * 3;
+        for (let k = 0; k < 3; k += 1) rgb[i + k] = clamp((c[k] + n) * f.gain * cast[k]);
+      }
+    }
+
+    const file = path.join(DIR, `${f.name}.png`);
+    fs.writeFileSync(file, encodePng(rgb, SIZE, SIZE));
+    console.log(`wrote ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+// Soft-edged disc of `color` blended over `base` around each centre
+function mixCircles(base, pt, centres, color, radius) {
+  let a = 0;
+  for (const c of centres) {
+    const d = Math.hypot(pt.x - c.x, pt.y - c.y) / radius;
+    a = Math.max(a, d >= 1 ? 0 : 1 - d * d);
+  }
+  return base.map((v, k) => v + (color[k] - v) * a);
+}
+
+// Darken a soft disc (pore) into the shade map
+function stamp(shade, cx, cy, radius, depth) {
+  for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y += 1) {
+    for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x += 1) {
+      const d = Math.hypot(x - cx, y - cy) / radius;
+      if (d < 1 && x >= 0 && y >= 0 && x < SIZE && y < SIZE) shade[y * SIZE + x] *= 1 - depth * (1 - d * d);
+    }
+  }
+}
+
+// Darken a 1-2 px wide line y = at(x) between x0 and x1 (a crease)
+function crease(shade, x0, x1, at) {
+  for (let x = Math.round(x0); x <= Math.round(x1); x += 1) {
+    const yc = at(x);
+    for (let y = Math.floor(yc - 1); y <= Math.ceil(yc + 1); y += 1) {
+      const d = Math.abs(y - yc);
+      if (d < 1.2 && y >= 0 && y < SIZE) shade[y * SIZE + x] *= 1 - 0.25 * (1 - d / 1.2);
+    }
+  }
+}
+
+function clamp(v) {
+  return Math.max(0, Math.min(255, Math.round(v)));
+}
+
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+}
+
+// Andrew's monotone chain; returns the hull in order
+function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (list) => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  return [...half(pts), ...half(pts.slice().reverse())];
+}
+
+function inside(pt, poly) {
+  let hit = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i];
+    const b = poly[j];
+    if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) hit = !hit;
+  }
+  return hit;
+}
+
+// 8-bit RGB, no interlace, filter 0 on every row
+function encodePng(rgb, width, height) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    Buffer.from(rgb.buffer, y * width * 3, width * 3).copy(raw, y * (width * 3 + 1) + 1);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function crc32(buf) {
+  let c = ~0;
+  for (const b of buf) {
+    c ^= b;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? (c >>> 1) ^ 0xedb88320 : c >>> 1;
+  }
+  return ~c >>> 0;
+}
+
+main();
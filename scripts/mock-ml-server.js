@@ -0,0 +1,104 @@
+/* eslint-disable no-console */
+/**
+ * Tiny stand-in for the ML Lambda, for local development:
+ *
+ *   npm run mock:ml
+ *   REACT_APP_ML_URL=http://localhost:8787/ REACT_APP_ML_META_URL=http://localhost:8787/meta npm start
+ *
+ * Env vars:
+ *   PORT            (default 8787)
+ *   MOCK_SHAPE      class | binary | multi   (which legacy response shape to return, default class)
+ *   MOCK_DELAY_MS   artificial latency per request (default 300)
+ *   MOCK_FAIL_RATE  0..1, fraction of requests answered with HTTP 503 (default 0)
+ *   MOCK_LESIONS    max random lesion boxes per response (default 4, 0 = none)
+ *
+ * GET /meta answers with the model metadata (model_version, class_map).
+ */
+const http = require("http");
+
+const PORT = Number(process.env.PORT || 8787);
+const SHAPE = process.env.MOCK_SHAPE || "class";
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS || 300);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+const MAX_LESIONS = Number(process.env.MOCK_LESIONS ?? 4);
+
+const META = { model_version: "mock-1", class_map: ["Clear", "Mild", "Moderate", "Severe", "Very severe"] };
+const LESION_LABELS = ["comedone", "papule", "pustule"];
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function fakeResponse(shape) {
+  const r = Math.random();
+  if (shape === "binary") return { ok: true, acne_prob: Math.round(r * 100) / 100, acne_pred: r >= 0.5 ? 1 : 0 };
+  if (shape === "multi") {
+    return { ok: true, acne: Math.floor(r * 3), redness: Math.floor(Math.random() * 3), dryness: Math.floor(Math.random() * 3) };
+  }
+  return { ok: true, acne_class: Math.floor(r * 5), model_version: META.model_version, lesions: fakeLesions() };
+}
+
+// Small boxes on the cheeks / forehead area of the face crop, as fractions of the uploaded image
+function fakeLesions() {
+  const n = Math.floor(Math.random() * (MAX_LESIONS + 1));
+  return Array.from({ length: n }, () => {
+    const x = 0.2 + Math.random() * 0.55;
+    const y = 0.2 + Math.random() * 0.5;
+    const s = 0.03 + Math.random() * 0.03;
+    const round = (v) => Math.round(v * 1000) / 1000;
+    return {
+      box: [x, y, x + s, y + s].map(round),
+      score: round(0.5 + Math.random() * 0.5),
+      label: LESION_LABELS[Math.floor(Math.random() * LESION_LABELS.length)],
+    };
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+  if (req.method === "GET" && req.url.startsWith("/meta")) {
+    send(res, 200, META);
+    return;
+  }
+  if (req.method !== "POST") {
+    send(res, 405, { ok: false, error: "POST / or GET /meta only" });
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      // handled below
+    }
+    setTimeout(() => {
+      if (!payload || typeof payload.image_b64 !== "string") {
+        send(res, 400, { ok: false, error: "expected { image_b64, ts }" });
+      } else if (Math.random() < FAIL_RATE) {
+        send(res, 503, { ok: false, error: "mock failure (MOCK_FAIL_RATE)" });
+      } else {
+        send(res, 200, fakeResponse(SHAPE));
+      }
+    }, DELAY_MS);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`mock ML endpoint on http://localhost:${PORT}/ (shape=${SHAPE}, delay=${DELAY_MS}ms, failRate=${FAIL_RATE})`);
+});
@@ -1,661 +1,124 @@
-import React, { useEffect, useRef, useState } from "react";
-import { FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import React from "react";
+import { BrowserRouter, Link, NavLink, Navigate, Route, Routes, useMatch } from "react-router-dom";
+import HistoryView from "./HistoryView";
+import { ProfileProvider, useProfile } from "./ProfileProvider";
+import { ScannerProvider, ScannerStage, useAnalysis } from "./ScannerProvider";
+import ProfileScreen from "./screens/ProfileScreen";
+import ProfilesScreen from "./screens/ProfilesScreen";
+import ResultsScreen from "./screens/ResultsScreen";
+import ScanScreen from "./screens/ScanScreen";
+import SettingsScreen from "./screens/SettingsScreen";
 
 /**
- * App expects:
- *   - Amplify env var: REACT_APP_ML_URL = https://xxxx.lambda-url.us-east-1.on.aws/
+ * Routes:
+ *   /scan           guided live scan, photo and video analysis (the default)
+ *   /results/:id    one saved scan, deep-linkable
+ *   /history        trends, compare, export
+ *   /settings       inference + endpoint, upload, smoothing, white balance, camera, thresholds
+ *   /profile        the unlocked profile: details, export, delete all its data
  *
- * Lambda request payload (JSON):
- *   { image_b64: "data:image/jpeg;base64,....", ts: <number> }
+ * Nothing but the profile gate (ProfilesScreen) renders until a profile is unlocked (ProfileProvider).
+ * ScannerProvider is keyed by the profile, so switching profiles ends the scan session, camera included,
+ * and the next one starts from that profile's settings.
  *
- * Lambda response supported shapes:
- *   - New (your current): { ok: true, acne_class: 3 }
- *   - Binary: { ok: true, acne_prob: 0.83, acne_pred: 1 }
- *   - Older multi-metric: { ok: true, acne: 1, redness: 0, dryness: 2 }
+ * ScannerProvider (camera, FaceLandmarker, scoring, ML, settings) sits above the routes, and the
+ * frame (ScannerStage) is rendered here rather than by the Scan screen, so the camera keeps running
+ * across screens; it is only hidden, and the rAF loop pauses, while another screen is showing.
  */
-
 export default function App() {
-  const videoRef = useRef(null);
-  const overlayRef = useRef(null);
-  const landmarkerRef = useRef(null);
-  const rafRef = useRef(null);
-  const lastVideoTimeRef = useRef(-1);
-
-  // throttle inference
-  const inFlightRef = useRef(false);
-  const lastInferMsRef = useRef(0);
-
-  const [status, setStatus] = useState("Stopped");
-  const [faces, setFaces] = useState(0);
-  const [debug, setDebug] = useState("");
-  const [scores, setScores] = useState({ lighting: 0, redness: 0, shine: 0 });
-
-  const [mlStatus, setMlStatus] = useState("Idle");
-  const [mlError, setMlError] = useState("");
-  const [mlResult, setMlResult] = useState(null);
-
-  const ML_URL = process.env.REACT_APP_ML_URL;
-
-  // --- helpers for displaying Lambda outputs (supports multiple response shapes) ---
-  const acneClassLabel = (c) => {
-    // Change these labels to match YOUR class_map when you’re ready.
-    // For now, show the number + a simple guess label.
-    const map = {
-      0: "Clear",
-      1: "Mild",
-      2: "Moderate",
-      3: "Severe",
-      4: "Very severe",
-    };
-    if (c === null || c === undefined || Number.isNaN(Number(c))) return "—";
-    const n = Number(c);
-    return map[n] ? `${n} (${map[n]})` : String(n);
-  };
-
-  const getAcneDisplay = (r) => {
-    if (!r) return "—";
-    // New model output
-    if (r.acne_class !== undefined) return acneClassLabel(r.acne_class);
-    // Binary outputs
-    if (r.acne_prob !== undefined) return `${Math.round(r.acne_prob * 100)}%`;
-    if (r.acne_pred !== undefined) return r.acne_pred ? "Yes" : "No";
-    // Older
-    if (r.acne !== undefined) return String(r.acne);
-    return "—";
-  };
-
-  const getDrynessDisplay = (r) => {
-    if (!r) return "—";
-    return r.dryness !== undefined ? String(r.dryness) : "—";
-  };
-
-  const getRednessMlDisplay = (r) => {
-    if (!r) return "—";
-    return r.redness !== undefined ? String(r.redness) : "—";
-  };
-
-  // 1) Load the FaceLandmarker once on mount
-  useEffect(() => {
-    let cancelled = false;
-
-    async function initLandmarker() {
-      try {
-        setDebug("Loading FaceLandmarker…");
-
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-        );
-
-        const landmarker = await FaceLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task",
-            delegate: "GPU",
-          },
-          runningMode: "VIDEO",
-          numFaces: 1,
-          outputFaceBlendshapes: false,
-          outputFacialTransformationMatrixes: false,
-        });
-
-        if (cancelled) return;
-        landmarkerRef.current = landmarker;
-        setDebug("FaceLandmarker loaded");
-      } catch (e) {
-        console.error(e);
-        setDebug(`FaceLandmarker load failed: ${e?.message || String(e)}`);
-      }
-    }
-
-    initLandmarker();
-
-    return () => {
-      cancelled = true;
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-      try {
-        landmarkerRef.current?.close?.();
-      } catch {}
-    };
-  }, []);
-
-  // 2) Start camera
-  async function startCamera() {
-    try {
-      setStatus("Starting camera…");
-      setDebug("Requesting camera permission…");
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: "user" },
-        audio: false,
-      });
-
-      const video = videoRef.current;
-      video.srcObject = stream;
-
-      await new Promise((resolve) => {
-        video.onloadedmetadata = () => resolve();
-      });
-
-      await video.play();
-      setDebug(`Video ready (${video.videoWidth}x${video.videoHeight})`);
-      setStatus("Running");
-      runLoop();
-    } catch (e) {
-      console.error(e);
-      setStatus("Stopped");
-      setDebug(`Camera failed: ${e?.message || String(e)}`);
-    }
-  }
-
-  function stopAll() {
-    setStatus("Stopped");
-    setFaces(0);
-    setScores({ lighting: 0, redness: 0, shine: 0 });
-
-    setMlStatus("Idle");
-    setMlError("");
-    setMlResult(null);
-
-    if (rafRef.current) cancelAnimationFrame(rafRef.current);
-
-    const video = videoRef.current;
-    const stream = video?.srcObject;
-    if (stream && stream.getTracks) stream.getTracks().forEach((t) => t.stop());
-    if (video) video.srcObject = null;
-
-    // clear overlay
-    const canvas = overlayRef.current;
-    if (canvas) {
-      const ctx = canvas.getContext("2d");
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-    }
-
-    setDebug("Stopped.");
-  }
-
-  // 3) Main loop
-  function runLoop() {
-    const landmarker = landmarkerRef.current;
-    const video = videoRef.current;
-
-    if (!landmarker) {
-      setDebug("FaceLandmarker not loaded yet (wait 1–2s)...");
-      setStatus("Stopped");
-      return;
-    }
-    if (!video) return;
-
-    const step = () => {
-      if (video.readyState >= 2 && video.currentTime !== lastVideoTimeRef.current) {
-        lastVideoTimeRef.current = video.currentTime;
-
-        const nowMs = performance.now();
-        const result = landmarker.detectForVideo(video, nowMs);
-
-        const landmarks = result?.faceLandmarks || [];
-        setFaces(landmarks.length);
-
-        if (landmarks.length > 0) {
-          // compute / draw + update scores
-          const computed = drawAndScore(landmarks[0]); // returns {lighting, redness, shine, lightingOk}
-          // auto-infer if lighting OK
-          if (computed?.lightingOk) {
-            maybeInferFromFrame();
-          }
-        } else {
-          clearOverlay();
-          setScores({ lighting: 0, redness: 0, shine: 0 });
-          
-          setMlResult(null);
-          setMlStatus("Idle");
-          setMlError("");
-        }
-      }
-      rafRef.current = requestAnimationFrame(step);
-    };
-
-    rafRef.current = requestAnimationFrame(step);
-  }
-
-  function clearOverlay() {
-    const canvas = overlayRef.current;
-    const video = videoRef.current;
-    if (!canvas || !video) return;
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-    const ctx = canvas.getContext("2d");
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-  }
-
-  function drawAndScore(lm) {
-    const canvas = overlayRef.current;
-    const video = videoRef.current;
-    if (!canvas || !video) return null;
-
-    const w = video.videoWidth;
-    const h = video.videoHeight;
-    if (!w || !h) return null;
-
-    canvas.width = w;
-    canvas.height = h;
-
-    const ctx = canvas.getContext("2d", { willReadFrequently: true });
-    ctx.clearRect(0, 0, w, h);
-
-    // Regions (simple, tweakable)
-    const leftCheek = polyFrom(lm, [50, 187, 205, 36, 142, 126, 100, 47], w, h);
-    const rightCheek = polyFrom(lm, [280, 411, 425, 266, 371, 355, 329, 277], w, h);
-    const nose = polyFrom(lm, [1, 2, 98, 327, 168], w, h);
-
-    // Draw ROI overlays
-    drawPoly(ctx, leftCheek, "rgba(0,255,0,0.20)");
-    drawPoly(ctx, rightCheek, "rgba(0,255,0,0.20)");
-    drawPoly(ctx, nose, "rgba(0,255,0,0.20)");
-
-    // Lighting (use cheeks combined)
-    const lighting = lightingQualityFromPolys(ctx, [leftCheek, rightCheek]);
-
-    let redness = 0;
-    let shine = 0;
-    const lightingOk = lighting >= 35;
-
-    if (lightingOk) {
-      redness = rednessFromPolys(ctx, [leftCheek, rightCheek]);
-      shine = shineFromPolys(ctx, [nose]);
-    }
-
-    // HUD
-    drawHUD(ctx, { lighting, redness, shine, lightingOk });
-
-    const out = {
-      lighting: Math.round(lighting),
-      redness: Math.round(redness),
-      shine: Math.round(shine),
-      lightingOk,
-    };
-
-    setScores({
-      lighting: out.lighting,
-      redness: out.redness,
-      shine: out.shine,
-    });
-
-    return out;
-  }
-
-  function captureFrameAsJpegDataUrl() {
-    const video = videoRef.current;
-    if (!video || !video.videoWidth || !video.videoHeight) return null;
-
-    const c = document.createElement("canvas");
-    c.width = video.videoWidth;
-    c.height = video.videoHeight;
-
-    const ctx = c.getContext("2d");
-    // IMPORTANT: video is mirrored for UX, but the actual pixels are not mirrored.
-    // If you want the model to see what user sees, you could mirror here.
-    ctx.drawImage(video, 0, 0, c.width, c.height);
-
-    return c.toDataURL("image/jpeg", 0.85);
-  }
-
-  async function callMlLambda(imageDataUrl) {
-    if (!ML_URL) {
-      throw new Error("Missing REACT_APP_ML_URL (Amplify env var).");
-    }
-
-    const res = await fetch(ML_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        image_b64: imageDataUrl,
-        ts: Date.now(),
-      }),
-    });
-
-    // helpful error text if Lambda returns non-2xx
-    const text = await res.text();
-    let json = null;
-    try {
-      json = JSON.parse(text);
-    } catch {
-      // keep as text
-    }
-
-    if (!res.ok) {
-      const msg = json?.error || json?.message || text || `HTTP ${res.status}`;
-      throw new Error(msg);
-    }
-
-    return json ?? { raw: text };
-  }
-
-  async function runInferenceNow() {
-    try {
-      setMlError("");
-      setMlStatus("Capturing…");
-      const img = captureFrameAsJpegDataUrl();
-      if (!img) throw new Error("Camera not ready (no frame).");
-
-      setMlStatus("Inferring…");
-      const data = await callMlLambda(img);
-
-      setMlResult(data);
-      setMlStatus("Done");
-    } catch (e) {
-      console.error(e);
-      setMlStatus("Failed ❌");
-      setMlError(e?.message || String(e));
-    }
-  }
-
-  function maybeInferFromFrame() {
-    // Don’t spam Lambda: 1 request every ~2.5s (tweak this)
-    const now = Date.now();
-    if (inFlightRef.current) return;
-    if (now - lastInferMsRef.current < 2500) return;
-
-    // must be running, and must have URL
-    if (status !== "Running") return;
-    if (!ML_URL) return;
-
-    const img = captureFrameAsJpegDataUrl();
-    if (!img) return;
-
-    inFlightRef.current = true;
-    lastInferMsRef.current = now;
-
-    setMlError("");
-    setMlStatus("Inferring…");
-
-    callMlLambda(img)
-      .then((data) => {
-        setMlResult(data);
-        setMlStatus("Live");
-      })
-      .catch((e) => {
-        setMlStatus("Live error ❌");
-        setMlError(e?.message || String(e));
-      })
-      .finally(() => {
-        inFlightRef.current = false;
-      });
-  }
-
-  const label = (v) => {
-    if (v >= 75) return "High";
-    if (v >= 45) return "Medium";
-    if (v > 0) return "Low";
-    return "—";
-  };
-
-  const acneValue = getAcneDisplay(mlResult);
-  const drynessValue = getDrynessDisplay(mlResult);
-  const rednessMlValue = getRednessMlDisplay(mlResult);
-
   return (
-    <div style={{ padding: 16, fontFamily: "Arial, sans-serif" }}>
-      <h1 style={{ marginTop: 0 }}>SkinScan (MVP)</h1>
-
-      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-        <button onClick={startCamera} style={{ padding: "10px 14px" }}>
-          Start Scan
-        </button>
-        <button onClick={stopAll} style={{ padding: "10px 14px" }}>
-          Stop
-        </button>
-
-        <button
-          onClick={runInferenceNow}
-          style={{ padding: "10px 14px" }}
-          disabled={status !== "Running"}
-          title={status !== "Running" ? "Start camera first" : "Run one-shot inference"}
-        >
-          Analyze Now
-        </button>
-
-        <div>
-          <div>
-            <b>Status:</b> {status}
-          </div>
-          <div>
-            <b>Faces:</b> {faces}
-          </div>
-        </div>
-      </div>
-
-      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
-        <ScoreCard title="Lighting" value={scores.lighting} note={scores.lighting < 35 ? "Too dark" : "OK"} />
-        <ScoreCard title="Redness" value={scores.redness} note={label(scores.redness)} />
-        <ScoreCard title="Shine/Oil" value={scores.shine} note={label(scores.shine)} />
-      </div>
-
-      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
-        <ScoreCard title="ML Status" value={mlStatus} note={ML_URL ? "Lambda wired" : "Missing REACT_APP_ML_URL"} />
-        <ScoreCard title="Acne" value={acneValue} note={mlResult ? "from Lambda" : "no result yet"} />
-        <ScoreCard title="Dryness" value={drynessValue} note={mlResult ? "from Lambda" : "no result yet"} />
-        <ScoreCard title="ML Redness" value={rednessMlValue} note={mlResult ? "from Lambda" : "no result yet"} />
-      </div>
-
-      {mlError ? (
-        <div style={{ marginTop: 10, color: "#b00020", whiteSpace: "pre-wrap" }}>
-          <b>ML error:</b> {mlError}
+    <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <ProfileProvider>
+        <div style={{ padding: 16, fontFamily: "Arial, sans-serif" }}>
+          <ProfileGate />
         </div>
-      ) : null}
-
-      <div style={{ marginTop: 16, position: "relative", maxWidth: 520 }}>
-        <video
-          ref={videoRef}
-          playsInline
-          muted
-          style={{
-            width: "100%",
-            borderRadius: 18,
-            background: "#000",
-            transform: "scaleX(-1)", // selfie mirror for UX
-          }}
-        />
-        <canvas
-          ref={overlayRef}
-          style={{
-            position: "absolute",
-            left: 0,
-            top: 0,
-            width: "100%",
-            height: "100%",
-            pointerEvents: "none",
-            transform: "scaleX(-1)", // match mirrored video
-          }}
-        />
-      </div>
-
-      <p style={{ color: "#666", marginTop: 12 }}>
-        Tip: Use bright, even lighting. Avoid backlight. Keep your face centered.
-        <br />
-        Live mode: when lighting is OK and a face is detected, the app auto-calls Lambda every ~2.5s.
-      </p>
-
-      <pre
-        style={{
-          background: "#f5f5f5",
-          padding: 10,
-          borderRadius: 10,
-          fontSize: 12,
-          overflowX: "auto",
-        }}
-      >
-        {debug}
-      </pre>
-    </div>
+      </ProfileProvider>
+    </BrowserRouter>
   );
 }
 
-function ScoreCard({ title, value, note }) {
+function ProfileGate() {
+  const { profile } = useProfile();
+  if (!profile) {
+    return (
+      <>
+        <h1 style={{ margin: 0 }}>SkinScan (MVP)</h1>
+        <ProfilesScreen />
+      </>
+    );
+  }
   return (
-    <div style={{ border: "1px solid #333", borderRadius: 12, padding: 12, minWidth: 160 }}>
-      <div style={{ fontSize: 14, opacity: 0.8 }}>{title}</div>
-      <div style={{ fontSize: 28, fontWeight: 700 }}>{String(value)}</div>
-      <div style={{ fontSize: 13, opacity: 0.8 }}>{note}</div>
-    </div>
+    <ScannerProvider key={profile.id}>
+      <AppShell />
+    </ScannerProvider>
   );
 }
 
-/** ---------- helpers ---------- **/
-
-function toPx(p, w, h) {
-  return { x: p.x * w, y: p.y * h };
-}
-function polyFrom(lm, idxs, w, h) {
-  return idxs.map((i) => toPx(lm[i], w, h));
-}
-function drawPoly(ctx, poly, fillStyle) {
-  if (!poly || poly.length < 3) return;
-  ctx.save();
-  ctx.beginPath();
-  ctx.moveTo(poly[0].x, poly[0].y);
-  for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i].x, poly[i].y);
-  ctx.closePath();
-  ctx.fillStyle = fillStyle;
-  ctx.fill();
-  ctx.restore();
-}
-function drawHUD(ctx, { lighting, redness, shine, lightingOk }) {
-  ctx.save();
-  ctx.fillStyle = "rgba(0,0,0,0.55)";
-  ctx.fillRect(12, 12, 310, 92);
-  ctx.fillStyle = "white";
-  ctx.font = "14px sans-serif";
-  ctx.fillText(`Lighting: ${Math.round(lighting)} ${lightingOk ? "" : "(too dark)"}`, 22, 36);
-  ctx.fillText(`Redness: ${Math.round(redness)}`, 22, 58);
-  ctx.fillText(`Shine: ${Math.round(shine)}`, 22, 80);
-  ctx.restore();
-}
-
-// Sample pixels from multiple polys, cheaply (bounding box + stride + point-in-poly)
-function samplePolys(ctx, polys, maxSamples = 3000) {
-  const pts = polys.flat();
-  if (pts.length < 3) return [];
-
-  let minX = Infinity,
-    minY = Infinity,
-    maxX = -Infinity,
-    maxY = -Infinity;
-  for (const p of pts) {
-    minX = Math.min(minX, p.x);
-    minY = Math.min(minY, p.y);
-    maxX = Math.max(maxX, p.x);
-    maxY = Math.max(maxY, p.y);
-  }
-  minX = Math.max(0, Math.floor(minX));
-  minY = Math.max(0, Math.floor(minY));
-  maxX = Math.min(ctx.canvas.width - 1, Math.ceil(maxX));
-  maxY = Math.min(ctx.canvas.height - 1, Math.ceil(maxY));
-
-  const w = maxX - minX + 1;
-  const h = maxY - minY + 1;
-  if (w <= 2 || h <= 2) return [];
+function AppShell() {
+  const { status, stopAll } = useAnalysis();
+  const { profile, profiles, lock } = useProfile();
+  const onScan = useMatch("/scan") !== null;
 
-  const img = ctx.getImageData(minX, minY, w, h).data;
-
-  const totalPixels = w * h;
-  const step = Math.max(1, Math.floor(Math.sqrt(totalPixels / maxSamples)));
-
-  const out = [];
-  for (let y = 0; y < h; y += step) {
-    for (let x = 0; x < w; x += step) {
-      const px = minX + x;
-      const py = minY + y;
-
-      // inside ANY of the polys
-      let inside = false;
-      for (const poly of polys) {
-        if (pointInPoly({ x: px, y: py }, poly)) {
-          inside = true;
-          break;
-        }
-      }
-      if (!inside) continue;
-
-      const i = (y * w + x) * 4;
-      out.push([img[i], img[i + 1], img[i + 2]]); // RGB
-    }
-  }
-  return out;
-}
-
-function lightingQualityFromPolys(ctx, polys) {
-  const rgb = samplePolys(ctx, polys, 2500);
-  if (rgb.length < 80) return 0;
-
-  let sumY = 0,
-    sumY2 = 0;
-  for (const [r, g, b] of rgb) {
-    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-    sumY += y;
-    sumY2 += y * y;
-  }
-  const mean = sumY / rgb.length;
-  const variance = sumY2 / rgb.length - mean * mean;
-  const std = Math.sqrt(Math.max(0, variance));
-
-  const meanScore = clamp((mean / 255) * 100, 0, 100);
-  const contrastScore = clamp((std / 64) * 100, 0, 100);
-  return clamp(0.75 * meanScore + 0.25 * contrastScore, 0, 100);
-}
-
-function rednessFromPolys(ctx, polys) {
-  const rgb = samplePolys(ctx, polys, 2500);
-  if (rgb.length < 80) return 0;
-
-  let acc = 0;
-  for (const [r, g, b] of rgb) {
-    const gb = (g + b) / 2;
-    acc += r - gb; // redness proxy
-  }
-  const mean = acc / rgb.length; // range roughly [-255, 255]
-  // map to 0-100 (tune constants as needed)
-  return clamp(((mean + 20) / 120) * 100, 0, 100);
-}
-
-function shineFromPolys(ctx, polys) {
-  const rgb = samplePolys(ctx, polys, 2500);
-  if (rgb.length < 80) return 0;
-
-  // Shine proxy: high brightness but low colorfulness (specular highlights)
-  let shiny = 0;
-  for (const [r, g, b] of rgb) {
-    const maxc = Math.max(r, g, b);
-    const minc = Math.min(r, g, b);
-    const v = maxc; // value-ish
-    const sat = maxc === 0 ? 0 : (maxc - minc) / maxc; // 0..1
-
-    if (v > 210 && sat < 0.35) shiny++;
-  }
-  const frac = shiny / rgb.length; // 0..1
-  return clamp(frac * 250, 0, 100);
-}
-
-function pointInPoly(pt, poly) {
-  // ray-casting
-  let inside = false;
-  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-    const xi = poly[i].x,
-      yi = poly[i].y;
-    const xj = poly[j].x,
-      yj = poly[j].y;
-
-    const intersect =
-      yi > pt.y !== yj > pt.y &&
-      pt.x < ((xj - xi) * (pt.y - yi)) / (yj - yi + 1e-9) + xi;
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
+  return (
+    <>
+      <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+        <h1 style={{ margin: 0 }}>SkinScan (MVP)</h1>
+        <nav aria-label="Main" style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          {[
+            ["/scan", "Scan"],
+            ["/history", "History"],
+            ["/settings", "Settings"],
+          ].map(([to, text]) => (
+            <NavLink key={to} to={to} style={({ isActive }) => ({ fontWeight: isActive ? 700 : 400 })}>
+              {text}
+            </NavLink>
+          ))}
+          {status === "Running" && !onScan ? (
+            <span style={{ fontSize: 12, color: "#137333" }}>
+              ● Camera on{" "}
+              <button onClick={stopAll} style={{ fontSize: 12 }}>
+                Stop camera
+              </button>
+            </span>
+          ) : null}
+        </nav>
+        <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, marginLeft: "auto" }}>
+          <label>
+            Profile{" "}
+            <select value={profile.id} onChange={(e) => lock(Number(e.target.value))}>
+              {(profiles || [profile]).map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <NavLink to="/profile">Manage</NavLink>
+          <button onClick={() => lock()}>Lock</button>
+        </div>
+      </div>
 
-function clamp(v, a, b) {
-  return Math.max(a, Math.min(b, v));
+      <div style={{ display: "flex", gap: 16, marginTop: 12, alignItems: "flex-start", flexWrap: "wrap" }}>
+        <ScannerStage hidden={!onScan} />
+        <main style={{ flex: "1 1 420px", minWidth: 0 }}>
+          <Routes>
+            <Route path="/" element={<Navigate to="/scan" replace />} />
+            <Route path="/scan" element={<ScanScreen />} />
+            <Route path="/results/:id" element={<ResultsScreen />} />
+            <Route path="/history" element={<HistoryView />} />
+            <Route path="/settings" element={<SettingsScreen />} />
+            <Route path="/profile" element={<ProfileScreen />} />
+            <Route
+              path="*"
+              element={
+                <p>
+                  Page not found. <Link to="/scan">Back to Scan</Link>
+                </p>
+              }
+            />
+          </Routes>
+        </main>
+      </div>
+    </>
+  );
 }
-
-
-
-
@@ -1,8 +1,417 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import * as historyStore from './historyStore';
+import { createFaceLandmarker } from './landmarker';
+import { legacyScanCount, listProfiles, saveSettings, unlockProfile } from './profileStore';
+import { VaultError } from './vault';
+import { loadFixture } from './__fixtures__';
+import { normalizeMlResponse } from './ml';
 
-test('renders learn react link', () => {
+// App in jsdom: FaceLandmarker, the camera, <canvas> pixels and fetch are all faked. The camera
+// "shows" a fixture image (src/__fixtures__), the landmarker returns that fixture's stored landmarks,
+// and the rAF loop is stepped by hand so every assertion is about a known number of frames.
+jest.mock('./landmarker', () => ({ createFaceLandmarker: jest.fn() }));
+// Profiles need IndexedDB + WebCrypto, which jsdom lacks: the store is faked, with one settings object
+// per test standing in for the unlocked profile's (decrypted) settings.
+jest.mock('./profileStore', () => ({
+  ...jest.requireActual('./profileStore'),
+  listProfiles: jest.fn(),
+  legacyScanCount: jest.fn(),
+  unlockProfile: jest.fn(),
+  saveSettings: jest.fn(),
+}));
+
+const ML_URL = 'https://ml.example.test/infer';
+const PASSPHRASE = 'correct horse';
+const VAULT = { profileId: 1, key: null };
+
+let fixture; // { image, landmarks } the fake camera + landmarker serve
+let frames; // queued requestAnimationFrame callbacks: [{ id, cb }]
+let frameId;
+let landmarker;
+let track;
+let settings; // the unlocked profile's settings
+
+// 2D context stand-in: drawing is a no-op, getImageData reads the fixture stretched to the canvas
+function fakeContext(canvas) {
+  const getImageData = (x, y, w, h) => {
+    const { image } = fixture;
+    const sx = image.width / canvas.width;
+    const sy = image.height / canvas.height;
+    const data = new Uint8ClampedArray(w * h * 4);
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) {
+        const src = (Math.floor((y + j) * sy) * image.width + Math.floor((x + i) * sx)) * 4;
+        data.set(image.data.subarray(src, src + 4), (j * w + i) * 4);
+      }
+    }
+    return { data, width: w, height: h };
+  };
+  return new Proxy({ getImageData }, { get: (t, k) => (k in t ? t[k] : () => {}), set: () => true });
+}
+
+function faceResult() {
+  return fixture.landmarks ? { faceLandmarks: [fixture.landmarks], facialTransformationMatrixes: [] } : { faceLandmarks: [] };
+}
+
+// name: a fixture the camera shows and the landmarker finds a face in; null for an empty frame
+function useFixture(name) {
+  fixture = name ? loadFixture(name) : { ...loadFixture('even'), landmarks: null };
+}
+
+let clock = 0; // the fake <video>'s currentTime
+// Run one queued animation frame with a new video frame, then let the async scoring settle
+async function step(n = 1) {
+  for (let k = 0; k < n; k++) {
+    clock += 1 / 30;
+    const frame = frames.shift();
+    await act(async () => {
+      frame?.cb(performance.now());
+    });
+  }
+}
+
+// ScoreCard: title, value, note
+function card(title) {
+  return screen.getByRole('group', { name: title });
+}
+const cardValue = (title) => Number(card(title).textContent.match(/\d+/)[0]);
+
+async function renderApp() {
+  const view = render(<App />);
+  fireEvent.change(await screen.findByLabelText('Passphrase'), { target: { value: PASSPHRASE } });
+  fireEvent.click(screen.getByText('Unlock'));
+  await screen.findByRole('navigation', { name: 'Main' });
+  return view;
+}
+
+async function startScan() {
+  await screen.findByText(/FaceLandmarker loaded/);
+  fireEvent.click(screen.getByText('Start Scan'));
+  await screen.findByText('Running');
+}
+
+beforeEach(() => {
+  process.env.REACT_APP_ML_URL = ML_URL;
+  localStorage.clear();
+  window.history.pushState({}, '', '/');
+  frames = [];
+  frameId = 0;
+
+  settings = {};
+  listProfiles.mockResolvedValue([
+    { id: 1, name: 'Sam', created: 0 },
+    { id: 2, name: 'Alex', created: 0 },
+  ]);
+  legacyScanCount.mockResolvedValue(0);
+  saveSettings.mockResolvedValue();
+  unlockProfile.mockImplementation(async (id, passphrase) => {
+    if (passphrase !== PASSPHRASE) throw new VaultError('Wrong passphrase.');
+    const profile = { id, name: id === 1 ? 'Sam' : 'Alex', created: 0, skinType: null, notes: '' };
+    return { profile, vault: { profileId: id, key: null }, settings };
+  });
+  clock = 0;
+
+  landmarker = {
+    detectForVideo: jest.fn(faceResult),
+    detect: jest.fn(faceResult),
+    setOptions: jest.fn(async () => {}),
+    close: jest.fn(),
+  };
+  useFixture('even');
+  createFaceLandmarker.mockResolvedValue({ landmarker, delegate: 'CPU' });
+
+  track = {
+    label: 'Fake camera',
+    stop: jest.fn(),
+    getSettings: () => ({ width: 256, height: 256, frameRate: 30, facingMode: 'user' }),
+    getCapabilities: () => ({}),
+  };
+  const stream = { getTracks: () => [track], getVideoTracks: () => [track] };
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia: jest.fn(async () => stream),
+      enumerateDevices: jest.fn(async () => []),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    },
+  });
+
+  // <video>: a 256x256 stream that is "loaded" as soon as srcObject is set
+  jest.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(async () => {});
+  jest.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+  jest.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+  const props = {
+    videoWidth: { get: () => 256 },
+    videoHeight: { get: () => 256 },
+    readyState: { get: () => 4 },
+    currentTime: { get: () => clock, set: () => {} },
+    srcObject: {
+      get() {
+        return this._srcObject || null;
+      },
+      set(s) {
+        this._srcObject = s;
+        if (s) setTimeout(() => this.onloadedmetadata?.(), 0);
+      },
+    },
+  };
+  for (const [key, desc] of Object.entries(props)) {
+    Object.defineProperty(HTMLVideoElement.prototype, key, { configurable: true, ...desc });
+  }
+
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+    return fakeContext(this);
+  });
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(() => 'data:image/jpeg;base64,AAAA');
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => {
+    frameId += 1;
+    frames.push({ id: frameId, cb });
+    return frameId;
+  });
+  jest.spyOn(window, 'cancelAnimationFrame').mockImplementation((id) => {
+    frames = frames.filter((f) => f.id !== id);
+  });
+
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    text: async () => JSON.stringify({ ok: true, acne_class: 2, dryness: 0.31, redness: 0.4, model_version: 'test' }),
+  }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.REACT_APP_ML_URL;
+});
+
+test('loads the landmarker and starts stopped', async () => {
+  await renderApp();
+  expect(await screen.findByText(/FaceLandmarker loaded \(CPU\)/)).toBeInTheDocument();
+  expect(screen.getByText('Stopped')).toBeInTheDocument();
+  expect(createFaceLandmarker).toHaveBeenCalledWith(expect.objectContaining({ runningMode: 'VIDEO', numFaces: 1 }));
+});
+
+test('start scores the camera frames, stop releases the camera', async () => {
+  await renderApp();
+  await startScan();
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith(
+    expect.objectContaining({ video: expect.objectContaining({ facingMode: 'user' }), audio: false })
+  );
+
+  await step();
+  expect(landmarker.detectForVideo).toHaveBeenCalledTimes(1);
+  const lighting = cardValue('Lighting');
+  expect(lighting).toBeGreaterThan(40);
+  expect(lighting).toBeLessThan(60);
+  expect(card('Skin tone')).toHaveTextContent(/ITA \d+°/);
+
+  fireEvent.click(screen.getByText('Stop'));
+  expect(track.stop).toHaveBeenCalled();
+  expect(screen.getByText('Stopped')).toBeInTheDocument();
+  expect(cardValue('Lighting')).toBe(0);
+});
+
+test('a good frame is sent to the ML backend and the result is displayed', async () => {
+  await renderApp();
+  await startScan();
+  await step();
+
+  await waitFor(() => expect(card('Acne')).toHaveTextContent('2 (Moderate)'));
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe(ML_URL);
+  expect(JSON.parse(init.body).image_b64).toMatch(/^data:image\/jpeg/);
+  expect(card('Dryness')).toHaveTextContent('0.31');
+  expect(card('ML Status')).toHaveTextContent(/^ML StatusLive/);
+
+  // throttled: the next frames don't trigger another request
+  await step(3);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('a dark frame is gated: no ML request, lighting prompt shown', async () => {
+  useFixture('dark');
+  await renderApp();
+  await startScan();
+  await step(2);
+
+  expect(screen.getByText('Find brighter, even light')).toBeInTheDocument();
+  expect(card('Lighting')).toHaveTextContent(/Too dark$/);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('no face: prompt to centre, scores reset', async () => {
+  useFixture(null);
+  await renderApp();
+  await startScan();
+  await step();
+
+  expect(screen.getByText('Center your face in the frame')).toBeInTheDocument();
+  expect(cardValue('Lighting')).toBe(0);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('ML errors are shown without stopping the scan', async () => {
+  global.fetch.mockImplementation(async () => ({
+    ok: false,
+    status: 400,
+    text: async () => JSON.stringify({ error: 'image too small' }),
+  }));
+  await renderApp();
+  await startScan();
+  await step();
+
+  expect(await screen.findByText(/image too small/)).toBeInTheDocument();
+  expect(card('ML Status')).toHaveTextContent('Live error ❌');
+  expect(screen.getByText('Running')).toBeInTheDocument();
+});
+
+test('the rules file turns the scores and ML result into recommendations', async () => {
+  await renderApp();
+  await startScan();
+  await step();
+
+  const routine = await screen.findByRole('group', { name: 'Routine for mild to moderate acne' });
+  expect(routine).toHaveTextContent('Why: Acne class (ML) 2 (Moderate)');
+  expect(routine).toHaveTextContent(/Look for: benzoyl peroxide/);
+  expect(screen.getByRole('region', { name: 'Recommendations' })).toHaveTextContent('Built-in rules');
+  expect(screen.queryByRole('group', { name: /dermatologist/ })).not.toBeInTheDocument();
+});
+
+test('local texture scores get their own cards, with no ML needed', async () => {
+  process.env.REACT_APP_ML_URL = '';
+  useFixture('pores');
+  await renderApp();
+  await startScan();
+  await step();
+
+  expect(cardValue('Pores')).toBeGreaterThan(30);
+  expect(cardValue('Fine lines')).toBeLessThan(5);
+  expect(card('Texture/Dryness')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('a saved config overrides the default lighting gate', async () => {
+  settings['skinscan.config'] = JSON.stringify({ version: 1, scoring: { lightingGate: 60 } });
+  await renderApp();
+  await startScan();
+  await step(2);
+
+  expect(card('Lighting')).toHaveTextContent(/Too dark$/);
+  expect(global.fetch).not.toHaveBeenCalled();
+  fireEvent.click(screen.getByRole('link', { name: 'Settings' }));
+  expect(screen.getByText(/config v1 · Saved/)).toBeInTheDocument();
+});
+
+test('the model’s class map labels the result and its lesion boxes are counted', async () => {
+  global.fetch.mockImplementation(async () => ({
+    ok: true,
+    status: 200,
+    text: async () =>
+      JSON.stringify({
+        ok: true,
+        acne_class: 1,
+        class_map: ['none', 'a few spots'],
+        lesions: [{ box: [0.3, 0.5, 0.36, 0.56], score: 0.8, label: 'papule' }, { box: [0.6, 0.5, 0.65, 0.55] }],
+      }),
+  }));
+  await renderApp();
+  await startScan();
+  await step();
+
+  await waitFor(() => expect(card('Acne')).toHaveTextContent('1 (a few spots)'));
+  expect(card('Acne')).toHaveTextContent('2 lesions marked');
+  expect(screen.getByLabelText('ML lesions')).toBeChecked();
+});
+
+test('the camera survives navigation; the frame loop only runs on the Scan screen', async () => {
+  await renderApp();
+  await startScan();
+  await step();
+  expect(frames).toHaveLength(1);
+
+  fireEvent.click(screen.getByRole('link', { name: 'Settings' }));
+  expect(screen.getByRole('heading', { name: 'Settings' })).toBeInTheDocument();
+  expect(frames).toHaveLength(0);
+  expect(track.stop).not.toHaveBeenCalled();
+  expect(screen.getByText(/Camera on/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Scan' }));
+  expect(frames).toHaveLength(1);
+  await step();
+  expect(landmarker.detectForVideo).toHaveBeenCalledTimes(2);
+  expect(screen.getByText('Running')).toBeInTheDocument();
+  expect(cardValue('Lighting')).toBeGreaterThan(40);
+});
+
+test('unmounting releases the camera and the frame loop', async () => {
+  const { unmount } = await renderApp();
+  await startScan();
+  await step();
+
+  unmount();
+  expect(track.stop).toHaveBeenCalled();
+  expect(frames).toHaveLength(0);
+});
+
+test('a results link opens that saved scan directly', async () => {
+  const record = historyStore.makeScanRecord({
+    scores: { lighting: 55, redness: 70, shine: 20, roughness: 10, pores: 5, lines: 0 },
+    mlResult: normalizeMlResponse({ ok: true, acne_class: 2 }),
+    skinTone: { ita: 20.04, group: 'tan' },
+    ts: Date.UTC(2026, 0, 5),
+  });
+  const getScan = jest
+    .spyOn(historyStore, 'getScan')
+    .mockImplementation(async (vault, id) => (vault.profileId === 1 && id === 7 ? { ...record, id } : undefined));
+  jest.spyOn(historyStore, 'listScans').mockResolvedValue([{ ...record, id: 7 }]);
+
+  window.history.pushState({}, '', '/results/7');
+  await renderApp();
+  expect(await screen.findByRole('heading', { name: 'Scan #7' })).toBeInTheDocument();
+  expect(getScan).toHaveBeenCalledWith(VAULT, 7);
+  expect(cardValue('Redness')).toBe(70);
+  expect(card('Acne')).toHaveTextContent('2 (Moderate)');
+  expect(card('Skin tone')).toHaveTextContent('ITA 20°');
+  expect(screen.getByRole('group', { name: 'Routine for mild to moderate acne' })).toBeInTheDocument();
+  expect(screen.queryByText('Start Scan')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: '← History' }));
+  expect(await screen.findByRole('link', { name: 'Details' })).toHaveAttribute('href', '/results/7');
+  act(() => {
+    window.history.pushState({}, '', '/results/8');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(await screen.findByText('Scan not found')).toBeInTheDocument();
+});
+
+test('a wrong passphrase keeps the app locked', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.change(await screen.findByLabelText('Passphrase'), { target: { value: 'wrong horse' } });
+  fireEvent.click(screen.getByText('Unlock'));
+
+  expect(await screen.findByText('Wrong passphrase.')).toBeInTheDocument();
+  expect(screen.queryByRole('navigation', { name: 'Main' })).not.toBeInTheDocument();
+  expect(createFaceLandmarker).not.toHaveBeenCalled();
+});
+
+test('settings are saved to the unlocked profile; switching profiles ends the scan', async () => {
+  await renderApp();
+  await startScan();
+  await step();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Settings' }));
+  fireEvent.click(screen.getByLabelText('Mask eyes'));
+  await waitFor(() =>
+    expect(saveSettings).toHaveBeenCalledWith(VAULT, expect.objectContaining({ 'skinscan.uploadPrefs': expect.any(String) }))
+  );
+  expect(localStorage.getItem('skinscan.uploadPrefs')).toBeNull();
+
+  fireEvent.change(screen.getByLabelText('Profile'), { target: { value: '2' } });
+  expect(track.stop).toHaveBeenCalled();
+  expect(frames).toHaveLength(0);
+  expect(screen.queryByRole('navigation', { name: 'Main' })).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Profile')).toHaveValue('2');
 });
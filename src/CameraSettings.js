@@ -0,0 +1,73 @@
+import React from "react";
+import { FRAME_RATES, RESOLUTIONS } from "./camera";
+
+// Camera picker + stream settings. Device value encoding: a deviceId, or "facing:user" / "facing:environment".
+export default function CameraSettings({ prefs, cameras, caps, controls, info, error, onPrefs, onControls }) {
+  const deviceValue = prefs.deviceId || `facing:${prefs.facingMode}`;
+  const onDevice = (v) =>
+    onPrefs(v.startsWith("facing:") ? { deviceId: "", facingMode: v.slice(7) } : { deviceId: v });
+  const toggle = (key, text, supported) => (
+    <label style={{ color: supported ? "inherit" : "#999" }} title={supported ? "" : "Not supported by this camera/browser"}>
+      <input
+        type="checkbox"
+        checked={controls[key]}
+        disabled={!supported}
+        onChange={(e) => onControls({ [key]: e.target.checked })}
+      />{" "}
+      {text}
+    </label>
+  );
+
+  return (
+    <details open={Boolean(error)} style={{ marginTop: 12, fontSize: 13 }}>
+      <summary style={{ cursor: "pointer" }}>
+        <b>Camera settings</b>
+        {info ? (
+          <span style={{ color: "#666" }}>
+            {" "}
+            · {info.label || "camera"} · {info.width}×{info.height}
+            {info.frameRate ? ` @ ${info.frameRate} fps` : ""}
+          </span>
+        ) : null}
+      </summary>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+        <label>
+          Camera{" "}
+          <select value={deviceValue} onChange={(e) => onDevice(e.target.value)}>
+            <option value="facing:user">Front camera</option>
+            <option value="facing:environment">Rear camera (close-ups)</option>
+            {cameras.map((c) => (
+              <option key={c.deviceId} value={c.deviceId}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Resolution{" "}
+          <select value={prefs.resolution} onChange={(e) => onPrefs({ resolution: e.target.value })}>
+            {RESOLUTIONS.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          FPS{" "}
+          <select value={prefs.fps} onChange={(e) => onPrefs({ fps: Number(e.target.value) })}>
+            {FRAME_RATES.map((f) => (
+              <option key={f} value={f}>
+                {f}
+              </option>
+            ))}
+          </select>
+        </label>
+        {toggle("torch", "Torch", caps?.torch)}
+        {toggle("lockExposure", "Lock exposure", caps?.exposureLock)}
+        {toggle("lockWhiteBalance", "Lock white balance", caps?.whiteBalanceLock)}
+      </div>
+      {error ? <div style={{ marginTop: 8, color: "#b00020" }}>{error}</div> : null}
+    </details>
+  );
+}
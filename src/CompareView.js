@@ -0,0 +1,255 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { MAX_ALIGN_RMS, alignFaces } from "./align";
+import { recordRegions } from "./historyStore";
+import { REGIONS, buildRegions } from "./regions";
+import { loadImage } from "./scanner/media";
+
+const METRICS = [
+  { key: "redness", title: "Redness" },
+  { key: "shine", title: "Shine" },
+  { key: "lighting", title: "Lighting" },
+  { key: "roughness", title: "Texture" },
+  { key: "pores", title: "Pores" },
+  { key: "lines", title: "Fine lines" },
+];
+
+// Before/after comparison of two history records: "after" is warped onto "before" with a
+// landmark similarity transform (align.js), shown as a wipe or side by side, plus per-region deltas.
+export default function CompareView({ before, after, onClose }) {
+  const wipeRef = useRef(null);
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  const [images, setImages] = useState(null); // { a, b } loaded <img>s
+  const [error, setError] = useState("");
+  const [mode, setMode] = useState("wipe");
+  const [wipe, setWipe] = useState(0.5);
+  const [outlines, setOutlines] = useState(true);
+
+  const alignable = Boolean(before.snapshot && before.landmarks && after.snapshot && after.landmarks);
+
+  useEffect(() => {
+    if (!alignable) return;
+    let cancelled = false;
+    Promise.all([loadImage(before.snapshot), loadImage(after.snapshot)])
+      .then(([a, b]) => !cancelled && setImages({ a, b }))
+      // the loader's own message is about uploads; these are our own saved snapshots
+      .catch(() => !cancelled && setError("Could not load the saved snapshot."));
+    return () => {
+      cancelled = true;
+    };
+  }, [alignable, before.snapshot, after.snapshot]);
+
+  const align = useMemo(
+    () =>
+      images
+        ? alignFaces(
+            before.landmarks,
+            images.a.naturalWidth,
+            images.a.naturalHeight,
+            after.landmarks,
+            images.b.naturalWidth,
+            images.b.naturalHeight
+          )
+        : null,
+    [images, before.landmarks, after.landmarks]
+  );
+
+  useEffect(() => {
+    if (!images || !align) return;
+    const { a, b } = images;
+    const w = a.naturalWidth;
+    const h = a.naturalHeight;
+    // the regions "before" was scanned with (its configured landmark indices), not today's defaults
+    const { ids, registry } = recordRegions(before);
+    const regions = outlines ? buildRegions(before.landmarks, ids, w, h, registry) : [];
+
+    const drawAfter = (ctx) => {
+      ctx.save();
+      ctx.setTransform(align.a, align.b, -align.b, align.a, align.tx, align.ty);
+      ctx.drawImage(b, 0, 0);
+      ctx.restore();
+    };
+    const drawOutlines = (ctx) => regions.forEach((r) => outline(ctx, r.poly, r.color.replace(/[\d.]+\)$/, "0.9)")));
+
+    if (mode === "wipe") {
+      const ctx = prepare(wipeRef.current, w, h);
+      if (!ctx) return;
+      ctx.drawImage(a, 0, 0);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(wipe * w, 0, w - wipe * w, h);
+      ctx.clip();
+      drawAfter(ctx);
+      ctx.restore();
+      drawOutlines(ctx);
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(wipe * w - 1, 0, 2, h);
+    } else {
+      const left = prepare(leftRef.current, w, h);
+      const right = prepare(rightRef.current, w, h);
+      if (!left || !right) return;
+      left.drawImage(a, 0, 0);
+      drawAfter(right);
+      drawOutlines(left);
+      drawOutlines(right);
+    }
+  }, [images, align, mode, wipe, outlines, before]);
+
+  const canvasStyle = { maxWidth: "100%", borderRadius: 8, border: "1px solid #333" };
+
+  return (
+    <div style={{ border: "1px solid #333", borderRadius: 12, padding: 12, marginTop: 12 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b style={{ fontSize: 16 }}>Compare</b>
+        <span>
+          {new Date(before.ts).toLocaleString()} → {new Date(after.ts).toLocaleString()}
+        </span>
+        {alignable ? (
+          <>
+            {["wipe", "side"].map((m) => (
+              <button key={m} onClick={() => setMode(m)} style={{ padding: "6px 10px", fontWeight: mode === m ? 700 : 400 }}>
+                {m === "wipe" ? "Wipe" : "Side by side"}
+              </button>
+            ))}
+            <label>
+              <input type="checkbox" checked={outlines} onChange={(e) => setOutlines(e.target.checked)} /> Regions
+            </label>
+          </>
+        ) : null}
+        <button onClick={onClose} style={{ padding: "6px 10px", marginLeft: "auto" }}>
+          Close
+        </button>
+      </div>
+
+      {!alignable ? (
+        <p style={{ color: "#666" }}>
+          One of these scans was saved without a snapshot/landmarks (older version), so only the scores can be compared.
+        </p>
+      ) : error ? (
+        <div style={{ marginTop: 10, color: "#b00020" }}>
+          <b>Compare error:</b> {error}
+        </div>
+      ) : !images ? (
+        <p style={{ color: "#666" }}>Loading…</p>
+      ) : (
+        <>
+          {mode === "wipe" ? (
+            <div style={{ marginTop: 10 }}>
+              <canvas ref={wipeRef} style={canvasStyle} />
+              <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12 }}>
+                <span>before</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  value={wipe}
+                  onChange={(e) => setWipe(Number(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                <span>after</span>
+              </div>
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
+              <canvas ref={leftRef} style={{ ...canvasStyle, maxWidth: "49%" }} />
+              <canvas ref={rightRef} style={{ ...canvasStyle, maxWidth: "49%" }} />
+            </div>
+          )}
+          <AlignNote align={align} />
+        </>
+      )}
+
+      <DeltaTable before={before} after={after} />
+    </div>
+  );
+}
+
+function AlignNote({ align }) {
+  if (!align) return null;
+  const off = align.relRms > MAX_ALIGN_RMS;
+  return (
+    <div style={{ fontSize: 12, marginTop: 6, color: off ? "#b00020" : "#666" }}>
+      aligned: scale {align.scale.toFixed(2)}, rotation {((align.angle * 180) / Math.PI).toFixed(1)}°, residual{" "}
+      {(align.relRms * 100).toFixed(1)}% of face width
+      {off ? " — head pose differs a lot between the shots; retake with the same angle for a fair comparison." : ""}
+    </div>
+  );
+}
+
+function DeltaTable({ before, after }) {
+  const rows = [
+    { id: "overall", label: "Overall", a: before, b: after },
+    ...REGIONS.filter((r) => before.regions?.[r.id] && after.regions?.[r.id]).map((r) => ({
+      id: r.id,
+      label: r.label,
+      a: before.regions[r.id],
+      b: after.regions[r.id],
+    })),
+  ];
+  const cell = { padding: "4px 10px", borderBottom: "1px solid #eee" };
+
+  return (
+    <table style={{ borderCollapse: "collapse", marginTop: 12, fontSize: 13 }}>
+      <thead>
+        <tr>
+          <th style={{ ...cell, textAlign: "left" }}>Region</th>
+          {METRICS.map((m) => (
+            <th key={m.key} style={cell}>
+              {m.title}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.id}>
+            <td style={cell}>{row.label}</td>
+            {METRICS.map((m) => (
+              <td key={m.key} style={{ ...cell, textAlign: "right" }}>
+                <Delta metric={m.key} a={row.a[m.key]} b={row.b[m.key]} />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Lower redness / shine / texture is better; lighting is just reported (it's a capture condition)
+function Delta({ metric, a, b }) {
+  if (typeof a !== "number" || typeof b !== "number") return "—";
+  const d = Math.round((b - a) * 10) / 10;
+  const color = metric === "lighting" || d === 0 ? "#666" : d < 0 ? "#0a7d32" : "#b00020";
+  return (
+    <span>
+      {a} → {b}{" "}
+      <b style={{ color }}>
+        ({d > 0 ? "+" : ""}
+        {d})
+      </b>
+    </span>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+function prepare(canvas, w, h) {
+  if (!canvas) return null;
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, w, h);
+  return ctx;
+}
+
+function outline(ctx, poly, strokeStyle) {
+  if (!poly || poly.length < 3) return;
+  ctx.beginPath();
+  poly.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.strokeStyle = strokeStyle;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+}
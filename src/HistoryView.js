@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import CompareView from "./CompareView";
+import { useProfile } from "./ProfileProvider";
+import { clearHistory, deleteScan, listScans } from "./historyStore";
+import { downloadText, reportFileName, scansToCsv } from "./report";
+
+const METRICS = [
+  { key: "lighting", title: "Lighting", max: 100 },
+  { key: "redness", title: "Redness", max: 100 },
+  { key: "shine", title: "Shine/Oil", max: 100 },
+  { key: "roughness", title: "Texture/Dryness", max: 100 },
+  { key: "pores", title: "Pores", max: 100 },
+  { key: "lines", title: "Fine lines", max: 100 },
+  { key: "acneClass", title: "Acne (ML)", max: 4 },
+  { key: "dryness", title: "Dryness (ML)", max: null },
+  { key: "mlRedness", title: "ML Redness", max: null },
+];
+
+const PERIODS = [
+  { key: "scan", label: "Each scan" },
+  { key: "day", label: "Days" },
+  { key: "week", label: "Weeks" },
+];
+
+export default function HistoryView() {
+  const { vault } = useProfile();
+  const [scans, setScans] = useState([]);
+  const [period, setPeriod] = useState("day");
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0);
+  const [compareIds, setCompareIds] = useState([]); // up to two scan ids, in click order
+
+  useEffect(() => {
+    let cancelled = false;
+    listScans(vault)
+      .then((rows) => {
+        if (cancelled) return;
+        setError("");
+        setScans(rows);
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setError(e?.message || String(e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [vault, version]);
+
+  const reload = () => setVersion((v) => v + 1);
+
+  async function onDelete(id) {
+    await deleteScan(vault, id);
+    setCompareIds((ids) => ids.filter((x) => x !== id));
+    reload();
+  }
+
+  // Picking a third scan replaces the oldest pick
+  function toggleCompare(id) {
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id].slice(-2)));
+  }
+
+  const compared = scans.filter((s) => compareIds.includes(s.id)); // oldest first -> [before, after]
+
+  async function onClear() {
+    if (!window.confirm("Delete all saved scans of this profile?")) return;
+    await clearHistory(vault);
+    setCompareIds([]);
+    reload();
+  }
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <h2 style={{ margin: 0 }}>History</h2>
+        {PERIODS.map((p) => (
+          <button
+            key={p.key}
+            onClick={() => setPeriod(p.key)}
+            style={{ padding: "6px 10px", fontWeight: period === p.key ? 700 : 400 }}
+          >
+            {p.label}
+          </button>
+        ))}
+        <button
+          onClick={() => downloadText(reportFileName(null, "csv"), scansToCsv(scans), "text/csv")}
+          style={{ padding: "6px 10px" }}
+          disabled={scans.length === 0}
+        >
+          Export CSV
+        </button>
+        <button onClick={onClear} style={{ padding: "6px 10px" }} disabled={scans.length === 0}>
+          Clear history
+        </button>
+      </div>
+
+      {error ? (
+        <div style={{ marginTop: 10, color: "#b00020" }}>
+          <b>History error:</b> {error}
+        </div>
+      ) : null}
+
+      {scans.length === 0 ? (
+        <p style={{ color: "#666" }}>No saved scans yet. Use “Save Scan” after a scan or photo.</p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+            {METRICS.map((m) => (
+              <TrendChart key={m.key} title={m.title} max={m.max} points={bucketScans(scans, period, m.key)} />
+            ))}
+          </div>
+
+          {compared.length === 2 ? (
+            <CompareView before={compared[0]} after={compared[1]} onClose={() => setCompareIds([])} />
+          ) : (
+            <p style={{ color: "#666", fontSize: 13 }}>Tick “Compare” on two scans to see them aligned before/after.</p>
+          )}
+
+          <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+            {scans
+              .slice()
+              .reverse()
+              .map((s) => (
+                <div key={s.id} style={{ border: "1px solid #ccc", borderRadius: 10, padding: 8, width: 150, fontSize: 12 }}>
+                  {s.thumbnail ? (
+                    <img src={s.thumbnail} alt="" style={{ width: "100%", borderRadius: 6 }} />
+                  ) : null}
+                  <div>{new Date(s.ts).toLocaleString()}</div>
+                  <div>
+                    L {s.lighting} · R {s.redness} · S {s.shine}
+                  </div>
+                  <div>
+                    T {s.roughness ?? "—"} · P {s.pores ?? "—"} · FL {s.lines ?? "—"}
+                  </div>
+                  <div>Acne {s.acneClass ?? "—"} · Dry {s.dryness ?? "—"}</div>
+                  <div style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 4 }}>
+                    <label>
+                      <input type="checkbox" checked={compareIds.includes(s.id)} onChange={() => toggleCompare(s.id)} />{" "}
+                      Compare
+                    </label>
+                    <button onClick={() => onDelete(s.id)}>Delete</button>
+                    <Link to={`/results/${s.id}`}>Details</Link>
+                  </div>
+                </div>
+              ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function TrendChart({ title, points, max }) {
+  const W = 300;
+  const H = 110;
+  const PAD = 22;
+
+  const values = points.map((p) => p.value);
+  const top = max ?? Math.max(1, ...values);
+  const x = (i) => (points.length < 2 ? W / 2 : PAD + (i * (W - 2 * PAD)) / (points.length - 1));
+  const y = (v) => H - PAD - (v / top) * (H - 2 * PAD);
+
+  return (
+    <div style={{ border: "1px solid #333", borderRadius: 12, padding: 8 }}>
+      <div style={{ fontSize: 14, opacity: 0.8 }}>{title}</div>
+      {points.length === 0 ? (
+        <div style={{ width: W, height: H, color: "#999", fontSize: 12 }}>no data</div>
+      ) : (
+        <svg width={W} height={H}>
+          <line x1={PAD} y1={H - PAD} x2={W - PAD} y2={H - PAD} stroke="#ccc" />
+          <polyline
+            fill="none"
+            stroke="#1a73e8"
+            strokeWidth="2"
+            points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(" ")}
+          />
+          {points.map((p, i) => (
+            <circle key={p.ts} cx={x(i)} cy={y(p.value)} r="3" fill="#1a73e8">
+              <title>{`${p.label}: ${p.value}`}</title>
+            </circle>
+          ))}
+          <text x={PAD} y={H - 6} fontSize="10" fill="#666">
+            {points[0].label}
+          </text>
+          <text x={W - PAD} y={H - 6} fontSize="10" fill="#666" textAnchor="end">
+            {points[points.length - 1].label}
+          </text>
+          <text x={2} y={PAD} fontSize="10" fill="#666">
+            {Math.round(top * 10) / 10}
+          </text>
+        </svg>
+      )}
+    </div>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+// Average one metric per period. Scans must be sorted oldest first; null values are skipped.
+// Returns [{ ts, label, value }] where ts is the start of the bucket.
+export function bucketScans(scans, period, key) {
+  const buckets = new Map();
+  for (const s of scans) {
+    const v = s[key];
+    if (v === null || v === undefined) continue;
+    const start = period === "scan" ? s.ts : periodStart(s.ts, period);
+    const b = buckets.get(start) || { sum: 0, n: 0 };
+    b.sum += v;
+    b.n += 1;
+    buckets.set(start, b);
+  }
+  return [...buckets.entries()].map(([ts, b]) => ({
+    ts,
+    label: formatBucket(ts, period),
+    value: Math.round((b.sum / b.n) * 10) / 10,
+  }));
+}
+
+function periodStart(ts, period) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (period === "week") {
+    const dow = (d.getDay() + 6) % 7; // weeks start on Monday
+    d.setDate(d.getDate() - dow);
+  }
+  return d.getTime();
+}
+
+function formatBucket(ts, period) {
+  const d = new Date(ts);
+  if (period === "scan") return d.toLocaleString();
+  if (period === "week") return `wk of ${d.toLocaleDateString()}`;
+  return d.toLocaleDateString();
+}
@@ -0,0 +1,74 @@
+import { bucketScans } from './HistoryView';
+import { makeScanRecord, recordRegions } from './historyStore';
+import { normalizeMlResponse } from './ml';
+
+const at = (y, m, d, hh = 12) => new Date(y, m - 1, d, hh).getTime();
+
+test('averages a metric per day and skips missing values', () => {
+  const scans = [
+    { ts: at(2025, 3, 3, 9), redness: 40 },
+    { ts: at(2025, 3, 3, 18), redness: 60 },
+    { ts: at(2025, 3, 4), redness: null },
+    { ts: at(2025, 3, 5), redness: 30 },
+  ];
+  const pts = bucketScans(scans, 'day', 'redness');
+  expect(pts.map((p) => p.value)).toEqual([50, 30]);
+  expect(pts[0].ts).toBe(new Date(2025, 2, 3).getTime());
+});
+
+test('weeks start on Monday', () => {
+  const scans = [
+    { ts: at(2025, 3, 2), shine: 10 }, // Sunday
+    { ts: at(2025, 3, 3), shine: 20 }, // Monday
+    { ts: at(2025, 3, 9), shine: 40 }, // Sunday
+  ];
+  expect(bucketScans(scans, 'week', 'shine').map((p) => p.value)).toEqual([10, 30]);
+});
+
+test('makeScanRecord flattens every Lambda response shape', () => {
+  const scores = { lighting: 70, redness: 40, shine: 12 };
+  const record = (json) => makeScanRecord({ scores, mlResult: normalizeMlResponse(json), ts: 1 });
+  expect(record({ ok: true, acne_class: 3 })).toMatchObject({
+    acneClass: 3,
+    dryness: null,
+  });
+  expect(record({ ok: true, acne_prob: 0.83, acne_pred: 1 })).toMatchObject({ acneClass: null, acneProb: 0.83 });
+  expect(record({ acne: 1, redness: 0, dryness: 2 })).toMatchObject({
+    acneClass: 1,
+    mlRedness: 0,
+    dryness: 2,
+  });
+  expect(makeScanRecord({ scores, mlResult: null, ts: 1 }).acneClass).toBeNull();
+});
+
+test('makeScanRecord keeps the class map and version of the model that answered', () => {
+  const scores = { lighting: 70, redness: 40, shine: 12 };
+  const mlResult = normalizeMlResponse({ acne_class: 2, model_version: 'v3', class_map: ['none', 'few', 'many'] });
+  expect(makeScanRecord({ scores, mlResult, ts: 1 })).toMatchObject({
+    acneClass: 2,
+    modelVersion: 'v3',
+    classMap: mlResult.classMap,
+  });
+  expect(makeScanRecord({ scores, mlResult: null, ts: 1 })).toMatchObject({ modelVersion: null, classMap: null });
+});
+
+test('makeScanRecord keeps compact 2D landmarks for comparison', () => {
+  const scores = { lighting: 70, redness: 40, shine: 12 };
+  const rec = makeScanRecord({ scores, mlResult: null, landmarks: [{ x: 0.123456, y: 0.654321, z: -0.1 }], ts: 1 });
+  expect(rec.landmarks).toEqual([{ x: 0.1235, y: 0.6543 }]);
+  expect(makeScanRecord({ scores, mlResult: null, ts: 1 })).toMatchObject({ landmarks: null, snapshot: null });
+});
+
+test('a record keeps the regions it was scanned with for the comparison outlines', () => {
+  const scores = { lighting: 70, redness: 40, shine: 12 };
+  const regionDefs = [{ id: 'nose', label: 'Nose', indices: [1, 2, 3] }];
+  const rec = makeScanRecord({ scores, mlResult: null, regionDefs, ts: 1 });
+  expect(rec.regionDefs).toEqual([{ id: 'nose', indices: [1, 2, 3], exclude: [] }]);
+
+  const { ids, registry } = recordRegions(rec);
+  expect(ids).toEqual(['nose']);
+  expect(registry[0]).toMatchObject({ id: 'nose', label: 'Nose', indices: [1, 2, 3] });
+
+  // older records: the default regions they have scores for
+  expect(recordRegions({ regions: { forehead: { redness: 1 } } }).ids).toEqual(['forehead']);
+});
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { SKIN_TYPES } from "./profileStore";
+
+// Name / skin type / notes inputs of a profile (Profiles and Profile screens).
+// onChange(key) returns the input's change handler.
+export default function ProfileFields({ fields, onChange }) {
+  return (
+    <>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 6 }}>
+        <label>
+          Name <input value={fields.name} maxLength={60} onChange={onChange("name")} />
+        </label>
+        <label>
+          Skin type{" "}
+          <select value={fields.skinType} onChange={onChange("skinType")}>
+            <option value="">Not set</option>
+            {SKIN_TYPES.map((t) => (
+              <option key={t} value={t}>
+                Fitzpatrick {t}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label style={{ display: "block", marginTop: 6 }}>
+        Notes
+        <br />
+        <textarea value={fields.notes} rows={2} onChange={onChange("notes")} style={{ width: "100%", maxWidth: 520 }} />
+      </label>
+    </>
+  );
+}
+
+export function Problem({ text }) {
+  return text ? <div style={{ marginTop: 6, color: "#b00020", fontSize: 13 }}>{text}</div> : null;
+}
+
+// [{ busy, error }, onSubmit] for a form whose action is async and may throw (the error is shown)
+export function useSubmit(action) {
+  const [state, setState] = useState({ busy: false, error: "" });
+  async function submit(e) {
+    e.preventDefault();
+    setState({ busy: true, error: "" });
+    try {
+      await action();
+      setState({ busy: false, error: "" });
+    } catch (err) {
+      setState({ busy: false, error: err?.message || String(err) });
+    }
+  }
+  return [state, submit];
+}
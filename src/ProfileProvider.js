@@ -0,0 +1,110 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+import {
+  createProfile,
+  deleteLegacyData,
+  deleteProfile,
+  exportProfile,
+  importProfile,
+  legacyScanCount,
+  listProfiles,
+  profileStorage,
+  saveSettings,
+  unlockProfile,
+  updateProfile,
+} from "./profileStore";
+import { downloadText, reportFileName } from "./report";
+
+const ProfileContext = createContext(null);
+
+/**
+ * Who is using the app: the profiles on this device (profileStore.js) and the one that is unlocked.
+ * The unlocked profile's data key only lives here, in memory; locking drops it, and App unmounts the
+ * scanner session (and its camera) with it. Screens use useProfile():
+ *   profile   { id, name, created, skinType, notes } or null while locked
+ *   vault     { profileId, key } for historyStore.js
+ *   storage   the profile's settings behind the localStorage interface (ScannerProvider, config.js)
+ * The actions throw (VaultError for a wrong passphrase etc.); the screens show the message.
+ */
+export function ProfileProvider({ children }) {
+  const [profiles, setProfiles] = useState(null); // [{ id, name, created }], null until listed
+  const [legacyCount, setLegacyCount] = useState(0); // unencrypted scans from before profiles
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0); // bump to list again
+  const [active, setActive] = useState(null); // { profile, vault, storage }
+  const [selectedId, setSelectedId] = useState(null); // profile the switcher asked for, preselected when locked
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([listProfiles(), legacyScanCount()])
+      .then(([rows, legacy]) => {
+        if (cancelled) return;
+        setError("");
+        setProfiles(rows);
+        setLegacyCount(legacy);
+      })
+      .catch((e) => {
+        console.error(e);
+        if (cancelled) return;
+        setError(e?.message || String(e));
+        setProfiles([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const reload = () => setVersion((v) => v + 1);
+
+  function open({ profile, vault, settings }) {
+    const storage = profileStorage(settings, (values) => saveSettings(vault, values));
+    setActive({ profile, vault, storage });
+    setSelectedId(profile.id);
+    reload();
+  }
+
+  const value = {
+    profiles,
+    legacyCount,
+    error,
+    selectedId,
+    profile: active?.profile || null,
+    vault: active?.vault || null,
+    storage: active?.storage || null,
+
+    unlock: async (id, passphrase) => open(await unlockProfile(id, passphrase)),
+    create: async (fields) => open(await createProfile(fields)),
+    importFile: async (text, passphrase) => open(await importProfile(text, passphrase)),
+    // the switcher: lock, and preselect `nextId` on the unlock form
+    lock: (nextId = null) => {
+      setActive(null);
+      if (nextId !== null) setSelectedId(nextId);
+    },
+    update: async (fields) => {
+      const next = await updateProfile(active.vault, fields);
+      setActive((a) => ({ ...a, profile: { ...a.profile, ...next } }));
+      reload();
+    },
+    exportFile: async () => {
+      const text = await exportProfile(active.vault);
+      downloadText(reportFileName(null, "json", "profile"), text, "application/json");
+    },
+    deleteAll: async () => {
+      await deleteProfile(active.vault);
+      setActive(null);
+      setSelectedId(null);
+      reload();
+    },
+    deleteLegacy: async () => {
+      await deleteLegacyData();
+      reload();
+    },
+  };
+
+  return <ProfileContext.Provider value={value}>{children}</ProfileContext.Provider>;
+}
+
+export function useProfile() {
+  const ctx = useContext(ProfileContext);
+  if (!ctx) throw new Error("useProfile() must be used inside <ProfileProvider>");
+  return ctx;
+}
@@ -0,0 +1,66 @@
+import React from "react";
+
+const KIND_TITLES = { escalation: "See a professional", routine: "Routine", tip: "Tip" };
+
+// Suggestions from the rules file (recommendations.js): what fired, and the matched conditions that
+// made it fire. Escalations come first, outlined in red.
+export default function RecommendationsPanel({ items, rules, note }) {
+  return (
+    <section
+      aria-label="Recommendations"
+      style={{ marginTop: 12, border: "1px solid #333", borderRadius: 12, padding: 12, maxWidth: 760 }}
+    >
+      <div style={{ display: "flex", gap: 10, alignItems: "baseline", flexWrap: "wrap" }}>
+        <b>Recommendations</b>
+        <span style={{ fontSize: 12, color: "#666" }}>{note}</span>
+      </div>
+
+      {items.length === 0 && rules.fallback ? (
+        <Item title={rules.fallback.title} advice={rules.fallback.advice} />
+      ) : null}
+      {items.map((r) => (
+        <Item key={r.id} {...r} />
+      ))}
+
+      {rules.disclaimer ? <div style={{ marginTop: 10, fontSize: 12, color: "#666" }}>{rules.disclaimer}</div> : null}
+    </section>
+  );
+}
+
+function Item({ id, kind, title, why, reasons = [], advice = [], ingredients = [], avoid = [] }) {
+  const escalation = kind === "escalation";
+  return (
+    <div
+      role="group"
+      aria-label={title}
+      style={{
+        marginTop: 10,
+        padding: 10,
+        borderRadius: 8,
+        border: `1px solid ${escalation ? "#b00020" : "#ddd"}`,
+        background: escalation ? "#fdecee" : "transparent",
+        fontSize: 13,
+      }}
+    >
+      <div>
+        <b style={{ color: escalation ? "#b00020" : "inherit" }}>{title}</b>
+        {kind ? <span style={{ marginLeft: 8, color: "#666" }}>{KIND_TITLES[kind]}</span> : null}
+      </div>
+      {reasons.length ? (
+        <div style={{ marginTop: 4, color: "#444" }}>
+          Why: {reasons.join(" · ")} <span style={{ color: "#999" }}>(rule {id})</span>
+        </div>
+      ) : null}
+      {why ? <div style={{ marginTop: 4, color: "#444" }}>{why}</div> : null}
+      {advice.length ? (
+        <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+          {advice.map((a) => (
+            <li key={a}>{a}</li>
+          ))}
+        </ul>
+      ) : null}
+      {ingredients.length ? <div style={{ marginTop: 4 }}>Look for: {ingredients.join(", ")}</div> : null}
+      {avoid.length ? <div style={{ marginTop: 4 }}>Avoid: {avoid.join(", ")}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { createContext, useContext, useState } from "react";
+import { useProfile } from "./ProfileProvider";
+import { useAnalysisState } from "./scanner/analysis";
+import { useCameraSessionState } from "./scanner/cameraSession";
+import { useMlClientState } from "./scanner/mlClient";
+import { useScanSettingsState } from "./scanner/scanSettings";
+
+export { MAX_FACES, SESSION_FRAMES } from "./scanner/analysis";
+export { WB_LABELS } from "./scanner/scanSettings";
+
+const CameraSessionContext = createContext(null);
+const MlClientContext = createContext(null);
+const ScanSettingsContext = createContext(null);
+const AnalysisContext = createContext(null);
+
+/**
+ * The scanner session every screen shares, in four parts (src/scanner/):
+ *   useCameraSession()   camera device, stream and track controls, the <video> / overlay refs
+ *   useMlClient()        inference mode + endpoint, upload settings, model metadata, the ML result
+ *   useScanSettings()    config, rules, smoothing, white balance, overlay, region toggles
+ *   useAnalysis()        FaceLandmarker + scoring, the source and live loop, sessions, multi-face,
+ *                        the latest scores, save / export
+ * It sits above the routes, so switching screens doesn't reload the model or drop the camera; each
+ * screen reads the parts it needs, and <ScannerStage> shows the frame. The settings are the unlocked
+ * profile's; App remounts the session per profile.
+ */
+export function ScannerProvider({ children }) {
+  const { vault, storage } = useProfile();
+  const [debug, setDebug] = useState(""); // one debug line, written by the camera and the analysis
+  const settings = useScanSettingsState(storage);
+  const ml = useMlClientState(storage);
+  // A camera switch mid-scan resets the analysis, and a failed one stops it like Stop does. Both are
+  // only called from event handlers, by which time `analysis` below exists.
+  const camera = useCameraSessionState(storage, {
+    setDebug,
+    onSwitch: () => analysis.resetTracking(),
+    onFail: () => analysis.stopAll(),
+  });
+  const analysis = useAnalysisState({ vault, camera, ml, settings, setDebug });
+
+  return (
+    <CameraSessionContext.Provider value={camera}>
+      <MlClientContext.Provider value={ml}>
+        <ScanSettingsContext.Provider value={settings}>
+          <AnalysisContext.Provider value={{ ...analysis, debug }}>{children}</AnalysisContext.Provider>
+        </ScanSettingsContext.Provider>
+      </MlClientContext.Provider>
+    </CameraSessionContext.Provider>
+  );
+}
+
+export function useCameraSession() {
+  return useSessionPart(CameraSessionContext, "useCameraSession");
+}
+
+export function useMlClient() {
+  return useSessionPart(MlClientContext, "useMlClient");
+}
+
+export function useScanSettings() {
+  return useSessionPart(ScanSettingsContext, "useScanSettings");
+}
+
+export function useAnalysis() {
+  return useSessionPart(AnalysisContext, "useAnalysis");
+}
+
+// The camera / video / photo with the ROI overlay and the quality prompt. Rendered once, outside the
+// routes, and only hidden on the other screens: the <video> keeps its stream across navigation.
+export function ScannerStage({ hidden = false }) {
+  const { videoRef, overlayRef, streamInfo } = useCameraSession();
+  const { source, photoUrl, quality } = useAnalysis();
+  // selfie mirror only makes sense for the live front camera
+  const mirrored = source === "camera" && streamInfo?.facingMode !== "environment";
+  return (
+    <div style={{ display: hidden ? "none" : "block", position: "relative", flex: "1 1 320px", maxWidth: 520 }}>
+      <video
+        ref={videoRef}
+        playsInline
+        muted
+        style={{
+          display: source === "photo" ? "none" : "block",
+          width: "100%",
+          borderRadius: 18,
+          background: "#000",
+          transform: mirrored ? "scaleX(-1)" : "none", // selfie mirror for UX
+        }}
+      />
+      {source === "photo" && photoUrl ? (
+        <img
+          src={photoUrl}
+          alt="Uploaded face"
+          style={{ display: "block", width: "100%", borderRadius: 18, background: "#000" }}
+        />
+      ) : null}
+      <canvas
+        ref={overlayRef}
+        style={{
+          position: "absolute",
+          left: 0,
+          top: 0,
+          width: "100%",
+          height: "100%",
+          pointerEvents: "none",
+          transform: mirrored ? "scaleX(-1)" : "none", // match mirrored video
+        }}
+      />
+      {quality ? (
+        <div
+          style={{
+            position: "absolute",
+            left: "50%",
+            bottom: 12,
+            transform: "translateX(-50%)",
+            padding: "6px 12px",
+            borderRadius: 14,
+            background: quality.ok ? "rgba(19,115,51,0.85)" : "rgba(176,96,0,0.85)",
+            color: "white",
+            fontSize: 14,
+            pointerEvents: "none",
+          }}
+        >
+          {quality.prompt}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+function useSessionPart(context, name) {
+  const part = useContext(context);
+  if (!part) throw new Error(`${name}() must be used inside <ScannerProvider>`);
+  return part;
+}
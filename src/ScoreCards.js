@@ -0,0 +1,114 @@
+import React from "react";
+import { FACE_COLORS, heatColor, swatchColor } from "./overlayDrawing";
+
+// Score displays shared by the Scan and Results screens. ScoreCard is a labelled group (title, value,
+// note) so tests and screen readers can find a card by its title.
+
+export function ScoreCard({ title, value, note }) {
+  return (
+    <div
+      role="group"
+      aria-label={title}
+      style={{ border: "1px solid #333", borderRadius: 12, padding: 12, minWidth: 160 }}
+    >
+      <div style={{ fontSize: 14, opacity: 0.8 }}>{title}</div>
+      <div style={{ fontSize: 28, fontWeight: 700 }}>{String(value)}</div>
+      <div style={{ fontSize: 13, opacity: 0.8 }}>{note}</div>
+    </div>
+  );
+}
+
+export function RegionCard({ region, score, label }) {
+  return (
+    <div
+      style={{
+        border: "1px solid #333",
+        borderLeft: `6px solid ${swatchColor(region.color)}`,
+        borderRadius: 12,
+        padding: 10,
+        minWidth: 140,
+      }}
+    >
+      <div style={{ fontSize: 14, opacity: 0.8 }}>{region.label}</div>
+      <div style={{ fontSize: 13 }}>
+        Redness <b>{score.redness}</b> {label(score.redness)}
+      </div>
+      <div style={{ fontSize: 13 }}>
+        Shine <b>{score.shine}</b> {label(score.shine)}
+      </div>
+      <div style={{ fontSize: 13 }}>
+        Texture <b>{score.roughness}</b> · Pores <b>{score.pores}</b> · Lines <b>{score.lines}</b>
+      </div>
+      <div style={{ fontSize: 13, opacity: 0.8 }}>
+        Lighting {score.lighting}
+        {score.lightingOk ? "" : " (too dark)"}
+      </div>
+    </div>
+  );
+}
+
+export function FacePanel({ face, ml, label, acne, dryness, primary }) {
+  const color = FACE_COLORS[(face.id - 1) % FACE_COLORS.length];
+  const { lighting, redness, shine, roughness, pores, lines } = face.scores;
+  return (
+    <div style={{ border: `2px solid ${color}`, borderRadius: 12, padding: 10, minWidth: 200, fontSize: 13 }}>
+      <div style={{ fontWeight: 700, color }}>
+        Face #{face.id} {primary ? <span style={{ fontWeight: 400, color: "#666" }}>(saved / exported)</span> : null}
+      </div>
+      <div>
+        Lighting {lighting} · Redness {redness} ({label(redness)}) · Shine {shine} ({label(shine)})
+      </div>
+      <div>
+        Texture {roughness} · Pores {pores} · Fine lines {lines}
+      </div>
+      <div style={{ color: face.quality?.ok ? "#0a7d32" : "#b26a00" }}>
+        {face.quality?.ok ? "Ready" : face.quality?.prompt || "—"} · stability {Math.round(face.stability * 100)}%
+      </div>
+      {ml ? (
+        <div>
+          ML: {ml.status}
+          {ml.result ? ` · Acne ${acne(ml.result)} · Dryness ${dryness(ml.result)}` : ""}
+          {ml.error ? <div style={{ color: "#b00020" }}>{ml.error}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export function SessionPanel({ session, label }) {
+  const { phase, count, target, result, stability, mlFrames } = session;
+  let mlNote = "";
+  if (phase === "inferring") mlNote = ` — running ML on ${mlFrames} frames…`;
+  else if (mlFrames) mlNote = ` — ML combined from ${mlFrames} frames`;
+  return (
+    <div style={{ marginTop: 10, padding: 10, border: "1px dashed #333", borderRadius: 12, fontSize: 13 }}>
+      {phase === "collecting" ? (
+        <div>
+          Collecting good frames… <b>{count}</b> / {target}
+          {mlFrames ? ` (${mlFrames} will be sent to Lambda)` : ""}
+        </div>
+      ) : (
+        <div>
+          <b>Session result</b> ({count} frames, stability {Math.round(stability * 100)}%):{" "}
+          Lighting {result.headline.lighting} · Redness {result.headline.redness} ({label(result.headline.redness)}) ·
+          Shine {result.headline.shine} ({label(result.headline.shine)}) · Texture {result.headline.roughness} · Pores{" "}
+          {result.headline.pores} · Fine lines {result.headline.lines}
+          {mlNote}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function HeatmapLegend({ metric }) {
+  const stops = [0, 0.25, 0.5, 0.75, 1].map((v) => `${heatColor(v, 1)} ${v * 100}%`).join(", ");
+  return (
+    <div style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+      <span>{metric === "shine" ? "matte" : "even"}</span>
+      <span
+        style={{ width: 140, height: 12, borderRadius: 6, background: `linear-gradient(to right, ${stops})` }}
+      />
+      <span>{metric === "shine" ? "shiny" : "red"}</span>
+    </div>
+  );
+}
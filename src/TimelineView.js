@@ -0,0 +1,112 @@
+import React from "react";
+import { summarizeTimeline } from "./videoFile";
+
+const SERIES = [
+  { key: "lighting", title: "Lighting", color: "#f9ab00" },
+  { key: "redness", title: "Redness", color: "#d93025" },
+  { key: "shine", title: "Shine/Oil", color: "#1a73e8" },
+  { key: "roughness", title: "Texture", color: "#8430ce" },
+  { key: "pores", title: "Pores", color: "#12b5cb" },
+  { key: "lines", title: "Fine lines", color: "#7b5e57" },
+];
+
+const W = 640;
+const H = 150;
+const PAD = 24;
+
+// Per-frame scores of an analysed video file. Clicking (or dragging across) the chart seeks the
+// video; frames without a face leave gaps, ML samples are marked along the bottom.
+export default function TimelineView({ points, duration, current, progress, onSeek, onExportCsv }) {
+  const summary = summarizeTimeline(points);
+  const x = (t) => PAD + (duration > 0 ? (t / duration) * (W - 2 * PAD) : 0);
+  const y = (v) => H - PAD - (v / 100) * (H - 2 * PAD);
+
+  function seekFromEvent(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * W;
+    const t = ((px - PAD) / (W - 2 * PAD)) * duration;
+    onSeek(Math.min(Math.max(t, 0), duration));
+  }
+
+  return (
+    <div style={{ marginTop: 12, border: "1px solid #333", borderRadius: 12, padding: 8, maxWidth: W + 16 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b>Timeline</b>
+        {SERIES.map((s) => (
+          <span key={s.key} style={{ color: s.color }}>
+            ■ {s.title} {summary[s.key] ?? "—"}
+          </span>
+        ))}
+        <span style={{ color: "#666" }}>
+          {summary.faceFrames}/{summary.frames} frames with a face · {summary.goodFrames} pass quality ·{" "}
+          {summary.mlSamples} ML
+        </span>
+        {progress ? <span>Analyzing… {Math.round(progress * 100)}%</span> : null}
+        <button onClick={onExportCsv} disabled={points.length === 0} style={{ padding: "4px 8px" }}>
+          Export CSV
+        </button>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: "100%", cursor: duration > 0 ? "pointer" : "default", touchAction: "none" }}
+        onPointerDown={(e) => {
+          if (!duration) return;
+          e.currentTarget.setPointerCapture?.(e.pointerId);
+          seekFromEvent(e);
+        }}
+        onPointerMove={(e) => {
+          if (duration && e.buttons === 1) seekFromEvent(e);
+        }}
+      >
+        <line x1={PAD} y1={H - PAD} x2={W - PAD} y2={H - PAD} stroke="#ccc" />
+        {SERIES.map((s) =>
+          segments(points).map((seg, i) => (
+            <polyline
+              key={`${s.key}-${i}`}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="1.5"
+              points={seg.map((p) => `${x(p.t)},${y(p[s.key])}`).join(" ")}
+            />
+          ))
+        )}
+        {points
+          .filter((p) => p.ml)
+          .map((p) => (
+            <circle key={`ml-${p.t}`} cx={x(p.t)} cy={H - PAD + 6} r="3" fill={p.ml.result ? "#137333" : "#b00020"}>
+              <title>{p.ml.result ? `ML @ ${p.t}s` : `ML failed @ ${p.t}s: ${p.ml.error}`}</title>
+            </circle>
+          ))}
+        {current !== null && current !== undefined ? (
+          <line x1={x(current)} y1={PAD / 2} x2={x(current)} y2={H - PAD} stroke="#333" strokeDasharray="3 2" />
+        ) : null}
+        <text x={PAD} y={H - 4} fontSize="10" fill="#666">
+          0s
+        </text>
+        <text x={W - PAD} y={H - 4} fontSize="10" fill="#666" textAnchor="end">
+          {Math.round(duration * 10) / 10}s
+        </text>
+        <text x={2} y={PAD} fontSize="10" fill="#666">
+          100
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+// Runs of consecutive frames with a face (a polyline per run, so face-less stretches stay blank)
+function segments(points) {
+  const out = [];
+  let run = [];
+  for (const p of points) {
+    if (p.face) {
+      run.push(p);
+    } else if (run.length) {
+      out.push(run);
+      run = [];
+    }
+  }
+  if (run.length) out.push(run);
+  return out;
+}
@@ -0,0 +1,217 @@
+import React, { useRef, useState } from "react";
+import { DEFAULT_CONFIG, configToJson, loadConfigUrl, parseConfig, setConfigValue } from "./config";
+import { REGIONS } from "./regions";
+import { downloadText } from "./report";
+
+const NUMBER_FIELDS = [
+  { path: "scoring.lightingGate", label: "Lighting gate", step: 1 },
+  { path: "scoring.redness.offset", label: "Redness offset", step: 1 },
+  { path: "scoring.redness.range", label: "Redness range", step: 1 },
+  { path: "scoring.shine.minValue", label: "Shine min value", step: 1 },
+  { path: "scoring.shine.maxSaturation", label: "Shine max saturation", step: 0.01 },
+  { path: "scoring.shine.scale", label: "Shine scale", step: 10 },
+  { path: "scoring.skinTone.referenceL", label: "Skin tone reference L*", step: 1 },
+  { path: "scoring.skinTone.maxShift", label: "Skin tone max L* shift", step: 1 },
+  { path: "scoring.texture.radius", label: "Texture radius (× face width)", step: 0.005 },
+  { path: "scoring.texture.roughness.offset", label: "Texture noise floor", step: 0.005 },
+  { path: "scoring.texture.roughness.scale", label: "Texture scale", step: 100 },
+  { path: "scoring.texture.pores.minContrast", label: "Pore min contrast", step: 0.01 },
+  { path: "scoring.texture.pores.scale", label: "Pores scale", step: 100 },
+  { path: "scoring.texture.lines.minContrast", label: "Fine line min contrast", step: 0.01 },
+  { path: "scoring.texture.lines.scale", label: "Fine lines scale", step: 50 },
+  { path: "labels.high", label: "“High” from", step: 1 },
+  { path: "labels.medium", label: "“Medium” from", step: 1 },
+  { path: "inference.throttleMs", label: "Auto-inference every (ms)", step: 100 },
+  ...Object.keys(DEFAULT_CONFIG.quality).map((k) => ({ path: `quality.${k}`, label: `Quality: ${k}`, step: "any" })),
+];
+
+// Developer panel: edit the app config (config.js) live, import it from a file / URL, export it.
+// Every edit is validated with parseConfig(); invalid values stay in the field with the error
+// next to them and aren't applied.
+export default function TuningPanel({ config, note, onChange }) {
+  const [drafts, setDrafts] = useState({}); // field path -> text as typed (may not be valid yet)
+  const [errors, setErrors] = useState({}); // field path -> message
+  const [loadError, setLoadError] = useState("");
+  const [url, setUrl] = useState(process.env.REACT_APP_CONFIG_URL || "");
+  const fileRef = useRef(null);
+
+  // a whole new config (import, reset) replaces whatever was half-typed
+  function replace(next, source) {
+    setDrafts({});
+    setErrors({});
+    onChange(next, source);
+  }
+
+  function apply(path, value, raw) {
+    setDrafts((d) => ({ ...d, [path]: raw }));
+    try {
+      const next = parseConfig(setConfigValue(config, path, value));
+      setErrors((e) => ({ ...e, [path]: "" }));
+      onChange(next, "Edited");
+    } catch (e) {
+      setErrors((errs) => ({ ...errs, [path]: e.message }));
+    }
+  }
+
+  async function load(promise, source) {
+    setLoadError("");
+    try {
+      replace(await promise, source);
+    } catch (e) {
+      setLoadError(e?.message || String(e));
+    }
+  }
+
+  const get = (path) => path.split(".").reduce((node, k) => node[k], config);
+  const draft = (path, fallback) => (path in drafts ? drafts[path] : fallback);
+  const errorText = (path) => (errors[path] ? <div style={{ color: "#b00020" }}>{errors[path]}</div> : null);
+
+  return (
+    <details style={{ marginTop: 12, fontSize: 13 }}>
+      <summary style={{ cursor: "pointer" }}>
+        <b>Tuning (developer)</b> <span style={{ color: "#666" }}>· config v{config.version} · {note}</span>
+      </summary>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+        <button onClick={() => fileRef.current?.click()}>Import JSON…</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) load(file.text().then(parseConfig), `File ${file.name}`);
+          }}
+        />
+        <input
+          type="url"
+          placeholder="https://…/skinscan-config.json"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          style={{ width: 260 }}
+        />
+        <button onClick={() => load(loadConfigUrl(url), `URL ${url}`)} disabled={!url}>
+          Load URL
+        </button>
+        <button onClick={() => downloadText(`skinscan-config-v${config.version}.json`, configToJson(config), "application/json")}>
+          Export JSON
+        </button>
+        <button onClick={() => replace(null, "Defaults")}>Reset to defaults</button>
+      </div>
+      {loadError ? <div style={{ marginTop: 6, color: "#b00020" }}>{loadError}</div> : null}
+
+      <label style={{ display: "block", marginTop: 10 }}>
+        <input
+          type="checkbox"
+          checked={config.scoring.skinTone.enabled}
+          onChange={(e) => apply("scoring.skinTone.enabled", e.target.checked, e.target.checked)}
+        />{" "}
+        Normalize lighting / redness to the estimated skin tone
+      </label>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))",
+          gap: 8,
+          marginTop: 10,
+        }}
+      >
+        {NUMBER_FIELDS.map((f) => (
+          <label key={f.path}>
+            {f.label}
+            <br />
+            <input
+              type="number"
+              step={f.step}
+              value={draft(f.path, get(f.path))}
+              onChange={(e) => {
+                const raw = e.target.value;
+                if (raw === "" || Number.isNaN(Number(raw))) {
+                  setDrafts((d) => ({ ...d, [f.path]: raw }));
+                  setErrors((errs) => ({ ...errs, [f.path]: "must be a number" }));
+                } else {
+                  apply(f.path, Number(raw), raw);
+                }
+              }}
+              style={{ width: 120 }}
+            />
+            {errorText(f.path)}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 10 }}>
+        <b>Headline regions</b>
+        {Object.keys(DEFAULT_CONFIG.headline).map((metric) => {
+          const path = `headline.${metric}`;
+          return (
+            <label key={metric} style={{ display: "block", marginTop: 4 }}>
+              {metric}{" "}
+              <input
+                value={draft(path, get(path).join(", "))}
+                onChange={(e) => apply(path, splitList(e.target.value), e.target.value)}
+                style={{ width: 320 }}
+              />
+              {errorText(path)}
+            </label>
+          );
+        })}
+      </div>
+
+      <div style={{ marginTop: 10 }}>
+        <b>Region landmark indices</b> <span style={{ color: "#666" }}>(MediaPipe mesh indices, polygon order)</span>
+        {REGIONS.map((r) => {
+          const path = `regions.${r.id}.indices`;
+          const exPath = `regions.${r.id}.exclude`;
+          return (
+            <div key={r.id} style={{ marginTop: 6 }}>
+              <label>
+                {r.label}
+                <br />
+                <textarea
+                  rows={2}
+                  value={draft(path, get(path).join(", "))}
+                  onChange={(e) => apply(path, splitList(e.target.value).map(Number), e.target.value)}
+                  style={{ width: "100%", maxWidth: 640, fontFamily: "monospace", fontSize: 12 }}
+                />
+              </label>
+              {errorText(path)}
+              {DEFAULT_CONFIG.regions[r.id].exclude.length || get(exPath).length ? (
+                <label>
+                  excluded (one outline per line)
+                  <br />
+                  <textarea
+                    rows={get(exPath).length}
+                    value={draft(exPath, get(exPath).map((l) => l.join(", ")).join("\n"))}
+                    onChange={(e) =>
+                      apply(
+                        exPath,
+                        e.target.value
+                          .split("\n")
+                          .filter((l) => l.trim())
+                          .map((l) => splitList(l).map(Number)),
+                        e.target.value
+                      )
+                    }
+                    style={{ width: "100%", maxWidth: 640, fontFamily: "monospace", fontSize: 12 }}
+                  />
+                  {errorText(exPath)}
+                </label>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+function splitList(text) {
+  return text
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,107 @@
+/**
+ * Test-only fixture loader (Node/Jest; never imported by the app). The PNGs are synthetic faces
+ * painted over the stored landmarks by scripts/make-scan-fixtures.js, so region polygons built from
+ * face-landmarks.json land exactly on the painted cheeks / nose / eyes.
+ *
+ *   const { image, landmarks } = loadFixture("flushed");
+ *   image: { data: Uint8ClampedArray RGBA, width, height }  (same shape as ImageData)
+ */
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import faceLandmarks from "./face-landmarks.json";
+
+export const FIXTURE_NAMES = [
+  "even",
+  "flushed",
+  "oily",
+  "dark",
+  "warm-cast",
+  "deep",
+  "deep-flushed",
+  "pores",
+  "lines",
+  "dry",
+];
+
+export function loadFixture(name) {
+  const image = decodePng(fs.readFileSync(path.join(__dirname, `${name}.png`)));
+  return { image, landmarks: fixtureLandmarks() };
+}
+
+// Fresh copy per call: tests may move the points around
+export function fixtureLandmarks() {
+  return faceLandmarks.landmarks.map((p) => ({ ...p }));
+}
+
+// Minimal decoder for what the generator writes: 8-bit RGB/RGBA, non-interlaced, any row filter
+export function decodePng(buf) {
+  let pos = 8;
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+  while (pos < buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + len);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      if (body[8] !== 8 || body[12] !== 0 || (body[9] !== 2 && body[9] !== 6)) {
+        throw new Error("decodePng: only 8-bit non-interlaced RGB/RGBA is supported");
+      }
+      channels = body[9] === 6 ? 4 : 3;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    }
+    pos += 12 + len;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let i = 0; i < stride; i += 1) {
+      const a = i >= channels ? out[i - channels] : 0;
+      const b = prev ? prev[i] : 0;
+      const c = prev && i >= channels ? prev[i - channels] : 0;
+      out[i] = (row[i] + unfilter(filter, a, b, c)) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p += 1) {
+    data[p * 4] = pixels[p * channels];
+    data[p * 4 + 1] = pixels[p * channels + 1];
+    data[p * 4 + 2] = pixels[p * channels + 2];
+    data[p * 4 + 3] = channels === 4 ? pixels[p * channels + 3] : 255;
+  }
+  return { data, width, height };
+}
+
+function unfilter(filter, a, b, c) {
+  switch (filter) {
+    case 0:
+      return 0;
+    case 1:
+      return a;
+    case 2:
+      return b;
+    case 3:
+      return (a + b) >> 1;
+    case 4: {
+      const p = a + b - c;
+      const pa = Math.abs(p - a);
+      const pb = Math.abs(p - b);
+      const pc = Math.abs(p - c);
+      return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+    }
+    default:
+      throw new Error(`decodePng: bad filter type ${filter}`);
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Multi-frame aggregation, so the cards and HUD stop flickering with every frame.
+ *
+ *   const agg = createAggregator({ mode: "median", window: 15 });
+ *   agg.push({ lighting: 62, redness: 40, shine: 8 });
+ *   agg.value();     // smoothed { lighting, redness, shine }
+ *   agg.stability(); // 0..1, 1 = the window agrees with itself
+ *
+ * Samples are flat objects of numbers; missing / non-numeric values are ignored per key.
+ */
+
+export const SMOOTHING_MODES = ["off", "median", "ema"];
+
+// Spread (std dev, score points) at which stability reaches 0
+const UNSTABLE_STD = 15;
+
+export function createAggregator({ mode = "median", window = 15, alpha = 0.3 } = {}) {
+  let samples = [];
+  let ema = null;
+  let last = null;
+
+  return {
+    get size() {
+      return samples.length;
+    },
+    push(sample) {
+      last = sample;
+      samples.push(sample);
+      if (samples.length > window) samples = samples.slice(samples.length - window);
+
+      if (!ema) ema = { ...sample };
+      else {
+        for (const [k, v] of Object.entries(sample)) {
+          if (!isNum(v)) continue;
+          ema[k] = isNum(ema[k]) ? ema[k] + alpha * (v - ema[k]) : v;
+        }
+      }
+    },
+    value() {
+      if (!last) return null;
+      if (mode === "off") return { ...last };
+      if (mode === "ema") return { ...ema };
+      return combineSamples(samples, median);
+    },
+    // 1 - (worst per-key std dev / UNSTABLE_STD), clamped to 0..1
+    stability() {
+      if (samples.length < 2) return 0;
+      let worst = 0;
+      for (const k of keysOf(samples)) {
+        const vals = samples.map((s) => s[k]).filter(isNum);
+        if (vals.length > 1) worst = Math.max(worst, std(vals));
+      }
+      return Math.max(0, Math.min(1, 1 - worst / UNSTABLE_STD));
+    },
+    reset() {
+      samples = [];
+      ema = null;
+      last = null;
+    },
+  };
+}
+
+// Per-key reduction over a list of flat samples (keys missing everywhere are dropped)
+export function combineSamples(samples, reduce = median) {
+  const out = {};
+  for (const k of keysOf(samples)) {
+    const vals = samples.map((s) => s[k]).filter(isNum);
+    if (vals.length) out[k] = reduce(vals);
+  }
+  return out;
+}
+
+/**
+ * Combine several normalized ML results (ml/schema.js) from one session into one of the same shape.
+ * Class-like fields (acne.class, acne.present, redness, dryness) take the most common value
+ * (ties -> the higher one, to err on the side of flagging); acne.prob is averaged. Lesion boxes
+ * belong to one frame's crop, so the combined result has none.
+ */
+export function combineMlResults(results) {
+  const ok = results.filter(Boolean);
+  if (ok.length === 0) return null;
+  const pick = (get, reduce) => {
+    const vals = ok.map(get).filter((v) => isNum(v) || typeof v === "boolean");
+    return vals.length ? reduce(vals) : null;
+  };
+  return {
+    schemaVersion: ok[0].schemaVersion,
+    shape: mode(ok.map((r) => r.shape)),
+    backend: mode(ok.map((r) => r.backend)),
+    acne: {
+      class: pick((r) => r.acne?.class, mode),
+      prob: pick((r) => r.acne?.prob, mean),
+      present: pick((r) => r.acne?.present, mode),
+    },
+    redness: pick((r) => r.redness, mode),
+    dryness: pick((r) => r.dryness, mode),
+    modelVersion: ok[0].modelVersion ?? null,
+    classMap: ok[0].classMap ?? null,
+    lesions: [],
+    lesionHeatmap: null,
+    frames: ok.length,
+  };
+}
+
+/** ---------- helpers ---------- **/
+
+function keysOf(samples) {
+  const keys = new Set();
+  for (const s of samples) for (const k of Object.keys(s)) keys.add(k);
+  return keys;
+}
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+export function median(vals) {
+  const s = vals.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function mean(vals) {
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
+}
+
+function std(vals) {
+  const m = mean(vals);
+  return Math.sqrt(mean(vals.map((v) => (v - m) * (v - m))));
+}
+
+function mode(vals) {
+  const counts = new Map();
+  for (const v of vals) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  let bestN = 0;
+  for (const [v, n] of counts) {
+    if (n > bestN || (n === bestN && v > best)) {
+      best = v;
+      bestN = n;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,50 @@
+import { combineMlResults, combineSamples, createAggregator, median } from './aggregate';
+import { normalizeMlResponse } from './ml';
+
+test('rolling median ignores a one-frame spike', () => {
+  const agg = createAggregator({ mode: 'median', window: 5 });
+  [40, 41, 90, 39, 40].forEach((redness) => agg.push({ redness }));
+  expect(agg.value().redness).toBe(40);
+});
+
+test('window drops old samples', () => {
+  const agg = createAggregator({ mode: 'median', window: 3 });
+  [10, 10, 10, 50, 50, 50].forEach((v) => agg.push({ v }));
+  expect(agg.size).toBe(3);
+  expect(agg.value().v).toBe(50);
+});
+
+test('EMA moves part of the way towards each new sample', () => {
+  const agg = createAggregator({ mode: 'ema', alpha: 0.5 });
+  agg.push({ v: 0 });
+  agg.push({ v: 100 });
+  expect(agg.value().v).toBe(50);
+});
+
+test('stability is high for a steady signal and low for a noisy one', () => {
+  const steady = createAggregator();
+  const noisy = createAggregator();
+  for (let i = 0; i < 10; i++) {
+    steady.push({ v: 50 + (i % 2) });
+    noisy.push({ v: i % 2 ? 20 : 80 });
+  }
+  expect(steady.stability()).toBeGreaterThan(0.9);
+  expect(noisy.stability()).toBe(0);
+});
+
+test('combineSamples reduces per key', () => {
+  expect(combineSamples([{ a: 1, b: 5 }, { a: 3 }, { a: 2, b: null }], median)).toEqual({ a: 2, b: 5 });
+});
+
+test('combineMlResults takes the majority class and averages probabilities', () => {
+  const out = combineMlResults(
+    [
+      { ok: true, acne_class: 2, acne_prob: 0.5 },
+      { ok: true, acne_class: 2, acne_prob: 0.7 },
+      { ok: true, acne_class: 3, acne_prob: 0.9 },
+    ].map(normalizeMlResponse)
+  );
+  expect(out).toMatchObject({ frames: 3, shape: 'class', acne: { class: 2, present: true }, redness: null });
+  expect(out.acne.prob).toBeCloseTo(0.7);
+  expect(combineMlResults([null])).toBeNull();
+});
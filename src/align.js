@@ -0,0 +1,87 @@
+/**
+ * Landmark-based alignment of two captures of the same face (before/after comparison).
+ *
+ * A 2D similarity transform (scale + rotation + translation, least squares / Procrustes) maps
+ * "after" onto "before" using points on the rigid part of the face: eye corners, nose line,
+ * forehead midline and the cheek edges. Lips, jaw and brows move with expression and are left out.
+ * The RMS residual (relative to face width) says how much of the remaining difference is pose that
+ * a 2D transform can't remove (e.g. a turned head).
+ */
+export const ALIGN_POINTS = [
+  33, 133, 362, 263, // eye corners
+  168, 6, 197, 195, 5, 4, 1, // nose line
+  10, 151, 9, // forehead midline
+  234, 454, 127, 356, // face edge at cheek level
+];
+
+// Residual above this (fraction of face width) -> warn that the poses differ too much
+export const MAX_ALIGN_RMS = 0.04;
+
+/**
+ * Least-squares similarity transform taking `src` points onto `dst` points ([{x, y}], same order).
+ * Returns { a, b, tx, ty, scale, angle, rms } with  x' = a*x - b*y + tx,  y' = b*x + a*y + ty
+ * (canvas: ctx.setTransform(a, b, -b, a, tx, ty)). rms is in dst units.
+ */
+export function similarityTransform(src, dst) {
+  const n = Math.min(src.length, dst.length);
+  if (n < 2) throw new Error("Need at least two point pairs to align.");
+
+  let sx = 0,
+    sy = 0,
+    dx = 0,
+    dy = 0;
+  for (let i = 0; i < n; i++) {
+    sx += src[i].x;
+    sy += src[i].y;
+    dx += dst[i].x;
+    dy += dst[i].y;
+  }
+  sx /= n;
+  sy /= n;
+  dx /= n;
+  dy /= n;
+
+  let dot = 0,
+    cross = 0,
+    norm = 0;
+  for (let i = 0; i < n; i++) {
+    const x = src[i].x - sx;
+    const y = src[i].y - sy;
+    const u = dst[i].x - dx;
+    const v = dst[i].y - dy;
+    dot += x * u + y * v;
+    cross += x * v - y * u;
+    norm += x * x + y * y;
+  }
+  if (norm === 0) throw new Error("Degenerate landmarks (all points identical).");
+
+  const a = dot / norm;
+  const b = cross / norm;
+  const tx = dx - (a * sx - b * sy);
+  const ty = dy - (b * sx + a * sy);
+  const t = { a, b, tx, ty, scale: Math.hypot(a, b), angle: Math.atan2(b, a) };
+
+  let err = 0;
+  for (let i = 0; i < n; i++) {
+    const p = applyTransform(t, src[i]);
+    err += (p.x - dst[i].x) ** 2 + (p.y - dst[i].y) ** 2;
+  }
+  return { ...t, rms: Math.sqrt(err / n) };
+}
+
+export function applyTransform({ a, b, tx, ty }, p) {
+  return { x: a * p.x - b * p.y + tx, y: b * p.x + a * p.y + ty };
+}
+
+/**
+ * Transform that draws image B (landmarks lmB, size wB x hB) over image A (lmA, wA x hA) so the
+ * faces line up. Landmarks are normalized (0..1) as stored in history records.
+ * Returns the similarity transform plus `relRms` = rms / face width in A.
+ */
+export function alignFaces(lmA, wA, hA, lmB, wB, hB) {
+  const pick = (lm, w, h) => ALIGN_POINTS.map((i) => ({ x: lm[i].x * w, y: lm[i].y * h }));
+  const dst = pick(lmA, wA, hA);
+  const t = similarityTransform(pick(lmB, wB, hB), dst);
+  const faceWidth = Math.hypot((lmA[454].x - lmA[234].x) * wA, (lmA[454].y - lmA[234].y) * hA) || 1;
+  return { ...t, relRms: t.rms / faceWidth };
+}
@@ -0,0 +1,41 @@
+import { ALIGN_POINTS, alignFaces, applyTransform, similarityTransform } from './align';
+
+const rot = (p, deg, s, tx, ty) => {
+  const r = (deg * Math.PI) / 180;
+  return { x: s * (p.x * Math.cos(r) - p.y * Math.sin(r)) + tx, y: s * (p.x * Math.sin(r) + p.y * Math.cos(r)) + ty };
+};
+
+test('recovers a known similarity transform exactly', () => {
+  const src = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 0, y: 20 },
+    { x: 7, y: 3 },
+  ];
+  const dst = src.map((p) => rot(p, 30, 1.5, 4, -2));
+  const t = similarityTransform(src, dst);
+  expect(t.scale).toBeCloseTo(1.5);
+  expect((t.angle * 180) / Math.PI).toBeCloseTo(30);
+  expect(t.rms).toBeCloseTo(0);
+  const p = applyTransform(t, { x: 5, y: 5 });
+  const q = rot({ x: 5, y: 5 }, 30, 1.5, 4, -2);
+  expect(p.x).toBeCloseTo(q.x);
+  expect(p.y).toBeCloseTo(q.y);
+});
+
+test('aligns normalized landmarks between differently sized images', () => {
+  const lmA = Array.from({ length: 478 }, (_, i) => ({ x: 0.3 + 0.4 * ((i * 37) % 101) / 101, y: 0.2 + 0.6 * ((i * 53) % 97) / 97 }));
+  // B: same face, shifted + smaller, in a 320x240 image instead of 640x480
+  const lmB = lmA.map((p) => ({ x: p.x * 0.8 + 0.05, y: p.y * 0.8 + 0.1 }));
+  const t = alignFaces(lmA, 640, 480, lmB, 320, 240);
+  expect(t.relRms).toBeLessThan(1e-9);
+  const i = ALIGN_POINTS[0];
+  const p = applyTransform(t, { x: lmB[i].x * 320, y: lmB[i].y * 240 });
+  expect(p.x).toBeCloseTo(lmA[i].x * 640);
+  expect(p.y).toBeCloseTo(lmA[i].y * 480);
+});
+
+test('rejects degenerate input', () => {
+  expect(() => similarityTransform([{ x: 1, y: 1 }], [{ x: 2, y: 2 }])).toThrow();
+  expect(() => similarityTransform([{ x: 1, y: 1 }, { x: 1, y: 1 }], [{ x: 0, y: 0 }, { x: 3, y: 3 }])).toThrow(/Degenerate/);
+});
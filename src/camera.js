@@ -0,0 +1,103 @@
+/**
+ * Camera stream helpers: device list, getUserMedia constraints from the user's preferences,
+ * track capabilities (torch / exposure + white-balance lock) and readable error messages.
+ *
+ * Preferences: { deviceId: string | "", facingMode: "user" | "environment", resolution: RESOLUTIONS id, fps }
+ *   deviceId ""  -> pick by facingMode (front camera by default, as before; "environment" = rear)
+ *   all sizes are `ideal` so a camera that can't do them still opens at its closest mode
+ */
+export const RESOLUTIONS = [
+  { id: "default", label: "Camera default" },
+  { id: "vga", label: "640×480", width: 640, height: 480 },
+  { id: "hd", label: "1280×720", width: 1280, height: 720 },
+  { id: "fhd", label: "1920×1080", width: 1920, height: 1080 },
+];
+export const FRAME_RATES = [15, 24, 30, 60];
+
+export const CAMERA_DEFAULTS = { deviceId: "", facingMode: "user", resolution: "hd", fps: 30 };
+
+export function buildConstraints({ deviceId = "", facingMode = "user", resolution = "default", fps = null } = {}) {
+  const video = deviceId ? { deviceId: { exact: deviceId } } : { facingMode };
+  const res = RESOLUTIONS.find((r) => r.id === resolution);
+  if (res?.width) {
+    video.width = { ideal: res.width };
+    video.height = { ideal: res.height };
+  }
+  if (fps) video.frameRate = { ideal: fps };
+  return { video, audio: false };
+}
+
+// Video inputs; labels are empty until the user has granted camera permission once
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+export async function openCamera(prefs) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error("This browser can't access cameras (needs HTTPS and a modern browser).");
+  }
+  return navigator.mediaDevices.getUserMedia(buildConstraints(prefs));
+}
+
+// What the running track can do; flags are false where the browser / device has no support
+export function trackCapabilities(track) {
+  const caps = track?.getCapabilities?.() || {};
+  return {
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+    exposureLock: Array.isArray(caps.exposureMode) && caps.exposureMode.includes("manual"),
+    whiteBalanceLock: Array.isArray(caps.whiteBalanceMode) && caps.whiteBalanceMode.includes("manual"),
+  };
+}
+
+// Actual stream mode, e.g. { width: 1280, height: 720, frameRate: 30, facingMode: "user", label }
+export function trackInfo(track) {
+  const s = track?.getSettings?.() || {};
+  return {
+    width: s.width || null,
+    height: s.height || null,
+    frameRate: s.frameRate ? Math.round(s.frameRate) : null,
+    facingMode: s.facingMode || null,
+    label: track?.label || "",
+  };
+}
+
+/**
+ * Torch and exposure / white-balance lock. "Lock" freezes the camera's current automatic value
+ * (mode "manual"), so lock after the auto-exposure has settled on the face.
+ * Only constraints the track supports are sent.
+ */
+export async function applyTrackControls(track, { torch = false, lockExposure = false, lockWhiteBalance = false }) {
+  const caps = trackCapabilities(track);
+  const advanced = [];
+  if (caps.torch) advanced.push({ torch });
+  if (caps.exposureLock) advanced.push({ exposureMode: lockExposure ? "manual" : "continuous" });
+  if (caps.whiteBalanceLock) advanced.push({ whiteBalanceMode: lockWhiteBalance ? "manual" : "continuous" });
+  if (advanced.length) await track.applyConstraints({ advanced });
+}
+
+export function cameraErrorMessage(e) {
+  switch (e?.name) {
+    case "NotAllowedError":
+    case "PermissionDeniedError":
+      return "Camera permission was denied. Allow camera access for this site in the browser's address bar / site settings, then try again.";
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+      return "No camera found. Connect a camera, or pick another one in Camera settings.";
+    case "NotReadableError":
+    case "TrackStartError":
+      return "The camera is busy or blocked. Close other apps or tabs using it (video calls, other scanners) and try again.";
+    case "OverconstrainedError":
+    case "ConstraintNotSatisfiedError":
+      return "The selected camera isn't available any more or can't do these settings. Pick another camera or resolution.";
+    case "SecurityError":
+      return "Camera access is blocked on this page. It needs HTTPS (or localhost).";
+    case "AbortError":
+      return "The camera could not be started. Try again, or pick another camera.";
+    default:
+      return e?.message || String(e);
+  }
+}
@@ -0,0 +1,31 @@
+import { buildConstraints, cameraErrorMessage, trackCapabilities } from './camera';
+
+test('builds constraints from preferences', () => {
+  expect(buildConstraints()).toEqual({ video: { facingMode: 'user' }, audio: false });
+  expect(buildConstraints({ facingMode: 'environment' }).video).toEqual({ facingMode: 'environment' });
+  expect(buildConstraints({ deviceId: 'rear', resolution: 'fhd', fps: 30 })).toEqual({
+    video: {
+      deviceId: { exact: 'rear' },
+      width: { ideal: 1920 },
+      height: { ideal: 1080 },
+      frameRate: { ideal: 30 },
+    },
+    audio: false,
+  });
+});
+
+test('reads torch / lock support from track capabilities', () => {
+  const track = (caps) => ({ getCapabilities: () => caps });
+  expect(trackCapabilities(track({ torch: true, exposureMode: ['continuous', 'manual'] }))).toEqual({
+    torch: true,
+    exposureLock: true,
+    whiteBalanceLock: false,
+  });
+  expect(trackCapabilities({})).toEqual({ torch: false, exposureLock: false, whiteBalanceLock: false });
+});
+
+test('explains permission and busy-device errors', () => {
+  expect(cameraErrorMessage({ name: 'NotAllowedError' })).toMatch(/permission was denied/);
+  expect(cameraErrorMessage({ name: 'NotReadableError' })).toMatch(/busy/);
+  expect(cameraErrorMessage(new Error('weird'))).toBe('weird');
+});
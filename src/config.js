@@ -0,0 +1,219 @@
+import { QUALITY_THRESHOLDS } from "./quality";
+import { HEADLINE, REGIONS } from "./regions";
+import { SCORING_DEFAULTS } from "./scoring";
+
+/**
+ * Versioned app config: the tunable thresholds, score mappings and landmark index lists in one
+ * JSON document, so they can be calibrated against labelled data without a code change.
+ * Loaded from a file or URL in the tuning panel (TuningPanel.js) or from REACT_APP_CONFIG_URL,
+ * edited live, and persisted with the profile's settings (profileStore.js).
+ *
+ *   {
+ *     "version": 1,
+ *     "scoring":   { lightingGate, redness: { offset, range }, shine: { minValue, maxSaturation, scale },
+ *                    skinTone: { enabled, referenceL, maxShift },
+ *                    texture: { radius, roughness: { offset, scale }, pores: { minContrast, scale },
+ *                               lines: { minContrast, scale } } },
+ *     "labels":    { high, medium },        score >= high -> "High", >= medium -> "Medium"
+ *     "inference": { throttleMs },          min gap between live auto-inference requests
+ *     "quality":   { maxYaw, ... },         QUALITY_THRESHOLDS except minLighting (= scoring.lightingGate)
+ *     "headline":  { lighting: [regionId], redness: [regionId], shine: [regionId],
+ *                    roughness: [regionId], pores: [regionId], lines: [regionId] },
+ *     "regions":   { [regionId]: { indices: [landmark], exclude: [[landmark]] } }
+ *   }
+ *
+ * parseConfig() fills anything missing from DEFAULT_CONFIG, so a file may set just a few values.
+ * Unknown keys are rejected: a typo shouldn't silently leave the default in place.
+ */
+
+export const CONFIG_VERSION = 1;
+const CONFIG_KEY = "skinscan.config";
+const LANDMARK_COUNT = 478;
+
+export const DEFAULT_CONFIG = clone({
+  version: CONFIG_VERSION,
+  scoring: SCORING_DEFAULTS,
+  labels: { high: 75, medium: 45 },
+  inference: { throttleMs: 2500 },
+  quality: Object.fromEntries(Object.entries(QUALITY_THRESHOLDS).filter(([k]) => k !== "minLighting")),
+  headline: HEADLINE,
+  regions: Object.fromEntries(REGIONS.map((r) => [r.id, { indices: r.indices, exclude: r.exclude || [] }])),
+});
+
+// Allowed ranges; any other number just has to be >= 0
+const RANGES = {
+  "scoring.lightingGate": [0, 100],
+  "scoring.redness.offset": [-255, 255],
+  "scoring.redness.range": [1, 510],
+  "scoring.shine.minValue": [0, 255],
+  "scoring.shine.maxSaturation": [0, 1],
+  "scoring.skinTone.referenceL": [20, 90],
+  "scoring.skinTone.maxShift": [0, 60],
+  "scoring.texture.radius": [0.001, 0.2],
+  "scoring.texture.roughness.offset": [0, 1],
+  "scoring.texture.pores.minContrast": [0.01, 1],
+  "scoring.texture.lines.minContrast": [0.01, 1],
+  "labels.high": [0, 100],
+  "labels.medium": [0, 100],
+  "quality.minFaceWidth": [0, 1],
+  "quality.maxFaceWidth": [0, 1],
+  "quality.maxCenterOffset": [0, 1],
+};
+
+export class ConfigError extends Error {
+  constructor(message, path = "") {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "ConfigError";
+    this.path = path;
+  }
+}
+
+// Validate a config (object or JSON text) and fill in defaults. Throws ConfigError.
+export function parseConfig(input) {
+  let json = input;
+  if (typeof input === "string") {
+    try {
+      json = JSON.parse(input);
+    } catch (e) {
+      throw new ConfigError(`not valid JSON (${e.message})`);
+    }
+  }
+  if (!isObject(json)) throw new ConfigError("config must be a JSON object");
+  if (json.version === undefined) throw new ConfigError(`missing "version" (this app reads version ${CONFIG_VERSION})`);
+  if (!Number.isInteger(json.version) || json.version < 1) throw new ConfigError("must be a positive integer", "version");
+  if (json.version > CONFIG_VERSION) {
+    throw new ConfigError(`${json.version} is newer than this app supports (${CONFIG_VERSION}); update the app`, "version");
+  }
+
+  const { version, ...rest } = json;
+  const config = { version: CONFIG_VERSION, ...merge(without(DEFAULT_CONFIG, "version"), rest, "") };
+  if (config.labels.medium > config.labels.high) {
+    throw new ConfigError("must not be above labels.high", "labels.medium");
+  }
+  if (config.quality.minFaceWidth > config.quality.maxFaceWidth) {
+    throw new ConfigError("must not be above quality.maxFaceWidth", "quality.minFaceWidth");
+  }
+  return config;
+}
+
+export async function loadConfigUrl(url, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  let res;
+  try {
+    res = await fetchImpl(url, { cache: "no-store" });
+  } catch (e) {
+    throw new ConfigError(`couldn't fetch ${url} (${e?.message || String(e)})`);
+  }
+  if (!res.ok) throw new ConfigError(`couldn't fetch ${url} (HTTP ${res.status})`);
+  return parseConfig(await res.text());
+}
+
+// Saved override, or null when the defaults are in use. A stale/invalid save is ignored.
+// storage: anything with the localStorage interface (the unlocked profile's settings in the app)
+export function loadSavedConfig(storage = localStorage) {
+  try {
+    const saved = storage.getItem(CONFIG_KEY);
+    return saved ? parseConfig(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveConfig(config, storage = localStorage) {
+  try {
+    if (config) storage.setItem(CONFIG_KEY, configToJson(config));
+    else storage.removeItem(CONFIG_KEY);
+  } catch {}
+}
+
+export function configToJson(config) {
+  return JSON.stringify(config, null, 2);
+}
+
+// REGIONS (labels, colours) with the configured landmark indices, for buildRegions()
+export function configuredRegions(config) {
+  return REGIONS.map((r) => ({ ...r, indices: config.regions[r.id].indices, exclude: config.regions[r.id].exclude }));
+}
+
+// assessQuality() thresholds: the lighting check follows the scoring gate
+export function qualityThresholds(config) {
+  return { ...config.quality, minLighting: config.scoring.lightingGate };
+}
+
+export function scoreLabel(v, { high, medium }) {
+  if (v >= high) return "High";
+  if (v >= medium) return "Medium";
+  if (v > 0) return "Low";
+  return "—";
+}
+
+// Copy of `config` with the value at a dotted path replaced (not validated, see parseConfig)
+export function setConfigValue(config, path, value) {
+  const next = clone(config);
+  const keys = path.split(".");
+  let node = next;
+  for (const k of keys.slice(0, -1)) node = node[k];
+  node[keys[keys.length - 1]] = value;
+  return next;
+}
+
+/** ---------- helpers ---------- **/
+
+function merge(defaults, input, path) {
+  if (!isObject(input)) throw new ConfigError("must be an object", path || "config");
+  const out = clone(defaults);
+  for (const [key, value] of Object.entries(input)) {
+    const at = path ? `${path}.${key}` : key;
+    if (!(key in defaults)) throw new ConfigError(`unknown key${path === "regions" ? " (not a region id)" : ""}`, at);
+    out[key] = mergeValue(defaults[key], value, at);
+  }
+  return out;
+}
+
+function mergeValue(def, value, path) {
+  if (path.startsWith("headline.")) return regionIdList(value, path);
+  if (/^regions\.[^.]+\.indices$/.test(path)) return indexList(value, path);
+  if (/^regions\.[^.]+\.exclude$/.test(path)) {
+    if (!Array.isArray(value)) throw new ConfigError("must be an array of index lists", path);
+    return value.map((v, i) => indexList(v, `${path}[${i}]`));
+  }
+  if (typeof def === "boolean") {
+    if (typeof value !== "boolean") throw new ConfigError("must be true or false", path);
+    return value;
+  }
+  if (typeof def === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) throw new ConfigError("must be a number", path);
+    const [min, max] = RANGES[path] || [0, Infinity];
+    if (value < min || value > max) {
+      throw new ConfigError(max === Infinity ? `must be >= ${min}` : `must be between ${min} and ${max}`, path);
+    }
+    return value;
+  }
+  return merge(def, value, path);
+}
+
+function regionIdList(value, path) {
+  if (!Array.isArray(value) || value.length === 0) throw new ConfigError("must be a non-empty array of region ids", path);
+  const unknown = value.filter((id) => !REGIONS.some((r) => r.id === id));
+  if (unknown.length) throw new ConfigError(`unknown region id ${unknown.join(", ")}`, path);
+  return [...value];
+}
+
+function indexList(value, path) {
+  if (!Array.isArray(value) || value.length < 3) throw new ConfigError("must list at least 3 landmark indices", path);
+  const bad = value.filter((i) => !Number.isInteger(i) || i < 0 || i >= LANDMARK_COUNT);
+  if (bad.length) throw new ConfigError(`landmark indices must be integers 0–${LANDMARK_COUNT - 1} (got ${bad.join(", ")})`, path);
+  return [...value];
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function without(obj, key) {
+  const { [key]: _omit, ...rest } = obj;
+  return rest;
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
@@ -0,0 +1,90 @@
+import {
+  CONFIG_VERSION,
+  ConfigError,
+  DEFAULT_CONFIG,
+  configuredRegions,
+  loadConfigUrl,
+  loadSavedConfig,
+  parseConfig,
+  qualityThresholds,
+  saveConfig,
+  scoreLabel,
+} from './config';
+import { QUALITY_THRESHOLDS } from './quality';
+import { regionById } from './regions';
+import { LIGHTING_GATE } from './scoring';
+
+const errorOf = (input) => {
+  try {
+    parseConfig(input);
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+test('defaults match the values the modules use on their own', () => {
+  expect(DEFAULT_CONFIG.version).toBe(CONFIG_VERSION);
+  expect(DEFAULT_CONFIG.scoring.lightingGate).toBe(LIGHTING_GATE);
+  expect(qualityThresholds(DEFAULT_CONFIG)).toEqual(QUALITY_THRESHOLDS);
+  expect(DEFAULT_CONFIG.regions.forehead.indices).toEqual(regionById('forehead').indices);
+  expect(parseConfig(JSON.stringify(DEFAULT_CONFIG))).toEqual(DEFAULT_CONFIG);
+});
+
+test('a partial config is merged over the defaults', () => {
+  const cfg = parseConfig({ version: 1, scoring: { redness: { offset: 10 } }, labels: { high: 80 } });
+  expect(cfg.scoring.redness).toEqual({ offset: 10, range: DEFAULT_CONFIG.scoring.redness.range });
+  expect(cfg.scoring.shine).toEqual(DEFAULT_CONFIG.scoring.shine);
+  expect(cfg.labels).toEqual({ high: 80, medium: 45 });
+  expect(cfg.regions).toEqual(DEFAULT_CONFIG.regions);
+  expect(parseConfig({ version: 1, scoring: { skinTone: { enabled: false } } }).scoring.skinTone.enabled).toBe(false);
+});
+
+test('invalid configs are rejected with the offending path', () => {
+  expect(errorOf('{ nope')).toBeInstanceOf(ConfigError);
+  expect(errorOf({ scoring: {} }).message).toMatch(/missing "version"/);
+  expect(errorOf({ version: CONFIG_VERSION + 1 }).path).toBe('version');
+  expect(errorOf({ version: 1, scoring: { lightingGate: 120 } }).path).toBe('scoring.lightingGate');
+  expect(errorOf({ version: 1, scoring: { redness: { ofset: 1 } } }).path).toBe('scoring.redness.ofset');
+  expect(errorOf({ version: 1, labels: { high: 40, medium: 50 } }).path).toBe('labels.medium');
+  expect(errorOf({ version: 1, scoring: { skinTone: { enabled: 'yes' } } }).message).toMatch(/true or false/);
+  expect(errorOf({ version: 1, scoring: { texture: { pores: { minContrast: 0 } } } }).path).toBe('scoring.texture.pores.minContrast');
+  expect(errorOf({ version: 1, headline: { redness: ['jaw'] } }).message).toMatch(/unknown region id jaw/);
+  expect(errorOf({ version: 1, regions: { nose: { indices: [1, 2] } } }).path).toBe('regions.nose.indices');
+  expect(errorOf({ version: 1, regions: { nose: { indices: [1, 2, 478] } } }).message).toMatch(/0–477/);
+  expect(errorOf({ version: 1, regions: { jaw: { indices: [1, 2, 3] } } }).message).toMatch(/not a region id/);
+});
+
+test('configured regions and thresholds follow the config', () => {
+  const cfg = parseConfig({ version: 1, scoring: { lightingGate: 50 }, regions: { nose: { indices: [1, 2, 3] } } });
+  expect(qualityThresholds(cfg).minLighting).toBe(50);
+  const nose = configuredRegions(cfg).find((r) => r.id === 'nose');
+  expect(nose.indices).toEqual([1, 2, 3]);
+  expect(nose.label).toBe(regionById('nose').label);
+});
+
+test('scoreLabel uses the configured cut-offs', () => {
+  expect(scoreLabel(76, DEFAULT_CONFIG.labels)).toBe('High');
+  expect(scoreLabel(76, { high: 80, medium: 45 })).toBe('Medium');
+  expect(scoreLabel(10, DEFAULT_CONFIG.labels)).toBe('Low');
+  expect(scoreLabel(0, DEFAULT_CONFIG.labels)).toBe('—');
+});
+
+test('saved config round-trips; a broken save falls back to null', () => {
+  localStorage.clear();
+  expect(loadSavedConfig()).toBeNull();
+  const cfg = parseConfig({ version: 1, inference: { throttleMs: 4000 } });
+  saveConfig(cfg);
+  expect(loadSavedConfig()).toEqual(cfg);
+  localStorage.setItem('skinscan.config', '{"version": 99}');
+  expect(loadSavedConfig()).toBeNull();
+  saveConfig(null);
+  expect(localStorage.getItem('skinscan.config')).toBeNull();
+});
+
+test('loadConfigUrl validates what it fetches', async () => {
+  const ok = jest.fn(async () => ({ ok: true, status: 200, text: async () => '{"version":1,"labels":{"high":90}}' }));
+  expect((await loadConfigUrl('https://cfg.test/c.json', { fetchImpl: ok })).labels.high).toBe(90);
+  const missing = jest.fn(async () => ({ ok: false, status: 404, text: async () => '' }));
+  await expect(loadConfigUrl('https://cfg.test/c.json', { fetchImpl: missing })).rejects.toThrow(/HTTP 404/);
+});
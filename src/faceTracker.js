@@ -0,0 +1,59 @@
+import { faceBox } from "./quality";
+
+/**
+ * Stable per-face IDs across frames for multi-face mode. FaceLandmarker returns faces in no
+ * particular order, so each frame's faces are matched to the previous tracks by nearest box centre
+ * (greedy, closest pairs first). A face only matches a track whose centre is within `maxJump` face
+ * widths; unmatched faces get a new ID, tracks not seen for `maxMissed` frames are dropped.
+ *
+ *   const tracker = createFaceTracker();
+ *   tracker.update(result.faceLandmarks)   // -> [{ id, index, landmarks, box }] sorted by id
+ */
+export function createFaceTracker({ maxJump = 0.6, maxMissed = 15 } = {}) {
+  let tracks = []; // { id, cx, cy, width, missed }
+  let nextId = 1;
+
+  function update(faces) {
+    const dets = faces.map((landmarks, index) => ({ index, landmarks, box: faceBox(landmarks) }));
+
+    const pairs = [];
+    tracks.forEach((t, ti) =>
+      dets.forEach((d, di) => {
+        const dist = Math.hypot(d.box.cx - t.cx, d.box.cy - t.cy);
+        if (dist <= maxJump * Math.max(t.width, d.box.width)) pairs.push({ ti, di, dist });
+      })
+    );
+    pairs.sort((a, b) => a.dist - b.dist);
+
+    const trackFor = new Map(); // det index -> track
+    const usedTracks = new Set();
+    for (const { ti, di } of pairs) {
+      if (usedTracks.has(ti) || trackFor.has(di)) continue;
+      usedTracks.add(ti);
+      trackFor.set(di, tracks[ti]);
+    }
+
+    const next = [];
+    const out = dets.map((d, di) => {
+      const t = trackFor.get(di) || { id: nextId++ };
+      next.push({ id: t.id, cx: d.box.cx, cy: d.box.cy, width: d.box.width, missed: 0 });
+      return { id: t.id, index: d.index, landmarks: d.landmarks, box: d.box };
+    });
+    tracks.forEach((t, ti) => {
+      if (!usedTracks.has(ti) && t.missed < maxMissed) next.push({ ...t, missed: t.missed + 1 });
+    });
+    tracks = next;
+
+    return out.sort((a, b) => a.id - b.id);
+  }
+
+  return {
+    update,
+    // IDs currently tracked (including faces missing for a few frames)
+    ids: () => tracks.map((t) => t.id),
+    reset() {
+      tracks = [];
+      nextId = 1;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { createFaceTracker } from './faceTracker';
+
+// a "face" is just two landmarks spanning its box
+const face = (cx, cy, w = 0.2) => [
+  { x: cx - w / 2, y: cy - w / 2 },
+  { x: cx + w / 2, y: cy + w / 2 },
+];
+
+test('keeps IDs stable when the detector reorders faces', () => {
+  const t = createFaceTracker();
+  const first = t.update([face(0.3, 0.5), face(0.7, 0.5)]);
+  expect(first.map((f) => f.id)).toEqual([1, 2]);
+
+  const next = t.update([face(0.72, 0.52), face(0.31, 0.49)]); // swapped order, small motion
+  expect(next.map((f) => [f.id, f.index])).toEqual([
+    [1, 1],
+    [2, 0],
+  ]);
+});
+
+test('new faces get new IDs and lost faces can come back within the grace period', () => {
+  const t = createFaceTracker({ maxMissed: 2 });
+  t.update([face(0.3, 0.5)]);
+  expect(t.update([face(0.3, 0.5), face(0.8, 0.5)]).map((f) => f.id)).toEqual([1, 2]);
+
+  t.update([face(0.8, 0.5)]); // face 1 missing for a frame
+  expect(t.ids()).toEqual([2, 1]);
+  expect(t.update([face(0.31, 0.5), face(0.8, 0.5)]).map((f) => f.id)).toEqual([1, 2]);
+
+  t.update([]);
+  t.update([]);
+  t.update([]); // gone longer than maxMissed
+  expect(t.update([face(0.3, 0.5)])[0].id).toBe(3);
+});
+
+test('a face far from every track is a new person', () => {
+  const t = createFaceTracker();
+  t.update([face(0.2, 0.5)]);
+  expect(t.update([face(0.8, 0.5)])[0].id).toBe(2);
+});
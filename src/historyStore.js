@@ -0,0 +1,125 @@
+/**
+ * Scan history of one profile, in IndexedDB (localDb.js). Nothing here leaves the device, and every
+ * record is stored encrypted with the profile's key (vault.js): `vault` below is the unlocked
+ * profile's { profileId, key } (profileStore.js). Records of other profiles are invisible.
+ *
+ * Record shape (after decryption):
+ *   { id, ts, source, lighting, redness, shine, roughness, pores, lines, regions, acneClass, acneProb, dryness,
+ *     mlRedness, modelVersion, classMap, skinTone, thumbnail, snapshot, landmarks, regionDefs }
+ *   - roughness / pores / lines (texture scores) are null on older records
+ *   - skinTone: { ita, group } of the estimate (scoring/skinTone.js), null when there was none or on older records
+ *   - regions: { [regionId]: { lighting, redness, shine, roughness, pores, lines } } (see regions.js)
+ *   - ML fields are null when no Lambda result was available
+ *   - modelVersion / classMap: of the model that gave acneClass, so it keeps its labels when the model
+ *     changes; null when the model didn't report them, or on older records
+ *   - thumbnail is a small JPEG data URL (optional)
+ *   - snapshot (~640px JPEG data URL) + landmarks ([{ x, y }] normalized to the snapshot, 4 decimals)
+ *     are what the before/after comparison aligns; null on older records
+ *   - regionDefs: [{ id, indices, exclude }] the regions scanned, with the landmark indices configured at
+ *     the time (config.js), so the comparison outlines what was measured; null on older records
+ */
+
+import { SCANS, deleteByIndex, transact } from "./localDb";
+import { REGIONS, REGION_IDS, regionById } from "./regions";
+import { decryptJson, encryptJson } from "./vault";
+
+// Resolves with the new record's id
+export async function saveScan(vault, record) {
+  const { id, ...rest } = record;
+  const box = await encryptJson(vault.key, rest);
+  return transact(SCANS, "readwrite", (tx) => tx.objectStore(SCANS).add({ profileId: vault.profileId, ...box }));
+}
+
+// Oldest first (what the charts want)
+export async function listScans(vault) {
+  const rows = await transact(SCANS, "readonly", (tx) =>
+    tx.objectStore(SCANS).index("profileId").getAll(vault.profileId)
+  );
+  const scans = await Promise.all(rows.map((row) => openRecord(vault, row)));
+  return scans.sort((a, b) => a.ts - b.ts);
+}
+
+// One record by id, or undefined when there's no such scan in this profile
+export async function getScan(vault, id) {
+  const row = await transact(SCANS, "readonly", (tx) => tx.objectStore(SCANS).get(id));
+  return row && row.profileId === vault.profileId ? openRecord(vault, row) : undefined;
+}
+
+export function deleteScan(vault, id) {
+  return transact(SCANS, "readwrite", (tx) => {
+    const store = tx.objectStore(SCANS);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (req.result?.profileId === vault.profileId) store.delete(id);
+    };
+  });
+}
+
+export function clearHistory(vault) {
+  return transact(SCANS, "readwrite", (tx) => deleteByIndex(tx.objectStore(SCANS), "profileId", vault.profileId));
+}
+
+// Flatten the live UI state into a history record (mlResult is the normalized shape from ml/schema.js).
+export function makeScanRecord({
+  scores,
+  regionScores = {},
+  mlResult,
+  skinTone = null,
+  thumbnail = null,
+  snapshot = null,
+  landmarks = null,
+  regionDefs = null,
+  source = "camera",
+  ts = Date.now(),
+}) {
+  const r = mlResult || {};
+  const acne = r.acne || {};
+  return {
+    ts,
+    source,
+    lighting: scores.lighting,
+    redness: scores.redness,
+    shine: scores.shine,
+    roughness: scores.roughness ?? null,
+    pores: scores.pores ?? null,
+    lines: scores.lines ?? null,
+    regions: regionScores,
+    acneClass: toNum(acne.class),
+    acneProb: toNum(acne.prob),
+    dryness: toNum(r.dryness),
+    mlRedness: toNum(r.redness),
+    modelVersion: r.modelVersion ?? null,
+    classMap: r.classMap ?? null,
+    skinTone: skinTone ? { ita: Math.round(skinTone.ita * 10) / 10, group: skinTone.group } : null,
+    thumbnail,
+    snapshot,
+    landmarks: landmarks ? compactLandmarks(landmarks) : null,
+    regionDefs: regionDefs ? regionDefs.map((r) => ({ id: r.id, indices: r.indices, exclude: r.exclude || [] })) : null,
+  };
+}
+
+// { ids, registry } for buildRegions() as the record was scanned; older records without regionDefs get the
+// default registry, limited to the regions they have scores for
+export function recordRegions(record) {
+  if (!record.regionDefs) return { ids: REGION_IDS.filter((id) => record.regions?.[id]), registry: REGIONS };
+  const registry = record.regionDefs
+    .filter((d) => regionById(d.id))
+    .map((d) => ({ ...regionById(d.id), indices: d.indices, exclude: d.exclude }));
+  return { ids: registry.map((r) => r.id), registry };
+}
+
+// x/y only (z isn't needed for 2D alignment), rounded: ~478 points stay a few KB per record
+function compactLandmarks(lm) {
+  const r = (v) => Math.round(v * 1e4) / 1e4;
+  return lm.map((p) => ({ x: r(p.x), y: r(p.y) }));
+}
+
+async function openRecord(vault, row) {
+  return { ...(await decryptJson(vault.key, row)), id: row.id };
+}
+
+function toNum(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+}
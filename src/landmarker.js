@@ -0,0 +1,63 @@
+import { FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { MEDIAPIPE_MODEL_URL, MEDIAPIPE_WASM_BASE } from "./mediapipeAssets";
+
+/**
+ * Load the FaceLandmarker from the self-hosted assets (mediapipeAssets.js): download the model
+ * (reporting progress), then create the landmarker on the GPU delegate,
+ * falling back to CPU if WebGL isn't usable. Resolves to { landmarker, delegate }.
+ *
+ * onProgress({ phase: "model" | "init", progress: 0..1 | null, delegate? })
+ */
+export async function createFaceLandmarker({ onProgress = () => {}, ...options } = {}) {
+  onProgress({ phase: "model", progress: 0 });
+  const modelAssetBuffer = await fetchWithProgress(MEDIAPIPE_MODEL_URL, (p) => onProgress({ phase: "model", progress: p }));
+  const vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_BASE);
+
+  const create = (delegate) => {
+    onProgress({ phase: "init", progress: null, delegate });
+    return FaceLandmarker.createFromOptions(vision, {
+      baseOptions: { modelAssetBuffer, delegate },
+      ...options,
+    });
+  };
+
+  try {
+    return { landmarker: await create("GPU"), delegate: "GPU" };
+  } catch (e) {
+    console.warn("FaceLandmarker GPU delegate failed, falling back to CPU:", e);
+    return { landmarker: await create("CPU"), delegate: "CPU" };
+  }
+}
+
+// fetch() into a Uint8Array; progress is null when the server doesn't send Content-Length
+async function fetchWithProgress(url, onProgress) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load ${url} (HTTP ${res.status})`);
+  const total = Number(res.headers.get("content-length")) || 0;
+
+  if (!res.body?.getReader) {
+    const buf = new Uint8Array(await res.arrayBuffer());
+    onProgress(1);
+    return buf;
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    onProgress(total ? Math.min(received / total, 1) : null);
+  }
+
+  const out = new Uint8Array(received);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  onProgress(1);
+  return out;
+}
@@ -0,0 +1,45 @@
+import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { createFaceLandmarker } from './landmarker';
+import { MEDIAPIPE_ASSETS, MEDIAPIPE_MODEL_URL, MEDIAPIPE_VERSION } from './mediapipeAssets';
+
+jest.mock('@mediapipe/tasks-vision', () => ({
+  FilesetResolver: { forVisionTasks: jest.fn() },
+  FaceLandmarker: { createFromOptions: jest.fn() },
+}));
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    headers: { get: () => '4' },
+    arrayBuffer: async () => new Uint8Array([1, 2, 3, 4]).buffer,
+  }));
+  FilesetResolver.forVisionTasks.mockImplementation(async (base) => ({ base }));
+});
+
+test('assets are same-origin and pinned', () => {
+  expect(MEDIAPIPE_ASSETS.every((a) => a.url.startsWith('/mediapipe/') && a.revision)).toBe(true);
+  expect(MEDIAPIPE_ASSETS.some((a) => a.revision === MEDIAPIPE_VERSION)).toBe(true);
+  expect(JSON.stringify(MEDIAPIPE_ASSETS)).not.toMatch(/latest/);
+});
+
+test('loads the self-hosted model on the GPU delegate and reports progress', async () => {
+  FaceLandmarker.createFromOptions.mockResolvedValue('gpu-landmarker');
+  const onProgress = jest.fn();
+  const out = await createFaceLandmarker({ numFaces: 1, onProgress });
+
+  expect(out).toEqual({ landmarker: 'gpu-landmarker', delegate: 'GPU' });
+  expect(global.fetch).toHaveBeenCalledWith(MEDIAPIPE_MODEL_URL);
+  const [vision, opts] = FaceLandmarker.createFromOptions.mock.calls[0];
+  expect(vision.base).toBe('/mediapipe/wasm');
+  expect(opts).toMatchObject({ numFaces: 1, baseOptions: { delegate: 'GPU' } });
+  expect(Array.from(opts.baseOptions.modelAssetBuffer)).toEqual([1, 2, 3, 4]);
+  expect(onProgress).toHaveBeenCalledWith({ phase: 'model', progress: 1 });
+});
+
+test('falls back to the CPU delegate when GPU init fails', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  FaceLandmarker.createFromOptions.mockRejectedValueOnce(new Error('no WebGL')).mockResolvedValueOnce('cpu-landmarker');
+  const out = await createFaceLandmarker();
+  expect(out).toEqual({ landmarker: 'cpu-landmarker', delegate: 'CPU' });
+  expect(FaceLandmarker.createFromOptions.mock.calls[1][1].baseOptions.delegate).toBe('CPU');
+});
@@ -0,0 +1,76 @@
+/**
+ * The app's IndexedDB database. Shared by historyStore.js (scans) and profileStore.js (profiles and
+ * their settings); apart from the ids, everything those modules write is encrypted (vault.js).
+ *
+ *   profiles  { id, name, created, kdf, wrappedKey, meta: { iv, data } }
+ *   settings  { profileId, iv, data }
+ *   scans     { id, profileId, iv, data }, index "profileId"
+ *             version 1 records are plaintext ({ id, ts, ... } with no profileId) and are the only
+ *             ones in the "ts" index, which is how profileStore finds them to adopt or delete
+ */
+
+const DB_NAME = "skinscan";
+const DB_VERSION = 2;
+export const SCANS = "scans";
+export const PROFILES = "profiles";
+export const SETTINGS = "settings";
+
+let dbPromise = null;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SCANS)) {
+        db.createObjectStore(SCANS, { keyPath: "id", autoIncrement: true }).createIndex("ts", "ts");
+      }
+      const scans = req.transaction.objectStore(SCANS);
+      if (!scans.indexNames.contains("profileId")) scans.createIndex("profileId", "profileId");
+      if (!db.objectStoreNames.contains(PROFILES)) {
+        db.createObjectStore(PROFILES, { keyPath: "id", autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(SETTINGS)) db.createObjectStore(SETTINGS, { keyPath: "profileId" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function getDb() {
+  if (!dbPromise) {
+    dbPromise = openDb().catch((e) => {
+      dbPromise = null; // allow a retry (e.g. after the user frees storage)
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+// Run fn(tx) in one transaction over `stores`; resolve with the result of the request it returns (if
+// any) once the transaction commits. Encrypt / decrypt outside: a transaction can't wait on WebCrypto.
+export async function transact(stores, mode, fn) {
+  const db = await getDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+// Delete every record of `store` whose `index` key is `key`, inside the caller's transaction
+export function deleteByIndex(store, index, key) {
+  const req = store.index(index).openKeyCursor(IDBKeyRange.only(key));
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    store.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+}
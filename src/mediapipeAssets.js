@@ -0,0 +1,23 @@
+/**
+ * Self-hosted, version-pinned FaceLandmarker assets. scripts/fetch-mediapipe-assets.js puts them
+ * under public/mediapipe/, the service worker precaches them for offline use. Kept free of imports
+ * so the service worker can use it without pulling in the MediaPipe bundle.
+ *
+ * MEDIAPIPE_VERSION must match the exact @mediapipe/tasks-vision version in package.json; it is the
+ * precache revision, so bumping it makes installed apps fetch the new runtime.
+ */
+export const MEDIAPIPE_VERSION = "0.10.22-rc.20250304";
+export const MEDIAPIPE_MODEL = "face_landmarker/float16/1";
+
+const BASE = `${process.env.PUBLIC_URL || ""}/mediapipe`;
+export const MEDIAPIPE_WASM_BASE = `${BASE}/wasm`;
+export const MEDIAPIPE_MODEL_URL = `${BASE}/face_landmarker.task`;
+
+// Everything the landmarker needs at runtime, with a precache revision per file
+export const MEDIAPIPE_ASSETS = [
+  { url: `${MEDIAPIPE_WASM_BASE}/vision_wasm_internal.js`, revision: MEDIAPIPE_VERSION },
+  { url: `${MEDIAPIPE_WASM_BASE}/vision_wasm_internal.wasm`, revision: MEDIAPIPE_VERSION },
+  { url: `${MEDIAPIPE_WASM_BASE}/vision_wasm_nosimd_internal.js`, revision: MEDIAPIPE_VERSION },
+  { url: `${MEDIAPIPE_WASM_BASE}/vision_wasm_nosimd_internal.wasm`, revision: MEDIAPIPE_VERSION },
+  { url: MEDIAPIPE_MODEL_URL, revision: MEDIAPIPE_MODEL },
+];
@@ -0,0 +1,70 @@
+import { createMlClient } from "./client";
+import { createLocalBackend } from "./local";
+
+/**
+ * Pluggable inference backend. All modes resolve to the normalized result (schema.js) plus
+ * `backend: "remote" | "local"` so the UI can say where a prediction came from.
+ *
+ *   remote          the ML Lambda (REACT_APP_ML_URL)
+ *   local           ONNX Runtime Web in the browser; images never leave the device
+ *   local-fallback  on-device first, the Lambda only if the local model can't run or isn't installed
+ *                   (missing, or the untrained placeholder: local.js rejects those as "unavailable")
+ */
+export const ML_MODES = ["remote", "local", "local-fallback"];
+
+export const ML_MODE_LABELS = {
+  remote: "Remote (Lambda)",
+  local: "On-device only",
+  "local-fallback": "On-device, Lambda fallback",
+};
+
+export function createInferenceBackend({ mode = "remote", url, remote, local } = {}) {
+  if (!ML_MODES.includes(mode)) throw new Error(`Unknown ML mode: ${mode}`);
+  const remoteClient = mode === "local" ? null : remote || createMlClient({ url });
+  const localBackend = mode === "remote" ? null : local || createLocalBackend();
+
+  let answered = null; // "local" | "remote": which model gave the latest result
+  const tag = (backend) => (result) => {
+    answered = backend;
+    return { ...result, backend };
+  };
+
+  async function infer(imageDataUrl, opts) {
+    if (!localBackend) return remoteClient.infer(imageDataUrl, opts).then(tag("remote"));
+    try {
+      return tag("local")(await localBackend.infer(imageDataUrl, opts));
+    } catch (e) {
+      if (!remoteClient?.url || e?.kind === "aborted") throw e;
+      console.warn("On-device inference failed, falling back to the Lambda:", e);
+      return remoteClient.infer(imageDataUrl, opts).then(tag("remote"));
+    }
+  }
+
+  // Metadata of the model that answered last; before any answer, the one that will (on-device first, as infer)
+  async function meta() {
+    if (!localBackend || answered === "remote") return remoteClient.meta();
+    if (answered === "local") return localBackend.meta();
+    try {
+      return await localBackend.meta();
+    } catch (e) {
+      if (!remoteClient?.url) throw e;
+      return remoteClient.meta();
+    }
+  }
+
+  return {
+    mode,
+    // whether a request can be made at all (local always can try; remote needs a URL)
+    available: Boolean(localBackend || remoteClient?.url),
+    infer,
+    meta,
+    preload: () => localBackend?.load(),
+    get inFlight() {
+      return (remoteClient?.inFlight || 0) + (localBackend?.inFlight || 0);
+    },
+    abortAll() {
+      remoteClient?.abortAll();
+      localBackend?.abortAll();
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import { createInferenceBackend, createLocalBackend, decodeOutput, MlError, normalizeMlResponse, pixelsToTensorData } from '.';
+
+const fake = (impl, url = 'http://ml.test/') => ({
+  url,
+  infer: jest.fn(impl),
+  meta: jest.fn(),
+  inFlight: 0,
+  abortAll: jest.fn(),
+  load: jest.fn(),
+});
+const result = (json) => () => Promise.resolve(normalizeMlResponse(json));
+const fail = (kind) => () => Promise.reject(new MlError(kind, kind));
+
+test('local mode never calls the remote client', async () => {
+  const local = fake(result({ acne_class: 2 }));
+  const b = createInferenceBackend({ mode: 'local', local });
+  expect(b.available).toBe(true);
+  expect(await b.infer('x')).toMatchObject({ backend: 'local', shape: 'class', acne: { class: 2 } });
+
+  local.infer.mockImplementation(fail('model'));
+  await expect(b.infer('x')).rejects.toMatchObject({ kind: 'model' });
+});
+
+test('local-fallback uses the Lambda only when the on-device model fails', async () => {
+  const local = fake(result({ acne_class: 1 }));
+  const remote = fake(result({ acne_class: 4 }));
+  const b = createInferenceBackend({ mode: 'local-fallback', local, remote });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect((await b.infer('x')).backend).toBe('local');
+  expect(remote.infer).not.toHaveBeenCalled();
+
+  local.infer.mockImplementation(fail('model'));
+  expect(await b.infer('x')).toMatchObject({ backend: 'remote', acne: { class: 4 } });
+
+  local.infer.mockImplementation(fail('aborted'));
+  await expect(b.infer('x')).rejects.toMatchObject({ kind: 'aborted' });
+  expect(remote.infer).toHaveBeenCalledTimes(1);
+});
+
+test('an uninstalled or placeholder on-device model is refused, and local-fallback uses the Lambda', async () => {
+  const placeholder = { model: 'm.onnx', placeholder: true, input: { name: 'input' }, output: { kind: 'class' } };
+  const metaReply = (status, body) => () => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+  const loadRuntime = jest.fn();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  for (const fetchImpl of [metaReply(200, placeholder), metaReply(404, null)]) {
+    const local = createLocalBackend({ metaUrl: 'http://app.test/models/m.json', fetchImpl, loadRuntime });
+    await expect(local.infer('x')).rejects.toMatchObject({
+      kind: 'unavailable',
+      message: expect.stringMatching(/No on-device model installed/),
+    });
+    await expect(local.meta()).rejects.toMatchObject({ kind: 'unavailable' });
+
+    const remote = fake(result({ acne_class: 3 }));
+    remote.meta.mockResolvedValue({ modelVersion: 'lambda', classMap: null });
+    const b = createInferenceBackend({ mode: 'local-fallback', local, remote });
+    expect(await b.infer('x')).toMatchObject({ backend: 'remote', acne: { class: 3 } });
+    expect((await b.meta()).modelVersion).toBe('lambda');
+  }
+  expect(loadRuntime).not.toHaveBeenCalled();
+});
+
+test('local-fallback reports the metadata of the model that answered', async () => {
+  const local = fake(result({ acne_class: 1 }));
+  local.meta.mockResolvedValue({ modelVersion: 'on-device', classMap: ['a', 'b'] });
+  const remote = fake(result({ acne_class: 4 }));
+  remote.meta.mockResolvedValue({ modelVersion: 'lambda', classMap: null });
+  const b = createInferenceBackend({ mode: 'local-fallback', local, remote });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect((await b.meta()).modelVersion).toBe('on-device');
+  local.infer.mockImplementation(fail('model'));
+  await b.infer('x');
+  expect((await b.meta()).modelVersion).toBe('lambda');
+
+  local.infer.mockImplementation(result({ acne_class: 0 }));
+  await b.infer('x');
+  expect((await b.meta()).modelVersion).toBe('on-device');
+});
+
+test('remote mode without a URL is unavailable', () => {
+  expect(createInferenceBackend({ mode: 'remote' }).available).toBe(false);
+  expect(() => createInferenceBackend({ mode: 'cloud' })).toThrow(/Unknown ML mode/);
+});
+
+test('decodeOutput turns raw logits into a Lambda-style response', () => {
+  expect(decodeOutput([0.1, 3, 0.2, -1, 0], { kind: 'class' })).toEqual({ ok: true, acne_class: 1 });
+  expect(decodeOutput([0], { kind: 'binary' })).toEqual({ ok: true, acne_prob: 0.5, acne_pred: 1 });
+  expect(decodeOutput([2, -2], { kind: 'binary' }).acne_pred).toBe(0);
+});
+
+test('pixelsToTensorData normalizes and lays out channels', () => {
+  const rgba = [255, 0, 51, 255, 0, 255, 102, 255]; // two pixels
+  const nchw = pixelsToTensorData(rgba, 2, 1, { mean: [0.5, 0.5, 0.5], std: [0.5, 0.5, 0.5] });
+  expect(Array.from(nchw).map((v) => Math.round(v * 10) / 10)).toEqual([1, -1, -1, 1, -0.6, -0.2]);
+  const nhwc = pixelsToTensorData(rgba, 2, 1, { layout: 'NHWC' });
+  expect(Array.from(nhwc).map((v) => Math.round(v * 10) / 10)).toEqual([1, 0, 0.2, 0, 1, 0.4]);
+});
@@ -0,0 +1,164 @@
+import { MlError } from "./errors";
+import { normalizeMlResponse, normalizeModelMeta } from "./schema";
+
+/**
+ * Remote inference client for the ML Lambda: per-attempt timeouts, cancellation, retries with
+ * exponential backoff, and normalized results (see schema.js).
+ *
+ *   const client = createMlClient({ url: process.env.REACT_APP_ML_URL });
+ *   const result = await client.infer(jpegDataUrl);   // normalized result
+ *   const meta = await client.meta();                  // { modelVersion, classMap } or null
+ *   client.abortAll();                                 // e.g. on Stop
+ *
+ * Request payload (JSON): { image_b64: "data:image/jpeg;base64,....", ts: <number> }
+ * Metadata (optional): GET metaUrl -> { model_version, class_map } (see schema.js)
+ */
+export function createMlClient({
+  url,
+  metaUrl = process.env.REACT_APP_ML_META_URL,
+  timeoutMs = 15000,
+  retries = 2,
+  backoffMs = 500,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  const controllers = new Set(); // one per in-flight infer() call
+  let metaLoading = null; // Promise<meta | null>, fetched once
+
+  async function attempt(body, signal) {
+    const ctrl = new AbortController();
+    const onAbort = () => ctrl.abort();
+    signal.addEventListener("abort", onAbort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ctrl.abort();
+    }, timeoutMs);
+
+    try {
+      let res;
+      let text;
+      try {
+        res = await fetchImpl(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          signal: ctrl.signal,
+        });
+        // helpful error text if Lambda returns non-2xx; a timeout or Stop can cut the body off too
+        text = await res.text();
+      } catch (e) {
+        if (timedOut) throw new MlError("timeout", `ML request timed out after ${timeoutMs} ms.`);
+        if (signal.aborted) throw new MlError("aborted", "ML request cancelled.");
+        throw new MlError("network", `ML request failed: ${e?.message || String(e)}`, { cause: e });
+      }
+
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // keep as text
+      }
+
+      if (!res.ok) {
+        const msg = json?.error || json?.message || text || `HTTP ${res.status}`;
+        throw new MlError("http", msg, { status: res.status });
+      }
+      if (json === null) throw new MlError("schema", `ML response is not JSON: ${text.slice(0, 120)}`);
+      return normalizeMlResponse(json);
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async function infer(imageDataUrl, { signal } = {}) {
+    if (!url) throw new MlError("config", "Missing REACT_APP_ML_URL (Amplify env var).");
+
+    const ctrl = new AbortController();
+    controllers.add(ctrl);
+    const onAbort = () => ctrl.abort();
+    signal?.addEventListener("abort", onAbort);
+
+    const body = JSON.stringify({ image_b64: imageDataUrl, ts: Date.now() });
+    try {
+      for (let i = 0; ; i++) {
+        try {
+          return await attempt(body, ctrl.signal);
+        } catch (e) {
+          if (!(e instanceof MlError) || !e.retryable || i >= retries) throw e;
+          await sleep(backoffMs * 2 ** i + Math.random() * (backoffMs / 2), ctrl.signal);
+        }
+      }
+    } finally {
+      controllers.delete(ctrl);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Model metadata from metaUrl; null when no metadata endpoint is configured
+  function meta() {
+    if (!metaUrl) return Promise.resolve(null);
+    if (!metaLoading) {
+      metaLoading = fetchMeta(metaUrl, fetchImpl, timeoutMs).catch((e) => {
+        metaLoading = null; // try again next time
+        throw e;
+      });
+    }
+    return metaLoading;
+  }
+
+  return {
+    url,
+    infer,
+    meta,
+    get inFlight() {
+      return controllers.size;
+    },
+    abortAll() {
+      for (const c of controllers) c.abort();
+      controllers.clear();
+    },
+  };
+}
+
+async function fetchMeta(metaUrl, fetchImpl, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    let res;
+    try {
+      res = await fetchImpl(metaUrl, { signal: ctrl.signal });
+    } catch (e) {
+      if (ctrl.signal.aborted) throw new MlError("timeout", `Model metadata request timed out after ${timeoutMs} ms.`);
+      throw new MlError("network", `Model metadata request failed: ${e?.message || String(e)}`, { cause: e });
+    }
+    if (!res.ok) throw new MlError("http", `Model metadata: HTTP ${res.status}`, { status: res.status });
+    let json;
+    try {
+      json = JSON.parse(await res.text());
+    } catch {
+      throw new MlError("schema", "Model metadata is not JSON.");
+    }
+    return normalizeModelMeta(json);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new MlError("aborted", "ML request cancelled."));
+      return;
+    }
+    const t = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new MlError("aborted", "ML request cancelled."));
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,149 @@
+import { acneClassLabel, createMlClient, MlError } from '.';
+
+const reply = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+// fetch stub that never settles until its signal aborts
+const hang = (url, { signal }) =>
+  new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+
+const client = (fetchImpl, opts) => createMlClient({ url: 'http://ml.test/', backoffMs: 1, fetchImpl, ...opts });
+
+test('normalizes all three legacy response shapes', async () => {
+  const infer = (body) => client(jest.fn(() => Promise.resolve(reply(200, body)))).infer('data:x');
+
+  expect(await infer({ ok: true, acne_class: 3 })).toMatchObject({
+    schemaVersion: 2,
+    shape: 'class',
+    acne: { class: 3, prob: null, present: true },
+  });
+  expect(await infer({ ok: true, acne_prob: 0.2, acne_pred: 0 })).toMatchObject({
+    shape: 'binary',
+    acne: { class: null, prob: 0.2, present: false },
+  });
+  expect(await infer({ ok: true, acne: 1, redness: 0, dryness: 2 })).toMatchObject({
+    shape: 'multi',
+    acne: { class: 1 },
+    redness: 0,
+    dryness: 2,
+  });
+});
+
+test('sends the image payload as JSON', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(reply(200, { acne_class: 0 })));
+  await client(fetchImpl).infer('data:image/jpeg;base64,AAA');
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe('http://ml.test/');
+  expect(init.method).toBe('POST');
+  expect(JSON.parse(init.body).image_b64).toBe('data:image/jpeg;base64,AAA');
+});
+
+test('retries 5xx and gives up after the configured attempts', async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValueOnce(reply(503, { error: 'busy' }))
+    .mockResolvedValueOnce(reply(200, { acne_class: 1 }));
+  expect((await client(fetchImpl).infer('x')).acne.class).toBe(1);
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+  const failing = jest.fn(() => Promise.resolve(reply(500, 'boom')));
+  await expect(client(failing, { retries: 2 }).infer('x')).rejects.toMatchObject({ kind: 'http', status: 500 });
+  expect(failing).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry client errors or bad responses', async () => {
+  const bad = jest.fn(() => Promise.resolve(reply(400, { error: 'no image' })));
+  await expect(client(bad).infer('x')).rejects.toMatchObject({ kind: 'http', status: 400, message: 'no image' });
+  expect(bad).toHaveBeenCalledTimes(1);
+
+  const weird = jest.fn(() => Promise.resolve(reply(200, { hello: 1 })));
+  await expect(client(weird).infer('x')).rejects.toMatchObject({ kind: 'schema' });
+  expect(weird).toHaveBeenCalledTimes(1);
+
+  const range = jest.fn(() => Promise.resolve(reply(200, { acne_prob: 4 })));
+  await expect(client(range).infer('x')).rejects.toBeInstanceOf(MlError);
+});
+
+test('times out each attempt', async () => {
+  const fetchImpl = jest.fn(hang);
+  await expect(client(fetchImpl, { timeoutMs: 5, retries: 1 }).infer('x')).rejects.toMatchObject({ kind: 'timeout' });
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+// 200 response whose body never finishes arriving until the signal aborts
+const stall = (url, { signal }) =>
+  Promise.resolve({ ok: true, status: 200, text: () => hang(url, { signal }) });
+
+test('a timeout or Stop while reading the body is mapped like one during fetch', async () => {
+  const slow = jest.fn(stall);
+  await expect(client(slow, { timeoutMs: 5, retries: 1 }).infer('x')).rejects.toMatchObject({ kind: 'timeout' });
+  expect(slow).toHaveBeenCalledTimes(2);
+
+  const stopped = jest.fn(stall);
+  const c = client(stopped);
+  const p = c.infer('x');
+  await new Promise((resolve) => setTimeout(resolve, 0)); // headers are in; the body is pending
+  c.abortAll();
+  await expect(p).rejects.toMatchObject({ kind: 'aborted' });
+  expect(stopped).toHaveBeenCalledTimes(1);
+});
+
+test('abortAll cancels in-flight requests without retrying', async () => {
+  const fetchImpl = jest.fn(hang);
+  const c = client(fetchImpl);
+  const p = c.infer('x');
+  expect(c.inFlight).toBe(1);
+  c.abortAll();
+  await expect(p).rejects.toMatchObject({ kind: 'aborted' });
+  expect(c.inFlight).toBe(0);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('a missing URL is a config error, not a network call', async () => {
+  const fetchImpl = jest.fn();
+  await expect(createMlClient({ fetchImpl }).infer('x')).rejects.toMatchObject({ kind: 'config' });
+  expect(fetchImpl).not.toHaveBeenCalled();
+});
+
+test('class map, lesion boxes and heatmap are normalized', async () => {
+  const body = {
+    acne_class: 2,
+    class_map: ['none', 'few', 'some'],
+    lesions: [{ box: [0.1, 0.2, 0.3, 0.5], score: 0.9, label: 'papule' }, { box: [0.6, 0.6, 0.7, 0.7] }],
+    lesion_heatmap: { cols: 2, rows: 1, values: [0.2, 1.4] },
+  };
+  const r = await client(jest.fn(() => Promise.resolve(reply(200, body)))).infer('x');
+  expect(r.classMap).toEqual({ 0: 'none', 1: 'few', 2: 'some' });
+  expect(acneClassLabel(r.acne.class, r.classMap)).toBe('2 (some)');
+  expect(r.lesions).toHaveLength(2);
+  expect(r.lesions[0]).toEqual({ box: { x: 0.1, y: 0.2, width: expect.closeTo(0.2), height: expect.closeTo(0.3) }, score: 0.9, label: 'papule' });
+  expect(r.lesions[1]).toMatchObject({ score: null, label: null });
+  expect(r.lesionHeatmap).toEqual({ cols: 2, rows: 1, values: [0.2, 1] });
+
+  // absent extras: defaults, and the built-in labels
+  const plain = await client(jest.fn(() => Promise.resolve(reply(200, { acne_class: 2 })))).infer('x');
+  expect(plain).toMatchObject({ classMap: null, lesions: [], lesionHeatmap: null });
+  expect(acneClassLabel(2)).toBe('2 (Moderate)');
+  expect(acneClassLabel(7)).toBe('7');
+
+  for (const bad of [{ lesions: [{ box: [0.5, 0, 0.2, 1] }] }, { lesions: [{ box: [0, 0, 2, 1] }] }, { class_map: 'x' }]) {
+    const fetchImpl = jest.fn(() => Promise.resolve(reply(200, { acne_class: 1, ...bad })));
+    await expect(client(fetchImpl).infer('x')).rejects.toMatchObject({ kind: 'schema' });
+  }
+});
+
+test('model metadata is fetched once from the metadata URL', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(reply(200, { model_version: 'v7', class_map: { 0: 'ok', 1: 'acne' } })));
+  const c = client(fetchImpl, { metaUrl: 'http://ml.test/meta' });
+  expect(await c.meta()).toEqual({ modelVersion: 'v7', classMap: { 0: 'ok', 1: 'acne' } });
+  await c.meta();
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(fetchImpl.mock.calls[0][0]).toBe('http://ml.test/meta');
+
+  expect(await client(jest.fn()).meta()).toBeNull(); // no metadata endpoint configured
+  const missing = client(jest.fn(() => Promise.resolve(reply(404, ''))), { metaUrl: 'http://ml.test/meta' });
+  await expect(missing.meta()).rejects.toMatchObject({ kind: 'http', status: 404 });
+});
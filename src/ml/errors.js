@@ -0,0 +1,25 @@
+/**
+ * Error raised by the inference client. `kind` says what went wrong (and whether a retry helps):
+ *   "config"   no endpoint configured           (no retry)
+ *   "aborted"  cancelled, e.g. Stop was pressed  (no retry)
+ *   "timeout"  request took longer than timeoutMs
+ *   "network"  fetch itself failed
+ *   "http"     non-2xx status (`status` set; retried only for 429 / 5xx)
+ *   "schema"   2xx response that doesn't match the result schema (no retry)
+ *   "model"    on-device model / runtime could not be loaded (no retry)
+ *   "unavailable"  no on-device model installed: missing, or the untrained placeholder (no retry)
+ */
+export class MlError extends Error {
+  constructor(kind, message, { status = null, cause } = {}) {
+    super(message);
+    this.name = "MlError";
+    this.kind = kind;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    if (this.kind === "timeout" || this.kind === "network") return true;
+    return this.kind === "http" && (this.status === 429 || this.status >= 500);
+  }
+}
@@ -0,0 +1,6 @@
+export { ML_MODES, ML_MODE_LABELS, createInferenceBackend } from "./backend";
+export { createMlClient } from "./client";
+export { MlError } from "./errors";
+export { createLocalBackend, decodeOutput, pixelsToTensorData } from "./local";
+export { UPLOAD_DEFAULTS, dataUrlBytes, faceCropRect, preprocessForUpload, uploadBoxToFrame, uploadTransform } from "./preprocess";
+export { DEFAULT_ACNE_CLASS_MAP, ML_SCHEMA_VERSION, acneClassLabel, normalizeMlResponse, normalizeModelMeta } from "./schema";
@@ -0,0 +1,206 @@
+import { MlError } from "./errors";
+import { MODEL_META_URL, ORT_BASE, ORT_MODULE_URL } from "./ortAssets";
+import { normalizeMlResponse, normalizeModelMeta } from "./schema";
+
+/**
+ * On-device inference with ONNX Runtime Web (WASM, single-threaded so no cross-origin isolation is
+ * needed). Nothing leaves the browser. The model and its metadata are static files shipped with the
+ * app (public/models/); the runtime is loaded on first use from our own origin (ortAssets.js), so
+ * no CDN is involved and webpack never sees its .wasm.
+ *
+ * Model metadata (public/models/skin-classifier.json):
+ *   {
+ *     "model": "skin-classifier.onnx",          // relative to the metadata file
+ *     "version": "2025-03-01",                  // optional, reported as modelVersion
+ *     "placeholder": true,                      // optional: not a trained model, refused (see below)
+ *     "class_map": ["Clear", "Mild", ...],      // optional, labels for the "class" output
+ *     "input":  { "name": "input", "size": 224, "layout": "NCHW" | "NHWC",
+ *                 "mean": [r, g, b], "std": [r, g, b] },   // applied to 0..1 pixel values
+ *     "output": { "name": "logits", "kind": "class" | "binary" }
+ *   }
+ *
+ * The raw output is decoded into a Lambda-style response and then normalized, so results have
+ * exactly the same shape as the remote path (schema.js).
+ *
+ * The repo ships an untrained placeholder (scripts/make-placeholder-model.js) that would call every
+ * face "Clear". Its metadata says "placeholder": true, and that, like a missing metadata file, is an
+ * MlError "unavailable": local mode reports that no model is installed, local-fallback uses the Lambda.
+ */
+
+export function createLocalBackend({
+  metaUrl = MODEL_META_URL,
+  loadRuntime = () => import(/* webpackIgnore: true */ ORT_MODULE_URL),
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  let loading = null; // Promise<{ ort, session, meta }>
+  let queue = Promise.resolve(); // one session.run at a time
+  let inFlight = 0;
+  let generation = 0; // bumped by abortAll(); queued runs from an older generation are dropped
+
+  function load() {
+    if (!loading) {
+      loading = loadModel(metaUrl, loadRuntime, fetchImpl).catch((e) => {
+        loading = null; // allow a retry (e.g. the model file was added later)
+        throw e;
+      });
+    }
+    return loading;
+  }
+
+  async function infer(imageDataUrl, { signal } = {}) {
+    const gen = generation;
+    const checkAborted = () => {
+      if (signal?.aborted || gen !== generation) throw new MlError("aborted", "On-device inference cancelled.");
+    };
+
+    inFlight += 1;
+    try {
+      const { ort, session, meta } = await load();
+      checkAborted();
+      const input = await imageToTensor(ort, imageDataUrl, meta.input);
+
+      const run = queue.then(async () => {
+        checkAborted();
+        const outputs = await session.run({ [meta.input.name]: input });
+        const out = outputs[meta.output.name] || outputs[session.outputNames[0]];
+        const json = decodeOutput(Array.from(out.data), meta.output);
+        return {
+          ...json,
+          ...(meta.version ? { model_version: meta.version } : {}),
+          ...(meta.class_map ? { class_map: meta.class_map } : {}),
+        };
+      });
+      queue = run.catch(() => {});
+
+      const json = await run;
+      checkAborted();
+      return normalizeMlResponse(json);
+    } finally {
+      inFlight -= 1;
+    }
+  }
+
+  // { modelVersion, classMap } from the metadata file alone (the runtime and model aren't loaded)
+  async function meta() {
+    const json = await fetchModelMeta(metaUrl, fetchImpl);
+    return normalizeModelMeta({ model_version: json.version, class_map: json.class_map });
+  }
+
+  return {
+    infer,
+    load,
+    meta,
+    get inFlight() {
+      return inFlight;
+    },
+    abortAll() {
+      generation += 1;
+    },
+  };
+}
+
+async function fetchModelMeta(metaUrl, fetchImpl) {
+  let meta;
+  try {
+    const res = await fetchImpl(metaUrl);
+    if (res.status === 404) throw new MlError("unavailable", `No on-device model installed (${metaUrl} not found).`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    meta = await res.json();
+  } catch (e) {
+    if (e instanceof MlError) throw e;
+    throw new MlError("model", `On-device model metadata not available (${metaUrl}): ${e?.message || e}`, { cause: e });
+  }
+  if (meta?.placeholder) {
+    throw new MlError(
+      "unavailable",
+      `No on-device model installed: ${metaUrl} describes the untrained placeholder. Install an exported classifier or use the Lambda.`
+    );
+  }
+  if (!meta?.model || !meta.input?.name || !meta.output?.kind) {
+    throw new MlError("model", `Invalid model metadata at ${metaUrl}.`);
+  }
+  return meta;
+}
+
+async function loadModel(metaUrl, loadRuntime, fetchImpl) {
+  const meta = await fetchModelMeta(metaUrl, fetchImpl);
+
+  let ort;
+  try {
+    ort = await loadRuntime();
+    ort.env.wasm.numThreads = 1;
+    ort.env.wasm.wasmPaths = ORT_BASE;
+  } catch (e) {
+    throw new MlError("model", `Could not load ONNX Runtime: ${e?.message || e}`, { cause: e });
+  }
+
+  const modelUrl = new URL(meta.model, new URL(metaUrl, window.location.href)).href;
+  try {
+    const session = await ort.InferenceSession.create(modelUrl, { executionProviders: ["wasm"] });
+    return { ort, session, meta };
+  } catch (e) {
+    throw new MlError("model", `Could not load on-device model (${modelUrl}): ${e?.message || e}`, { cause: e });
+  }
+}
+
+async function imageToTensor(ort, imageDataUrl, input) {
+  const size = input.size || 224;
+  const img = await decodeImage(imageDataUrl);
+  const c = document.createElement("canvas");
+  c.width = size;
+  c.height = size;
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, size, size);
+  const { data } = ctx.getImageData(0, 0, size, size);
+  const dims = input.layout === "NHWC" ? [1, size, size, 3] : [1, 3, size, size];
+  return new ort.Tensor("float32", pixelsToTensorData(data, size, size, input), dims);
+}
+
+function decodeImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not decode the captured frame."));
+    img.src = src;
+  });
+}
+
+/** ---------- pure helpers (exported for tests) ---------- **/
+
+// RGBA bytes -> Float32Array in the model's layout, normalized as (v/255 - mean) / std per channel
+export function pixelsToTensorData(rgba, w, h, { layout = "NCHW", mean = [0, 0, 0], std = [1, 1, 1] } = {}) {
+  const n = w * h;
+  const out = new Float32Array(n * 3);
+  for (let i = 0; i < n; i++) {
+    for (let ch = 0; ch < 3; ch++) {
+      const v = (rgba[i * 4 + ch] / 255 - mean[ch]) / std[ch];
+      out[layout === "NHWC" ? i * 3 + ch : ch * n + i] = v;
+    }
+  }
+  return out;
+}
+
+// Raw model output -> Lambda-style response (schema.js turns that into the normalized result)
+export function decodeOutput(values, { kind }) {
+  if (kind === "binary") {
+    // one logit, or two-class logits [absent, present]
+    const p = values.length === 1 ? sigmoid(values[0]) : softmax(values)[1];
+    return { ok: true, acne_prob: p, acne_pred: p >= 0.5 ? 1 : 0 };
+  }
+  if (kind === "class") {
+    const probs = softmax(values);
+    return { ok: true, acne_class: probs.indexOf(Math.max(...probs)) };
+  }
+  throw new MlError("model", `Unknown model output kind: ${kind}`);
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function softmax(xs) {
+  const m = Math.max(...xs);
+  const e = xs.map((x) => Math.exp(x - m));
+  const s = e.reduce((a, b) => a + b, 0);
+  return e.map((v) => v / s);
+}
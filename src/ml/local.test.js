@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+// The model shipped in public/models must load and answer with the shape its metadata describes (the
+// placeholder graph too: a real export drops in with the same metadata).
+// ONNX Runtime loads its WASM glue with a dynamic import(), which Jest's module sandbox refuses, so
+// the session runs in a plain Node process.
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { decodeOutput, normalizeMlResponse } from '.';
+
+const dir = path.join(__dirname, '..', '..', 'public', 'models');
+
+const RUN = `
+const fs = require('fs');
+const ort = require('onnxruntime-web');
+const [file, inputName, size] = process.argv.slice(1);
+ort.env.wasm.numThreads = 1;
+(async () => {
+  const session = await ort.InferenceSession.create(fs.readFileSync(file));
+  const input = new ort.Tensor('float32', new Float32Array(3 * size * size).fill(0.5), [1, 3, +size, +size]);
+  const outputs = await session.run({ [inputName]: input });
+  const name = session.outputNames[0];
+  const out = outputs[name];
+  console.log(JSON.stringify({ inputs: session.inputNames, name, dims: out.dims, data: Array.from(out.data) }));
+})().catch((e) => { console.error(e); process.exit(1); });
+`;
+
+test('the bundled on-device model loads and matches its metadata', () => {
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'skin-classifier.json'), 'utf8'));
+  const stdout = execFileSync(process.execPath, ['-e', RUN, path.join(dir, meta.model), meta.input.name, String(meta.input.size)], {
+    cwd: path.join(__dirname, '..', '..'),
+    timeout: 60000,
+  });
+  const run = JSON.parse(stdout.toString());
+  expect(run.inputs).toEqual([meta.input.name]);
+  expect(run.name).toBe(meta.output.name);
+  expect(run.dims).toEqual([1, meta.class_map.length]);
+
+  const result = normalizeMlResponse({ ...decodeOutput(run.data, meta.output), class_map: meta.class_map });
+  expect(result).toMatchObject({ shape: 'class', acne: { class: 0 } });
+  // ...which is why the app won't run it
+  expect(meta.placeholder).toBe(true);
+});
@@ -0,0 +1,20 @@
+/**
+ * Self-hosted ONNX Runtime Web files for on-device inference. scripts/fetch-mediapipe-assets.js
+ * copies them from node_modules/onnxruntime-web/dist to public/ort/<version>/, next to the
+ * MediaPipe assets, so the 14 MB .wasm never goes through webpack (and its precache manifest). The
+ * service worker downloads them at install, together with the on-device model; the version in the
+ * path keeps that cache correct across upgrades. Kept free of imports so the service worker can use it.
+ *
+ * ORT_VERSION must match the exact onnxruntime-web version in package.json; ORT_FILES the list the
+ * script copies.
+ */
+export const ORT_VERSION = "1.30.0";
+
+export const ORT_BASE = `${process.env.PUBLIC_URL || ""}/ort/${ORT_VERSION}/`;
+export const ORT_MODULE_URL = `${ORT_BASE}ort.wasm.min.mjs`;
+
+// the runtime module, its WASM glue and the WASM binary
+export const ORT_FILES = ["ort.wasm.min.mjs", "ort-wasm-simd-threaded.mjs", "ort-wasm-simd-threaded.wasm"];
+
+// Metadata of the on-device model (ml/local.js); it names the .onnx next to it
+export const MODEL_META_URL = `${process.env.PUBLIC_URL || ""}/models/skin-classifier.json`;
@@ -0,0 +1,159 @@
+import { EYE_OUTLINES, FACE_OVAL, polyFrom } from "../regions";
+
+/**
+ * Landmark-driven preprocessing for everything sent to a model (Lambda or on-device): crop to the
+ * face with a margin, resize to the model input, optionally redact eyes / background, and apply
+ * the mirroring choice. Keeps payloads small and keeps rooms and bystanders out of the upload.
+ *
+ *   crop            square face crop (`margin` = extra fraction of the face size on each side);
+ *                   off -> the whole frame letterboxed into the square
+ *   size            output edge in px (the model's input size)
+ *   maskEyes        paint over both eye openings
+ *   maskBackground  paint over everything outside the face oval
+ *   mirror          flip horizontally (what the user sees in the selfie preview)
+ *   quality         JPEG quality
+ */
+export const UPLOAD_DEFAULTS = {
+  crop: true,
+  margin: 0.2,
+  size: 224,
+  maskEyes: false,
+  maskBackground: false,
+  mirror: false,
+  quality: 0.85,
+};
+
+const MASK_FILL = "rgb(128,128,128)"; // neutral gray: no colour cast for redness / WB-sensitive models
+
+// Square crop around the landmarks in frame pixels, clamped to the frame. Returns { x, y, size }.
+export function faceCropRect(landmarks, w, h, margin = UPLOAD_DEFAULTS.margin) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const p of landmarks) {
+    minX = Math.min(minX, p.x * w);
+    minY = Math.min(minY, p.y * h);
+    maxX = Math.max(maxX, p.x * w);
+    maxY = Math.max(maxY, p.y * h);
+  }
+  const side = Math.min(Math.max(maxX - minX, maxY - minY) * (1 + 2 * margin), w, h);
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  return {
+    x: Math.round(Math.min(Math.max(cx - side / 2, 0), w - side)),
+    y: Math.round(Math.min(Math.max(cy - side / 2, 0), h - side)),
+    size: Math.round(side),
+  };
+}
+
+// Whole frame fitted into a size x size square: { sx, sy, sw, sh } source -> { dx, dy, dw, dh } destination
+function letterbox(w, h, size) {
+  const scale = size / Math.max(w, h);
+  const dw = w * scale;
+  const dh = h * scale;
+  return { sx: 0, sy: 0, sw: w, sh: h, dx: (size - dw) / 2, dy: (size - dh) / 2, dw, dh };
+}
+
+/**
+ * Where the frame lands in the uploaded square: { sx, sy, sw, sh } frame pixels are drawn to
+ * { dx, dy, dw, dh } of the size x size output, then flipped when `mirror` is set.
+ * null when cropping needs landmarks and there are none.
+ */
+export function uploadTransform(landmarks, w, h, opts = {}) {
+  const o = { ...UPLOAD_DEFAULTS, ...opts };
+  if (!w || !h || (o.crop && !landmarks)) return null;
+  let map;
+  if (o.crop) {
+    const r = faceCropRect(landmarks, w, h, o.margin);
+    map = { sx: r.x, sy: r.y, sw: r.size, sh: r.size, dx: 0, dy: 0, dw: o.size, dh: o.size };
+  } else {
+    map = letterbox(w, h, o.size);
+  }
+  return { ...map, size: o.size, mirror: o.mirror };
+}
+
+/**
+ * A box the model reported in fractions (0..1) of the uploaded image -> frame pixels
+ * { x, y, width, height }, undoing the upload mirror, crop and scale. Re-derive the transform
+ * from the current landmarks to keep boxes on a face that has moved since the upload.
+ */
+export function uploadBoxToFrame(box, t) {
+  let x0 = box.x * t.size;
+  let x1 = (box.x + box.width) * t.size;
+  if (t.mirror) [x0, x1] = [t.size - x1, t.size - x0];
+  const kx = t.sw / t.dw;
+  const ky = t.sh / t.dh;
+  return {
+    x: t.sx + (x0 - t.dx) * kx,
+    y: t.sy + (box.y * t.size - t.dy) * ky,
+    width: (x1 - x0) * kx,
+    height: box.height * t.size * ky,
+  };
+}
+
+/**
+ * Render `el` (video / img) through the pipeline. Returns { dataUrl, width, height, bytes, transform }
+ * (transform: see uploadTransform) or null when cropping is on but there is no face (nothing
+ * should be sent then).
+ */
+export function preprocessForUpload(el, landmarks, w, h, opts = {}) {
+  const o = { ...UPLOAD_DEFAULTS, ...opts };
+  if (!el || !w || !h) return null;
+  if ((o.crop || o.maskEyes || o.maskBackground) && !landmarks) return null;
+
+  const size = o.size;
+  const c = document.createElement("canvas");
+  c.width = size;
+  c.height = size;
+  const ctx = c.getContext("2d");
+  ctx.fillStyle = MASK_FILL;
+  ctx.fillRect(0, 0, size, size);
+
+  if (o.mirror) {
+    ctx.translate(size, 0);
+    ctx.scale(-1, 1);
+  }
+
+  const map = uploadTransform(landmarks, w, h, o);
+  ctx.drawImage(el, map.sx, map.sy, map.sw, map.sh, map.dx, map.dy, map.dw, map.dh);
+
+  // masks are drawn in frame pixels through the same crop/scale (and mirror) transform
+  if (o.maskEyes || o.maskBackground) {
+    const k = map.dw / map.sw;
+    ctx.transform(k, 0, 0, k, map.dx - map.sx * k, map.dy - map.sy * k);
+    ctx.fillStyle = MASK_FILL;
+    if (o.maskBackground) {
+      ctx.beginPath();
+      ctx.rect(map.sx - 1, map.sy - 1, map.sw + 2, map.sh + 2);
+      tracePoly(ctx, polyFrom(landmarks, FACE_OVAL, w, h));
+      ctx.fill("evenodd");
+    }
+    if (o.maskEyes) {
+      ctx.strokeStyle = MASK_FILL;
+      ctx.lineJoin = "round";
+      ctx.lineWidth = faceCropRect(landmarks, w, h, 0).size * 0.03; // covers lashes / lid edge
+      for (const idxs of EYE_OUTLINES) {
+        ctx.beginPath();
+        tracePoly(ctx, polyFrom(landmarks, idxs, w, h));
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+  }
+
+  const dataUrl = c.toDataURL("image/jpeg", o.quality);
+  return { dataUrl, width: size, height: size, bytes: dataUrlBytes(dataUrl), transform: map };
+}
+
+function tracePoly(ctx, poly) {
+  poly.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+  ctx.closePath();
+}
+
+// Decoded size of a base64 data URL (what actually crosses the wire, before JSON/base64 overhead)
+export function dataUrlBytes(dataUrl) {
+  const b64 = dataUrl.slice(dataUrl.indexOf(",") + 1);
+  const pad = b64.endsWith("==") ? 2 : b64.endsWith("=") ? 1 : 0;
+  return Math.floor((b64.length * 3) / 4) - pad;
+}
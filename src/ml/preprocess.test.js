@@ -0,0 +1,53 @@
+import { dataUrlBytes, faceCropRect, uploadBoxToFrame, uploadTransform } from './preprocess';
+
+const face = (x0, y0, x1, y1) => [
+  { x: x0, y: y0 },
+  { x: x1, y: y1 },
+];
+
+test('crops a square around the face with margin', () => {
+  // face 200x300 px centred at (320, 240) in a 640x480 frame
+  const r = faceCropRect(face(220 / 640, 90 / 480, 420 / 640, 390 / 480), 640, 480, 0.2);
+  expect(r.size).toBe(420); // 300 * 1.4
+  expect(r.x).toBe(110);
+  expect(r.y).toBe(30);
+});
+
+test('crop is clamped to the frame', () => {
+  const r = faceCropRect(face(0.8, 0.1, 1, 0.9), 640, 480, 0.5);
+  expect(r.size).toBe(480); // can't be larger than the short side
+  expect(r.x + r.size).toBeLessThanOrEqual(640);
+  expect(r.y).toBe(0);
+});
+
+test('dataUrlBytes counts decoded payload bytes', () => {
+  expect(dataUrlBytes('data:image/jpeg;base64,QUJD')).toBe(3);
+  expect(dataUrlBytes('data:image/jpeg;base64,QUI=')).toBe(2);
+  expect(dataUrlBytes('data:image/jpeg;base64,QQ==')).toBe(1);
+});
+
+test('model boxes map back through the crop, scale and upload mirror', () => {
+  // same face as above: crop (110, 30) 420 px, sent at 210 px
+  const lm = face(220 / 640, 90 / 480, 420 / 640, 390 / 480);
+  const box = { x: 0.1, y: 0.5, width: 0.2, height: 0.1 };
+
+  const t = uploadTransform(lm, 640, 480, { size: 210 });
+  const r = uploadBoxToFrame(box, t);
+  expect([r.x, r.y, r.width, r.height].map(Math.round)).toEqual([110 + 42, 30 + 210, 84, 42]);
+
+  // mirrored upload: the model's left edge is the frame's right edge
+  const m = uploadBoxToFrame(box, uploadTransform(lm, 640, 480, { size: 210, mirror: true }));
+  expect(m.x).toBeCloseTo(110 + 420 - 42 - 84);
+  expect(m.width).toBeCloseTo(84);
+});
+
+test('uncropped uploads map back through the letterbox', () => {
+  const t = uploadTransform(null, 640, 480, { crop: false, size: 320 });
+  expect(t).toMatchObject({ dx: 0, dy: 40, dw: 320, dh: 240 });
+  const r = uploadBoxToFrame({ x: 0, y: 0.125, width: 1, height: 0.75 }, t);
+  expect(r.x).toBeCloseTo(0);
+  expect(r.y).toBeCloseTo(0);
+  expect(r.width).toBeCloseTo(640);
+  expect(r.height).toBeCloseTo(480);
+  expect(uploadTransform(null, 640, 480)).toBeNull(); // cropping needs a face
+});
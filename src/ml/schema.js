@@ -0,0 +1,165 @@
+import { MlError } from "./errors";
+
+/**
+ * Normalized inference result (schema version 2). Every backend and every legacy Lambda response
+ * shape is turned into this before the UI, history or aggregation see it:
+ *
+ *   {
+ *     schemaVersion: 2,
+ *     shape: "class" | "binary" | "multi",   // which legacy response it came from
+ *     acne: { class: number|null, prob: number|null, present: boolean|null },
+ *     redness: number|null,
+ *     dryness: number|null,
+ *     modelVersion: string|null,              // `model_version` if the backend reports one
+ *     classMap: { [class]: label } | null,    // `class_map` if the backend reports one
+ *     lesions: [{ box: { x, y, width, height }, score: number|null, label: string|null }],
+ *     lesionHeatmap: { cols, rows, values: number[] } | null,
+ *     raw: <the response as received>
+ *   }
+ *
+ * Legacy Lambda shapes:
+ *   - class:  { ok: true, acne_class: 3 }
+ *   - binary: { ok: true, acne_prob: 0.83, acne_pred: 1 }
+ *   - multi:  { ok: true, acne: 1, redness: 0, dryness: 2 }
+ *
+ * Optional extras on any shape (schema 2):
+ *   - class_map:      { "0": "Clear", "1": "Mild", ... } or ["Clear", "Mild", ...]
+ *   - lesions:        [{ box: [x0, y0, x1, y1], score: 0..1, label: "papule" }]
+ *                     box corners are fractions (0..1) of the image the model was sent
+ *   - lesion_heatmap: { cols, rows, values: [rows * cols values 0..1, row-major] } over that image
+ *
+ * Schema 1 was the same without classMap / lesions / lesionHeatmap.
+ */
+
+export const ML_SCHEMA_VERSION = 2;
+
+// Used when neither the result nor the model metadata carries a class_map
+export const DEFAULT_ACNE_CLASS_MAP = { 0: "Clear", 1: "Mild", 2: "Moderate", 3: "Severe", 4: "Very severe" };
+
+export function normalizeMlResponse(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new MlError("schema", "ML response is not a JSON object.");
+  }
+  if (json.ok === false) {
+    throw new MlError("schema", `ML endpoint reported a failure: ${json.error || json.message || "unknown error"}`);
+  }
+
+  const acneClass = num(json, "acne_class");
+  const acneProb = num(json, "acne_prob");
+  const acnePred = num(json, "acne_pred");
+  const acneMulti = num(json, "acne");
+  const redness = num(json, "redness");
+  const dryness = num(json, "dryness");
+
+  if (acneProb !== null && (acneProb < 0 || acneProb > 1)) {
+    throw new MlError("schema", `acne_prob out of range: ${acneProb}`);
+  }
+
+  let shape;
+  let acne;
+  if (acneClass !== null) {
+    shape = "class";
+    acne = { class: acneClass, prob: acneProb, present: acneClass > 0 };
+  } else if (acneProb !== null || acnePred !== null) {
+    shape = "binary";
+    acne = { class: null, prob: acneProb, present: acnePred !== null ? acnePred > 0 : acneProb >= 0.5 };
+  } else if (acneMulti !== null || redness !== null || dryness !== null) {
+    shape = "multi";
+    acne = { class: acneMulti, prob: null, present: acneMulti === null ? null : acneMulti > 0 };
+  } else {
+    throw new MlError("schema", "Unrecognized ML response (no acne / redness / dryness fields).");
+  }
+
+  return {
+    schemaVersion: ML_SCHEMA_VERSION,
+    shape,
+    acne,
+    redness,
+    dryness,
+    modelVersion: modelVersionOf(json),
+    classMap: parseClassMap(json.class_map),
+    lesions: parseLesions(json.lesions),
+    lesionHeatmap: parseLesionHeatmap(json.lesion_heatmap),
+    raw: json,
+  };
+}
+
+/**
+ * Model metadata, from the backend's metadata endpoint (REACT_APP_ML_META_URL) or the on-device
+ * model's JSON: { model_version, class_map } -> { modelVersion, classMap }.
+ */
+export function normalizeModelMeta(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new MlError("schema", "Model metadata is not a JSON object.");
+  }
+  return { modelVersion: modelVersionOf(json), classMap: parseClassMap(json.class_map) };
+}
+
+// "2 (Moderate)" with a class map entry, the bare number without one
+export function acneClassLabel(c, classMap = DEFAULT_ACNE_CLASS_MAP) {
+  if (c === null || c === undefined || Number.isNaN(Number(c))) return "—";
+  const n = Number(c);
+  const name = classMap?.[n];
+  return name ? `${n} (${name})` : String(n);
+}
+
+function modelVersionOf(json) {
+  const v = json.model_version;
+  return typeof v === "string" || typeof v === "number" ? String(v) : null;
+}
+
+function parseClassMap(v) {
+  if (v === undefined || v === null) return null;
+  const entries = Array.isArray(v) ? v.map((label, i) => [i, label]) : typeof v === "object" ? Object.entries(v) : null;
+  if (!entries || entries.some(([k, label]) => !Number.isInteger(Number(k)) || typeof label !== "string")) {
+    throw new MlError("schema", `ML class_map must map class numbers to labels: ${JSON.stringify(v)}`);
+  }
+  return Object.fromEntries(entries.map(([k, label]) => [Number(k), label]));
+}
+
+function parseLesions(v) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v)) throw new MlError("schema", "ML lesions must be an array.");
+  return v.map((l, i) => {
+    const b = l?.box;
+    const ok = Array.isArray(b) && b.length === 4 && b.every((c) => typeof c === "number" && c >= 0 && c <= 1);
+    if (!ok || b[2] < b[0] || b[3] < b[1]) {
+      throw new MlError("schema", `ML lesions[${i}].box must be [x0, y0, x1, y1] fractions of the image: ${JSON.stringify(b)}`);
+    }
+    const score = l.score === undefined || l.score === null ? null : Number(l.score);
+    if (score !== null && !(score >= 0 && score <= 1)) throw new MlError("schema", `ML lesions[${i}].score out of range: ${l.score}`);
+    return {
+      box: { x: b[0], y: b[1], width: b[2] - b[0], height: b[3] - b[1] },
+      score,
+      label: typeof l.label === "string" ? l.label : null,
+    };
+  });
+}
+
+function parseLesionHeatmap(v) {
+  if (v === undefined || v === null) return null;
+  const { cols, rows, values } = v;
+  const ok =
+    Number.isInteger(cols) &&
+    Number.isInteger(rows) &&
+    cols > 0 &&
+    rows > 0 &&
+    Array.isArray(values) &&
+    values.length === cols * rows &&
+    values.every((x) => typeof x === "number" && Number.isFinite(x));
+  if (!ok) throw new MlError("schema", "ML lesion_heatmap must be { cols, rows, values: [rows * cols numbers] }.");
+  return { cols, rows, values: values.map((x) => Math.max(0, Math.min(1, x))) };
+}
+
+// Field as a finite number, null when absent; anything else is a schema error
+function num(json, key) {
+  const v = json[key];
+  if (v === undefined || v === null) return null;
+  let n = v;
+  if (typeof v === "boolean") n = Number(v);
+  else if (typeof v === "string" && v.trim() !== "") n = Number(v);
+  if (typeof n !== "number" || !Number.isFinite(n)) {
+    throw new MlError("schema", `ML response field "${key}" is not a number: ${JSON.stringify(v)}`);
+  }
+  return n;
+}
@@ -0,0 +1,160 @@
+import { uploadBoxToFrame, uploadTransform } from "./ml";
+
+/**
+ * Canvas drawing for the overlay on top of the video / photo: region fills and outlines, score
+ * heatmaps, the score HUD, multi-face labels and ML lesion marks. Coordinates are frame pixels.
+ */
+
+export const FACE_COLORS = ["#1a73e8", "#e8711a", "#18a558", "#c2185b"];
+const LESION_COLOR = "#ff00a0"; // ML lesion boxes
+
+// overlay colours are faint rgba fills; make them readable as UI swatches
+export function swatchColor(rgba) {
+  return rgba.replace(/[\d.]+\)$/, "0.8)");
+}
+
+// 0 -> blue, 0.5 -> yellow, 1 -> red
+export function heatColor(v, alpha) {
+  const t = Math.max(0, Math.min(1, v));
+  const r = t < 0.5 ? Math.round(510 * t) : 255;
+  const g = t < 0.5 ? Math.round(80 + 350 * t) : Math.round(255 - 510 * (t - 0.5));
+  const b = t < 0.5 ? Math.round(255 - 510 * t) : 0;
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+function drawPoly(ctx, poly, fillStyle, composite = "source-over") {
+  if (!poly || poly.length < 3) return;
+  ctx.save();
+  ctx.globalCompositeOperation = composite;
+  ctx.beginPath();
+  ctx.moveTo(poly[0].x, poly[0].y);
+  for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i].x, poly[i].y);
+  ctx.closePath();
+  ctx.fillStyle = fillStyle;
+  ctx.fill();
+  ctx.restore();
+}
+
+export function outlinePoly(ctx, poly, strokeStyle) {
+  if (!poly || poly.length < 3) return;
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(poly[0].x, poly[0].y);
+  for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i].x, poly[i].y);
+  ctx.closePath();
+  ctx.strokeStyle = strokeStyle;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.restore();
+}
+
+// heatmap = { block, cells: [[x, y, v 0..1], ...] } from the scoring engine
+export function drawHeatmap(ctx, heatmap) {
+  ctx.save();
+  for (const [x, y, v] of heatmap.cells) {
+    ctx.fillStyle = heatColor(v, 0.5);
+    ctx.fillRect(x, y, heatmap.block, heatmap.block);
+  }
+  ctx.restore();
+}
+
+// ROI overlay for one face (heatmap mode: outlines + the latest finished heatmap for that face)
+export function drawFaceRegions(ctx, regions, heatMetric, heatmap) {
+  if (heatMetric) {
+    if (heatmap?.metric === heatMetric) drawHeatmap(ctx, heatmap);
+    for (const r of regions) outlinePoly(ctx, r.poly, swatchColor(r.color));
+  } else {
+    for (const r of regions) {
+      drawPoly(ctx, r.poly, r.color);
+      for (const hole of r.exclude) drawPoly(ctx, hole, "#000", "destination-out");
+    }
+  }
+}
+
+// Per-face HUD in multi-face mode: ID + latest scores above the face box. The overlay canvas is
+// CSS-mirrored for the selfie view, so the text is flipped back to stay readable there.
+export function drawFaceLabel(ctx, face, last, w, h, mirrored) {
+  const color = FACE_COLORS[(face.id - 1) % FACE_COLORS.length];
+  const left = face.box.x * w;
+  const right = (face.box.x + face.box.width) * w;
+  const top = Math.max(22, face.box.y * h - 8);
+  const text = last
+    ? `#${face.id}  L ${Math.round(last.lighting)}  R ${Math.round(last.redness)}  S ${Math.round(last.shine)}`
+    : `#${face.id}`;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(left, face.box.y * h, right - left, face.box.height * h);
+  if (mirrored) {
+    ctx.translate(w, 0);
+    ctx.scale(-1, 1);
+  }
+  const x = mirrored ? w - right : left;
+  ctx.font = "14px sans-serif";
+  const tw = ctx.measureText(text).width;
+  ctx.fillStyle = color;
+  ctx.fillRect(x, top - 17, tw + 12, 22);
+  ctx.fillStyle = "white";
+  ctx.fillText(text, x + 6, top);
+  ctx.restore();
+}
+
+// ML lesion boxes / heat (ml/schema.js) are fractions of the uploaded crop. The crop is re-derived
+// from the face's current landmarks with the upload settings of that request, so the marks follow
+// the face between requests; uploadBoxToFrame undoes an upload mirror. Labels are flipped back for
+// the CSS-mirrored selfie view, like drawFaceLabel.
+export function drawLesions(ctx, overlay, landmarks, w, h, mirrored) {
+  const t = overlay && uploadTransform(landmarks, w, h, overlay.upload);
+  if (!t) return;
+  const { lesions, lesionHeatmap: heat } = overlay.result;
+
+  ctx.save();
+  if (heat) {
+    for (let j = 0; j < heat.rows; j++) {
+      for (let i = 0; i < heat.cols; i++) {
+        const v = heat.values[j * heat.cols + i];
+        if (v < 0.05) continue;
+        const cell = { x: i / heat.cols, y: j / heat.rows, width: 1 / heat.cols, height: 1 / heat.rows };
+        const r = uploadBoxToFrame(cell, t);
+        ctx.fillStyle = `rgba(255,0,160,${(0.5 * v).toFixed(3)})`;
+        ctx.fillRect(r.x, r.y, r.width, r.height);
+      }
+    }
+  }
+
+  ctx.strokeStyle = LESION_COLOR;
+  ctx.lineWidth = 2;
+  ctx.font = "12px sans-serif";
+  for (const l of lesions) {
+    const r = uploadBoxToFrame(l.box, t);
+    ctx.strokeRect(r.x, r.y, r.width, r.height);
+    const text = [l.label, l.score !== null ? `${Math.round(l.score * 100)}%` : null].filter(Boolean).join(" ");
+    if (!text) continue;
+    ctx.save();
+    if (mirrored) {
+      ctx.translate(w, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.fillStyle = LESION_COLOR;
+    ctx.fillText(text, mirrored ? w - r.x - r.width : r.x, Math.max(12, r.y - 3));
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+export function drawHUD(ctx, { lighting, redness, shine, roughness, pores, lines, lightingOk }) {
+  ctx.save();
+  ctx.clearRect(12, 12, 310, 158); // may be redrawn over an older HUD when async scores land
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(12, 12, 310, 158);
+  ctx.fillStyle = "white";
+  ctx.font = "14px sans-serif";
+  ctx.fillText(`Lighting: ${Math.round(lighting)} ${lightingOk ? "" : "(too dark)"}`, 22, 36);
+  ctx.fillText(`Redness: ${Math.round(redness)}`, 22, 58);
+  ctx.fillText(`Shine: ${Math.round(shine)}`, 22, 80);
+  ctx.fillText(`Texture: ${Math.round(roughness)}`, 22, 102);
+  ctx.fillText(`Pores: ${Math.round(pores)}`, 22, 124);
+  ctx.fillText(`Fine lines: ${Math.round(lines)}`, 22, 146);
+  ctx.restore();
+}
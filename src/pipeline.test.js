@@ -0,0 +1,210 @@
+import { loadFixture } from './__fixtures__';
+import { assessQuality } from './quality';
+import { HEADLINE, REGION_IDS, buildReferenceRegions, buildRegions, polyFrom, regionById } from './regions';
+import {
+  LIGHTING_GATE,
+  SCORING_DEFAULTS,
+  lightingQualityFromPolys,
+  rednessFromPolys,
+  samplePolys,
+  scoreFace,
+  shineFromPolys,
+} from './scoring/scoring';
+
+// Fixture images + stored landmarks through the same steps App.js runs per frame:
+// landmarks -> region polygons (polyFrom) -> pixel samples -> scorers. See scripts/make-scan-fixtures.js
+// for what each fixture paints; the ranges below leave room for heuristic tweaks but not for a
+// change that swaps which fixture looks redder / shinier / darker.
+
+function headlineScores(name) {
+  const { image, landmarks } = loadFixture(name);
+  const poly = (id) => polyFrom(landmarks, regionById(id).indices, image.width, image.height);
+  const polys = (key) => HEADLINE[key].map(poly);
+  return {
+    samples: samplePolys(image, polys('lighting')).length,
+    lighting: lightingQualityFromPolys(image, polys('lighting')),
+    redness: rednessFromPolys(image, polys('redness')),
+    shine: shineFromPolys(image, polys('shine')),
+  };
+}
+
+// scoreFace() with every region, as the scoring engine runs it; reference: false = eyes / teeth not visible
+function fullScore(name, whiteBalance = { method: 'off' }, params = SCORING_DEFAULTS, { reference = true } = {}) {
+  const { image, landmarks } = loadFixture(name);
+  const regions = buildRegions(landmarks, REGION_IDS, image.width, image.height);
+  const byId = Object.fromEntries(regions.map((r) => [r.id, r.poly]));
+  const headline = Object.fromEntries(Object.entries(HEADLINE).map(([key, ids]) => [key, ids.map((id) => byId[id])]));
+  const refRegions = buildReferenceRegions(landmarks, image.width, image.height).map(({ poly, exclude }) => ({ poly, exclude }));
+  const out = scoreFace(
+    image,
+    regions.map(({ id, poly, exclude }) => ({ id, poly, exclude })),
+    headline,
+    {
+      whiteBalance: { ...whiteBalance, scene: whiteBalance.method === 'grayWorld' ? image : null },
+      skinTone: { refRegions: reference ? refRegions : [] },
+      params,
+    }
+  );
+  return { out, landmarks };
+}
+
+test('region polygons land on the face and sample enough pixels', () => {
+  const { image, landmarks } = loadFixture('even');
+  for (const r of buildRegions(landmarks, REGION_IDS, image.width, image.height)) {
+    expect(r.poly.every((p) => p.x > 0 && p.x < image.width && p.y > 0 && p.y < image.height)).toBe(true);
+    expect(samplePolys(image, [r.poly], 3000, r.exclude).length).toBeGreaterThan(20);
+  }
+  expect(headlineScores('even').samples).toBeGreaterThan(200);
+});
+
+test('evenly lit skin: mid lighting, baseline redness, no shine', () => {
+  const s = headlineScores('even');
+  expect(s.lighting).toBeGreaterThan(40);
+  expect(s.lighting).toBeLessThan(60);
+  expect(s.redness).toBeGreaterThan(55);
+  expect(s.redness).toBeLessThan(72);
+  expect(s.shine).toBeLessThan(5);
+});
+
+test('flushed cheeks raise redness on the cheeks only', () => {
+  const even = headlineScores('even');
+  const flushed = headlineScores('flushed');
+  expect(flushed.redness).toBeGreaterThan(even.redness + 10);
+  expect(flushed.redness).toBeLessThan(95);
+  expect(flushed.shine).toBeLessThan(5);
+
+  const { out } = fullScore('flushed');
+  expect(out.regions.leftCheek.redness).toBeGreaterThan(out.regions.forehead.redness + 10);
+  expect(Math.abs(out.regions.forehead.redness - even.redness)).toBeLessThan(3);
+});
+
+test('nose highlights read as shine, the cheeks stay matte', () => {
+  const s = headlineScores('oily');
+  expect(s.shine).toBeGreaterThan(70);
+  const { out } = fullScore('oily');
+  expect(out.regions.nose.shine).toBeGreaterThan(70);
+  expect(out.regions.leftCheek.shine).toBeLessThan(5);
+  expect(out.regions.forehead.shine).toBeLessThan(5);
+});
+
+test('a dark frame fails the lighting gate and zeroes colour scores', () => {
+  const s = headlineScores('dark');
+  expect(s.lighting).toBeLessThan(LIGHTING_GATE);
+
+  const { out, landmarks } = fullScore('dark');
+  expect(out.lightingOk).toBe(false);
+  expect(out.redness).toBe(0);
+  expect(out.shine).toBe(0);
+  const q = assessQuality({ landmarks, lighting: out.lighting, sharpness: out.sharpness });
+  expect(q.ok).toBe(false);
+  expect(q.checks.find((c) => c.id === 'lighting').ok).toBe(false);
+});
+
+test('grey-world white balance undoes most of a warm colour cast', () => {
+  const even = headlineScores('even');
+  expect(headlineScores('warm-cast').redness).toBeGreaterThan(even.redness + 20);
+
+  const { out } = fullScore('warm-cast', { method: 'grayWorld' });
+  expect(out.whiteBalance.gains[2]).toBeGreaterThan(1.1); // boosts blue
+  expect(Math.abs(out.redness - even.redness)).toBeLessThan(10);
+});
+
+test('a well-lit, centred fixture passes the quality gate', () => {
+  const { out, landmarks } = fullScore('even');
+  const q = assessQuality({ landmarks, prevLandmarks: landmarks, lighting: out.lighting, sharpness: out.sharpness });
+  expect(q.ok).toBe(true);
+});
+
+test('scoring params from the config move the scores and the gate', () => {
+  const base = fullScore('flushed').out;
+  const stricter = {
+    ...SCORING_DEFAULTS,
+    redness: { ...SCORING_DEFAULTS.redness, range: SCORING_DEFAULTS.redness.range + 60 },
+  };
+  expect(fullScore('flushed', undefined, stricter).out.redness).toBeLessThan(base.redness);
+
+  // matte skin only counts as shine once the specular thresholds are loosened past it
+  expect(fullScore('even').out.shine).toBe(0);
+  const looser = { ...SCORING_DEFAULTS, shine: { ...SCORING_DEFAULTS.shine, minValue: 150, maxSaturation: 0.6 } };
+  expect(fullScore('even', undefined, looser).out.shine).toBeGreaterThan(50);
+
+  const gated = fullScore('even', undefined, { ...SCORING_DEFAULTS, lightingGate: 60 }).out;
+  expect(gated.lightingOk).toBe(false);
+  expect(gated.redness).toBe(0);
+});
+
+const NO_TONE = { ...SCORING_DEFAULTS, skinTone: { ...SCORING_DEFAULTS.skinTone, enabled: false } };
+
+test('deep skin under the same light passes the gate and gets the redness of the lighter fixture', () => {
+  const even = fullScore('even').out;
+  const deep = fullScore('deep').out;
+  expect(deep.skinTone).toMatchObject({ group: 'dark', exposureNormalized: true, applied: true });
+  expect(even.skinTone.group).toBe('intermediate');
+  expect(deep.lightingOk).toBe(true);
+  expect(Object.values(deep.regions).every((r) => r.lightingOk)).toBe(true);
+  expect(Math.abs(deep.lighting - even.lighting)).toBeLessThan(5);
+  expect(Math.abs(deep.redness - even.redness)).toBeLessThan(5);
+
+  // without normalization lighting is absolute again: the same face reads as under-lit
+  const off = fullScore('deep', undefined, NO_TONE).out;
+  expect(off.skinTone.applied).toBe(false);
+  expect(off.lighting).toBeLessThan(even.lighting - 10);
+  expect(off.lightingOk).toBe(false);
+});
+
+test('normalization never lifts a dim frame over the lighting gate', () => {
+  for (const reference of [true, false]) {
+    const on = fullScore('dark', undefined, SCORING_DEFAULTS, { reference }).out;
+    const off = fullScore('dark', undefined, NO_TONE, { reference }).out;
+    expect(on.lighting).toBe(off.lighting);
+    expect(on.lightingOk).toBe(false);
+    expect(on.redness).toBe(0);
+    // eyes too dim to be a usable white, or no eyes / teeth at all: the tone's L* is mostly the light
+    expect(on.skinTone).toMatchObject({ exposureNormalized: false, applied: false });
+  }
+});
+
+test('a flush on deep skin raises cheek redness as much as on lighter skin', () => {
+  const deep = fullScore('deep').out;
+  const { out } = fullScore('deep-flushed');
+  expect(out.lightingOk).toBe(true);
+  expect(out.redness).toBeGreaterThan(deep.redness + 10);
+  expect(out.redness).toBeLessThan(95);
+  expect(out.regions.leftCheek.redness).toBeGreaterThan(deep.regions.leftCheek.redness + 10);
+  expect(Math.abs(out.regions.forehead.redness - deep.regions.forehead.redness)).toBeLessThan(3);
+});
+
+test('texture fixtures raise their own texture score', () => {
+  const even = fullScore('even').out;
+  expect(even.roughness).toBeLessThan(5);
+  expect(even.pores).toBeLessThan(5);
+  expect(even.lines).toBeLessThan(5);
+
+  const pores = fullScore('pores').out;
+  expect(pores.pores).toBeGreaterThan(30);
+  expect(pores.lines).toBeLessThan(5);
+  expect(pores.regions.forehead.pores).toBe(0); // only cheeks + nose were painted
+
+  const lines = fullScore('lines').out;
+  expect(lines.lines).toBeGreaterThan(30);
+  expect(lines.pores).toBeLessThan(10);
+  expect(lines.regions.leftCheek.lines).toBeLessThan(5);
+
+  const dry = fullScore('dry').out;
+  expect(dry.roughness).toBeGreaterThan(30);
+  expect(dry.pores).toBeLessThan(pores.pores / 3);
+
+  // colour and shine don't move with texture
+  expect(Math.abs(dry.redness - even.redness)).toBeLessThan(5);
+  expect(pores.shine).toBeLessThan(5);
+});
+
+test('deeper skin and dim frames aren\'t read as textured', () => {
+  const deep = fullScore('deep').out;
+  expect(deep.roughness).toBeLessThan(5);
+  expect(deep.pores).toBeLessThan(5);
+  expect(deep.lines).toBeLessThan(5);
+
+  const dark = fullScore('dark').out; // gated like redness / shine
+  expect([dark.roughness, dark.pores, dark.lines]).toEqual([0, 0, 0]);
+});
@@ -0,0 +1,229 @@
+/**
+ * Local profiles: who a scan belongs to when several people share the device. Each profile has its own
+ * passphrase and data key (vault.js); its scans (historyStore.js), settings and the profile details
+ * are stored encrypted with that key. Only the name (for the profile switcher) and the creation time
+ * are readable without the passphrase.
+ *
+ * An unlocked profile is { profile, vault, settings }:
+ *   profile   { id, name, created, skinType, notes }  skinType: Fitzpatrick "I".."VI" or null
+ *   vault     { profileId, key }                      what historyStore.js needs
+ *   settings  { [key]: string }                       localStorage-style values, see profileStorage()
+ */
+
+import { PROFILES, SCANS, SETTINGS, deleteByIndex, transact } from "./localDb";
+import {
+  VaultError,
+  boxFromJson,
+  boxToJson,
+  createVault,
+  decryptJson,
+  encryptJson,
+  fromBase64,
+  openVault,
+  toBase64,
+} from "./vault";
+
+export const SKIN_TYPES = ["I", "II", "III", "IV", "V", "VI"];
+const EXPORT_FORMAT = "skinscan-profile";
+const EXPORT_VERSION = 1;
+const LEGACY_PREFIX = "skinscan."; // settings saved in localStorage before profiles existed
+const MAX_NAME = 60;
+
+// [{ id, name, created }], oldest first
+export async function listProfiles() {
+  const rows = await transact(PROFILES, "readonly", (tx) => tx.objectStore(PROFILES).getAll());
+  return rows.map(({ id, name, created }) => ({ id, name, created }));
+}
+
+// adoptLegacy: move the scans and settings saved before profiles existed into this profile (encrypted)
+export async function createProfile({ name, skinType = null, notes = "", passphrase, adoptLegacy = false }, opts) {
+  const clean = checkName(name);
+  const { kdf, wrappedKey, key } = await createVault(passphrase, opts);
+  const created = Date.now();
+  const meta = await encryptJson(key, { skinType, notes });
+  const id = await transact(PROFILES, "readwrite", (tx) =>
+    tx.objectStore(PROFILES).add({ name: clean, created, kdf, wrappedKey, meta })
+  );
+  const vault = { profileId: id, key };
+  const settings = adoptLegacy ? await adoptLegacyData(vault) : {};
+  return { profile: { id, name: clean, created, skinType, notes }, vault, settings };
+}
+
+// Throws VaultError("Wrong passphrase.") for a wrong passphrase
+export async function unlockProfile(id, passphrase) {
+  const row = await transact(PROFILES, "readonly", (tx) => tx.objectStore(PROFILES).get(id));
+  if (!row) throw new VaultError("This profile no longer exists.");
+  const key = await openVault(row, passphrase);
+  const saved = await transact(SETTINGS, "readonly", (tx) => tx.objectStore(SETTINGS).get(id));
+  return {
+    profile: { id, name: row.name, created: row.created, ...(await decryptJson(key, row.meta)) },
+    vault: { profileId: id, key },
+    settings: saved ? await decryptJson(key, saved) : {},
+  };
+}
+
+export async function updateProfile(vault, { name, skinType = null, notes = "" }) {
+  const clean = checkName(name);
+  const meta = await encryptJson(vault.key, { skinType, notes });
+  await transact(PROFILES, "readwrite", (tx) => {
+    const store = tx.objectStore(PROFILES);
+    const req = store.get(vault.profileId);
+    req.onsuccess = () => store.put({ ...req.result, name: clean, meta });
+  });
+  return { name: clean, skinType, notes };
+}
+
+export async function saveSettings(vault, settings) {
+  const box = await encryptJson(vault.key, settings);
+  await transact(SETTINGS, "readwrite", (tx) => tx.objectStore(SETTINGS).put({ profileId: vault.profileId, ...box }));
+}
+
+// "Delete all my data": the profile, its settings and every one of its scans, in one transaction
+export function deleteProfile(vault) {
+  return transact([PROFILES, SETTINGS, SCANS], "readwrite", (tx) => {
+    tx.objectStore(PROFILES).delete(vault.profileId);
+    tx.objectStore(SETTINGS).delete(vault.profileId);
+    deleteByIndex(tx.objectStore(SCANS), "profileId", vault.profileId);
+  });
+}
+
+// The whole profile as JSON text. Everything but the name stays encrypted, so the file is as safe as
+// the passphrase, and importing it needs that passphrase.
+export async function exportProfile(vault) {
+  const id = vault.profileId;
+  const row = await transact(PROFILES, "readonly", (tx) => tx.objectStore(PROFILES).get(id));
+  const settings = await transact(SETTINGS, "readonly", (tx) => tx.objectStore(SETTINGS).get(id));
+  const scans = await transact(SCANS, "readonly", (tx) => tx.objectStore(SCANS).index("profileId").getAll(id));
+  const file = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported: new Date().toISOString(),
+    profile: {
+      name: row.name,
+      created: row.created,
+      kdf: { salt: toBase64(row.kdf.salt), iterations: row.kdf.iterations },
+      wrappedKey: boxToJson(row.wrappedKey),
+      meta: boxToJson(row.meta),
+    },
+    settings: settings ? boxToJson(settings) : null,
+    scans: scans.map(boxToJson),
+  };
+  return JSON.stringify(file);
+}
+
+// Adds the exported profile as a new profile (its own ids) and returns it unlocked
+export async function importProfile(text, passphrase) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    file = null;
+  }
+  if (file?.format !== EXPORT_FORMAT || !file.profile) throw new VaultError("Not a SkinScan profile export.");
+  if (file.version !== EXPORT_VERSION) {
+    throw new VaultError(`Profile export version ${file.version}; this app reads version ${EXPORT_VERSION}.`);
+  }
+  const p = file.profile;
+  const row = {
+    name: checkName(p.name),
+    created: Number(p.created) || Date.now(),
+    kdf: { salt: fromBase64(p.kdf?.salt), iterations: Number(p.kdf?.iterations) },
+    wrappedKey: boxFromJson(p.wrappedKey),
+    meta: boxFromJson(p.meta),
+  };
+  const settings = file.settings ? boxFromJson(file.settings) : null;
+  const scans = (file.scans || []).map(boxFromJson);
+
+  const key = await openVault(row, passphrase); // check the passphrase (and the file) before writing anything
+  await decryptJson(key, row.meta);
+
+  const id = await transact([PROFILES, SETTINGS, SCANS], "readwrite", (tx) => {
+    const req = tx.objectStore(PROFILES).add(row);
+    req.onsuccess = () => {
+      if (settings) tx.objectStore(SETTINGS).put({ profileId: req.result, ...settings });
+      for (const box of scans) tx.objectStore(SCANS).add({ profileId: req.result, ...box });
+    };
+    return req;
+  });
+  return unlockProfile(id, passphrase);
+}
+
+// Scans saved before profiles existed: plaintext, in no profile
+export function legacyScanCount() {
+  return transact(SCANS, "readonly", (tx) => tx.objectStore(SCANS).index("ts").count());
+}
+
+export function deleteLegacyData() {
+  for (const k of legacyKeys()) localStorage.removeItem(k);
+  return transact(SCANS, "readwrite", (tx) => {
+    const store = tx.objectStore(SCANS);
+    const req = store.index("ts").openKeyCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * A profile's settings with the localStorage interface (getItem / setItem / removeItem), which is
+ * what ScannerProvider and config.js read and write. Reads are synchronous from memory; every change
+ * goes to save(values) (saveSettings for the unlocked profile), one call at a time so the last change wins.
+ */
+export function profileStorage(settings, save) {
+  const values = { ...settings };
+  let writing = Promise.resolve();
+  const persist = () => {
+    const snapshot = { ...values };
+    writing = writing.then(() => save(snapshot)).catch((e) => console.error(e));
+  };
+  return {
+    getItem: (k) => (Object.prototype.hasOwnProperty.call(values, k) ? values[k] : null),
+    setItem(k, v) {
+      values[k] = String(v);
+      persist();
+    },
+    removeItem(k) {
+      delete values[k];
+      persist();
+    },
+  };
+}
+
+/** ---------- helpers ---------- **/
+
+function checkName(name) {
+  const clean = String(name ?? "").trim();
+  if (!clean) throw new VaultError("Give the profile a name.");
+  if (clean.length > MAX_NAME) throw new VaultError(`Keep the name under ${MAX_NAME} characters.`);
+  return clean;
+}
+
+async function adoptLegacyData(vault) {
+  const rows = await transact(SCANS, "readonly", (tx) => tx.objectStore(SCANS).index("ts").getAll());
+  const boxes = await Promise.all(rows.map(({ id, ...record }) => encryptJson(vault.key, record)));
+  // same ids, so links to them keep working; put() drops the plaintext (and with it the "ts" entry)
+  await transact(SCANS, "readwrite", (tx) => {
+    const store = tx.objectStore(SCANS);
+    rows.forEach((row, i) => store.put({ id: row.id, profileId: vault.profileId, ...boxes[i] }));
+  });
+
+  const settings = {};
+  for (const k of legacyKeys()) {
+    settings[k] = localStorage.getItem(k);
+    localStorage.removeItem(k);
+  }
+  await saveSettings(vault, settings);
+  return settings;
+}
+
+function legacyKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith(LEGACY_PREFIX)) keys.push(k);
+  }
+  return keys;
+}
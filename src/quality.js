@@ -0,0 +1,131 @@
+/**
+ * Capture-quality gate. Auto-inference only fires when every check passes; the first failing
+ * check's prompt is shown as live coaching.
+ *
+ * Inputs (all optional; a missing input skips its check):
+ *   matrix     FaceLandmarker facialTransformationMatrixes[i] ({ data }, 4x4 column-major)
+ *   landmarks  normalized landmarks for this frame
+ *   prevLandmarks  the previous frame's landmarks (motion)
+ *   lighting   0-100 lighting score
+ *   sharpness  Laplacian variance over the face crop (see scoring.js)
+ */
+import { LIGHTING_GATE } from "./scoring";
+
+export const QUALITY_THRESHOLDS = {
+  minLighting: LIGHTING_GATE,
+  maxYaw: 15, // degrees
+  maxPitch: 15,
+  maxRoll: 12,
+  minFaceWidth: 0.25, // fraction of frame width
+  maxFaceWidth: 0.85,
+  maxCenterOffset: 0.15, // face-centre distance from frame centre, fraction of frame
+  minSharpness: 25,
+  maxMotion: 0.02, // mean landmark shift per frame, fraction of face width
+};
+
+// Yaw / pitch / roll in degrees from the face transformation matrix
+export function poseFromMatrix(matrix) {
+  const d = matrix?.data;
+  if (!d || d.length < 16) return null;
+  const R = (r, c) => d[c * 4 + r]; // column-major
+
+  const yaw = Math.asin(Math.max(-1, Math.min(1, -R(2, 0))));
+  const pitch = Math.atan2(R(2, 1), R(2, 2));
+  const roll = Math.atan2(R(1, 0), R(0, 0));
+  const deg = (v) => (v * 180) / Math.PI;
+  return { yaw: deg(yaw), pitch: deg(pitch), roll: deg(roll) };
+}
+
+// Normalized bounding box of the landmarks
+export function faceBox(landmarks) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const p of landmarks) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  return {
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY,
+    cx: (minX + maxX) / 2,
+    cy: (minY + maxY) / 2,
+  };
+}
+
+// Mean landmark displacement between two frames, relative to face width
+export function landmarkMotion(prev, curr) {
+  if (!prev || !curr || prev.length !== curr.length) return null;
+  const width = faceBox(curr).width || 1;
+  let acc = 0;
+  for (let i = 0; i < curr.length; i++) {
+    acc += Math.hypot(curr[i].x - prev[i].x, curr[i].y - prev[i].y);
+  }
+  return acc / curr.length / width;
+}
+
+/**
+ * Returns { ok, prompt, checks: [{ id, label, ok, value, prompt }], pose, box, motion }
+ */
+export function assessQuality({ matrix, landmarks, prevLandmarks, lighting, sharpness }, t = QUALITY_THRESHOLDS) {
+  const checks = [];
+  const add = (id, label, ok, value, prompt) => checks.push({ id, label, ok, value, prompt });
+
+  const box = landmarks ? faceBox(landmarks) : null;
+  if (box) {
+    const sizeOk = box.width >= t.minFaceWidth && box.width <= t.maxFaceWidth;
+    add("size", "Face size", sizeOk, pct(box.width), box.width < t.minFaceWidth ? "Move closer" : "Move back a little");
+
+    const dx = box.cx - 0.5;
+    const dy = box.cy - 0.5;
+    const offset = Math.hypot(dx, dy);
+    // the preview is mirrored, so a face right of centre in the raw frame shows up on the left
+    let prompt;
+    if (Math.abs(dx) >= Math.abs(dy)) prompt = dx > 0 ? "Move right" : "Move left";
+    else prompt = dy > 0 ? "Move up" : "Move down";
+    add("center", "Centered", offset <= t.maxCenterOffset, pct(offset), prompt);
+  }
+
+  const pose = poseFromMatrix(matrix);
+  if (pose) {
+    const yawPrompt = pose.yaw > 0 ? "Turn slightly left" : "Turn slightly right";
+    const pitchPrompt = pose.pitch > 0 ? "Tilt your chin down" : "Tilt your chin up";
+    add("yaw", "Yaw", Math.abs(pose.yaw) <= t.maxYaw, deg(pose.yaw), yawPrompt);
+    add("pitch", "Pitch", Math.abs(pose.pitch) <= t.maxPitch, deg(pose.pitch), pitchPrompt);
+    add("roll", "Roll", Math.abs(pose.roll) <= t.maxRoll, deg(pose.roll), "Keep your head level");
+  }
+
+  if (lighting !== undefined && lighting !== null) {
+    add("lighting", "Lighting", lighting >= t.minLighting, Math.round(lighting), "Find brighter, even light");
+  }
+  if (sharpness !== undefined && sharpness !== null) {
+    add("sharpness", "Sharpness", sharpness >= t.minSharpness, Math.round(sharpness), "Hold still / clean the lens");
+  }
+
+  const motion = landmarkMotion(prevLandmarks, landmarks);
+  if (motion !== null) {
+    add("motion", "Motion", motion <= t.maxMotion, pct(motion), "Hold still");
+  }
+
+  const failed = checks.find((c) => !c.ok);
+  return {
+    ok: checks.length > 0 && !failed,
+    prompt: failed ? failed.prompt : "Looks good — hold still",
+    checks,
+    pose,
+    box,
+    motion,
+  };
+}
+
+function pct(v) {
+  return `${Math.round(v * 100)}%`;
+}
+function deg(v) {
+  return `${Math.round(v)}°`;
+}
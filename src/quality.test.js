@@ -0,0 +1,50 @@
+import { assessQuality, landmarkMotion, poseFromMatrix } from './quality';
+
+// column-major 4x4 rotation about the vertical axis
+function yawMatrix(deg) {
+  const a = (deg * Math.PI) / 180;
+  const c = Math.cos(a);
+  const s = Math.sin(a);
+  return { data: [c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, -40, 1] };
+}
+
+// a centred, frontal "face": 20 landmarks spread over 40% of the frame
+const face = Array.from({ length: 20 }, (_, i) => ({ x: 0.3 + (i % 5) * 0.1, y: 0.3 + Math.floor(i / 5) * 0.1 }));
+
+test('pose from an identity matrix is frontal', () => {
+  const pose = poseFromMatrix({ data: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1] });
+  expect(pose.yaw).toBeCloseTo(0);
+  expect(pose.pitch).toBeCloseTo(0);
+  expect(pose.roll).toBeCloseTo(0);
+});
+
+test('yaw is recovered from the rotation', () => {
+  expect(poseFromMatrix(yawMatrix(25)).yaw).toBeCloseTo(25);
+});
+
+test('motion is relative to face width', () => {
+  const moved = face.map((p) => ({ x: p.x + 0.04, y: p.y }));
+  expect(landmarkMotion(face, moved)).toBeCloseTo(0.1);
+  expect(landmarkMotion(null, face)).toBeNull();
+});
+
+test('all checks pass for a still, sharp, frontal, well-lit face', () => {
+  const q = assessQuality({
+    matrix: yawMatrix(3),
+    landmarks: face,
+    prevLandmarks: face,
+    lighting: 70,
+    sharpness: 80,
+  });
+  expect(q.ok).toBe(true);
+  expect(q.checks.map((c) => c.id)).toEqual(['size', 'center', 'yaw', 'pitch', 'roll', 'lighting', 'sharpness', 'motion']);
+});
+
+test('the first failing check drives the coaching prompt', () => {
+  const q = assessQuality({ matrix: yawMatrix(30), landmarks: face, lighting: 70, sharpness: 80 });
+  expect(q.ok).toBe(false);
+  expect(q.prompt).toBe('Turn slightly left');
+
+  const blurry = assessQuality({ matrix: yawMatrix(0), landmarks: face, lighting: 70, sharpness: 5 });
+  expect(blurry.prompt).toBe('Hold still / clean the lens');
+});
@@ -0,0 +1,301 @@
+import { scoreLabel } from "./config";
+import { acneClassLabel } from "./ml/schema";
+import { REGIONS } from "./regions";
+import DEFAULT_RULES_JSON from "./recommendations.json";
+
+/**
+ * Rule-based skincare suggestions. The content lives in recommendations.json (or a file at
+ * REACT_APP_RULES_URL, same format) so it can be edited without touching the app:
+ *
+ *   {
+ *     "version": 1,
+ *     "disclaimer": "...",                       shown under every result
+ *     "fallback": { title, advice: [] },         shown when no rule fires
+ *     "rules": [{
+ *       "id": "redness-calm",                    unique, stable
+ *       "kind": "escalation" | "routine" | "tip",  escalations ("see a dermatologist") are listed first
+ *       "title": "...",
+ *       "when": <condition>,
+ *       "why"?: "...",                           extra explanation next to the matched conditions
+ *       "advice"?: [], "ingredients"?: [], "avoid"?: []
+ *     }]
+ *   }
+ *
+ * A condition is a test on one metric, or all / any / not of other conditions:
+ *   { "metric": "redness", "min": 60, "max": 90 }           number range (either bound optional)
+ *   { "metric": "redness", "label": "High" }                label() bucket, or a list of buckets
+ *   { "metric": "skinTone.group", "in": ["brown", "dark"] } one of these values
+ *   { "metric": "ml.acne.present", "equals": true }
+ *   { "all": [...] }  { "any": [...] }  { "not": {...} }
+ *
+ * Metrics (see METRICS): the local scores, "regions.<regionId>.<score>", the normalized ML result
+ * (ml/schema.js) and the skin-tone estimate. A metric without a value (no ML result yet, local scores
+ * in a too-dark frame) fails its test, so a "not" around it passes.
+ */
+
+export const RULES_VERSION = 1;
+
+const KINDS = ["escalation", "routine", "tip"];
+const SCORE_KEYS = ["lighting", "redness", "shine", "roughness", "pores", "lines"];
+const LABELS = ["High", "Medium", "Low", "—"];
+
+// metric path -> display name; "label" tests only work on the 0-100 local scores
+export const METRICS = {
+  lighting: "Lighting",
+  redness: "Redness",
+  shine: "Shine/Oil",
+  roughness: "Texture/Dryness",
+  pores: "Pores",
+  lines: "Fine lines",
+  stability: "Stability",
+  "ml.acne.class": "Acne class (ML)",
+  "ml.acne.prob": "Acne probability (ML)",
+  "ml.acne.present": "Acne (ML)",
+  "ml.dryness": "Dryness (ML)",
+  "ml.redness": "Redness (ML)",
+  "skinTone.group": "Skin tone",
+  "skinTone.ita": "ITA°",
+};
+
+export class RulesError extends Error {
+  constructor(message, path = "") {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "RulesError";
+    this.path = path;
+  }
+}
+
+// Validate a rules file (object or JSON text). Throws RulesError naming the offending path.
+export function parseRules(input) {
+  let json = input;
+  if (typeof input === "string") {
+    try {
+      json = JSON.parse(input);
+    } catch (e) {
+      throw new RulesError(`not valid JSON (${e.message})`);
+    }
+  }
+  if (!isObject(json)) throw new RulesError("rules file must be a JSON object");
+  onlyKeys(json, ["version", "disclaimer", "fallback", "rules"], "");
+  if (json.version === undefined) throw new RulesError(`missing "version" (this app reads version ${RULES_VERSION})`);
+  if (json.version !== RULES_VERSION) throw new RulesError(`this app reads version ${RULES_VERSION}`, "version");
+  if (!Array.isArray(json.rules)) throw new RulesError("must be an array", "rules");
+
+  const ids = new Set();
+  const rules = json.rules.map((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!isObject(rule)) throw new RulesError("must be an object", at);
+    onlyKeys(rule, ["id", "kind", "title", "when", "why", "advice", "ingredients", "avoid"], at);
+    if (typeof rule.id !== "string" || !rule.id) throw new RulesError("must be a non-empty string", `${at}.id`);
+    if (ids.has(rule.id)) throw new RulesError(`duplicate id "${rule.id}"`, `${at}.id`);
+    ids.add(rule.id);
+    if (!KINDS.includes(rule.kind)) throw new RulesError(`must be one of ${KINDS.join(", ")}`, `${at}.kind`);
+    if (typeof rule.title !== "string" || !rule.title) throw new RulesError("must be a non-empty string", `${at}.title`);
+    if (rule.why !== undefined && typeof rule.why !== "string") throw new RulesError("must be a string", `${at}.why`);
+    checkCondition(rule.when, `${at}.when`);
+    return {
+      id: rule.id,
+      kind: rule.kind,
+      title: rule.title,
+      when: rule.when,
+      why: rule.why || null,
+      advice: stringList(rule.advice, `${at}.advice`),
+      ingredients: stringList(rule.ingredients, `${at}.ingredients`),
+      avoid: stringList(rule.avoid, `${at}.avoid`),
+    };
+  });
+
+  let fallback = null;
+  if (json.fallback !== undefined) {
+    if (!isObject(json.fallback) || typeof json.fallback.title !== "string") {
+      throw new RulesError("must be { title, advice }", "fallback");
+    }
+    onlyKeys(json.fallback, ["title", "advice"], "fallback");
+    fallback = { title: json.fallback.title, advice: stringList(json.fallback.advice, "fallback.advice") };
+  }
+  if (json.disclaimer !== undefined && typeof json.disclaimer !== "string") {
+    throw new RulesError("must be a string", "disclaimer");
+  }
+  return { version: json.version, disclaimer: json.disclaimer || "", fallback, rules };
+}
+
+export const DEFAULT_RULES = parseRules(DEFAULT_RULES_JSON);
+
+export async function loadRulesUrl(url, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  let res;
+  try {
+    res = await fetchImpl(url, { cache: "no-store" });
+  } catch (e) {
+    throw new RulesError(`couldn't fetch ${url} (${e?.message || String(e)})`);
+  }
+  if (!res.ok) throw new RulesError(`couldn't fetch ${url} (HTTP ${res.status})`);
+  return parseRules(await res.text());
+}
+
+/**
+ * What the rules are evaluated against. Local scores are left out (null) when the frame was too dark
+ * to score them (lighting < lightingGate), so rules on them don't fire on zeros.
+ *   scores / regionScores: App's smoothed scores; mlResult: normalized ML result or null
+ *   labels: config.labels (label() buckets); classMap: acne class labels for the explanations
+ */
+export function scanFacts({ scores, regionScores = {}, mlResult = null, skinTone = null, stability = null, labels, lightingGate, classMap = null }) {
+  const lit = scores.lighting >= lightingGate;
+  const local = Object.fromEntries(SCORE_KEYS.map((k) => [k, lit || k === "lighting" ? scores[k] ?? null : null]));
+  return {
+    ...local,
+    regions: lit ? regionScores : {},
+    stability,
+    ml: mlResult
+      ? {
+          acne: { class: mlResult.acne.class, prob: mlResult.acne.prob, present: mlResult.acne.present },
+          dryness: mlResult.dryness,
+          redness: mlResult.redness,
+        }
+      : null,
+    skinTone: skinTone ? { group: skinTone.group, ita: skinTone.ita } : null,
+    labels,
+    classMap,
+  };
+}
+
+/**
+ * Rules that fire for `facts` (scanFacts), escalations first, otherwise in file order:
+ *   [{ id, kind, title, why, advice, ingredients, avoid, reasons: ["Redness 68 (High)", ...] }]
+ * reasons = the conditions that matched, with the values that matched them.
+ */
+export function recommend(rules, facts) {
+  const fired = [];
+  for (const rule of rules.rules) {
+    const reasons = [];
+    if (!evaluate(rule.when, facts, reasons)) continue;
+    const { when, ...rest } = rule;
+    fired.push({ ...rest, reasons });
+  }
+  return [...fired.filter((r) => r.kind === "escalation"), ...fired.filter((r) => r.kind !== "escalation")];
+}
+
+/** ---------- helpers ---------- **/
+
+// true/false; pushes a description of every matched test onto `reasons`
+function evaluate(cond, facts, reasons) {
+  if (cond.all) {
+    const mine = [];
+    if (!cond.all.every((c) => evaluate(c, facts, mine))) return false;
+    reasons.push(...mine);
+    return true;
+  }
+  if (cond.any) {
+    let hit = false;
+    for (const c of cond.any) hit = evaluate(c, facts, reasons) || hit;
+    return hit;
+  }
+  if (cond.not) {
+    if (evaluate(cond.not, facts, [])) return false;
+    reasons.push(`not: ${describe(cond.not)}`);
+    return true;
+  }
+
+  const value = valueOf(facts, cond.metric);
+  if (value === null || value === undefined) return false;
+  let ok = true;
+  if (cond.min !== undefined) ok = ok && value >= cond.min;
+  if (cond.max !== undefined) ok = ok && value <= cond.max;
+  if (cond.label !== undefined) ok = ok && [].concat(cond.label).includes(scoreLabel(value, facts.labels));
+  if (cond.in !== undefined) ok = ok && cond.in.includes(value);
+  if (cond.equals !== undefined) ok = ok && value === cond.equals;
+  if (ok) reasons.push(`${metricName(cond.metric)} ${formatValue(cond, value, facts)}`);
+  return ok;
+}
+
+function valueOf(facts, path) {
+  return path.split(".").reduce((node, k) => (node === null || node === undefined ? null : node[k]), facts);
+}
+
+function formatValue(cond, value, facts) {
+  const v = typeof value === "number" ? String(Math.round(value * 100) / 100) : String(value);
+  if (cond.label !== undefined) return `${v} (${scoreLabel(value, facts.labels)})`;
+  if (cond.metric === "ml.acne.class") return acneClassLabel(value, facts.classMap || undefined);
+  if (cond.min !== undefined || cond.max !== undefined) return `${v} (${rangeText(cond)})`;
+  return v;
+}
+
+// Condition as text, for "not" (there's no matching value to show)
+function describe(cond) {
+  if (cond.all) return cond.all.map(describe).join(" and ");
+  if (cond.any) return `(${cond.any.map(describe).join(" or ")})`;
+  if (cond.not) return `not ${describe(cond.not)}`;
+  const name = metricName(cond.metric);
+  if (cond.label !== undefined) return `${name} ${[].concat(cond.label).join(" / ")}`;
+  if (cond.in !== undefined) return `${name} in ${cond.in.join(", ")}`;
+  if (cond.equals !== undefined) return `${name} = ${cond.equals}`;
+  return `${name} ${rangeText(cond)}`;
+}
+
+function rangeText({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}–${max}`;
+  return min !== undefined ? `≥ ${min}` : `≤ ${max}`;
+}
+
+function metricName(path) {
+  if (METRICS[path]) return METRICS[path];
+  const [, id, key] = path.split(".");
+  return `${REGIONS.find((r) => r.id === id)?.label || id} ${METRICS[key]?.toLowerCase() || key}`;
+}
+
+function checkCondition(cond, path) {
+  if (!isObject(cond)) throw new RulesError("must be a condition object", path);
+  const combinators = ["all", "any", "not"].filter((k) => k in cond);
+  if (combinators.length) {
+    if (combinators.length > 1 || Object.keys(cond).length > 1) {
+      throw new RulesError(`"${combinators[0]}" can't be combined with other keys`, path);
+    }
+    const [key] = combinators;
+    if (key === "not") return checkCondition(cond.not, `${path}.not`);
+    if (!Array.isArray(cond[key]) || cond[key].length === 0) throw new RulesError("must be a non-empty array", `${path}.${key}`);
+    cond[key].forEach((c, i) => checkCondition(c, `${path}.${key}[${i}]`));
+    return;
+  }
+
+  onlyKeys(cond, ["metric", "min", "max", "label", "in", "equals"], path);
+  if (!isMetric(cond.metric)) throw new RulesError(`unknown metric "${cond.metric}"`, `${path}.metric`);
+  const tests = ["min", "max", "label", "in", "equals"].filter((k) => k in cond);
+  if (!tests.length) throw new RulesError("needs a test (min, max, label, in or equals)", path);
+  for (const k of ["min", "max"]) {
+    if (k in cond && (typeof cond[k] !== "number" || !Number.isFinite(cond[k]))) {
+      throw new RulesError("must be a number", `${path}.${k}`);
+    }
+  }
+  if ("label" in cond) {
+    const key = cond.metric.split(".").pop();
+    if (!SCORE_KEYS.includes(key) || cond.metric.startsWith("ml.")) {
+      throw new RulesError("label tests only work on the 0–100 local scores", `${path}.label`);
+    }
+    const bad = [].concat(cond.label).filter((l) => !LABELS.includes(l));
+    if (bad.length || !cond.label.length) throw new RulesError(`must be one or more of ${LABELS.join(", ")}`, `${path}.label`);
+  }
+  if ("in" in cond && (!Array.isArray(cond.in) || cond.in.length === 0)) {
+    throw new RulesError("must be a non-empty array", `${path}.in`);
+  }
+}
+
+function isMetric(path) {
+  if (typeof path !== "string") return false;
+  if (METRICS[path]) return true;
+  const [root, id, key, ...rest] = path.split(".");
+  return root === "regions" && REGIONS.some((r) => r.id === id) && SCORE_KEYS.includes(key) && !rest.length;
+}
+
+function stringList(value, path) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) throw new RulesError("must be an array of strings", path);
+  return [...value];
+}
+
+function onlyKeys(obj, allowed, path) {
+  const extra = Object.keys(obj).find((k) => !allowed.includes(k));
+  if (extra) throw new RulesError("unknown key", path ? `${path}.${extra}` : extra);
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
@@ -0,0 +1,98 @@
+import { DEFAULT_CONFIG } from './config';
+import { normalizeMlResponse } from './ml';
+import { DEFAULT_RULES, RULES_VERSION, RulesError, loadRulesUrl, parseRules, recommend, scanFacts } from './recommendations';
+
+const calm = { lighting: 60, redness: 40, shine: 10, roughness: 5, pores: 5, lines: 0 };
+
+function facts({ scores = calm, regionScores = {}, ml = null, skinTone = null } = {}) {
+  return scanFacts({
+    scores,
+    regionScores,
+    mlResult: ml && normalizeMlResponse({ ok: true, ...ml }),
+    skinTone,
+    labels: DEFAULT_CONFIG.labels,
+    lightingGate: DEFAULT_CONFIG.scoring.lightingGate,
+  });
+}
+const ids = (items) => items.map((r) => r.id);
+const errorOf = (input) => {
+  try {
+    parseRules(input);
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+const rules = (when, extra = {}) => ({ version: RULES_VERSION, rules: [{ id: 'r', kind: 'tip', title: 'T', when, ...extra }] });
+
+test('the built-in rules file is valid and quiet for calm skin', () => {
+  expect(DEFAULT_RULES.version).toBe(RULES_VERSION);
+  expect(DEFAULT_RULES.fallback.advice.length).toBeGreaterThan(0);
+  expect(recommend(DEFAULT_RULES, facts())).toEqual([]);
+});
+
+test('scores, labels and ML outputs fire rules, escalations first, with the reasons', () => {
+  const items = recommend(
+    DEFAULT_RULES,
+    facts({ scores: { ...calm, redness: 90, shine: 80 }, ml: { acne_class: 3 } })
+  );
+  expect(ids(items).slice(0, 2)).toEqual(['acne-severe', 'redness-very-high']);
+  expect(items.slice(2).every((r) => r.kind !== 'escalation')).toBe(true);
+  expect(ids(items)).toContain('oil-control');
+  expect(ids(items)).not.toContain('redness-calm'); // the escalation covers very strong redness
+
+  expect(items[0].reasons).toEqual(['Acne class (ML) 3 (Severe)']);
+  expect(items[1].reasons).toEqual(['Redness 90 (≥ 85)']);
+  expect(items.find((r) => r.id === 'oil-control').reasons).toEqual(['Shine/Oil 80 (High)']);
+  expect(items[0].when).toBeUndefined();
+});
+
+test('region scores and skin tone are facts too', () => {
+  const oily = recommend(DEFAULT_RULES, facts({ regionScores: { nose: { ...calm, shine: 90 } } }));
+  expect(oily.map((r) => [r.id, r.reasons])).toEqual([['oil-control', ['Nose shine/oil 90 (≥ 75)']]]);
+
+  const ml = { acne_class: 1 };
+  expect(ids(recommend(DEFAULT_RULES, facts({ ml })))).toEqual(['acne-mild-moderate']);
+  const deep = recommend(DEFAULT_RULES, facts({ ml, skinTone: { group: 'brown', ita: -40 } }));
+  expect(ids(deep)).toEqual(['acne-mild-moderate', 'marks-deeper-skin']);
+  expect(deep[1].reasons).toEqual(['Skin tone brown', 'Acne class (ML) 1 (Mild)']);
+});
+
+test('missing values never fire a rule; a too-dark frame hides the local scores', () => {
+  const dark = facts({ scores: { ...calm, lighting: 10, redness: 95 } });
+  expect(dark.redness).toBeNull();
+  expect(dark.lighting).toBe(10);
+  expect(recommend(DEFAULT_RULES, dark)).toEqual([]);
+
+  const notAcne = parseRules(rules({ not: { metric: 'ml.acne.present', equals: true } }));
+  expect(recommend(notAcne, facts())[0].reasons).toEqual(['not: Acne (ML) = true']);
+  expect(recommend(notAcne, facts({ ml: { acne_prob: 0.9 } }))).toEqual([]);
+});
+
+test('parseRules rejects bad files with the offending path', () => {
+  expect(errorOf('{')).toBeInstanceOf(RulesError);
+  expect(errorOf({ version: 2, rules: [] }).message).toMatch(/^version: this app reads version 1/);
+  expect(errorOf(rules({ metric: 'acne', min: 1 })).path).toBe('rules[0].when.metric');
+  expect(errorOf(rules({ metric: 'regions.cheek.redness', min: 1 })).path).toBe('rules[0].when.metric');
+  expect(errorOf(rules({ metric: 'ml.dryness', label: 'High' })).path).toBe('rules[0].when.label');
+  expect(errorOf(rules({ metric: 'redness', label: 'Very high' })).path).toBe('rules[0].when.label');
+  expect(errorOf(rules({ metric: 'redness' })).message).toMatch(/needs a test/);
+  expect(errorOf(rules({ all: [] })).path).toBe('rules[0].when.all');
+  expect(errorOf(rules({ any: [{ metric: 'redness', min: '60' }] })).path).toBe('rules[0].when.any[0].min');
+  expect(errorOf(rules({ metric: 'redness', min: 60 }, { kind: 'warning' })).path).toBe('rules[0].kind');
+  expect(errorOf(rules({ metric: 'redness', min: 60 }, { advice: 'x' })).path).toBe('rules[0].advice');
+  expect(errorOf(rules({ metric: 'redness', min: 60 }, { colour: 'red' })).path).toBe('rules[0].colour');
+
+  const twice = rules({ metric: 'redness', min: 60 });
+  twice.rules.push(twice.rules[0]);
+  expect(errorOf(twice).path).toBe('rules[1].id');
+});
+
+test('loadRulesUrl validates what it fetches', async () => {
+  const body = JSON.stringify(rules({ metric: 'redness', min: 60 }));
+  const ok = jest.fn(async () => ({ ok: true, status: 200, text: async () => body }));
+  expect((await loadRulesUrl('https://rules.test/r.json', { fetchImpl: ok })).rules[0].id).toBe('r');
+  const missing = jest.fn(async () => ({ ok: false, status: 404, text: async () => '' }));
+  await expect(loadRulesUrl('https://rules.test/r.json', { fetchImpl: missing })).rejects.toThrow(/HTTP 404/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Facial region registry. Indices are MediaPipe FaceLandmarker (478-point) mesh indices, listed in
+ * polygon order. "left"/"right" are as seen in the un-mirrored camera frame.
+ *
+ *   id       stable key (scores, history records, toggles)
+ *   color    overlay fill
+ *   indices  outline
+ *   exclude  optional outlines cut out of the region (e.g. lips out of perioral)
+ */
+
+const LIPS_OUTER = [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291, 375, 321, 405, 314, 17, 84, 181, 91, 146];
+const LEFT_EYE = [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246];
+const RIGHT_EYE = [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466];
+
+// Jawline + hairline outline of the whole face, and the two eye openings (upload redaction)
+export const FACE_OVAL = [
+  10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150,
+  136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109,
+];
+export const EYE_OUTLINES = [LEFT_EYE, RIGHT_EYE];
+
+export const REGIONS = [
+  {
+    id: "leftCheek",
+    label: "Left cheek",
+    color: "rgba(0,255,0,0.20)",
+    indices: [50, 187, 205, 36, 142, 126, 100, 47],
+  },
+  {
+    id: "rightCheek",
+    label: "Right cheek",
+    color: "rgba(0,200,120,0.20)",
+    indices: [280, 411, 425, 266, 371, 355, 329, 277],
+  },
+  {
+    id: "nose",
+    label: "Nose",
+    color: "rgba(255,200,0,0.22)",
+    indices: [1, 2, 98, 327, 168],
+  },
+  {
+    id: "noseBridge",
+    label: "Nose bridge",
+    color: "rgba(255,140,0,0.22)",
+    indices: [168, 417, 351, 195, 122, 193],
+  },
+  {
+    id: "forehead",
+    label: "Forehead",
+    color: "rgba(0,160,255,0.20)",
+    indices: [109, 10, 338, 297, 299, 296, 336, 9, 107, 66, 69, 67],
+  },
+  {
+    id: "chin",
+    label: "Chin",
+    color: "rgba(160,80,255,0.20)",
+    indices: [18, 313, 406, 418, 262, 369, 400, 377, 152, 148, 176, 140, 32, 194, 182, 83],
+  },
+  {
+    id: "perioral",
+    label: "Perioral",
+    color: "rgba(255,80,160,0.20)",
+    indices: [164, 393, 391, 322, 410, 287, 273, 335, 406, 313, 18, 83, 182, 106, 43, 57, 186, 92, 165, 167],
+    exclude: [LIPS_OUTER],
+  },
+  {
+    id: "leftUnderEye",
+    label: "Left under-eye",
+    color: "rgba(0,220,220,0.22)",
+    indices: [226, 31, 228, 229, 230, 231, 232, 233, 128, 121, 120, 119, 118, 117, 111, 35],
+  },
+  {
+    id: "rightUnderEye",
+    label: "Right under-eye",
+    color: "rgba(0,180,255,0.22)",
+    indices: [446, 261, 448, 449, 450, 451, 452, 453, 357, 350, 349, 348, 347, 346, 340, 265],
+  },
+];
+
+export const REGION_IDS = REGIONS.map((r) => r.id);
+
+// Which regions feed the headline Lighting / Redness / Shine / texture numbers (always scored, even
+// when their overlay is toggled off, so the lighting gate keeps working).
+export const HEADLINE = {
+  lighting: ["leftCheek", "rightCheek"],
+  redness: ["leftCheek", "rightCheek"],
+  shine: ["nose"],
+  roughness: ["leftCheek", "rightCheek"],
+  pores: ["nose", "leftCheek", "rightCheek"],
+  lines: ["forehead", "leftUnderEye", "rightUnderEye"],
+};
+
+// Landmark areas that should be close to white, used by the "reference" white-balance method.
+// Eyes minus irises (sclera) and the inner-lip opening (teeth, when the mouth is open).
+export const WB_REFERENCE_REGIONS = [
+  {
+    id: "leftSclera",
+    indices: LEFT_EYE,
+    exclude: [[469, 470, 471, 472]],
+  },
+  {
+    id: "rightSclera",
+    indices: RIGHT_EYE,
+    exclude: [[474, 475, 476, 477]],
+  },
+  {
+    id: "teeth",
+    indices: [78, 191, 80, 81, 82, 13, 312, 311, 310, 415, 308, 324, 318, 402, 317, 14, 87, 178, 88, 95],
+  },
+];
+
+export function regionById(id, registry = REGIONS) {
+  return registry.find((r) => r.id === id);
+}
+
+// Landmarks -> [{ id, label, color, poly, exclude }] in frame pixels, for the given region ids.
+// `registry` defaults to REGIONS; the app passes the configured index lists (configuredRegions in config.js).
+export function buildRegions(lm, ids, w, h, registry = REGIONS) {
+  return ids
+    .map((id) => regionById(id, registry))
+    .filter(Boolean)
+    .map((r) => toPolys(r, lm, w, h));
+}
+
+export function buildReferenceRegions(lm, w, h) {
+  return WB_REFERENCE_REGIONS.map((r) => toPolys(r, lm, w, h));
+}
+
+function toPolys(r, lm, w, h) {
+  return {
+    id: r.id,
+    label: r.label,
+    color: r.color,
+    poly: polyFrom(lm, r.indices, w, h),
+    exclude: (r.exclude || []).map((idxs) => polyFrom(lm, idxs, w, h)),
+  };
+}
+
+export function toPx(p, w, h) {
+  return { x: p.x * w, y: p.y * h };
+}
+export function polyFrom(lm, idxs, w, h) {
+  return idxs.map((i) => toPx(lm[i], w, h));
+}
@@ -0,0 +1,342 @@
+import { MEDIAPIPE_MODEL, MEDIAPIPE_VERSION } from "./mediapipeAssets";
+import { acneClassLabel } from "./ml/schema";
+import { REGIONS, regionById } from "./regions";
+import { LIGHTING_GATE } from "./scoring";
+
+/**
+ * Exportable scan reports: a JSON record, a printable HTML page (print -> "Save as PDF") and a CSV
+ * of the saved history. Everything is generated in the browser; nothing is uploaded.
+ *
+ * Report shape (reportVersion 1):
+ *   {
+ *     reportVersion, createdAt (ISO), source: "camera" | "photo" | "session",
+ *     app: { landmarker, landmarkerModel },
+ *     scores: { lighting, redness, shine, roughness, pores, lines, lightingOk },
+ *         (roughness / pores / lines: texture scores, scoring/texture.js; null in older saves)
+ *     regions: { [regionId]: { lighting, redness, shine, roughness, pores, lines } },
+ *     stability: 0..1 | null,
+ *     skinTone: null | { ita, L, a, b, group, label, fitzpatrick, exposureNormalized, shift, applied }
+ *         (scoring/skinTone.js; applied = redness was normalized to it)
+ *     ml: null | { backend, modelVersion, schemaVersion, shape, acne, redness, dryness, classMap, lesions, frames },
+ *         (classMap: class labels the model reported, or null; lesions: number of lesion boxes)
+ *     recommendations: [{ id, kind, title, why, reasons, advice, ingredients, avoid }]
+ *         (rules that fired, recommendations.js; [] when none did or in older reports)
+ *     settings: { whiteBalance, smoothing, inference },
+ *     config: the app config the scores were computed with (config.js), or null
+ *     snapshot: JPEG data URL of the frame with the ROI overlay composited, or null
+ *   }
+ */
+export const REPORT_VERSION = 1;
+
+const METRICS = ["lighting", "redness", "shine", "roughness", "pores", "lines"];
+
+export function buildReport({
+  scores,
+  regionScores = {},
+  mlResult = null,
+  stability = null,
+  skinTone = null,
+  recommendations = [],
+  source = "camera",
+  settings = {},
+  config = null,
+  snapshot = null,
+  ts = Date.now(),
+}) {
+  return {
+    reportVersion: REPORT_VERSION,
+    createdAt: new Date(ts).toISOString(),
+    source,
+    app: { landmarker: `@mediapipe/tasks-vision ${MEDIAPIPE_VERSION}`, landmarkerModel: MEDIAPIPE_MODEL },
+    scores: {
+      lighting: scores.lighting,
+      redness: scores.redness,
+      shine: scores.shine,
+      roughness: scores.roughness ?? null,
+      pores: scores.pores ?? null,
+      lines: scores.lines ?? null,
+      lightingOk: scores.lightingOk ?? scores.lighting >= LIGHTING_GATE,
+    },
+    regions: regionScores,
+    stability,
+    skinTone: skinTone && {
+      ita: skinTone.ita,
+      L: skinTone.L,
+      a: skinTone.a,
+      b: skinTone.b,
+      group: skinTone.group,
+      label: skinTone.label,
+      fitzpatrick: skinTone.fitzpatrick,
+      exposureNormalized: skinTone.exposureNormalized,
+      shift: skinTone.shift,
+      applied: skinTone.applied,
+    },
+    ml: mlResult
+      ? {
+          backend: mlResult.backend ?? "remote",
+          modelVersion: mlResult.modelVersion ?? null,
+          schemaVersion: mlResult.schemaVersion,
+          shape: mlResult.shape,
+          acne: mlResult.acne,
+          redness: mlResult.redness,
+          dryness: mlResult.dryness,
+          classMap: mlResult.classMap ?? null,
+          lesions: mlResult.lesions?.length ?? 0,
+          frames: mlResult.frames ?? 1,
+        }
+      : null,
+    recommendations,
+    settings,
+    config,
+    snapshot,
+  };
+}
+
+// Frame + overlay canvas composited at the frame's resolution (camera orientation, not mirrored)
+export function captureAnnotatedSnapshot(el, overlay, w, h, maxSide = 1024) {
+  if (!el || !w || !h) return null;
+  const k = Math.min(1, maxSide / Math.max(w, h));
+  const c = document.createElement("canvas");
+  c.width = Math.round(w * k);
+  c.height = Math.round(h * k);
+  const ctx = c.getContext("2d");
+  ctx.drawImage(el, 0, 0, c.width, c.height);
+  if (overlay && overlay.width && overlay.height) ctx.drawImage(overlay, 0, 0, c.width, c.height);
+  return c.toDataURL("image/jpeg", 0.9);
+}
+
+/** ---------- printable HTML ---------- **/
+
+export function reportToHtml(report, { autoPrint = false } = {}) {
+  const when = new Date(report.createdAt).toLocaleString();
+  const s = report.scores;
+  const ml = report.ml;
+
+  const regionRows = Object.entries(report.regions || {})
+    .map(
+      ([id, r]) =>
+        `<tr><td>${esc(regionById(id)?.label || id)}</td>${METRICS.map((m) => `<td>${fmt(r[m])}</td>`).join("")}</tr>`
+    )
+    .join("");
+
+  const mlRows = ml
+    ? [
+        ["Acne class", ml.classMap && ml.shape !== "multi" ? acneClassLabel(ml.acne?.class, ml.classMap) : ml.acne?.class],
+        ["Acne probability", ml.acne?.prob === null || ml.acne?.prob === undefined ? null : `${Math.round(ml.acne.prob * 100)}%`],
+        ["Acne present", ml.acne?.present === null || ml.acne?.present === undefined ? null : ml.acne.present ? "Yes" : "No"],
+        ["Redness (ML)", ml.redness],
+        ["Dryness (ML)", ml.dryness],
+        ["Lesions marked", ml.lesions || null],
+        ["Model", `${ml.backend === "local" ? "on-device" : "remote"}${ml.modelVersion ? ` · ${ml.modelVersion}` : ""}`],
+        ["Frames", ml.frames],
+      ]
+        .map(([k, v]) => `<tr><td>${esc(k)}</td><td>${fmt(v)}</td></tr>`)
+        .join("")
+    : `<tr><td colspan="2">No ML result</td></tr>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Skin scan report – ${esc(when)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #111; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  .meta { color: #555; font-size: 13px; margin-bottom: 16px; }
+  .cards { display: flex; gap: 12px; margin: 12px 0; }
+  .card { border: 1px solid #333; border-radius: 10px; padding: 8px 14px; min-width: 110px; }
+  .card b { display: block; font-size: 26px; }
+  table { border-collapse: collapse; margin: 8px 0 16px; font-size: 13px; }
+  td, th { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+  img { max-width: 100%; max-height: 420px; border-radius: 8px; }
+  .note { color: #666; font-size: 12px; }
+  @media print { body { margin: 0; } .card, table, img { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Skin scan report</h1>
+<div class="meta">${esc(when)} · source: ${esc(report.source)} · ${esc(report.app.landmarker)}</div>
+${report.snapshot ? `<img src="${esc(report.snapshot)}" alt="Annotated frame" />` : ""}
+<div class="cards">
+  ${METRICS.map((m) => `<div class="card">${esc(cap(m))}<b>${fmt(s[m])}</b></div>`).join("")}
+</div>
+${s.lightingOk ? "" : `<p class="note">Lighting was below the reliable range; the colour and texture scores may be inaccurate.</p>`}
+${report.skinTone ? `<p class="note">${esc(skinToneText(report.skinTone))}</p>` : ""}
+<h2>Regions</h2>
+<table>
+  <tr><th>Region</th>${METRICS.map((m) => `<th>${esc(cap(m))}</th>`).join("")}</tr>
+  ${regionRows || `<tr><td colspan="${METRICS.length + 1}">No region scores</td></tr>`}
+</table>
+<h2>ML</h2>
+<table>${mlRows}</table>
+${recommendationsHtml(report.recommendations)}
+<p class="note">
+  Settings: ${Object.entries(report.settings || {})
+    .map(([k, v]) => `${esc(k)} = ${esc(typeof v === "object" ? JSON.stringify(v) : String(v))}`)
+    .join(" · ") || "—"}<br />
+  Scores are 0–100 screening indicators from a phone/webcam image, not a diagnosis.
+</p>
+${autoPrint ? "<script>window.addEventListener('load', () => window.print());</script>" : ""}
+</body>
+</html>
+`;
+}
+
+function recommendationsHtml(items = []) {
+  if (!items.length) return "";
+  const list = (label, xs) => (xs?.length ? `<br />${esc(label)}: ${xs.map(esc).join(", ")}` : "");
+  return `<h2>Recommendations</h2>
+<ul>
+${items
+  .map(
+    (r) =>
+      `  <li><b>${esc(r.title)}</b>${r.kind === "escalation" ? " (see a professional)" : ""}` +
+      `<br /><span class="note">Why: ${esc([...(r.reasons || []), r.why].filter(Boolean).join(" · "))}</span>` +
+      list("Advice", r.advice) +
+      list("Look for", r.ingredients) +
+      list("Avoid", r.avoid) +
+      "</li>"
+  )
+  .join("\n")}
+</ul>`;
+}
+
+/** ---------- CSV (saved history) ---------- **/
+
+// texture columns come last so the older columns keep their positions
+const CSV_COLUMNS = [
+  "ts",
+  "date",
+  "source",
+  "lighting",
+  "redness",
+  "shine",
+  "acneClass",
+  "acneProb",
+  "dryness",
+  "mlRedness",
+  "roughness",
+  "pores",
+  "lines",
+];
+
+// One row per saved scan (historyStore records), plus <region>.<metric> columns for every region
+export function scansToCsv(scans) {
+  const regionIds = REGIONS.map((r) => r.id).filter((id) => scans.some((s) => s.regions?.[id]));
+  const header = [...CSV_COLUMNS, ...regionIds.flatMap((id) => METRICS.map((m) => `${id}.${m}`))];
+  const rows = scans.map((s) => [
+    s.ts,
+    new Date(s.ts).toISOString(),
+    s.source,
+    s.lighting,
+    s.redness,
+    s.shine,
+    s.acneClass,
+    s.acneProb,
+    s.dryness,
+    s.mlRedness,
+    s.roughness,
+    s.pores,
+    s.lines,
+    ...regionIds.flatMap((id) => METRICS.map((m) => s.regions?.[id]?.[m])),
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+const TIMELINE_COLUMNS = [
+  "t",
+  "face",
+  "lighting",
+  "redness",
+  "shine",
+  "roughness",
+  "pores",
+  "lines",
+  "quality",
+  "acneClass",
+  "acneProb",
+  "dryness",
+  "mlRedness",
+  "mlError",
+];
+
+// One row per analysed video frame (videoFile.js timeline points), for attaching to bug reports
+export function timelineToCsv(points) {
+  const rows = points.map((p) => {
+    const r = p.ml?.result;
+    return [
+      p.t,
+      p.face ? 1 : 0,
+      p.face ? p.lighting : null,
+      p.face ? p.redness : null,
+      p.face ? p.shine : null,
+      p.face ? p.roughness : null,
+      p.face ? p.pores : null,
+      p.face ? p.lines : null,
+      p.quality ? (p.quality.ok ? "ok" : p.quality.prompt) : null,
+      r?.acne.class,
+      r?.acne.prob,
+      r?.dryness,
+      r?.redness,
+      p.ml?.error,
+    ];
+  });
+  return [TIMELINE_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** ---------- download / print ---------- **/
+
+export function reportFileName(report, ext, kind) {
+  const d = new Date(report?.createdAt ?? Date.now());
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  return `skinscan-${kind ?? (report ? "report" : "history")}-${stamp}.${ext}`;
+}
+
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Opens the HTML report in a new tab and brings up the print dialog ("Save as PDF")
+export function printReport(report) {
+  const url = URL.createObjectURL(new Blob([reportToHtml(report, { autoPrint: true })], { type: "text/html" }));
+  const win = window.open(url, "_blank");
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  return Boolean(win);
+}
+
+/** ---------- helpers ---------- **/
+
+function esc(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function fmt(v) {
+  return v === null || v === undefined || v === "" ? "—" : esc(v);
+}
+
+function skinToneText(t) {
+  const tone = `Estimated skin tone: ITA ${Math.round(t.ita)}° (${t.label}, ≈ Fitzpatrick ${t.fitzpatrick}).`;
+  return t.applied ? `${tone} Redness was normalized to it.` : tone;
+}
+
+function cap(s) {
+  return s[0].toUpperCase() + s.slice(1);
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,70 @@
+import { normalizeMlResponse } from './ml';
+import { buildReport, reportToHtml, scansToCsv, timelineToCsv } from './report';
+
+const scores = { lighting: 72, redness: 41, shine: 9 };
+const regions = { leftCheek: { lighting: 70, redness: 40, shine: 8 }, nose: { lighting: 75, redness: 20, shine: 30 } };
+
+test('buildReport records scores, ML outputs and metadata', () => {
+  const ml = { ...normalizeMlResponse({ ok: true, acne_class: 2, model_version: 'v7' }), backend: 'remote' };
+  const r = buildReport({ scores, regionScores: regions, mlResult: ml, ts: Date.UTC(2025, 2, 3), settings: { whiteBalance: 'off' } });
+
+  expect(r).toMatchObject({
+    reportVersion: 1,
+    createdAt: '2025-03-03T00:00:00.000Z',
+    scores: { lighting: 72, lightingOk: true },
+    regions,
+    ml: { backend: 'remote', modelVersion: 'v7', acne: { class: 2 }, frames: 1 },
+    settings: { whiteBalance: 'off' },
+  });
+  expect(r.app.landmarker).toMatch(/tasks-vision \d/);
+  expect(buildReport({ scores: { lighting: 10, redness: 0, shine: 0 } })).toMatchObject({
+    ml: null,
+    scores: { lightingOk: false },
+  });
+});
+
+test('HTML report escapes values and lists regions', () => {
+  const r = buildReport({ scores, regionScores: regions, settings: { note: '<script>x</script>' } });
+  const html = reportToHtml(r);
+  expect(html).toContain('Left cheek');
+  expect(html).toContain('No ML result');
+  expect(html).not.toContain('<script>x');
+  expect(html).not.toContain('window.print');
+  expect(reportToHtml(r, { autoPrint: true })).toContain('window.print');
+  expect(html).not.toContain('Recommendations');
+
+  const advised = buildReport({
+    scores,
+    recommendations: [{ id: 'x', kind: 'escalation', title: 'See a <doctor>', reasons: ['Redness 90'], advice: ['Soon'] }],
+  });
+  expect(advised.recommendations[0].id).toBe('x');
+  expect(reportToHtml(advised)).toContain('<b>See a &lt;doctor&gt;</b> (see a professional)');
+  expect(reportToHtml(advised)).toContain('Why: Redness 90');
+});
+
+test('scansToCsv writes one row per scan with region columns', () => {
+  const csv = scansToCsv([
+    { ts: 0, source: 'camera', ...scores, regions, acneClass: 1, acneProb: null, dryness: null, mlRedness: null },
+    { ts: 1000, source: 'photo, edited', lighting: 50, redness: 30, shine: 5, regions: {} },
+  ]);
+  const lines = csv.trim().split('\r\n');
+  expect(lines).toHaveLength(3);
+  expect(lines[0].split(',')).toEqual(expect.arrayContaining(['acneClass', 'leftCheek.redness', 'nose.shine']));
+  expect(lines[0]).not.toContain('chin.');
+  expect(lines[1].startsWith('0,1970-01-01T00:00:00.000Z,camera,72,41,9,1,,,')).toBe(true);
+  expect(lines[2]).toContain('"photo, edited"');
+});
+
+test('timelineToCsv writes one row per analysed video frame', () => {
+  const ml = normalizeMlResponse({ ok: true, acne_class: 1, dryness: 0.4 });
+  const csv = timelineToCsv([
+    { t: 0, face: true, lighting: 70, redness: 20, shine: 5, roughness: 30, pores: 12, lines: 8, quality: { ok: true }, ml: { result: ml, error: null } },
+    { t: 0.1, face: true, lighting: 40, redness: 22, shine: 6, roughness: null, quality: { ok: false, prompt: 'Turn, a bit' }, ml: null },
+    { t: 0.2, face: false, quality: null, ml: null },
+  ]);
+  const lines = csv.trim().split('\r\n');
+  expect(lines[0]).toBe('t,face,lighting,redness,shine,roughness,pores,lines,quality,acneClass,acneProb,dryness,mlRedness,mlError');
+  expect(lines[1]).toBe('0,1,70,20,5,30,12,8,ok,1,,0.4,,');
+  expect(lines[2]).toBe('0.1,1,40,22,6,,,,"Turn, a bit",,,,,');
+  expect(lines[3]).toBe('0.2,0,,,,,,,,,,,,');
+});
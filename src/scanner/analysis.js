@@ -0,0 +1,1286 @@
+import { useEffect, useRef, useState } from "react";
+import { useMatch } from "react-router-dom";
+import { qualityThresholds } from "../config";
+import { createFaceTracker } from "../faceTracker";
+import { combineMlResults, combineSamples, createAggregator, median } from "../aggregate";
+import { makeScanRecord, saveScan } from "../historyStore";
+import { createFaceLandmarker } from "../landmarker";
+import {
+  drawFaceLabel,
+  drawFaceRegions,
+  drawHUD,
+  drawHeatmap,
+  drawLesions,
+  outlinePoly,
+  swatchColor,
+} from "../overlayDrawing";
+import { assessQuality } from "../quality";
+import { recommend, scanFacts } from "../recommendations";
+import {
+  buildReport,
+  captureAnnotatedSnapshot,
+  downloadText,
+  printReport,
+  reportFileName,
+  reportToHtml,
+  timelineToCsv,
+} from "../report";
+import { buildReferenceRegions, buildRegions, regionById } from "../regions";
+import { createScoringEngine, gainsFromReference, polysBounds } from "../scoring";
+import {
+  VIDEO_ANALYSIS_DEFAULTS,
+  loadVideoFile,
+  nearestPoint,
+  seekVideo,
+  stepThroughVideo,
+} from "../videoFile";
+import { captureThumbnail, loadImage, mediaSize } from "./media";
+import { formatMlError, lesionOverlay } from "./mlClient";
+
+export const SESSION_FRAMES = 30; // good frames collected for one session result
+export const MAX_FACES = 4; // multi-face mode
+const TIMELINE_REFRESH_MS = 250; // how often "Analyze Video" re-renders the timeline while it runs
+// every per-frame score, headline and per region (scoring.js; roughness / pores / lines: texture.js)
+const SCORE_KEYS = ["lighting", "redness", "shine", "roughness", "pores", "lines"];
+const NO_SCORES = Object.fromEntries(SCORE_KEYS.map((k) => [k, 0]));
+
+/**
+ * What the scanner session (ScannerProvider.js) does with the frames: FaceLandmarker + scoring engine,
+ * the camera / photo / video source, the live rAF loop, sessions, multi-face tracking, auto-inference
+ * and the latest scores, plus saving and exporting them. It drives the other three parts: the camera
+ * (cameraSession.js) for frames, the ML client (mlClient.js) for inference and the settings
+ * (scanSettings.js) for how to score. setDebug writes the shared debug line.
+ * The rAF loop only runs while the Scan screen (/scan) is showing; unmounting releases the camera.
+ */
+export function useAnalysisState({ vault, camera, ml, settings, setDebug }) {
+  const { videoRef, overlayRef, lastVideoTimeRef, liveRef, mirrorRef } = camera;
+  const { mlBackendRef, inFlightRef, lastInferMsRef, uploadPrefsRef, mlOverlayRef } = ml;
+  const { setMlStatus, setMlError, setMlResult, captureForUpload } = ml;
+  const { configRef, regionRegistryRef, smoothingRef, enabledRegionsRef } = settings;
+  const { overlayModeRef, lastHeatmapRef, showLesionsRef, wbMethodRef, wbCardGainsRef } = settings;
+  const { config, smoothing, wbMethod, wbCardGains, enabledRegions, overlayMode, showLesions } = settings;
+
+  const photoRef = useRef(null);
+  const photoUrlRef = useRef(null); // object URL, revoked on stop/unmount
+  const photoLandmarksRef = useRef(null); // kept so overlay/region changes can re-draw the photo
+  const videoFileUrlRef = useRef(null); // object URL of a loaded video file, revoked like the photo's
+  const videoTsRef = useRef(0); // detectForVideo() needs increasing timestamps, even when scrubbing back
+  const scrubRef = useRef({ busy: false, pending: null });
+  const frameCanvasRef = useRef(null);
+  const sceneCanvasRef = useRef(null);
+  const landmarkerRef = useRef(null);
+  const runningModeRef = useRef("VIDEO");
+  const rafRef = useRef(null);
+  const stepRef = useRef(null); // frame callback of the live loop, so it can pause and resume
+
+  // scoring runs async (worker); results from a stopped run are ignored via runIdRef
+  const engineRef = useRef(null);
+  const runIdRef = useRef(0);
+  const lastScoresRef = useRef({ ...NO_SCORES, lightingOk: false });
+
+  // capture-quality gate (pose / size / sharpness / motion)
+  const prevLandmarksRef = useRef(null);
+
+  // temporal smoothing of the per-frame scores (see aggregate.js)
+  const aggregatorRef = useRef(createAggregator(smoothing));
+  const [stability, setStability] = useState(0);
+
+  // "session result" mode: collect N good frames (+ a few ML frames), then report the aggregate
+  const [session, setSession] = useState(null); // { phase, count, target, result, stability, mlFrames }
+  const sessionRef = useRef(null); // { target, samples, mlTarget, mlImages }
+  const [sessionMlFrames, setSessionMlFrames] = useState(3);
+
+  const [status, setStatus] = useState("Stopped");
+  const [source, setSource] = useState("camera"); // "camera" | "photo" | "video" (recorded file)
+  const [photoUrl, setPhotoUrl] = useState(null);
+
+  // recorded-video analysis (videoFile.js): one timeline point per sampled frame, ML every `mlEvery` s
+  const [videoOpts, setVideoOpts] = useState(VIDEO_ANALYSIS_DEFAULTS);
+  const [timeline, setTimeline] = useState([]);
+  const [videoDuration, setVideoDuration] = useState(0);
+  const [videoCursor, setVideoCursor] = useState(null);
+  const [videoProgress, setVideoProgress] = useState(0); // 0 when not analyzing
+  const [faces, setFaces] = useState(0);
+  const [quality, setQuality] = useState(null); // assessQuality() result for the latest scored frame
+
+  // multi-face mode: every face gets a stable tracker ID, its own smoothing, HUD label, cards and ML
+  const [multiFace, setMultiFace] = useState(false);
+  const multiFaceRef = useRef(false);
+  const [mlPerFace, setMlPerFace] = useState(false);
+  const mlPerFaceRef = useRef(false);
+  const trackerRef = useRef(createFaceTracker());
+  const faceStatesRef = useRef(new Map()); // id -> { agg, last, prevLandmarks, heatmap, lastInferMs }
+  const primaryFaceRef = useRef(null); // lowest tracked id: drives the headline cards / Save / export
+  const [faceResults, setFaceResults] = useState([]); // [{ id, scores, regions, stability, quality }]
+  const [faceMl, setFaceMl] = useState({}); // id -> { result, status, error }
+  const [scores, setScores] = useState(NO_SCORES);
+  const [regionScores, setRegionScores] = useState({}); // id -> { lighting, redness, shine, roughness, pores, lines }
+
+  const [wbInfo, setWbInfo] = useState(null); // last white-balance estimate, shown in the debug panel
+  const [skinTone, setSkinTone] = useState(null); // last ITA° estimate (scoring/skinTone.js)
+
+  const [saveNote, setSaveNote] = useState("");
+
+  // 1) Load the FaceLandmarker + scoring engine once on mount
+  useEffect(() => {
+    let cancelled = false;
+    const video = videoRef.current; // ScannerStage is mounted for as long as the provider is
+    engineRef.current = createScoringEngine();
+
+    async function initLandmarker() {
+      try {
+        setDebug("Loading FaceLandmarker…");
+
+        const { landmarker, delegate } = await createFaceLandmarker({
+          runningMode: "VIDEO",
+          numFaces: multiFaceRef.current ? MAX_FACES : 1,
+          outputFaceBlendshapes: false,
+          outputFacialTransformationMatrixes: true, // head pose for the quality gate
+          onProgress: ({ phase, progress, delegate }) => {
+            if (cancelled) return;
+            if (phase === "model") {
+              setDebug(`Loading face model… ${progress === null ? "" : `${Math.round(progress * 100)}%`}`);
+            } else {
+              setDebug(`Starting FaceLandmarker (${delegate})…`);
+            }
+          },
+        });
+
+        if (cancelled) {
+          landmarker.close();
+          return;
+        }
+        landmarkerRef.current = landmarker;
+        setDebug(`FaceLandmarker loaded (${delegate})`);
+      } catch (e) {
+        console.error(e);
+        setDebug(`FaceLandmarker load failed: ${e?.message || String(e)}`);
+      }
+    }
+
+    initLandmarker();
+
+    return () => {
+      cancelled = true;
+      stopLoop();
+      video?.srcObject?.getTracks?.().forEach((t) => t.stop());
+      if (photoUrlRef.current) URL.revokeObjectURL(photoUrlRef.current);
+      if (videoFileUrlRef.current) URL.revokeObjectURL(videoFileUrlRef.current);
+      engineRef.current?.terminate();
+      engineRef.current = null;
+      try {
+        landmarkerRef.current?.close?.();
+      } catch {}
+    };
+  }, [videoRef, setDebug]);
+
+  // A new smoothing mode / window starts every aggregator afresh
+  useEffect(() => {
+    aggregatorRef.current = createAggregator(smoothing);
+    for (const st of faceStatesRef.current.values()) st.agg = createAggregator(smoothing);
+  }, [smoothing]);
+
+  // The live loop picks setting changes up on the next frame; a photo is drawn once, so re-draw it.
+  // redrawPhotoRef holds this render's redrawPhoto: the effect runs per change, not per render.
+  const redrawPhotoRef = useRef(null);
+  useEffect(() => {
+    redrawPhotoRef.current = redrawPhoto;
+  });
+  useEffect(() => {
+    redrawPhotoRef.current();
+  }, [config, wbMethod, wbCardGains, enabledRegions, overlayMode, showLesions]);
+
+  // The landmarker is created in VIDEO mode; photos need IMAGE mode (detect() vs detectForVideo()).
+  async function setRunningMode(mode) {
+    const landmarker = landmarkerRef.current;
+    if (!landmarker || runningModeRef.current === mode) return;
+    await landmarker.setOptions({ runningMode: mode });
+    runningModeRef.current = mode;
+  }
+
+  async function startCamera() {
+    try {
+      clearPhoto();
+      clearVideoFile();
+      setSource("camera");
+      runIdRef.current += 1;
+      setStatus("Starting camera…");
+      setDebug("Requesting camera permission…");
+
+      const video = videoRef.current;
+      const info = await camera.startStream();
+
+      await setRunningMode("VIDEO");
+      setDebug(`Video ready (${video.videoWidth}x${video.videoHeight}${info.frameRate ? ` @ ${info.frameRate} fps` : ""})`);
+      setStatus("Running");
+      liveRef.current = true;
+      runLoop();
+    } catch (e) {
+      console.error(e);
+      setStatus("Stopped");
+      setDebug(`Camera failed: ${e?.message || String(e)}`);
+    }
+  }
+
+  // A new camera mid-scan (cameraSession.js): new optics / exposure, so don't smooth across the switch
+  function resetTracking() {
+    prevLandmarksRef.current = null;
+    aggregatorRef.current.reset();
+    resetFaceTracking();
+  }
+
+  function stopAll() {
+    runIdRef.current += 1;
+    mlBackendRef.current.abortAll(); // don't let a slow request hold inFlightRef after Stop
+    prevLandmarksRef.current = null;
+    lastScoresRef.current = { ...NO_SCORES, lightingOk: false };
+    lastHeatmapRef.current = null;
+    aggregatorRef.current.reset();
+    resetFaceTracking();
+    sessionRef.current = null;
+    setSession(null);
+    setStability(0);
+    setQuality(null);
+    setWbInfo(null);
+    setSkinTone(null);
+    setStatus("Stopped");
+    setFaces(0);
+    setScores(NO_SCORES);
+    setRegionScores({});
+    ml.clearResult();
+
+    stopLoop();
+    camera.closeStream();
+
+    // clear overlay
+    const canvas = overlayRef.current;
+    if (canvas) {
+      const ctx = canvas.getContext("2d");
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    clearPhoto();
+    clearVideoFile();
+    setSource("camera");
+    setDebug("Stopped.");
+  }
+
+  function clearPhoto() {
+    if (photoUrlRef.current) URL.revokeObjectURL(photoUrlRef.current);
+    photoUrlRef.current = null;
+    photoLandmarksRef.current = null;
+    setPhotoUrl(null);
+  }
+
+  function clearVideoFile() {
+    const video = videoRef.current;
+    if (videoFileUrlRef.current) {
+      URL.revokeObjectURL(videoFileUrlRef.current);
+      if (video) {
+        video.removeAttribute("src");
+        video.load();
+      }
+    }
+    videoFileUrlRef.current = null;
+    scrubRef.current = { busy: false, pending: null };
+    setTimeline([]);
+    setVideoDuration(0);
+    setVideoCursor(null);
+    setVideoProgress(0);
+  }
+
+  // 2b) Analyze an uploaded photo (same regions / lighting gate / overlay / Lambda as live mode)
+  async function analyzePhoto(file) {
+    if (!file) return;
+    if (!landmarkerRef.current) {
+      setDebug("FaceLandmarker not loaded yet (wait 1–2s)...");
+      return;
+    }
+
+    stopAll();
+    setSource("photo");
+
+    try {
+      setStatus("Loading photo…");
+      const url = URL.createObjectURL(file);
+      photoUrlRef.current = url;
+      setPhotoUrl(url);
+
+      const img = await loadImage(url);
+      photoRef.current = img;
+      setDebug(`Photo ready (${img.naturalWidth}x${img.naturalHeight})`);
+
+      await setRunningMode("IMAGE");
+      const result = landmarkerRef.current.detect(img);
+
+      const landmarks = result?.faceLandmarks || [];
+      setFaces(landmarks.length);
+      setStatus("Photo");
+
+      if (landmarks.length === 0) {
+        clearOverlay(img);
+        setDebug("No face found in photo.");
+        return;
+      }
+
+      photoLandmarksRef.current = landmarks[0];
+      aggregatorRef.current.reset(); // a photo is a single frame: no smoothing across uploads
+      const computed = await drawAndScore(landmarks[0], img, { dropIfBusy: false });
+      if (!computed) return;
+
+      // same gate as live mode, minus motion (there is no previous frame)
+      const q = assessQuality(
+        {
+          matrix: result.facialTransformationMatrixes?.[0],
+          landmarks: landmarks[0],
+          lighting: computed.lighting,
+          sharpness: computed.sharpness,
+        },
+        qualityThresholds(configRef.current)
+      );
+      setQuality(q);
+      if (!q.ok) {
+        setMlStatus(`Skipped (${q.prompt})`);
+        return;
+      }
+      await runInferenceNow(img);
+    } catch (e) {
+      console.error(e);
+      setStatus("Stopped");
+      setDebug(`Photo failed: ${e?.message || String(e)}`);
+    }
+  }
+
+  // 2c) Analyze a recorded video file: seek through it at videoOpts.fps (faster than real time when
+  // detection + scoring keep up), scoring every sampled frame and sending ML samples every mlEvery s.
+  async function analyzeVideo(file) {
+    if (!file) return;
+    if (!landmarkerRef.current) {
+      setDebug("FaceLandmarker not loaded yet (wait 1–2s)...");
+      return;
+    }
+
+    stopAll();
+    setSource("video");
+    const runId = runIdRef.current;
+    const { fps, mlEvery } = videoOpts;
+
+    try {
+      setStatus("Loading video…");
+      const url = URL.createObjectURL(file);
+      videoFileUrlRef.current = url;
+      const video = videoRef.current;
+      const meta = await loadVideoFile(video, url);
+      if (runId !== runIdRef.current) return;
+      setVideoDuration(meta.duration);
+      setDebug(`Video file ready (${meta.width}x${meta.height}, ${meta.duration.toFixed(1)}s), analyzing at ${fps} fps…`);
+
+      await setRunningMode("VIDEO");
+      setStatus("Analyzing video…");
+      const started = performance.now();
+      const points = [];
+      const responses = [];
+      let nextMlAt = 0;
+      let shownAt = 0; // when the timeline / progress were last handed to React
+
+      const finished = await stepThroughVideo(video, {
+        fps,
+        cancelled: () => runId !== runIdRef.current,
+        onFrame: async (t, i, n) => {
+          // motion is a per-frame check: at coarse sampling normal movement would fail it
+          const point = await analyzeVideoFrame(video, t, { motion: fps >= 15 });
+          if (runId !== runIdRef.current) return;
+          const wantMl = mlEvery > 0 && t >= nextMlAt && mlBackendRef.current.available;
+          if (wantMl && point.face && point.quality.ok) {
+            nextMlAt = t + mlEvery;
+            setMlStatus(`Inferring @ ${t.toFixed(1)}s…`);
+            point.ml = await inferVideoFrame(video);
+            if (point.ml?.result) responses.push(point.ml.result);
+          }
+          points.push(point);
+          // a copy + re-render per analysed frame adds up on long clips: a few times a second is enough
+          if (performance.now() - shownAt >= TIMELINE_REFRESH_MS) {
+            shownAt = performance.now();
+            setTimeline(points.slice());
+            setVideoCursor(t);
+            setVideoProgress((i + 1) / n);
+          }
+        },
+      });
+      if (!finished || runId !== runIdRef.current) return;
+      setTimeline(points);
+      setVideoCursor(points.length ? points[points.length - 1].t : 0);
+
+      const secs = (performance.now() - started) / 1000;
+      setVideoProgress(0);
+      setStatus("Video");
+      setDebug(
+        `Analyzed ${points.length} frames of ${meta.duration.toFixed(1)}s in ${secs.toFixed(1)}s ` +
+          `(${(meta.duration / Math.max(secs, 0.001)).toFixed(1)}× real time). Click the timeline to scrub.`
+      );
+      const combined = combineMlResults(responses);
+      if (combined) {
+        setMlResult(combined);
+        mlOverlayRef.current = null;
+        setMlStatus(`Video (${responses.length} samples)`);
+      } else {
+        setMlStatus(mlEvery > 0 && mlBackendRef.current.available ? "No frame passed the quality gate" : "Idle");
+      }
+    } catch (e) {
+      console.error(e);
+      if (runId !== runIdRef.current) return;
+      setStatus("Stopped");
+      setVideoProgress(0);
+      setDebug(`Video failed: ${e?.message || String(e)}`);
+    }
+  }
+
+  // Detect + score the frame the <video> is showing; resolves with a timeline point
+  async function analyzeVideoFrame(video, t, { motion = true } = {}) {
+    videoTsRef.current = Math.max(performance.now(), videoTsRef.current + 1);
+    const result = landmarkerRef.current.detectForVideo(video, videoTsRef.current);
+    const landmarks = result?.faceLandmarks || [];
+    setFaces(landmarks.length);
+
+    if (landmarks.length === 0) {
+      prevLandmarksRef.current = null;
+      clearOverlay(video);
+      setQuality({ ok: false, prompt: "No face in this frame", checks: [] });
+      return { t, face: false, quality: null, ml: null };
+    }
+
+    const prevLandmarks = prevLandmarksRef.current;
+    prevLandmarksRef.current = landmarks[0];
+    const computed = await drawAndScore(landmarks[0], video, { dropIfBusy: false });
+    if (!computed) return { t, face: false, quality: null, ml: null };
+
+    const q = assessQuality(
+      {
+        matrix: result.facialTransformationMatrixes?.[0],
+        landmarks: landmarks[0],
+        prevLandmarks: motion ? prevLandmarks : null,
+        lighting: computed.lighting,
+        sharpness: computed.sharpness,
+      },
+      qualityThresholds(configRef.current)
+    );
+    setQuality(q);
+    return {
+      t,
+      face: true,
+      lighting: computed.lighting,
+      redness: computed.redness,
+      shine: computed.shine,
+      roughness: computed.roughness ?? null,
+      pores: computed.pores ?? null,
+      lines: computed.lines ?? null,
+      regions: computed.regions,
+      quality: { ok: q.ok, prompt: q.prompt },
+      ml: null,
+    };
+  }
+
+  // One ML sample of the current video frame: { result } or { error }; null if nothing was sent
+  async function inferVideoFrame(video) {
+    const img = captureForUpload(video, prevLandmarksRef.current);
+    if (!img) return null;
+    try {
+      return { result: await mlBackendRef.current.infer(img), error: null };
+    } catch (e) {
+      if (e?.kind === "aborted") return null;
+      return { result: null, error: formatMlError(e) };
+    }
+  }
+
+  // Timeline click/drag: seek to the nearest analysed frame and re-draw it. Drags coalesce to the
+  // latest position while a seek is still in progress.
+  async function scrubVideo(t) {
+    if (source !== "video" || videoProgress > 0) return;
+    const scrub = scrubRef.current;
+    if (scrub.busy) {
+      scrub.pending = t;
+      return;
+    }
+    const runId = runIdRef.current;
+    const video = videoRef.current;
+    scrub.busy = true;
+    try {
+      let target = t;
+      while (target !== null && runId === runIdRef.current) {
+        scrub.pending = null;
+        const point = nearestPoint(timeline, target);
+        const at = point ? point.t : target;
+        await seekVideo(video, at);
+        if (runId !== runIdRef.current) break;
+        setVideoCursor(at);
+        prevLandmarksRef.current = null;
+        aggregatorRef.current.reset(); // the cards show this frame, not a blend with the last one
+        await analyzeVideoFrame(video, at);
+        target = scrub.pending;
+      }
+    } catch (e) {
+      setDebug(`Seek failed: ${e?.message || String(e)}`);
+    } finally {
+      scrub.busy = false;
+    }
+  }
+
+  function exportTimelineCsv() {
+    downloadText(reportFileName(null, "csv", "timeline"), timelineToCsv(timeline), "text/csv");
+  }
+
+  // The live loop only runs on the Scan screen: elsewhere the camera stays open (so coming back is
+  // instant) but nothing is detected, scored or uploaded. The loop only reads refs, so resuming
+  // restarts the same frame callback.
+  const onScanScreen = useMatch("/scan") !== null;
+  useEffect(() => {
+    if (!onScanScreen) stopLoop();
+    else if (liveRef.current && stepRef.current && !rafRef.current) rafRef.current = requestAnimationFrame(stepRef.current);
+  }, [onScanScreen, liveRef]);
+
+  function stopLoop() {
+    if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    rafRef.current = null;
+  }
+
+  // 3) Main loop
+  function runLoop() {
+    const landmarker = landmarkerRef.current;
+    const video = videoRef.current;
+    stopLoop(); // one loop at a time, e.g. when Start Scan is pressed on a running camera
+
+    if (!landmarker) {
+      setDebug("FaceLandmarker not loaded yet (wait 1–2s)...");
+      setStatus("Stopped");
+      return;
+    }
+    if (!video) return;
+
+    const step = () => {
+      if (video.readyState >= 2 && video.currentTime !== lastVideoTimeRef.current) {
+        lastVideoTimeRef.current = video.currentTime;
+
+        const nowMs = performance.now();
+        const result = landmarker.detectForVideo(video, nowMs);
+
+        const landmarks = result?.faceLandmarks || [];
+        setFaces(landmarks.length);
+
+        if (landmarks.length > 0 && multiFaceRef.current) {
+          drawAndScoreFaces(result, video);
+        } else if (landmarks.length > 0) {
+          const matrix = result.facialTransformationMatrixes?.[0];
+          const prevLandmarks = prevLandmarksRef.current;
+          prevLandmarksRef.current = landmarks[0];
+
+          // draw now, scores arrive async: {lighting, redness, shine, lightingOk, sharpness}
+          drawAndScore(landmarks[0], video)
+            ?.then((computed) => {
+              if (!computed) return;
+              const q = assessQuality(
+                {
+                  matrix,
+                  landmarks: landmarks[0],
+                  prevLandmarks,
+                  lighting: computed.lighting,
+                  sharpness: computed.sharpness,
+                },
+                qualityThresholds(configRef.current)
+              );
+              setQuality(q);
+              if (sessionRef.current) {
+                if (q.ok) collectSessionFrame(computed, landmarks[0]);
+                return; // no live auto-inference while a session is running
+              }
+              // auto-infer only when every quality check passes
+              if (q.ok) {
+                maybeInferFromFrame(landmarks[0]);
+              }
+            })
+            .catch((e) => setDebug(`Scoring failed: ${e?.message || String(e)}`));
+        } else {
+          prevLandmarksRef.current = null;
+          setQuality({ ok: false, prompt: "Center your face in the frame", checks: [] });
+          clearOverlay(video);
+          lastScoresRef.current = { ...NO_SCORES, lightingOk: false };
+          aggregatorRef.current.reset();
+          setStability(0);
+          setScores(NO_SCORES);
+          setRegionScores({});
+          if (multiFaceRef.current) {
+            trackerRef.current.update([]); // age the tracks so a returning face keeps its ID
+            setFaceResults([]);
+          }
+          ml.clearResult();
+        }
+      }
+      rafRef.current = requestAnimationFrame(step);
+    };
+
+    stepRef.current = step;
+    rafRef.current = requestAnimationFrame(step);
+  }
+
+  function clearOverlay(el) {
+    const canvas = overlayRef.current;
+    if (!canvas || !el) return;
+    const { w, h } = mediaSize(el);
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  // Copy the current video frame / photo into an offscreen canvas so the scorers read real pixels
+  // (the overlay canvas only holds our own ROI drawings).
+  function grabFrame(el, w, h) {
+    if (!frameCanvasRef.current) frameCanvasRef.current = document.createElement("canvas");
+    const c = frameCanvasRef.current;
+    if (c.width !== w) c.width = w;
+    if (c.height !== h) c.height = h;
+    const ctx = c.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(el, 0, 0, w, h);
+    return ctx;
+  }
+
+  // Tiny copy of the whole frame for the scene-based white-balance estimators
+  function grabScene(el, w, h) {
+    if (!sceneCanvasRef.current) sceneCanvasRef.current = document.createElement("canvas");
+    const c = sceneCanvasRef.current;
+    c.width = 64;
+    c.height = Math.max(1, Math.round((64 * h) / w));
+    const ctx = c.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(el, 0, 0, c.width, c.height);
+    const { data, width, height } = ctx.getImageData(0, 0, c.width, c.height);
+    return { data, width, height };
+  }
+
+  // el: <video> (live) or <img> (uploaded photo).
+  // ROIs + HUD are drawn right away; the scoring engine resolves later with
+  // {lighting, redness, shine, roughness, pores, lines, lightingOk}. Returns null if the frame was
+  // skipped (engine still busy).
+  function drawAndScore(lm, el, { dropIfBusy = true } = {}) {
+    const canvas = overlayRef.current;
+    const engine = engineRef.current;
+    if (!canvas || !el || !engine) return null;
+
+    const { w, h } = mediaSize(el);
+    if (!w || !h) return null;
+
+    canvas.width = w;
+    canvas.height = h;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, w, h);
+
+    const geo = faceGeometry(lm, w, h);
+    const { regions } = geo;
+    const heatMetric = overlayModeRef.current === "regions" ? null : overlayModeRef.current;
+    drawFaceRegions(ctx, regions, heatMetric, lastHeatmapRef.current);
+    if (showLesionsRef.current) drawLesions(ctx, mlOverlayRef.current, lm, w, h, mirrorRef.current);
+
+    // HUD shows the latest finished scores until this frame's come back
+    drawHUD(ctx, lastScoresRef.current);
+
+    if (dropIfBusy && engine.busy()) return null;
+    const runId = runIdRef.current;
+
+    return scoreFaceGeometry(el, lm, w, h, geo, heatMetric)
+      ?.then((raw) => {
+        const { lightingOk, sharpness, regions: perRegion, heatmap, whiteBalance: wb, skinTone: tone } = raw;
+        if (runId !== runIdRef.current) return null; // stopped / switched source meanwhile
+
+        setWbInfo(wb);
+        setSkinTone(tone);
+        lastHeatmapRef.current = heatmap || null;
+        // photos are drawn once, so paint the heatmap as soon as it lands
+        if (heatmap && el === photoRef.current) {
+          drawHeatmap(ctx, heatmap);
+          for (const r of regions) outlinePoly(ctx, r.poly, swatchColor(r.color));
+        }
+
+        // raw per-frame values feed the quality gate + sessions; the UI shows the smoothed ones
+        const out = { ...roundScores(raw), lightingOk, sharpness, regions: roundRegionScores(perRegion) };
+
+        const agg = aggregatorRef.current;
+        agg.push(flattenScores(out));
+        const smooth = unflattenScores(agg.value(), out);
+        lastScoresRef.current = { ...smooth.headline, lightingOk };
+        drawHUD(ctx, lastScoresRef.current);
+
+        setScores(smooth.headline);
+        setRegionScores(smooth.regions);
+        setStability(agg.stability());
+
+        return out;
+      });
+  }
+
+  // Regions (see regions.js) for one face; headline regions are always built for the lighting gate
+  function faceGeometry(lm, w, h) {
+    const registry = regionRegistryRef.current;
+    const regions = buildRegions(lm, enabledRegionsRef.current, w, h, registry);
+    const headlineIds = [...new Set(Object.values(configRef.current.headline).flat())];
+    const headlinePolys = Object.fromEntries(
+      buildRegions(lm, headlineIds, w, h, registry).map((r) => [r.id, r.poly])
+    );
+    return { regions, headlinePolys };
+  }
+
+  // Send one face to the scoring engine. Resolves with the engine's raw scoreFace result;
+  // null if the face has no usable box. Pass `frame` (grabFrame) when scoring several faces of one frame.
+  function scoreFaceGeometry(el, lm, w, h, { regions, headlinePolys }, heatMetric, frame = null) {
+    const engine = engineRef.current;
+    const { headline, scoring } = configRef.current;
+    const method = wbMethodRef.current;
+    // sclera / teeth: white reference for the "reference" WB and the skin-tone exposure
+    const refRegions = buildReferenceRegions(lm, w, h);
+
+    // Only ship the face's bounding box to the engine, not the whole frame
+    const box = polysBounds(
+      [...regions.map((r) => r.poly), ...Object.values(headlinePolys), ...refRegions.map((r) => r.poly)],
+      w,
+      h
+    );
+    if (!box) return null;
+    const ctx = frame || grabFrame(el, w, h);
+    const whiteBalance = {
+      method,
+      scene: method === "grayWorld" || method === "whitePatch" ? grabScene(el, w, h) : null,
+      refRegions: refRegions.map(({ poly, exclude }) => ({ poly, exclude })),
+      gains: wbCardGainsRef.current,
+    };
+    const image = ctx.getImageData(box.left, box.top, box.width, box.height);
+
+    // { lighting: [poly], redness: [poly], ... } from the configured headline region ids
+    const headlineRegions = Object.fromEntries(
+      Object.entries(headline).map(([metric, ids]) => [metric, ids.map((id) => headlinePolys[id])])
+    );
+
+    return engine.scoreFace(
+      { data: image.data, width: box.width, height: box.height, left: box.left, top: box.top },
+      regions.map(({ id, poly, exclude }) => ({ id, poly, exclude })),
+      headlineRegions,
+      {
+        params: scoring,
+        heatmap: heatMetric ? { metric: heatMetric, block: 6 } : null,
+        whiteBalance,
+        skinTone: { refRegions: whiteBalance.refRegions },
+      }
+    );
+  }
+
+  // Multi-face frame: draw every tracked face right away, then score them all in one engine round
+  // (frames are dropped while the engine is busy, as in single-face mode).
+  function drawAndScoreFaces(result, video) {
+    const canvas = overlayRef.current;
+    const engine = engineRef.current;
+    const { w, h } = mediaSize(video);
+    if (!canvas || !engine || !w || !h) return;
+
+    const tracked = trackerRef.current.update(result.faceLandmarks);
+    const states = faceStatesRef.current;
+    const live = new Set(trackerRef.current.ids());
+    for (const id of states.keys()) if (!live.has(id)) states.delete(id);
+
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, w, h);
+    const heatMetric = overlayModeRef.current === "regions" ? null : overlayModeRef.current;
+
+    const faces = tracked.map((f) => {
+      let st = states.get(f.id);
+      if (!st) {
+        st = {
+          agg: createAggregator(smoothingRef.current),
+          last: null,
+          prevLandmarks: null,
+          heatmap: null,
+          lastInferMs: 0,
+          mlOverlay: null,
+        };
+        states.set(f.id, st);
+      }
+      const prevLandmarks = st.prevLandmarks;
+      st.prevLandmarks = f.landmarks;
+      const geo = faceGeometry(f.landmarks, w, h);
+      drawFaceRegions(ctx, geo.regions, heatMetric, st.heatmap);
+      if (showLesionsRef.current) drawLesions(ctx, st.mlOverlay, f.landmarks, w, h, mirrorRef.current);
+      drawFaceLabel(ctx, f, st.last, w, h, mirrorRef.current);
+      return { f, st, geo, prevLandmarks };
+    });
+
+    primaryFaceRef.current = tracked[0].id;
+    prevLandmarksRef.current = tracked[0].landmarks; // manual "Run inference" / Save Scan use the primary face
+
+    if (engine.busy()) return;
+    const frame = grabFrame(video, w, h);
+    const runId = runIdRef.current;
+
+    Promise.all(
+      faces.map(({ f, st, geo, prevLandmarks }) =>
+        scoreFaceGeometry(video, f.landmarks, w, h, geo, heatMetric, frame)?.then((raw) => ({ f, st, raw, prevLandmarks }))
+      )
+    )
+      .then((scored) => {
+        if (runId !== runIdRef.current || !multiFaceRef.current) return;
+        const rows = [];
+        for (const item of scored) {
+          if (!item) continue;
+          const { f, st, raw, prevLandmarks } = item;
+          const out = {
+            ...roundScores(raw),
+            lightingOk: raw.lightingOk,
+            sharpness: raw.sharpness,
+            regions: roundRegionScores(raw.regions),
+          };
+          st.heatmap = raw.heatmap || null;
+          st.agg.push(flattenScores(out));
+          const smooth = unflattenScores(st.agg.value(), out);
+          st.last = { ...smooth.headline, lightingOk: raw.lightingOk };
+
+          const q = assessQuality(
+            {
+              matrix: result.facialTransformationMatrixes?.[f.index],
+              landmarks: f.landmarks,
+              prevLandmarks,
+              lighting: out.lighting,
+              sharpness: out.sharpness,
+            },
+            qualityThresholds(configRef.current)
+          );
+          rows.push({ id: f.id, scores: smooth.headline, regions: smooth.regions, stability: st.agg.stability(), quality: q });
+          if (q.ok && mlPerFaceRef.current) maybeInferForFace(f.id, f.landmarks);
+        }
+        setFaceResults(rows);
+
+        const primary = rows[0];
+        if (!primary) return;
+        const primaryRaw = scored.find(Boolean).raw; // rows[0] came from it
+        setWbInfo(primaryRaw.whiteBalance);
+        setSkinTone(primaryRaw.skinTone);
+        lastScoresRef.current = { ...primary.scores, lightingOk: faceStatesRef.current.get(primary.id)?.last?.lightingOk };
+        setScores(primary.scores);
+        setRegionScores(primary.regions);
+        setStability(primary.stability);
+        setQuality(primary.quality);
+      })
+      .catch((e) => setDebug(`Scoring failed: ${e?.message || String(e)}`));
+  }
+
+  // Per-face auto-inference: same throttle as single-face mode, one request at a time, so faces
+  // take turns (the face that just went out is throttled, the next one gets the slot).
+  function maybeInferForFace(id, landmarks) {
+    const st = faceStatesRef.current.get(id);
+    const now = Date.now();
+    if (!st || inFlightRef.current || now - st.lastInferMs < configRef.current.inference.throttleMs) return;
+    if (!liveRef.current || !mlBackendRef.current.available) return;
+
+    const img = captureForUpload(videoRef.current, landmarks);
+    if (!img) return;
+    const upload = uploadPrefsRef.current;
+    const token = {};
+    inFlightRef.current = token;
+    st.lastInferMs = now;
+    const setFor = (patch) => setFaceMl((m) => ({ ...m, [id]: { ...m[id], ...patch } }));
+    setFor({ status: "Inferring…", error: "" });
+
+    mlBackendRef.current
+      .infer(img)
+      .then((data) => {
+        setFor({ result: data, status: "Live" });
+        st.mlOverlay = lesionOverlay(data, upload);
+        if (id === primaryFaceRef.current) setMlResult(data);
+      })
+      .catch((e) => {
+        if (e?.kind === "aborted") return;
+        setFor({ status: "Error ❌", error: formatMlError(e) });
+      })
+      .finally(() => {
+        if (inFlightRef.current === token) inFlightRef.current = null;
+      });
+  }
+
+  function resetFaceTracking() {
+    trackerRef.current.reset();
+    faceStatesRef.current.clear();
+    primaryFaceRef.current = null;
+    setFaceResults([]);
+    setFaceMl({});
+  }
+
+  async function changeMultiFace(on) {
+    multiFaceRef.current = on;
+    setMultiFace(on);
+    resetFaceTracking();
+    if (on) cancelSession();
+    try {
+      await landmarkerRef.current?.setOptions({ numFaces: on ? MAX_FACES : 1 });
+    } catch (e) {
+      setDebug(`Could not switch face count: ${e?.message || String(e)}`);
+    }
+  }
+
+  function changeMlPerFace(on) {
+    mlPerFaceRef.current = on;
+    setMlPerFace(on);
+  }
+
+  async function runInferenceNow(el = currentSource()) {
+    try {
+      setMlError("");
+      setMlStatus("Capturing…");
+      const landmarks = source === "photo" ? photoLandmarksRef.current : prevLandmarksRef.current;
+      if (!el || !mediaSize(el).w) throw new Error(source === "photo" ? "Photo not ready." : "Camera not ready (no frame).");
+      const img = captureForUpload(el, landmarks);
+      if (!img) throw new Error("No face detected, nothing was sent.");
+      const upload = uploadPrefsRef.current;
+
+      setMlStatus("Inferring…");
+      const data = await mlBackendRef.current.infer(img);
+
+      setMlResult(data);
+      mlOverlayRef.current = lesionOverlay(data, upload);
+      setMlStatus("Done");
+      redrawPhoto();
+    } catch (e) {
+      if (e?.kind === "aborted") return;
+      console.error(e);
+      setMlStatus("Failed ❌");
+      setMlError(formatMlError(e));
+    }
+  }
+
+  function currentSource() {
+    return source === "photo" ? photoRef.current : videoRef.current; // camera and video files share the <video>
+  }
+
+  // Persist the current scores + ML result (with a small thumbnail) to the local history store
+  async function saveCurrentScan() {
+    try {
+      const { mlResult, modelMeta } = ml;
+      const record = makeScanRecord({
+        scores,
+        regionScores,
+        // with the labels / version of the model it came from, as in the report
+        mlResult: mlResult && {
+          ...mlResult,
+          modelVersion: mlResult.modelVersion ?? modelMeta?.modelVersion ?? null,
+          classMap: mlResult.classMap || modelMeta?.classMap || null,
+        },
+        skinTone,
+        source,
+        thumbnail: captureThumbnail(currentSource()),
+        snapshot: captureThumbnail(currentSource(), 640, 0.85),
+        landmarks: source === "photo" ? photoLandmarksRef.current : prevLandmarksRef.current,
+        regionDefs: enabledRegionsRef.current.map((id) => regionById(id, regionRegistryRef.current)),
+      });
+      const id = await saveScan(vault, record);
+      setSaveNote(`Saved ${new Date(record.ts).toLocaleTimeString()}`);
+      return id;
+    } catch (e) {
+      console.error(e);
+      setSaveNote(`Save failed: ${e?.message || String(e)}`);
+      return null;
+    }
+  }
+
+  // Report of what's on screen right now (scores, ML result, annotated frame), see report.js
+  function currentReport() {
+    const el = currentSource();
+    const { w, h } = el ? mediaSize(el) : { w: 0, h: 0 };
+    const { mlResult, modelMeta } = ml;
+    return buildReport({
+      scores,
+      regionScores,
+      mlResult: mlResult && { ...mlResult, classMap: mlResult.classMap || modelMeta?.classMap || null },
+      stability: smoothing.mode === "off" ? null : stability,
+      skinTone,
+      recommendations: currentRecommendations(),
+      source: session?.phase === "done" ? "session" : source,
+      settings: { whiteBalance: wbMethod, smoothing: smoothing.mode, inference: ml.mlMode },
+      config,
+      snapshot: captureAnnotatedSnapshot(el, overlayRef.current, w, h),
+    });
+  }
+
+  // Rules that fire for what's on screen (recommendations.js)
+  function currentRecommendations() {
+    return recommend(
+      settings.rules,
+      scanFacts({
+        scores,
+        regionScores,
+        mlResult: ml.mlResult,
+        skinTone,
+        stability: smoothing.mode === "off" ? null : stability,
+        labels: config.labels,
+        lightingGate: config.scoring.lightingGate,
+        classMap: ml.classMapFor(ml.mlResult),
+      })
+    );
+  }
+
+  function exportReport(format) {
+    try {
+      const report = currentReport();
+      if (format === "json") {
+        downloadText(reportFileName(report, "json"), JSON.stringify(report, null, 2), "application/json");
+      } else if (format === "html") {
+        downloadText(reportFileName(report, "html"), reportToHtml(report), "text/html");
+      } else if (!printReport(report)) {
+        setSaveNote("Allow pop-ups to print the report.");
+        return;
+      }
+      setSaveNote(`Exported ${new Date(report.createdAt).toLocaleTimeString()}`);
+    } catch (e) {
+      console.error(e);
+      setSaveNote(`Export failed: ${e?.message || String(e)}`);
+    }
+  }
+
+  function redrawPhoto() {
+    if (source !== "photo" || !photoLandmarksRef.current) return;
+    drawAndScore(photoLandmarksRef.current, photoRef.current, { dropIfBusy: false })?.catch((e) =>
+      setDebug(`Scoring failed: ${e?.message || String(e)}`)
+    );
+  }
+
+  function startSession() {
+    const mlTarget = mlBackendRef.current.available ? sessionMlFrames : 0;
+    sessionRef.current = { target: SESSION_FRAMES, samples: [], mlTarget, mlImages: [] };
+    setSession({ phase: "collecting", count: 0, target: SESSION_FRAMES, result: null, mlFrames: mlTarget });
+  }
+
+  function cancelSession() {
+    sessionRef.current = null;
+    setSession(null);
+  }
+
+  // Called with the raw scores of each frame that passed the quality gate
+  function collectSessionFrame(computed, landmarks) {
+    const sess = sessionRef.current;
+    if (!sess || sess.samples.length >= sess.target) return;
+    sess.samples.push(flattenScores(computed));
+
+    // spread the ML captures evenly over the session
+    const n = sess.samples.length;
+    const nextCaptureAt = ((sess.mlImages.length + 1) * sess.target) / (sess.mlTarget + 1);
+    if (sess.mlImages.length < sess.mlTarget && n >= nextCaptureAt) {
+      const img = captureForUpload(videoRef.current, landmarks);
+      if (img) sess.mlImages.push(img);
+    }
+
+    setSession((s) => (s ? { ...s, count: n } : s));
+    if (n >= sess.target) finishSession(sess);
+  }
+
+  async function finishSession(sess) {
+    const runId = runIdRef.current;
+    const combined = combineSamples(sess.samples, median);
+    const agg = createAggregator({ window: sess.samples.length });
+    sess.samples.forEach((s) => agg.push(s));
+    const result = unflattenScores(combined, { lightingOk: true, regions: {} });
+    const done = {
+      phase: "done",
+      count: sess.samples.length,
+      target: sess.target,
+      result,
+      stability: agg.stability(),
+    };
+
+    setScores(result.headline);
+    setRegionScores(result.regions);
+
+    if (!sess.mlImages.length) {
+      sessionRef.current = null;
+      setSession({ ...done, mlFrames: 0 });
+      return;
+    }
+
+    setSession({ ...done, phase: "inferring", mlFrames: sess.mlImages.length });
+    setMlError("");
+    setMlStatus(`Inferring ${sess.mlImages.length} frames…`);
+    const token = {};
+    inFlightRef.current = token;
+
+    // sequential: keeps the Lambda to one request at a time, like live mode
+    const responses = [];
+    const errors = [];
+    for (const img of sess.mlImages) {
+      if (runId !== runIdRef.current) break;
+      try {
+        responses.push(await mlBackendRef.current.infer(img));
+      } catch (e) {
+        errors.push(formatMlError(e));
+      }
+    }
+    if (inFlightRef.current === token) inFlightRef.current = null;
+    if (runId !== runIdRef.current) return;
+
+    sessionRef.current = null;
+    setSession({ ...done, mlFrames: responses.length });
+    const combinedMl = combineMlResults(responses);
+    if (combinedMl) {
+      setMlResult(combinedMl);
+      mlOverlayRef.current = null;
+      setMlStatus(`Session (${responses.length}/${sess.mlImages.length} frames)`);
+    } else {
+      setMlStatus("Failed ❌");
+    }
+    if (errors.length) setMlError(errors.join("\n"));
+  }
+
+  // Hold a plain white card / sheet of paper in the middle of the frame, then click.
+  function calibrateWhiteCard() {
+    const el = currentSource();
+    const { w, h } = el ? mediaSize(el) : { w: 0, h: 0 };
+    if (!w || !h) {
+      setDebug("White card: start the camera or upload a photo first.");
+      return;
+    }
+    const ctx = grabFrame(el, w, h);
+    const bw = Math.round(w * 0.2);
+    const bh = Math.round(h * 0.2);
+    const ref = meanRgb(ctx.getImageData(Math.round((w - bw) / 2), Math.round((h - bh) / 2), bw, bh).data);
+    setDebug(`White card calibrated: ref rgb(${ref.map(Math.round).join(", ")})`);
+    settings.changeWbCardGains(gainsFromReference(ref));
+  }
+
+  function maybeInferFromFrame(landmarks) {
+    // Don’t spam Lambda: at most 1 request per inference.throttleMs (config)
+    const now = Date.now();
+    if (inFlightRef.current) return;
+    if (now - lastInferMsRef.current < configRef.current.inference.throttleMs) return;
+
+    // must be running, and must have a backend that can answer
+    if (!liveRef.current) return;
+    if (!mlBackendRef.current.available) return;
+
+    const img = captureForUpload(videoRef.current, landmarks);
+    if (!img) return;
+    const upload = uploadPrefsRef.current;
+
+    const token = {};
+    inFlightRef.current = token;
+    lastInferMsRef.current = now;
+
+    setMlError("");
+    setMlStatus("Inferring…");
+
+    mlBackendRef.current
+      .infer(img)
+      .then((data) => {
+        setMlResult(data);
+        mlOverlayRef.current = lesionOverlay(data, upload);
+        setMlStatus("Live");
+      })
+      .catch((e) => {
+        if (e?.kind === "aborted") return;
+        setMlStatus("Live error ❌");
+        setMlError(formatMlError(e));
+      })
+      .finally(() => {
+        if (inFlightRef.current === token) inFlightRef.current = null;
+      });
+  }
+
+  const canAnalyze = status === "Running" || status === "Photo" || status === "Video";
+  const canSave = canAnalyze && scores.lighting > 0;
+
+  return {
+    source,
+    status,
+    faces,
+    wbInfo,
+    photoUrl,
+    canAnalyze,
+    canSave,
+    saveNote,
+    scores,
+    regionScores,
+    stability,
+    skinTone,
+    quality,
+    faceResults,
+    faceMl,
+    multiFace,
+    mlPerFace,
+    session,
+    sessionMlFrames,
+    videoOpts,
+    timeline,
+    videoDuration,
+    videoCursor,
+    videoProgress,
+    startCamera,
+    stopAll,
+    resetTracking,
+    analyzePhoto,
+    analyzeVideo,
+    scrubVideo,
+    exportTimelineCsv,
+    setVideoOpts,
+    runInferenceNow,
+    saveCurrentScan,
+    exportReport,
+    currentRecommendations,
+    startSession,
+    cancelSession,
+    setSessionMlFrames,
+    calibrateWhiteCard,
+    changeMultiFace,
+    changeMlPerFace,
+  };
+}
+
+/** ---------- helpers ---------- **/
+
+function meanRgb(data) {
+  const acc = [0, 0, 0];
+  const n = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    acc[0] += data[i];
+    acc[1] += data[i + 1];
+    acc[2] += data[i + 2];
+  }
+  return acc.map((v) => v / Math.max(1, n));
+}
+
+// { lighting, redness, ..., regions: { id: {...} } } <-> flat { lighting, ..., "id.redness": n }
+// so one aggregator can smooth the headline and every region together
+function flattenScores({ regions = {}, ...headline }) {
+  const flat = {};
+  for (const k of SCORE_KEYS) flat[k] = headline[k];
+  for (const [id, r] of Object.entries(regions)) {
+    for (const k of SCORE_KEYS) flat[`${id}.${k}`] = r[k];
+  }
+  return flat;
+}
+
+// `raw` supplies the non-numeric bits (lightingOk) from the latest frame
+function unflattenScores(flat, raw) {
+  const headline = roundScores(flat);
+  const regions = {};
+  for (const [key, v] of Object.entries(flat)) {
+    const [id, metric] = key.split(".");
+    if (!metric) continue;
+    regions[id] = regions[id] || { lightingOk: raw.regions?.[id]?.lightingOk ?? true };
+    regions[id][metric] = Math.round(v);
+  }
+  return { headline, regions };
+}
+
+// SCORE_KEYS of `s`, rounded (missing -> 0)
+function roundScores(s) {
+  return Object.fromEntries(SCORE_KEYS.map((k) => [k, Math.round(s[k] ?? 0)]));
+}
+
+function roundRegionScores(perRegion = {}) {
+  const out = {};
+  for (const [id, r] of Object.entries(perRegion)) {
+    out[id] = { ...roundScores(r), lightingOk: r.lightingOk };
+  }
+  return out;
+}
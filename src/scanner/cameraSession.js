@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  CAMERA_DEFAULTS,
+  applyTrackControls,
+  cameraErrorMessage,
+  listCameras,
+  openCamera,
+  trackCapabilities,
+  trackInfo,
+} from "../camera";
+
+const CAMERA_PREFS_KEY = "skinscan.cameraPrefs";
+const NO_TRACK_CONTROLS = { torch: false, lockExposure: false, lockWhiteBalance: false };
+
+/**
+ * The camera part of the scanner session (ScannerProvider.js): the <video> and overlay canvas that
+ * ScannerStage renders, the device / stream settings (camera.js) and the running track. Settings
+ * apply to a running stream without Stop/Start; the analysis hears about it through
+ *   onSwitch()   a new camera is about to open mid-scan (don't smooth across the switch)
+ *   onFail()     it couldn't be opened: the scan stops
+ * setDebug writes the shared debug line.
+ */
+export function useCameraSessionState(storage, { setDebug, onSwitch, onFail }) {
+  const videoRef = useRef(null);
+  const overlayRef = useRef(null);
+  const lastVideoTimeRef = useRef(-1); // the rAF loop only scores frames it hasn't seen
+  const liveRef = useRef(false); // scanning the camera (Start Scan until Stop); the rAF loop outlives renders
+  const mirrorRef = useRef(true); // selfie mirror, off for rear cameras
+
+  const [cameraPrefs, setCameraPrefs] = useState(() => loadCameraPrefs(storage));
+  const cameraPrefsRef = useRef(cameraPrefs);
+  const [cameras, setCameras] = useState([]); // [{ deviceId, label }]
+  const [camCaps, setCamCaps] = useState(null); // trackCapabilities() of the running track
+  const [camControls, setCamControls] = useState(NO_TRACK_CONTROLS);
+  const [streamInfo, setStreamInfo] = useState(null); // trackInfo() of the running track
+  const [cameraError, setCameraError] = useState("");
+
+  // Keep the camera list current (labels appear after the first permission grant; USB cameras come and go)
+  useEffect(() => {
+    const md = navigator.mediaDevices;
+    const refresh = () => listCameras().then(setCameras).catch(() => {});
+    refresh();
+    md?.addEventListener?.("devicechange", refresh);
+    return () => md?.removeEventListener?.("devicechange", refresh);
+  }, []);
+
+  // Start Scan: open the saved camera. A failure is shown with the camera settings and rethrown.
+  async function startStream() {
+    setCameraError("");
+    try {
+      return await openStream(cameraPrefsRef.current);
+    } catch (e) {
+      setCameraError(cameraErrorMessage(e));
+      throw e;
+    }
+  }
+
+  // (Re)open the camera into the <video>. The old stream is stopped first: phones often can't run
+  // two cameras at once. The rAF loop keeps running and simply waits for the new frames.
+  async function openStream(prefs) {
+    const video = videoRef.current;
+    video.srcObject?.getTracks?.().forEach((t) => t.stop());
+
+    const stream = await openCamera(prefs);
+    video.srcObject = stream;
+    await new Promise((resolve) => {
+      video.onloadedmetadata = () => resolve();
+    });
+    await video.play();
+    lastVideoTimeRef.current = -1;
+
+    const track = stream.getVideoTracks()[0];
+    const info = trackInfo(track);
+    track.onended = () => setCameraError("The camera was disconnected. Pick another one or press Start Scan.");
+    mirrorRef.current = info.facingMode !== "environment";
+    setStreamInfo(info);
+    setCamCaps(trackCapabilities(track));
+    setCamControls(NO_TRACK_CONTROLS); // a new track starts with torch off / auto exposure
+    listCameras().then(setCameras).catch(() => {});
+    return info;
+  }
+
+  function closeStream() {
+    liveRef.current = false;
+    const video = videoRef.current;
+    const stream = video?.srcObject;
+    if (stream && stream.getTracks) stream.getTracks().forEach((t) => t.stop());
+    if (video) video.srcObject = null;
+    setStreamInfo(null);
+    setCamCaps(null);
+    setCamControls(NO_TRACK_CONTROLS);
+  }
+
+  async function changeCameraPrefs(next) {
+    const prefs = { ...cameraPrefsRef.current, ...next };
+    cameraPrefsRef.current = prefs;
+    setCameraPrefs(prefs);
+    try {
+      storage.setItem(CAMERA_PREFS_KEY, JSON.stringify(prefs));
+    } catch {}
+
+    if (!liveRef.current) return; // applied on the next Start Scan
+    setCameraError("");
+    setDebug("Switching camera…");
+    onSwitch();
+    try {
+      const info = await openStream(prefs);
+      setDebug(`Video ready (${info.width}x${info.height}${info.frameRate ? ` @ ${info.frameRate} fps` : ""})`);
+    } catch (e) {
+      console.error(e);
+      setCameraError(cameraErrorMessage(e));
+      onFail();
+    }
+  }
+
+  async function changeCamControls(next) {
+    const controls = { ...camControls, ...next };
+    const track = videoRef.current?.srcObject?.getVideoTracks?.()[0];
+    if (!track) return;
+    try {
+      await applyTrackControls(track, controls);
+      setCamControls(controls);
+    } catch (e) {
+      setCameraError(`Camera control not applied: ${e?.message || String(e)}`);
+    }
+  }
+
+  return {
+    videoRef,
+    overlayRef,
+    lastVideoTimeRef,
+    liveRef,
+    mirrorRef,
+    cameraPrefs,
+    cameras,
+    camCaps,
+    camControls,
+    streamInfo,
+    cameraError,
+    startStream,
+    closeStream,
+    changeCameraPrefs,
+    changeCamControls,
+  };
+}
+
+/** ---------- helpers ---------- **/
+
+function loadCameraPrefs(storage) {
+  try {
+    return { ...CAMERA_DEFAULTS, ...JSON.parse(storage.getItem(CAMERA_PREFS_KEY)) };
+  } catch {
+    return { ...CAMERA_DEFAULTS };
+  }
+}
@@ -0,0 +1,28 @@
+// The frame sources the scanner reads: the <video> (camera or recorded file) and an uploaded <img>
+
+export function mediaSize(el) {
+  // <video> reports videoWidth/Height, <img> naturalWidth/Height
+  if (el.videoWidth !== undefined) return { w: el.videoWidth, h: el.videoHeight };
+  return { w: el.naturalWidth, h: el.naturalHeight };
+}
+
+export function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not decode image (use JPEG or PNG)."));
+    img.src = url;
+  });
+}
+
+export function captureThumbnail(el, maxSide = 160, quality = 0.7) {
+  if (!el) return null;
+  const { w, h } = mediaSize(el);
+  if (!w || !h) return null;
+  const k = Math.min(1, maxSide / Math.max(w, h));
+  const c = document.createElement("canvas");
+  c.width = Math.round(w * k);
+  c.height = Math.round(h * k);
+  c.getContext("2d").drawImage(el, 0, 0, c.width, c.height);
+  return c.toDataURL("image/jpeg", quality);
+}
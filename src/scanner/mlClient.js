@@ -0,0 +1,223 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_ACNE_CLASS_MAP,
+  ML_MODES,
+  UPLOAD_DEFAULTS,
+  acneClassLabel,
+  createInferenceBackend,
+  preprocessForUpload,
+} from "../ml";
+import { mediaSize } from "./media";
+
+const ML_MODE_KEY = "skinscan.mlMode";
+const ML_URL_KEY = "skinscan.mlUrl";
+const UPLOAD_PREFS_KEY = "skinscan.uploadPrefs";
+
+/**
+ * The inference part of the scanner session (ScannerProvider.js): the backend (ml/backend.js) for the
+ * chosen mode and endpoint, what gets sent to it, its model metadata and the latest result. The
+ * analysis decides when to infer; requests share one slot (inFlightRef) so only one is out at a time.
+ *
+ * Expects:
+ *   - Amplify env var: REACT_APP_ML_URL = https://xxxx.lambda-url.us-east-1.on.aws/
+ *     (local dev: `npm run mock:ml`, then REACT_APP_ML_URL=http://localhost:8787/)
+ *   - Optional: REACT_APP_ML_MODE = remote | local | local-fallback (default inference mode,
+ *     user-overridable; "local" runs the bundled ONNX model and never uploads images, see ml/local.js)
+ *
+ * Lambda request payload + supported response shapes: see ml/client.js and ml/schema.js.
+ * mlResult is always the normalized result from ml/schema.js.
+ */
+export function useMlClientState(storage) {
+  // what gets sent to the model: face crop / redaction / mirroring (ml/preprocess.js)
+  const [uploadPrefs, setUploadPrefs] = useState(() => loadUploadPrefs(storage));
+  const uploadPrefsRef = useRef(uploadPrefs);
+  const [uploadInfo, setUploadInfo] = useState(null); // { width, height, bytes } of the last capture
+
+  // throttle inference: the token of the request holding the one slot, or null. Switching backend
+  // frees the slot at once; the old request, when it settles, only releases its own token.
+  const inFlightRef = useRef(null);
+  const lastInferMsRef = useRef(0);
+
+  const [mlStatus, setMlStatus] = useState("Idle");
+  const [mlError, setMlError] = useState("");
+  const [mlResult, setMlResult] = useState(null);
+
+  const [mlUrl, setMlUrl] = useState(() => loadMlUrl(storage)); // Settings can override REACT_APP_ML_URL per profile
+  const [mlMode, setMlMode] = useState(() => loadMlMode(storage));
+  const mlBackendRef = useRef(null);
+  if (!mlBackendRef.current) mlBackendRef.current = createInferenceBackend({ mode: mlMode, url: mlUrl });
+
+  // { modelVersion, classMap } the backend publishes (ml/client.js meta()); null if it doesn't
+  const [modelMeta, setModelMeta] = useState(null);
+
+  // Lesion boxes / heat of the latest single-frame ML result plus the upload settings it was captured
+  // with, so drawLesions() can map them back onto the face; null for combined (session / video) results
+  const mlOverlayRef = useRef(null);
+
+  // --- helpers for displaying normalized ML results (ml/schema.js) ---
+  // labels: the result's own class_map, else the model metadata's, else the built-in 0–4 scale
+  const classMapFor = (r) => r?.classMap || modelMeta?.classMap || DEFAULT_ACNE_CLASS_MAP;
+
+  const getAcneDisplay = (r) => {
+    if (!r) return "—";
+    // Class models (and the older multi-metric acne score)
+    if (r.acne.class !== null) return r.shape === "multi" ? String(r.acne.class) : acneClassLabel(r.acne.class, classMapFor(r));
+    // Binary outputs
+    if (r.acne.prob !== null) return `${Math.round(r.acne.prob * 100)}%`;
+    if (r.acne.present !== null) return r.acne.present ? "Yes" : "No";
+    return "—";
+  };
+
+  const getDrynessDisplay = (r) => {
+    if (!r) return "—";
+    return r.dryness !== null ? String(r.dryness) : "—";
+  };
+
+  const getRednessMlDisplay = (r) => {
+    if (!r) return "—";
+    return r.redness !== null ? String(r.redness) : "—";
+  };
+
+  // Class map / model version of whichever model the current ML mode talks to; in local-fallback
+  // that's the one that gave the latest result, so refresh when that switches
+  const answeredBy = mlResult?.backend || null;
+  useEffect(() => {
+    let cancelled = false;
+    setModelMeta(null);
+    mlBackendRef.current
+      .meta()
+      .then((meta) => {
+        if (!cancelled) setModelMeta(meta);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        // nothing to infer with (local mode and only the placeholder model): say so before a scan
+        if (e?.kind === "unavailable") setMlError(formatMlError(e));
+        else console.warn("Model metadata not available:", e);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [mlMode, mlUrl, answeredBy]);
+
+  // Face crop + resize (+ optional redaction / mirroring) of the given frame, as a JPEG data URL.
+  // null when there's no frame, or no face to crop to (then nothing is sent).
+  function captureForUpload(el, landmarks) {
+    if (!el) return null;
+    const { w, h } = mediaSize(el);
+    const out = preprocessForUpload(el, landmarks, w, h, uploadPrefsRef.current);
+    if (!out) return null;
+    setUploadInfo({ width: out.width, height: out.height, bytes: out.bytes });
+    return out.dataUrl;
+  }
+
+  // Back to "no result": Stop, or the face left the frame
+  function clearResult() {
+    setMlStatus("Idle");
+    setMlError("");
+    setMlResult(null);
+    mlOverlayRef.current = null;
+  }
+
+  function changeMlMode(mode) {
+    mlBackendRef.current.abortAll();
+    inFlightRef.current = null;
+    mlBackendRef.current = createInferenceBackend({ mode, url: mlUrl });
+    if (mode !== "remote") mlBackendRef.current.preload()?.catch((e) => setMlError(formatMlError(e)));
+    try {
+      storage.setItem(ML_MODE_KEY, mode);
+    } catch {}
+    setMlError("");
+    setMlMode(mode);
+  }
+
+  // An empty URL goes back to the build's REACT_APP_ML_URL
+  function changeMlUrl(url) {
+    const next = url.trim() || process.env.REACT_APP_ML_URL || "";
+    mlBackendRef.current.abortAll();
+    inFlightRef.current = null;
+    mlBackendRef.current = createInferenceBackend({ mode: mlMode, url: next });
+    try {
+      if (url.trim()) storage.setItem(ML_URL_KEY, next);
+      else storage.removeItem(ML_URL_KEY);
+    } catch {}
+    setMlError("");
+    setMlUrl(next);
+  }
+
+  function changeUploadPrefs(next) {
+    const prefs = { ...uploadPrefsRef.current, ...next };
+    uploadPrefsRef.current = prefs;
+    try {
+      storage.setItem(UPLOAD_PREFS_KEY, JSON.stringify(prefs));
+    } catch {}
+    setUploadPrefs(prefs);
+  }
+
+  return {
+    mlBackendRef,
+    inFlightRef,
+    lastInferMsRef,
+    uploadPrefsRef,
+    mlOverlayRef,
+    mlMode,
+    mlUrl,
+    mlStatus,
+    mlError,
+    mlResult,
+    modelMeta,
+    uploadPrefs,
+    uploadInfo,
+    setMlStatus,
+    setMlError,
+    setMlResult,
+    classMapFor,
+    getAcneDisplay,
+    getDrynessDisplay,
+    getRednessMlDisplay,
+    captureForUpload,
+    clearResult,
+    changeMlMode,
+    changeMlUrl,
+    changeUploadPrefs,
+  };
+}
+
+// MlError kinds (ml/errors.js) get a short prefix so timeouts vs bad responses are obvious
+export function formatMlError(e) {
+  const msg = e?.message || String(e);
+  if (!e?.kind) return msg;
+  return e.status ? `[${e.kind} ${e.status}] ${msg}` : `[${e.kind}] ${msg}`;
+}
+
+// Only results that localize something get an overlay (see drawLesions)
+export function lesionOverlay(result, upload) {
+  return result.lesions?.length || result.lesionHeatmap ? { result, upload } : null;
+}
+
+/** ---------- helpers ---------- **/
+
+function loadUploadPrefs(storage) {
+  try {
+    return { ...UPLOAD_DEFAULTS, ...JSON.parse(storage.getItem(UPLOAD_PREFS_KEY)) };
+  } catch {
+    return { ...UPLOAD_DEFAULTS };
+  }
+}
+
+function loadMlUrl(storage) {
+  try {
+    const saved = storage.getItem(ML_URL_KEY);
+    if (saved) return saved;
+  } catch {}
+  return process.env.REACT_APP_ML_URL || "";
+}
+
+function loadMlMode(storage) {
+  try {
+    const saved = storage.getItem(ML_MODE_KEY);
+    if (ML_MODES.includes(saved)) return saved;
+  } catch {}
+  const env = process.env.REACT_APP_ML_MODE;
+  return ML_MODES.includes(env) ? env : "remote";
+}
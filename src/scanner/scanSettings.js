@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_CONFIG,
+  configuredRegions,
+  loadConfigUrl,
+  loadSavedConfig,
+  saveConfig,
+  scoreLabel,
+} from "../config";
+import { DEFAULT_RULES, loadRulesUrl } from "../recommendations";
+import { REGION_IDS } from "../regions";
+
+export const WB_LABELS = {
+  off: "Off",
+  grayWorld: "Gray-world",
+  whitePatch: "White-patch",
+  reference: "Sclera / teeth",
+  card: "White card",
+};
+const WB_CARD_KEY = "skinscan.wbCardGains";
+
+/**
+ * How the scanner session (ScannerProvider.js) scores: thresholds / score mappings / region indices
+ * (config.js), recommendation rules, smoothing, white balance, the overlay and the region toggles.
+ * The state is for the screens; every setting the rAF loop reads also has a ref, since the loop
+ * outlives renders. Nothing here re-scores: the analysis re-draws a photo when these change.
+ */
+export function useScanSettingsState(storage) {
+  const [config, setConfig] = useState(() => loadSavedConfig(storage) || DEFAULT_CONFIG);
+  const [configNote, setConfigNote] = useState(() => (loadSavedConfig(storage) ? "Saved" : "Defaults"));
+  const configRef = useRef(config);
+  const regionRegistryRef = useRef(configuredRegions(config));
+
+  // recommendation rules (recommendations.js): the built-in file, or REACT_APP_RULES_URL
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [rulesNote, setRulesNote] = useState("Built-in rules");
+
+  // temporal smoothing of the per-frame scores (see aggregate.js)
+  const [smoothing, setSmoothing] = useState({ mode: "median", window: 15 });
+  const smoothingRef = useRef(smoothing);
+
+  const [enabledRegions, setEnabledRegions] = useState(REGION_IDS);
+  const enabledRegionsRef = useRef(REGION_IDS);
+
+  // overlay: flat region fills, or a per-tile heatmap of one metric
+  const [overlayMode, setOverlayMode] = useState("regions"); // "regions" | "redness" | "shine"
+  const overlayModeRef = useRef("regions");
+  const lastHeatmapRef = useRef(null);
+  const [showLesions, setShowLesions] = useState(true);
+  const showLesionsRef = useRef(true);
+
+  // white-balance normalization before the colour scorers (see scoring/whiteBalance.js)
+  const [wbMethod, setWbMethod] = useState("grayWorld");
+  const wbMethodRef = useRef("grayWorld");
+  const [wbCardGains, setWbCardGains] = useState(() => loadCardGains(storage));
+  const wbCardGainsRef = useRef(wbCardGains);
+
+  // Tuning panel / config URL. null = back to the built-in defaults (and forget the saved copy).
+  const applyConfig = useCallback(
+    (next, note, { persist = true } = {}) => {
+      const cfg = next || DEFAULT_CONFIG;
+      configRef.current = cfg;
+      regionRegistryRef.current = configuredRegions(cfg);
+      setConfig(cfg);
+      setConfigNote(note);
+      if (persist) saveConfig(next, storage);
+    },
+    [storage]
+  );
+
+  // A deployment can point at a config file; a locally saved (tuned) config wins over it
+  useEffect(() => {
+    const url = process.env.REACT_APP_CONFIG_URL;
+    if (!url || loadSavedConfig(storage)) return;
+    let cancelled = false;
+    loadConfigUrl(url)
+      .then((cfg) => {
+        if (!cancelled) applyConfig(cfg, `URL ${url}`, { persist: false });
+      })
+      .catch((e) => {
+        if (!cancelled) setConfigNote(`Defaults (${e.message})`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, applyConfig]);
+
+  // ...and at its own recommendation rules, edited without a new build
+  useEffect(() => {
+    const url = process.env.REACT_APP_RULES_URL;
+    if (!url) return;
+    let cancelled = false;
+    loadRulesUrl(url)
+      .then((r) => {
+        if (cancelled) return;
+        setRules(r);
+        setRulesNote(`Rules from ${url}`);
+      })
+      .catch((e) => {
+        if (!cancelled) setRulesNote(`Built-in rules (${e.message})`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function changeSmoothing(next) {
+    const cfg = { ...smoothing, ...next };
+    smoothingRef.current = cfg;
+    setSmoothing(cfg);
+  }
+
+  function toggleRegion(id) {
+    const next = enabledRegions.includes(id)
+      ? enabledRegions.filter((r) => r !== id)
+      : REGION_IDS.filter((r) => r === id || enabledRegions.includes(r));
+    enabledRegionsRef.current = next;
+    setEnabledRegions(next);
+  }
+
+  function changeOverlayMode(mode) {
+    overlayModeRef.current = mode;
+    lastHeatmapRef.current = null;
+    setOverlayMode(mode);
+  }
+
+  function changeShowLesions(on) {
+    showLesionsRef.current = on;
+    setShowLesions(on);
+  }
+
+  function changeWbMethod(method) {
+    wbMethodRef.current = method;
+    setWbMethod(method);
+  }
+
+  // Gains measured off a white card (the analysis reads the frame); kept per profile, used by "card"
+  function changeWbCardGains(gains) {
+    wbCardGainsRef.current = gains;
+    try {
+      storage.setItem(WB_CARD_KEY, JSON.stringify(gains));
+    } catch {}
+    setWbCardGains(gains);
+    changeWbMethod("card");
+  }
+
+  const label = (v) => scoreLabel(v, config.labels);
+
+  return {
+    configRef,
+    regionRegistryRef,
+    smoothingRef,
+    enabledRegionsRef,
+    overlayModeRef,
+    lastHeatmapRef,
+    showLesionsRef,
+    wbMethodRef,
+    wbCardGainsRef,
+    config,
+    configNote,
+    rules,
+    rulesNote,
+    smoothing,
+    enabledRegions,
+    overlayMode,
+    showLesions,
+    wbMethod,
+    wbCardGains,
+    label,
+    applyConfig,
+    changeSmoothing,
+    toggleRegion,
+    changeOverlayMode,
+    changeShowLesions,
+    changeWbMethod,
+    changeWbCardGains,
+  };
+}
+
+/** ---------- helpers ---------- **/
+
+function loadCardGains(storage) {
+  try {
+    const g = JSON.parse(storage.getItem(WB_CARD_KEY));
+    return Array.isArray(g) && g.length === 3 ? g : null;
+  } catch {
+    return null;
+  }
+}
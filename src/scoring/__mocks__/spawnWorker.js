@@ -0,0 +1,4 @@
+// Jest has no Worker: the engine falls back to running the ops inline.
+export default function spawnWorker() {
+  return null;
+}
@@ -0,0 +1,86 @@
+import { OPS } from "./ops";
+import spawnWorker from "./spawnWorker";
+
+/**
+ * Async front-end for the scorers. Runs them in a Web Worker when possible (keeps getImageData
+ * + ray-casting off the requestAnimationFrame loop), otherwise inline on the calling thread.
+ *
+ *   const engine = createScoringEngine();
+ *   const { lighting, redness, shine, roughness, pores, lines, lightingOk } = await engine.scoreRegions(image, regions);
+ *   const { regions: perRegion, ...headline } = await engine.scoreFace(image, regions, headline);
+ *
+ * image.data.buffer is transferred to the worker, so don't reuse the ImageData afterwards.
+ */
+export function createScoringEngine({ useWorker = true } = {}) {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id -> { resolve, reject }
+
+  function failPending(err) {
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  }
+
+  if (useWorker) {
+    try {
+      worker = spawnWorker();
+    } catch (e) {
+      console.warn("Scoring worker unavailable, scoring inline:", e);
+      worker = null;
+    }
+  }
+
+  if (worker) {
+    worker.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (error) p.reject(new Error(error));
+      else p.resolve(result);
+    };
+    worker.onerror = (e) => {
+      // a crashed worker shouldn't take scoring down with it
+      console.error(e);
+      failPending(new Error(e?.message || "Scoring worker crashed"));
+      worker.terminate();
+      worker = null;
+    };
+  }
+
+  function run(op, args, transfer = []) {
+    if (!worker) {
+      try {
+        return Promise.resolve(OPS[op](...args));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, op, args }, transfer);
+    });
+  }
+
+  return {
+    get inWorker() {
+      return !!worker;
+    },
+    // true while a request is outstanding; the live loop drops frames instead of queueing them
+    busy() {
+      return pending.size > 0;
+    },
+    scoreRegions(image, regions, opts) {
+      return run("scoreRegions", [image, regions, opts], [image.data.buffer]);
+    },
+    scoreFace(image, regions, headline, opts) {
+      return run("scoreFace", [image, regions, headline, opts], [image.data.buffer]);
+    },
+    terminate() {
+      failPending(new Error("Scoring engine terminated"));
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
@@ -0,0 +1,4 @@
+export * from "./scoring";
+export { SKIN_TONE_GROUPS } from "./skinTone";
+export { WB_METHODS, gainsFromReference } from "./whiteBalance";
+export { createScoringEngine } from "./engine";
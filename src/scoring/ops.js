@@ -0,0 +1,7 @@
+import { scoreFace, scoreRegions } from "./scoring";
+
+// Everything the engine can run, by name. The worker and the inline fallback share this table.
+export const OPS = {
+  scoreRegions,
+  scoreFace,
+};
@@ -0,0 +1,93 @@
+/**
+ * Geometry + pixel sampling shared by the scorers and the white-balance estimator.
+ * Same "image" / polygon conventions as scoring.js.
+ */
+
+// Integer pixel box covering all polys, clipped to the frame. null if too small to sample.
+export function polysBounds(polys, frameW, frameH) {
+  const pts = polys.flat();
+  if (pts.length < 3) return null;
+
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const p of pts) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  minX = Math.max(0, Math.floor(minX));
+  minY = Math.max(0, Math.floor(minY));
+  maxX = Math.min(frameW - 1, Math.ceil(maxX));
+  maxY = Math.min(frameH - 1, Math.ceil(maxY));
+
+  const w = maxX - minX + 1;
+  const h = maxY - minY + 1;
+  if (w <= 2 || h <= 2) return null;
+  return { left: minX, top: minY, width: w, height: h };
+}
+
+// Sample pixels from multiple polys, cheaply (bounding box + stride + point-in-poly).
+// Pixels inside any of the `exclude` polys are skipped.
+export function samplePolys(image, polys, maxSamples = 3000, exclude = []) {
+  const img = image.data;
+  const out = [];
+  visitPolys(image, polys, maxSamples, exclude, (px, py, i) => {
+    out.push([img[i], img[i + 1], img[i + 2]]); // RGB
+  });
+  return out;
+}
+
+// Same walk as samplePolys, calling visit(x, y, i) per sampled pixel: x/y in frame pixels,
+// i = offset of its RGBA in image.data. For scorers that need a pixel's neighbours, not just its colour.
+export function visitPolys(image, polys, maxSamples, exclude, visit) {
+  const left = image.left || 0;
+  const top = image.top || 0;
+  const box = polysBounds(polys, left + image.width, top + image.height);
+  if (!box) return;
+
+  const minX = Math.max(box.left, left);
+  const minY = Math.max(box.top, top);
+  const maxX = box.left + box.width - 1;
+  const maxY = box.top + box.height - 1;
+  if (maxX - minX < 2 || maxY - minY < 2) return;
+
+  const totalPixels = (maxX - minX + 1) * (maxY - minY + 1);
+  const step = Math.max(1, Math.floor(Math.sqrt(totalPixels / maxSamples)));
+
+  for (let py = minY; py <= maxY; py += step) {
+    for (let px = minX; px <= maxX; px += step) {
+      // inside ANY of the polys
+      let inside = false;
+      for (const poly of polys) {
+        if (pointInPoly({ x: px, y: py }, poly)) {
+          inside = true;
+          break;
+        }
+      }
+      if (!inside) continue;
+      if (exclude.some((poly) => pointInPoly({ x: px, y: py }, poly))) continue;
+
+      visit(px, py, ((py - top) * image.width + (px - left)) * 4);
+    }
+  }
+}
+
+export function pointInPoly(pt, poly) {
+  // ray-casting
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const xi = poly[i].x,
+      yi = poly[i].y;
+    const xj = poly[j].x,
+      yj = poly[j].y;
+
+    const intersect =
+      (yi > pt.y) !== (yj > pt.y) &&
+      pt.x < ((xj - xi) * (pt.y - yi)) / (yj - yi + 1e-9) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,304 @@
+/**
+ * Pixel-scoring heuristics. Framework-free and DOM-free so they can run in a Web Worker
+ * (see scoring.worker.js) or in tests.
+ *
+ * "image" is ImageData-like: { data: Uint8ClampedArray (RGBA), width, height, left?, top? }
+ *   left/top = where this crop sits in the full frame, so polygons stay in frame pixel coords.
+ * Polygons are arrays of { x, y } in frame pixels (see polyFrom in regions.js).
+ */
+
+import { pointInPoly, polysBounds, samplePolys } from "./sampling";
+import { estimateSkinTone, relightPixel, relightSamples, skinToneShift } from "./skinTone";
+import { textureFromPolys, textureRadius } from "./texture";
+import { applyGains, estimateWhiteBalance, referenceWhite } from "./whiteBalance";
+
+export { pointInPoly, polysBounds, samplePolys };
+
+// Tunable constants (the "scoring" section of the app config, see config.js). Every scorer takes
+// them as `params`; the defaults are what the app shipped with.
+export const SCORING_DEFAULTS = {
+  lightingGate: 35, // below this lighting score redness/shine aren't scored
+  redness: { offset: 20, range: 120 }, // mean r - (g+b)/2 -> ((mean + offset) / range) * 100
+  shine: { minValue: 210, maxSaturation: 0.35, scale: 250 }, // specular pixel test; fraction * scale
+  // redness and lighting samples are relit from the face's L* to referenceL (at most maxShift L*)
+  skinTone: { enabled: true, referenceL: 60, maxShift: 35 },
+  // texture.js: detector radius as a fraction of the face width; Weber-contrast thresholds
+  texture: {
+    radius: 0.02,
+    roughness: { offset: 0.03, scale: 1500 }, // mean |contrast| above the noise floor -> * scale
+    pores: { minContrast: 0.1, scale: 1500 }, // fraction of pore points * scale
+    lines: { minContrast: 0.08, scale: 400 }, // fraction of line points * scale
+  },
+};
+
+export const LIGHTING_GATE = SCORING_DEFAULTS.lightingGate;
+
+// Score the headline metrics. regions = { lighting: [poly], redness: [poly], shine: [poly],
+// roughness?: [poly], pores?: [poly], lines?: [poly] }
+// gains = white-balance correction for the colour scorers (lighting always uses raw pixels)
+// toneShift = L* shift that relights redness and lighting samples to the reference skin tone (see
+// skinTone.js; scoreFace only sets it from an exposure-normalized tone, so it removes the complexion
+// and leaves the light: the gate asks whether the reference complexion would be lit well enough)
+// textureRadius = texture detector radius in pixels (texture.js); defaults to one for these regions
+export function scoreRegions(
+  image,
+  regions,
+  {
+    params = SCORING_DEFAULTS,
+    lightingGate = params.lightingGate,
+    exclude = [],
+    gains = null,
+    toneShift = 0,
+    textureRadius: radius = textureRadius(Object.values(regions).flat(), params),
+  } = {}
+) {
+  const lightingRgb = samplePolys(image, regions.lighting || [], 2500, exclude);
+  const lighting = lightingFromSamples(relightSamples(lightingRgb, toneShift));
+
+  const out = { lighting, redness: 0, shine: 0, roughness: 0, pores: 0, lines: 0, lightingOk: lighting >= lightingGate };
+  if (out.lightingOk) {
+    const rednessRgb = applyGains(samplePolys(image, regions.redness || [], 2500, exclude), gains);
+    out.redness = rednessFromSamples(relightSamples(rednessRgb, toneShift), params);
+    out.shine = shineFromSamples(applyGains(samplePolys(image, regions.shine || [], 2500, exclude), gains), params);
+    // texture is luma-only: no white balance, no relighting (the contrasts are relative already)
+    const texture = (key) => textureFromPolys(image, regions[key] || [], { params, exclude, radius })[key];
+    out.roughness = texture("roughness");
+    out.pores = texture("pores");
+    out.lines = texture("lines");
+  }
+  return out;
+}
+
+/**
+ * Headline scores plus one set of scores per region.
+ *   regions:  [{ id, poly, exclude? }]  (see buildRegions in regions.js)
+ *   headline: { lighting: [poly], redness: [poly], shine: [poly] }
+ * Each region is gated on its own lighting, so a shadowed chin doesn't zero the cheeks.
+ *
+ * opts.whiteBalance = { method, ... } (see whiteBalance.js); the estimate comes back as
+ * out.whiteBalance and its gains are applied to every colour scorer, including the heatmap.
+ * opts.params = SCORING_DEFAULTS-shaped constants; opts.lightingGate overrides params.lightingGate.
+ *
+ * The skin tone is estimated from the headline lighting regions and comes back as out.skinTone
+ * (skinTone.js, plus the L* `shift` and whether it was `applied`); opts.skinTone.refRegions (sclera /
+ * teeth, as for the "reference" white balance) take the exposure out of that estimate. With
+ * params.skinTone.enabled and such a reference found, redness scores, the redness heatmap and the
+ * lighting scores (headline and per region, so the gate too) are computed on samples relit by that
+ * shift. The shift is only the complexion's distance from the reference, so deep skin under good
+ * light passes the gate and a dim frame stays dim. Without a reference (or a too dim one), the
+ * estimate's L* is mostly exposure, so the shift would brighten a dim frame rather than a deep
+ * complexion: nothing is relit, lighting is absolute.
+ *
+ * Texture (roughness / pores / lines, texture.js) uses one detector radius for the whole face, from
+ * the span of the headline regions, so a small region isn't scored at a finer scale than a large one.
+ */
+export function scoreFace(image, regions, headline, opts = {}) {
+  const wb = estimateWhiteBalance(image, opts.whiteBalance);
+  const gains = wb.gains;
+  const params = opts.params || SCORING_DEFAULTS;
+  const gate = opts.lightingGate ?? params.lightingGate;
+
+  const toneParams = params.skinTone || SCORING_DEFAULTS.skinTone;
+  const tone = estimateSkinTone(samplePolys(image, headline.lighting || [], 2500, opts.exclude || []), {
+    refWhite: referenceWhite(image, opts.skinTone?.refRegions),
+    gains,
+  });
+  const shift = skinToneShift(tone, toneParams);
+  const applied = Boolean(toneParams.enabled && tone?.exposureNormalized);
+  const toneShift = applied ? shift : 0;
+
+  const radius = textureRadius(Object.values(headline).flat(), params);
+
+  const out = scoreRegions(image, headline, { ...opts, gains, toneShift, textureRadius: radius });
+  out.skinTone = tone && { ...tone, shift: Math.round(shift * 10) / 10, applied };
+  out.whiteBalance = wb;
+  out.sharpness = sharpnessFromImage(image);
+  out.regions = {};
+  for (const r of regions) {
+    // one sample pass per region instead of three
+    const rgb = samplePolys(image, [r.poly], 2500, r.exclude || []);
+    const lighting = lightingFromSamples(relightSamples(rgb, toneShift));
+    const lightingOk = lighting >= gate;
+    const corrected = lightingOk ? applyGains(rgb, gains) : rgb;
+    const texture = lightingOk
+      ? textureFromPolys(image, [r.poly], { params, exclude: r.exclude || [], radius })
+      : { roughness: 0, pores: 0, lines: 0 };
+    out.regions[r.id] = {
+      lighting,
+      redness: lightingOk ? rednessFromSamples(relightSamples(corrected, toneShift), params) : 0,
+      shine: lightingOk ? shineFromSamples(corrected, params) : 0,
+      ...texture,
+      lightingOk,
+    };
+  }
+  // opts.heatmap = { metric: "redness" | "shine", block }
+  if (opts.heatmap && out.lightingOk) {
+    const { metric, block } = opts.heatmap;
+    out.heatmap = heatmapFromRegions(image, regions, metric, block, gains, params, toneShift);
+  }
+  return out;
+}
+
+/**
+ * Local redness / shine per block x block tile inside the regions, for the heatmap overlay.
+ * Returns { metric, block, cells: [[x, y, v], ...] } with x/y the tile's top-left in frame
+ * pixels and v in 0..1 (same mapping as the averaged scores, divided by 100, relit by toneShift).
+ */
+export function heatmapFromRegions(
+  image,
+  regions,
+  metric = "redness",
+  block = 6,
+  gains = null,
+  params = SCORING_DEFAULTS,
+  toneShift = 0
+) {
+  const left = image.left || 0;
+  const top = image.top || 0;
+  const cells = [];
+  const box = polysBounds(regions.map((r) => r.poly), left + image.width, top + image.height);
+  if (!box) return { metric, block, cells };
+
+  const x0 = Math.max(box.left, left);
+  const y0 = Math.max(box.top, top);
+  const x1 = Math.min(box.left + box.width, left + image.width);
+  const y1 = Math.min(box.top + box.height, top + image.height);
+  const img = image.data;
+  const [gr, gg, gb] = gains || [1, 1, 1];
+
+  for (let by = y0; by + block <= y1; by += block) {
+    for (let bx = x0; bx + block <= x1; bx += block) {
+      // tile belongs to a region if its centre does
+      const c = { x: bx + block / 2, y: by + block / 2 };
+      const inRegion = regions.some(
+        (r) => pointInPoly(c, r.poly) && !(r.exclude || []).some((hole) => pointInPoly(c, hole))
+      );
+      if (!inRegion) continue;
+
+      let acc = 0;
+      for (let y = by; y < by + block; y++) {
+        for (let x = bx; x < bx + block; x++) {
+          const i = ((y - top) * image.width + (x - left)) * 4;
+          const r = Math.min(255, img[i] * gr),
+            g = Math.min(255, img[i + 1] * gg),
+            b = Math.min(255, img[i + 2] * gb);
+          if (metric === "shine") {
+            acc += isShiny(r, g, b, params) ? 1 : 0;
+          } else {
+            const [rr, rg, rb] = toneShift ? relightPixel([r, g, b], toneShift) : [r, g, b];
+            acc += rr - (rg + rb) / 2;
+          }
+        }
+      }
+      const mean = acc / (block * block);
+      const v = metric === "shine" ? shineScore(mean, params) : rednessScore(mean, params);
+      cells.push([bx, by, v / 100]);
+    }
+  }
+  return { metric, block, cells };
+}
+
+// Focus measure: variance of the 4-neighbour Laplacian of luma over the crop (higher = sharper).
+// Strided so a large face crop costs about the same as a small one.
+export function sharpnessFromImage(image, maxSamples = 4000) {
+  const { data, width, height } = image;
+  if (width < 3 || height < 3) return 0;
+  const step = Math.max(1, Math.floor(Math.sqrt(((width - 2) * (height - 2)) / maxSamples)));
+  const luma = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  };
+
+  let sum = 0,
+    sum2 = 0,
+    n = 0;
+  for (let y = 1; y < height - 1; y += step) {
+    for (let x = 1; x < width - 1; x += step) {
+      const lap = luma(x - 1, y) + luma(x + 1, y) + luma(x, y - 1) + luma(x, y + 1) - 4 * luma(x, y);
+      sum += lap;
+      sum2 += lap * lap;
+      n++;
+    }
+  }
+  const mean = sum / n;
+  return Math.max(0, sum2 / n - mean * mean);
+}
+
+export function lightingQualityFromPolys(image, polys, exclude = []) {
+  return lightingFromSamples(samplePolys(image, polys, 2500, exclude));
+}
+
+export function rednessFromPolys(image, polys, exclude = [], gains = null, params = SCORING_DEFAULTS) {
+  return rednessFromSamples(applyGains(samplePolys(image, polys, 2500, exclude), gains), params);
+}
+
+export function shineFromPolys(image, polys, exclude = [], gains = null, params = SCORING_DEFAULTS) {
+  return shineFromSamples(applyGains(samplePolys(image, polys, 2500, exclude), gains), params);
+}
+
+// ---- per-sample heuristics (rgb = [[r, g, b], ...] from samplePolys) ----
+
+export function lightingFromSamples(rgb) {
+  if (rgb.length < 80) return 0;
+
+  let sumY = 0,
+    sumY2 = 0;
+  for (const [r, g, b] of rgb) {
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    sumY += y;
+    sumY2 += y * y;
+  }
+  const mean = sumY / rgb.length;
+  const variance = sumY2 / rgb.length - mean * mean;
+  const std = Math.sqrt(Math.max(0, variance));
+
+  const meanScore = clamp((mean / 255) * 100, 0, 100);
+  const contrastScore = clamp((std / 64) * 100, 0, 100);
+  return clamp(0.75 * meanScore + 0.25 * contrastScore, 0, 100);
+}
+
+export function rednessFromSamples(rgb, params = SCORING_DEFAULTS) {
+  if (rgb.length < 80) return 0;
+
+  let acc = 0;
+  for (const [r, g, b] of rgb) {
+    const gb = (g + b) / 2;
+    acc += r - gb; // redness proxy
+  }
+  const mean = acc / rgb.length; // range roughly [-255, 255]
+  return rednessScore(mean, params);
+}
+
+export function shineFromSamples(rgb, params = SCORING_DEFAULTS) {
+  if (rgb.length < 80) return 0;
+
+  let shiny = 0;
+  for (const [r, g, b] of rgb) {
+    if (isShiny(r, g, b, params)) shiny++;
+  }
+  const frac = shiny / rgb.length; // 0..1
+  return shineScore(frac, params);
+}
+
+// mean r - (g+b)/2 -> 0-100
+function rednessScore(mean, { redness }) {
+  return clamp(((mean + redness.offset) / redness.range) * 100, 0, 100);
+}
+
+// fraction of specular pixels -> 0-100
+function shineScore(frac, { shine }) {
+  return clamp(frac * shine.scale, 0, 100);
+}
+
+// Shine proxy: high brightness but low colorfulness (specular highlights)
+function isShiny(r, g, b, { shine }) {
+  const maxc = Math.max(r, g, b);
+  const minc = Math.min(r, g, b);
+  const v = maxc; // value-ish
+  const sat = maxc === 0 ? 0 : (maxc - minc) / maxc; // 0..1
+  return v > shine.minValue && sat < shine.maxSaturation;
+}
+
+export function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
@@ -0,0 +1,128 @@
+import {
+  createScoringEngine,
+  heatmapFromRegions,
+  lightingQualityFromPolys,
+  pointInPoly,
+  rednessFromPolys,
+  samplePolys,
+  scoreFace,
+  scoreRegions,
+  sharpnessFromImage,
+  shineFromPolys,
+} from '.';
+
+// Solid-colour RGBA image, optionally a crop placed at (left, top) in the frame
+function solid(width, height, [r, g, b], extra = {}) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return { data, width, height, ...extra };
+}
+
+const square = (x, y, s) => [
+  { x, y },
+  { x: x + s, y },
+  { x: x + s, y: y + s },
+  { x, y: y + s },
+];
+
+test('pointInPoly uses ray casting', () => {
+  const poly = square(0, 0, 10);
+  expect(pointInPoly({ x: 5, y: 5 }, poly)).toBe(true);
+  expect(pointInPoly({ x: 15, y: 5 }, poly)).toBe(false);
+});
+
+test('samplePolys honours the crop origin', () => {
+  const img = solid(50, 50, [10, 20, 30], { left: 100, top: 200 });
+  expect(samplePolys(img, [square(110, 210, 30)]).length).toBeGreaterThan(80);
+  expect(samplePolys(img, [square(0, 0, 30)])).toEqual([]);
+});
+
+test('skin-like patch scores mid lighting and some redness, no shine', () => {
+  const img = solid(100, 100, [200, 150, 130]);
+  const polys = [square(10, 10, 80)];
+  const lighting = lightingQualityFromPolys(img, polys);
+  expect(lighting).toBeGreaterThan(35);
+  expect(lighting).toBeLessThan(75);
+  expect(rednessFromPolys(img, polys)).toBeCloseTo(((60 + 20) / 120) * 100, 5);
+  expect(shineFromPolys(img, polys)).toBe(0);
+});
+
+test('near-white patch reads as full shine', () => {
+  const img = solid(100, 100, [240, 235, 230]);
+  expect(shineFromPolys(img, [square(10, 10, 80)])).toBe(100);
+});
+
+test('scoreRegions gates redness/shine on lighting', () => {
+  const dark = solid(100, 100, [30, 20, 20]);
+  const polys = [square(10, 10, 80)];
+  const out = scoreRegions(dark, { lighting: polys, redness: polys, shine: polys });
+  expect(out.lightingOk).toBe(false);
+  expect(out.redness).toBe(0);
+  expect(out.shine).toBe(0);
+});
+
+test('engine falls back to inline scoring without a Worker', async () => {
+  const engine = createScoringEngine();
+  expect(engine.inWorker).toBe(false);
+  const polys = [square(10, 10, 80)];
+  const out = await engine.scoreRegions(solid(100, 100, [200, 150, 130]), {
+    lighting: polys,
+    redness: polys,
+    shine: polys,
+  });
+  expect(out.lightingOk).toBe(true);
+  engine.terminate();
+});
+
+test('scoreFace scores each region and skips excluded pixels', () => {
+  // left half skin, right half near-white
+  const img = solid(100, 100, [200, 150, 130]);
+  for (let y = 0; y < 100; y++) {
+    for (let x = 50; x < 100; x++) img.data.set([240, 235, 230], (y * 100 + x) * 4);
+  }
+  const left = square(5, 5, 40);
+  const right = square(55, 5, 40);
+  const out = scoreFace(
+    img,
+    [
+      { id: 'left', poly: left },
+      { id: 'right', poly: right },
+      { id: 'holed', poly: square(5, 50, 90), exclude: [square(50, 45, 55)] },
+    ],
+    { lighting: [left], redness: [left], shine: [right] }
+  );
+  expect(out.shine).toBe(100);
+  expect(out.regions.left.shine).toBe(0);
+  expect(out.regions.right.shine).toBe(100);
+  expect(out.regions.holed.shine).toBe(0); // the white half is cut out
+});
+
+test('heatmap tiles follow local redness', () => {
+  // red stripe on the left, neutral grey on the right
+  const img = solid(60, 30, [128, 128, 128]);
+  for (let y = 0; y < 30; y++) {
+    for (let x = 0; x < 30; x++) img.data.set([220, 90, 90], (y * 60 + x) * 4);
+  }
+  const { cells, block } = heatmapFromRegions(img, [{ id: 'all', poly: square(0, 0, 60) }], 'redness', 6);
+  expect(block).toBe(6);
+  const left = cells.filter(([x]) => x < 24).map(([, , v]) => v);
+  const right = cells.filter(([x]) => x >= 36).map(([, , v]) => v);
+  expect(Math.min(...left)).toBe(1);
+  expect(Math.max(...right)).toBeCloseTo(20 / 120, 5);
+});
+
+test('sharpness is zero on a flat patch and high on fine detail', () => {
+  const flat = solid(40, 40, [150, 120, 100]);
+  expect(sharpnessFromImage(flat)).toBe(0);
+
+  const checker = solid(40, 40, [0, 0, 0]);
+  for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 40; x++) if ((x + y) % 2) checker.data.set([255, 255, 255], (y * 40 + x) * 4);
+  }
+  expect(sharpnessFromImage(checker)).toBeGreaterThan(1000);
+});
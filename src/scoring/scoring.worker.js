@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { OPS } from "./ops";
+
+// message: { id, op, args } -> reply: { id, result } | { id, error }
+self.onmessage = (e) => {
+  const { id, op, args } = e.data;
+  try {
+    const fn = OPS[op];
+    if (!fn) throw new Error(`Unknown scoring op: ${op}`);
+    self.postMessage({ id, result: fn(...args) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
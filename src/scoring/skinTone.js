@@ -0,0 +1,154 @@
+/**
+ * Skin-tone estimate (ITA°, CIELAB) from skin samples, and the relighting that puts a face's
+ * redness on the same footing as a reference complexion.
+ *
+ * The raw scorers measure absolute pixel values: darker skin reflects less light, so under the same
+ * lamp its r - (g+b)/2 differences are compressed. Shifting every sample's L* by the difference
+ * between this person's skin and the reference (a* / b* unchanged) undoes that. Scaling RGB instead
+ * would also scale a*, and deep skin would read as flushed.
+ *
+ * Exposure: L* of skin depends on the light as much as on the skin. When the eye whites / teeth are
+ * visible (refWhite), the samples are first scaled so that reference reads NOMINAL_WHITE, which
+ * takes the light out of the estimate. Without one the estimate is marked exposureNormalized: false,
+ * and scoring.js doesn't relight with it (the shift would mostly undo a dim room). Neither does it
+ * with a reference that would need more than EXPOSURE_RANGE to reach NOMINAL_WHITE: at that point
+ * the "white" is a dim frame's noise, or not sclera at all, and the estimate is a guess.
+ *
+ * ITA° = atan((L* - 50) / b*), grouped as in Chardon et al. (1991) / Del Bino et al. (2006);
+ * the Fitzpatrick type is a rough correspondence for display, not a diagnosis.
+ */
+
+export const SKIN_TONE_GROUPS = [
+  { id: "veryLight", label: "Very light", minIta: 55, fitzpatrick: "I" },
+  { id: "light", label: "Light", minIta: 41, fitzpatrick: "II" },
+  { id: "intermediate", label: "Intermediate", minIta: 28, fitzpatrick: "III" },
+  { id: "tan", label: "Tan", minIta: 10, fitzpatrick: "IV" },
+  { id: "brown", label: "Brown", minIta: -30, fitzpatrick: "V" },
+  { id: "dark", label: "Dark", minIta: -Infinity, fitzpatrick: "VI" },
+];
+
+const NOMINAL_WHITE = 220; // luma of well-exposed sclera
+const EXPOSURE_RANGE = [0.5, 4];
+const TRIM = 0.1; // drop the darkest / brightest 10% (shadows, shine) before averaging
+
+/**
+ * rgb = [[r, g, b], ...] raw skin samples; refWhite = [r, g, b] or null.
+ * gains = white-balance gains: L* comes from the raw pixels (like the lighting score, so white
+ * balance doesn't move lighting), a* / b* from the corrected ones (so a colour cast doesn't move ITA).
+ * Returns { ita, L, a, b, group, label, fitzpatrick, exposure, exposureNormalized } or null when
+ * there are too few samples.
+ */
+export function estimateSkinTone(rgb, { refWhite = null, gains = null } = {}) {
+  if (rgb.length < 80) return null;
+
+  const refLuma = refWhite ? luma(refWhite) : 0;
+  const exposureNormalized = refLuma > 0 && NOMINAL_WHITE / refLuma <= EXPOSURE_RANGE[1];
+  const exposure = exposureNormalized ? clamp(NOMINAL_WHITE / refLuma, ...EXPOSURE_RANGE) : 1;
+  const [gr, gg, gb] = (gains || [1, 1, 1]).map((g) => g * exposure);
+
+  const lab = rgb
+    .map(([r, g, b]) => {
+      const raw = srgbToLab([r * exposure, g * exposure, b * exposure].map(clip));
+      const corrected = srgbToLab([r * gr, g * gg, b * gb].map(clip));
+      return [raw[0], corrected[1], corrected[2]];
+    })
+    .sort((p, q) => p[0] - q[0]);
+  const cut = Math.floor(lab.length * TRIM);
+  const kept = lab.slice(cut, lab.length - cut);
+  const mean = (k) => kept.reduce((s, p) => s + p[k], 0) / kept.length;
+  const L = mean(0);
+  const a = mean(1);
+  const b = mean(2);
+
+  const ita = (Math.atan2(L - 50, b) * 180) / Math.PI;
+  const group = SKIN_TONE_GROUPS.find((g) => ita > g.minIta);
+  return {
+    ita: round1(ita),
+    L: round1(L),
+    a: round1(a),
+    b: round1(b),
+    group: group.id,
+    label: group.label,
+    fitzpatrick: group.fitzpatrick,
+    exposure: Math.round(exposure * 100) / 100,
+    exposureNormalized,
+  };
+}
+
+// L* shift from this skin to the reference (L* = referenceL), at most maxShift either way; 0 without an estimate
+export function skinToneShift(tone, { referenceL, maxShift }) {
+  if (!tone) return 0;
+  return clamp(referenceL - tone.L, -maxShift, maxShift);
+}
+
+// [[r, g, b], ...] with L* shifted by dL and a* / b* kept
+export function relightSamples(rgb, dL) {
+  return dL ? rgb.map((p) => relightPixel(p, dL)) : rgb;
+}
+
+export function relightPixel(rgb, dL) {
+  const [L, a, b] = srgbToLab(rgb);
+  return labToSrgb([clamp(L + dL, 0, 100), a, b]);
+}
+
+// sRGB 0..255 -> CIELAB (D65)
+export function srgbToLab([r, g, b]) {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  const x = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+  const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  const z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIELAB (D65) -> sRGB 0..255, clipped to the gamut
+export function labToSrgb([L, a, b]) {
+  const fy = (L + 16) / 116;
+  const x = labFInv(fy + a / 500) * 0.95047;
+  const y = labFInv(fy);
+  const z = labFInv(fy - b / 200) * 1.08883;
+  const lr = 3.2406 * x - 1.5372 * y - 0.4986 * z;
+  const lg = -0.9689 * x + 1.8758 * y + 0.0415 * z;
+  const lb = 0.0557 * x - 0.204 * y + 1.057 * z;
+  return [lr, lg, lb].map(fromLinear);
+}
+
+/** ---------- helpers ---------- **/
+
+function toLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(v) {
+  const c = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.max(0, v) ** (1 / 2.4) - 0.055;
+  return clamp(c * 255, 0, 255);
+}
+
+function labF(t) {
+  return t > (6 / 29) ** 3 ? Math.cbrt(t) : t / (3 * (6 / 29) ** 2) + 4 / 29;
+}
+
+function labFInv(f) {
+  return f > 6 / 29 ? f ** 3 : 3 * (6 / 29) ** 2 * (f - 4 / 29);
+}
+
+function luma([r, g, b]) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function clip(c) {
+  return Math.min(255, c);
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
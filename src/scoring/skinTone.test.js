@@ -0,0 +1,60 @@
+import { estimateSkinTone, labToSrgb, relightSamples, skinToneShift, srgbToLab } from './skinTone';
+
+// n noisy copies of one colour
+const patch = (rgb, n = 400) => Array.from({ length: n }, (_, i) => rgb.map((c) => c + ((i % 7) - 3)));
+const PARAMS = { referenceL: 60, maxShift: 35 };
+
+test('sRGB <-> CIELAB round trip', () => {
+  srgbToLab([255, 255, 255]).forEach((v, k) => expect(v).toBeCloseTo([100, 0, 0][k], 1));
+  for (const rgb of [[196, 150, 128], [120, 80, 60], [30, 200, 90]]) {
+    labToSrgb(srgbToLab(rgb)).forEach((c, k) => expect(c).toBeCloseTo(rgb[k], 0));
+  }
+});
+
+test('ITA° buckets follow the skin colour', () => {
+  expect(estimateSkinTone(patch([230, 190, 170]))).toMatchObject({ group: 'veryLight', fitzpatrick: 'I' });
+  expect(estimateSkinTone(patch([196, 150, 128]))).toMatchObject({ group: 'intermediate', fitzpatrick: 'III' });
+  expect(estimateSkinTone(patch([160, 110, 85]))).toMatchObject({ group: 'brown' });
+  expect(estimateSkinTone(patch([90, 58, 42]))).toMatchObject({ group: 'dark', fitzpatrick: 'VI' });
+  expect(estimateSkinTone(patch([196, 150, 128], 20))).toBeNull();
+});
+
+test('an eye-white reference takes the exposure out of the estimate', () => {
+  const skin = [196, 150, 128];
+  const dim = (rgb) => rgb.map((c) => c * 0.6);
+  const bright = estimateSkinTone(patch(skin), { refWhite: [225, 225, 222] });
+  const dimmed = estimateSkinTone(patch(skin).map(dim), { refWhite: dim([225, 225, 222]) });
+  expect(dimmed.exposureNormalized).toBe(true);
+  expect(Math.abs(dimmed.L - bright.L)).toBeLessThan(1.5);
+  expect(Math.abs(dimmed.ita - bright.ita)).toBeLessThan(2);
+
+  // without one, the dim frame just looks like darker skin
+  expect(estimateSkinTone(patch(skin).map(dim))).toMatchObject({ exposureNormalized: false, group: 'dark' });
+
+  // a "white" that would need more than 4x to reach a well-exposed sclera isn't trusted
+  const veryDim = (rgb) => rgb.map((c) => c * 0.22);
+  const guessed = estimateSkinTone(patch(skin).map(veryDim), { refWhite: veryDim([225, 225, 222]) });
+  expect(guessed).toMatchObject({ exposureNormalized: false, exposure: 1 });
+});
+
+test('white balance moves a*/b* but not L*', () => {
+  const raw = estimateSkinTone(patch([196, 150, 128]));
+  const cooled = estimateSkinTone(patch([196, 150, 128]), { gains: [0.9, 1, 1.15] });
+  expect(cooled.L).toBe(raw.L);
+  expect(cooled.b).toBeLessThan(raw.b - 5);
+});
+
+test('relighting shifts L* to the reference and keeps the colour', () => {
+  const deep = estimateSkinTone(patch([120, 80, 60]));
+  const shift = skinToneShift(deep, PARAMS);
+  expect(shift).toBeCloseTo(60 - deep.L, 5);
+  const [L, a, b] = srgbToLab(relightSamples([[120, 80, 60]], shift)[0]);
+  const before = srgbToLab([120, 80, 60]);
+  expect(L).toBeCloseTo(before[0] + shift, 0);
+  expect(a).toBeCloseTo(before[1], 0);
+  expect(b).toBeCloseTo(before[2], 0);
+
+  expect(skinToneShift({ L: 5 }, PARAMS)).toBe(35); // capped
+  expect(skinToneShift(null, PARAMS)).toBe(0);
+  expect(relightSamples([[1, 2, 3]], 0)).toEqual([[1, 2, 3]]);
+});
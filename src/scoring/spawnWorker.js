@@ -0,0 +1,6 @@
+// Kept in its own module: webpack needs the literal `new URL(..., import.meta.url)` to bundle the
+// worker, and Jest can't parse import.meta (it maps this file to __mocks__/spawnWorker.js).
+export default function spawnWorker() {
+  if (typeof Worker === "undefined") return null;
+  return new Worker(new URL("./scoring.worker.js", import.meta.url));
+}
@@ -0,0 +1,122 @@
+/**
+ * Texture scorers: roughness (dry / flaky skin), pores and fine lines, from the luma inside the
+ * region polygons. Same "image" / polygon conventions as scoring.js.
+ *
+ * At each sample point, 5 points on a short line through it (`radius` pixels to either end) are each
+ * compared with the points `radius` pixels to either side, in 4 orientations. The "valley" is how much
+ * darker a point is than its two sides, relative to the sides (Weber contrast), so the same texture
+ * reads about the same on lighter and deeper skin and under a brighter or dimmer lamp:
+ *
+ *   pore       the sample point is a valley in every orientation (a small dark blob)
+ *                >= pores.minContrast in all 4
+ *   line       4+ of the 5 points are valleys in one orientation, at most 1 across it (a thin crease)
+ *                >= lines.minContrast
+ *   roughness  mean |valley| over all points and orientations, above the noise floor of flat skin:
+ *              flakes, scaling and uneven texture, but pores and lines add to it too. Camera noise is
+ *              roughly constant in absolute terms, so the floor (roughness.offset, for skin at luma
+ *              NOISE_LUMA) is scaled up for darker samples instead of deeper skin reading as rougher.
+ *              The pore / line contrasts are raised the same way below NOISE_LUMA, so with less
+ *              signal over the noise (deeper skin, dim light) texture under-reads rather than over-reads.
+ *
+ * pores / lines are the fraction of sample points that qualify, x scale. `radius` follows the face
+ * size (texture.radius x the width of the polygons, see textureRadius), so a face further from the
+ * camera isn't scored as smoother. Blur removes exactly what these measure; they're only as good
+ * as the frame's sharpness (the quality gate checks it).
+ */
+
+import { polysBounds, visitPolys } from "./sampling";
+
+const ORIENTATIONS = [
+  [1, 0],
+  [0, 1],
+  [Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2],
+];
+const ALONG = [-1, -0.5, 0, 0.5, 1];
+const CENTRE = ALONG.indexOf(0);
+const NOISE_LUMA = 160;
+
+// Detector radius in pixels for these polys: params.texture.radius x their combined width
+export function textureRadius(polys, { texture }) {
+  const pts = polys.flat();
+  if (!pts.length) return 1;
+  let minX = Infinity,
+    maxX = -Infinity;
+  for (const p of pts) {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+  }
+  return Math.max(1, Math.round((maxX - minX) * texture.radius));
+}
+
+/**
+ * { roughness, pores, lines } 0-100 for the pixels inside `polys` (minus `exclude`).
+ * params = SCORING_DEFAULTS-shaped (uses params.texture); radius defaults to textureRadius(polys).
+ */
+export function textureFromPolys(image, polys, { params, exclude = [], radius = null, maxSamples = 1500 }) {
+  const { texture } = params;
+  const r = radius || textureRadius(polys, params);
+  const left = image.left || 0;
+  const top = image.top || 0;
+  const { data, width, height } = image;
+  const none = { roughness: 0, pores: 0, lines: 0 };
+  if (!polysBounds(polys, left + width, top + height)) return none;
+
+  // luma at frame pixel (x, y); NaN outside the crop
+  const luma = (x, y) => {
+    const cx = Math.round(x) - left;
+    const cy = Math.round(y) - top;
+    if (cx < 0 || cy < 0 || cx >= width || cy >= height) return NaN;
+    const i = (cy * width + cx) * 4;
+    return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  };
+
+  let n = 0,
+    rough = 0,
+    sumLuma = 0,
+    pores = 0,
+    lines = 0;
+  const valleys = ORIENTATIONS.map(() => new Array(ALONG.length)); // [orientation][point]
+  visitPolys(image, polys, maxSamples, exclude, (x, y) => {
+    let abs = 0;
+    for (let o = 0; o < ORIENTATIONS.length; o++) {
+      const [ux, uy] = ORIENTATIONS[o];
+      const nx = -uy * r;
+      const ny = ux * r;
+      for (let k = 0; k < ALONG.length; k++) {
+        const ax = x + ALONG[k] * r * ux;
+        const ay = y + ALONG[k] * r * uy;
+        const sides = (luma(ax + nx, ay + ny) + luma(ax - nx, ay - ny)) / 2;
+        const v = (sides - luma(ax, ay)) / Math.max(sides, 1);
+        valleys[o][k] = v;
+        abs += Math.abs(v);
+      }
+    }
+    if (Number.isNaN(abs)) return; // too close to the crop edge
+
+    const l = luma(x, y);
+    const noise = Math.max(1, NOISE_LUMA / Math.max(l, 1));
+    n++;
+    rough += abs / (ORIENTATIONS.length * ALONG.length);
+    sumLuma += l;
+    if (valleys.every((v) => v[CENTRE] >= texture.pores.minContrast * noise)) {
+      pores++;
+      return;
+    }
+    const dark = valleys.map((v) => v.filter((d) => d >= texture.lines.minContrast * noise).length);
+    // orientations 0/1 and 2/3 are perpendicular pairs
+    if (dark.some((c, o) => c >= 4 && dark[o ^ 1] <= 1)) lines++;
+  });
+
+  if (n < 80) return none;
+  const floor = (texture.roughness.offset * NOISE_LUMA) / Math.max(sumLuma / n, 1);
+  return {
+    roughness: clamp((rough / n - floor) * texture.roughness.scale, 0, 100),
+    pores: clamp((pores / n) * texture.pores.scale, 0, 100),
+    lines: clamp((lines / n) * texture.lines.scale, 0, 100),
+  };
+}
+
+function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
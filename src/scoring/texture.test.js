@@ -0,0 +1,73 @@
+import { SCORING_DEFAULTS } from './scoring';
+import { textureFromPolys, textureRadius } from './texture';
+
+const SIZE = 80;
+const square = [
+  { x: 10, y: 10 },
+  { x: 70, y: 10 },
+  { x: 70, y: 70 },
+  { x: 10, y: 70 },
+];
+
+// Grey skin patch with seeded camera noise: the same amplitude at any level, and the amount
+// texture.roughness.offset is calibrated for. shade(x, y) multiplies the skin's brightness (1 = flat).
+function patch({ level = 160, noise = 16, shade = () => 1 } = {}) {
+  let seed = 42;
+  const rand = () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const v = level * shade(x, y) + (rand() - 0.5) * noise;
+      data.set([v, v, v, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+}
+
+const dots = (x, y) => (x % 6 === 0 && y % 6 === 0 ? 0.7 : 1);
+const creases = (x, y) => (y % 8 === 0 ? 0.75 : 1);
+const score = (image) => textureFromPolys(image, [square], { params: SCORING_DEFAULTS, radius: 2 });
+
+test('flat skin scores no texture', () => {
+  expect(score(patch())).toEqual({ roughness: 0, pores: 0, lines: 0 });
+});
+
+test('dots read as pores, creases as lines', () => {
+  const pores = score(patch({ shade: dots }));
+  expect(pores.pores).toBeGreaterThan(20);
+  expect(pores.lines).toBe(0);
+
+  const lines = score(patch({ shade: creases }));
+  expect(lines.lines).toBeGreaterThan(20);
+  expect(lines.pores).toBe(0);
+  expect(lines.roughness).toBeGreaterThan(10);
+});
+
+test('darker skin: camera noise isn\'t texture, real texture still reads (never stronger)', () => {
+  expect(score(patch({ level: 80 }))).toEqual({ roughness: 0, pores: 0, lines: 0 });
+
+  const light = score(patch({ shade: creases }));
+  const dark = score(patch({ level: 80, shade: creases }));
+  expect(dark.lines).toBeGreaterThan(10);
+  expect(dark.lines).toBeLessThanOrEqual(light.lines);
+  expect(dark.roughness).toBeGreaterThan(light.roughness * 0.6);
+  expect(dark.roughness).toBeLessThanOrEqual(light.roughness);
+});
+
+test('the detector radius follows the face width; tiny regions score nothing', () => {
+  expect(textureRadius([square], SCORING_DEFAULTS)).toBe(1);
+  expect(textureRadius([square.map((p) => ({ x: p.x * 5, y: p.y * 5 }))], SCORING_DEFAULTS)).toBe(6);
+  const tiny = [
+    { x: 10, y: 10 },
+    { x: 14, y: 10 },
+    { x: 14, y: 14 },
+  ];
+  expect(textureFromPolys(patch({ shade: dots }), [tiny], { params: SCORING_DEFAULTS })).toEqual({
+    roughness: 0,
+    pores: 0,
+    lines: 0,
+  });
+});
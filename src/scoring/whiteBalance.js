@@ -0,0 +1,116 @@
+import { samplePolys } from "./sampling";
+
+/**
+ * Colour normalization (von Kries style per-channel gains) applied before redness/shine scoring,
+ * so warm bulbs or the phone's auto-white-balance don't move the redness score.
+ *
+ * Methods:
+ *   "off"        gains [1, 1, 1]
+ *   "grayWorld"  scene average is assumed neutral grey
+ *   "whitePatch" brightest scene pixels are assumed white
+ *   "reference"  bright, unsaturated sclera / teeth pixels (landmark regions) are assumed white
+ *   "card"       gains measured earlier from a white card (see gainsFromReference)
+ *
+ * Lighting is still scored on raw pixels; only the colour-based scorers see corrected ones.
+ */
+
+export const WB_METHODS = ["off", "grayWorld", "whitePatch", "reference", "card"];
+
+const NEUTRAL = [1, 1, 1];
+const MIN_GAIN = 0.5;
+const MAX_GAIN = 2;
+
+/**
+ * wb = { method, scene?, refRegions?, gains? }
+ *   scene       small ImageData-like copy of the whole frame (grayWorld / whitePatch)
+ *   refRegions  [{ poly, exclude? }] in frame pixels, sampled from `image` (reference)
+ *   gains       precomputed gains (card)
+ * Returns { method, gains: [r, g, b], ref: [r, g, b] | null, note }
+ */
+export function estimateWhiteBalance(image, wb = {}) {
+  const method = wb.method || "off";
+  switch (method) {
+    case "grayWorld":
+      return result(method, wb.scene ? meanRgb(allPixels(wb.scene)) : null);
+    case "whitePatch":
+      return result(method, wb.scene ? brightestMean(allPixels(wb.scene), 0.01) : null);
+    case "reference":
+      return result(method, referenceWhite(image, wb.refRegions));
+    case "card":
+      return { method, gains: sanitizeGains(wb.gains), ref: null, note: wb.gains ? "" : "not calibrated" };
+    default:
+      return { method: "off", gains: NEUTRAL, ref: null, note: "" };
+  }
+}
+
+// Mean colour of the sclera / teeth (refRegions, see buildReferenceRegions): the brightest quarter of
+// their unsaturated pixels. null when too little of them is visible.
+export function referenceWhite(image, refRegions = []) {
+  const rgb = refRegions.flatMap((r) => samplePolys(image, [r.poly], 800, r.exclude || []));
+  const neutral = rgb.filter(([r, g, b]) => saturation(r, g, b) < 0.35);
+  return neutral.length >= 20 ? brightestMean(neutral, 0.25) : null;
+}
+
+// Gains that map a measured "white" reference colour to neutral grey of the same brightness
+export function gainsFromReference(ref) {
+  if (!ref) return NEUTRAL;
+  const avg = (ref[0] + ref[1] + ref[2]) / 3;
+  return ref.map((c) => clampGain(avg / Math.max(1, c)));
+}
+
+// Corrected copies of [[r, g, b], ...] samples, clamped to 0..255
+export function applyGains(rgb, gains) {
+  if (!gains || isNeutral(gains)) return rgb;
+  const [gr, gg, gb] = gains;
+  return rgb.map(([r, g, b]) => [Math.min(255, r * gr), Math.min(255, g * gg), Math.min(255, b * gb)]);
+}
+
+export function isNeutral(gains) {
+  return gains[0] === 1 && gains[1] === 1 && gains[2] === 1;
+}
+
+/** ---------- helpers ---------- **/
+
+function result(method, ref) {
+  if (!ref) return { method, gains: NEUTRAL, ref: null, note: "no reference found" };
+  return { method, gains: gainsFromReference(ref), ref: ref.map(Math.round), note: "" };
+}
+
+function sanitizeGains(gains) {
+  if (!Array.isArray(gains) || gains.length !== 3 || gains.some((g) => !Number.isFinite(g))) return NEUTRAL;
+  return gains.map(clampGain);
+}
+
+function clampGain(g) {
+  return Math.max(MIN_GAIN, Math.min(MAX_GAIN, g));
+}
+
+function allPixels(image) {
+  const out = [];
+  const d = image.data;
+  for (let i = 0; i < d.length; i += 4) out.push([d[i], d[i + 1], d[i + 2]]);
+  return out;
+}
+
+function meanRgb(rgb) {
+  if (rgb.length === 0) return null;
+  const acc = [0, 0, 0];
+  for (const [r, g, b] of rgb) {
+    acc[0] += r;
+    acc[1] += g;
+    acc[2] += b;
+  }
+  return acc.map((v) => v / rgb.length);
+}
+
+// Mean colour of the brightest `frac` of the pixels (by channel sum)
+function brightestMean(rgb, frac) {
+  if (rgb.length === 0) return null;
+  const sorted = rgb.slice().sort((a, b) => b[0] + b[1] + b[2] - (a[0] + a[1] + a[2]));
+  return meanRgb(sorted.slice(0, Math.max(1, Math.round(sorted.length * frac))));
+}
+
+function saturation(r, g, b) {
+  const maxc = Math.max(r, g, b);
+  return maxc === 0 ? 0 : (maxc - Math.min(r, g, b)) / maxc;
+}
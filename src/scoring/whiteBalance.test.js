@@ -0,0 +1,49 @@
+import { applyGains, estimateWhiteBalance, gainsFromReference } from './whiteBalance';
+import { scoreFace } from './scoring';
+
+function solid(width, height, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, 255], i);
+  return { data, width, height };
+}
+
+const square = (x, y, s) => [
+  { x, y },
+  { x: x + s, y },
+  { x: x + s, y: y + s },
+  { x, y: y + s },
+];
+
+test('gains map the reference to neutral grey and are clamped', () => {
+  const g = gainsFromReference([240, 200, 160]);
+  expect(g[0] * 240).toBeCloseTo(200, 5);
+  expect(g[2] * 160).toBeCloseTo(200, 5);
+  expect(gainsFromReference([255, 10, 255])[1]).toBe(2);
+});
+
+test('gray-world estimates from the scene', () => {
+  const wb = estimateWhiteBalance(null, { method: 'grayWorld', scene: solid(8, 8, [150, 120, 90]) });
+  expect(wb.ref).toEqual([150, 120, 90]);
+  const [c] = applyGains([[150, 120, 90]], wb.gains);
+  expect(c[0]).toBeCloseTo(120, 5);
+  expect(c[2]).toBeCloseTo(120, 5);
+});
+
+test('card method falls back to neutral until calibrated', () => {
+  expect(estimateWhiteBalance(null, { method: 'card' })).toMatchObject({ gains: [1, 1, 1], note: 'not calibrated' });
+});
+
+test('a warm cast no longer inflates redness once corrected', () => {
+  // same skin under a warm bulb: red up, blue down
+  const warm = solid(100, 100, [225, 150, 105]);
+  const scene = solid(8, 8, [170, 128, 96]); // warm-tinted grey wall
+  const polys = [square(10, 10, 80)];
+  const regions = [{ id: 'all', poly: polys[0] }];
+  const headline = { lighting: polys, redness: polys, shine: polys };
+
+  const raw = scoreFace(warm, regions, headline, { whiteBalance: { method: 'off' } });
+  const fixed = scoreFace(warm, regions, headline, { whiteBalance: { method: 'grayWorld', scene } });
+  expect(fixed.redness).toBeLessThan(raw.redness - 20);
+  expect(fixed.lighting).toBe(raw.lighting);
+  expect(fixed.whiteBalance.method).toBe('grayWorld');
+});
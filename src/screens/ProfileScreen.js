@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import ProfileFields, { Problem, useSubmit } from "../ProfileFields";
+import { useProfile } from "../ProfileProvider";
+
+// The unlocked profile: its details, export, and "Delete all my data"
+export default function ProfileScreen() {
+  const { profile, update, exportFile, deleteAll, lock } = useProfile();
+  const [fields, setFields] = useState({ name: profile.name, skinType: profile.skinType || "", notes: profile.notes || "" });
+  const [saved, setSaved] = useState(false);
+  const [state, submit] = useSubmit(async () => {
+    await update({ ...fields, skinType: fields.skinType || null });
+    setSaved(true);
+  });
+  const [exportState, onExport] = useSubmit(exportFile);
+  const [deleteState, onDelete] = useSubmit(async () => {
+    const answer = window.prompt(
+      `This deletes the profile “${profile.name}”, its settings and every saved scan and photo on this device. ` +
+        "It can't be undone. Type the profile name to confirm."
+    );
+    if (answer === null) return;
+    if (answer.trim() !== profile.name) throw new Error("The name didn't match; nothing was deleted.");
+    await deleteAll();
+  });
+  const set = (k) => (e) => {
+    setSaved(false);
+    setFields((f) => ({ ...f, [k]: e.target.value }));
+  };
+
+  return (
+    <div style={{ maxWidth: 560 }}>
+      <h2 style={{ marginTop: 0 }}>Profile</h2>
+
+      <form onSubmit={submit} style={section}>
+        <ProfileFields fields={fields} onChange={set} />
+        <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 8 }}>
+          <button type="submit" disabled={state.busy || !fields.name.trim()}>
+            Save profile
+          </button>
+          {saved ? <span style={{ fontSize: 13, color: "#137333" }}>Saved</span> : null}
+        </div>
+        <Problem text={state.error} />
+      </form>
+
+      <form onSubmit={onExport} style={section}>
+        <b>Export</b>
+        <p style={{ fontSize: 13, color: "#666", margin: "6px 0" }}>
+          Downloads this profile with all its scans and settings as one file, still encrypted. Import it on another
+          device (or after deleting) with the same passphrase.
+        </p>
+        <button type="submit" disabled={exportState.busy}>
+          Export profile
+        </button>
+        <Problem text={exportState.error} />
+      </form>
+
+      <form onSubmit={onDelete} style={{ ...section, borderColor: "#b00020" }}>
+        <b style={{ color: "#b00020" }}>Delete all my data</b>
+        <p style={{ fontSize: 13, color: "#666", margin: "6px 0" }}>
+          Removes this profile, its settings and every scan and photo saved in it from this device.
+        </p>
+        <button type="submit" disabled={deleteState.busy}>
+          Delete all my data
+        </button>
+        <Problem text={deleteState.error} />
+      </form>
+
+      <button onClick={() => lock()} style={{ marginTop: 12, padding: "6px 10px" }}>
+        Lock
+      </button>
+    </div>
+  );
+}
+
+const section = { marginTop: 12, border: "1px solid #333", borderRadius: 12, padding: 12 };
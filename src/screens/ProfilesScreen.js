@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { useProfile } from "../ProfileProvider";
+import ProfileFields, { Problem, useSubmit } from "../ProfileFields";
+import { MIN_PASSPHRASE } from "../vault";
+
+// Shown instead of the app while no profile is unlocked: unlock one, create one, or import an export.
+// The URL is left alone, so a deep link (e.g. /results/12) opens once the profile is unlocked.
+export default function ProfilesScreen() {
+  const { profiles, legacyCount, error, deleteLegacy } = useProfile();
+
+  if (profiles === null) return <p style={{ color: "#666" }}>Loading profiles…</p>;
+
+  async function onDeleteLegacy() {
+    if (!window.confirm(`Delete the ${legacyCount} unencrypted scans saved before profiles?`)) return;
+    await deleteLegacy();
+  }
+
+  return (
+    <div style={{ maxWidth: 560 }}>
+      {error ? (
+        <div style={{ marginBottom: 10, color: "#b00020" }}>
+          <b>Storage error:</b> {error}
+        </div>
+      ) : null}
+
+      {profiles.length ? <UnlockForm /> : <p>Create a profile to start. Each person scanned gets their own.</p>}
+      <CreateForm />
+      <ImportForm />
+
+      {legacyCount ? (
+        <p style={{ fontSize: 13, color: "#b06000" }}>
+          {legacyCount} scan{legacyCount === 1 ? " was" : "s were"} saved before profiles, without encryption. Create a
+          profile to move them into it, or{" "}
+          <button onClick={onDeleteLegacy} style={{ fontSize: 12 }}>
+            Delete them
+          </button>
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+function UnlockForm() {
+  const { profiles, selectedId, unlock } = useProfile();
+  const [id, setId] = useState(() => (profiles.some((p) => p.id === selectedId) ? selectedId : profiles[0].id));
+  const [passphrase, setPassphrase] = useState("");
+  const [state, submit] = useSubmit(() => unlock(id, passphrase));
+
+  return (
+    <form onSubmit={submit} style={section}>
+      <b>Unlock a profile</b>
+      <div style={row}>
+        <label>
+          Profile{" "}
+          <select value={id} onChange={(e) => setId(Number(e.target.value))}>
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Passphrase{" "}
+          <input type="password" autoComplete="current-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} />
+        </label>
+        <button type="submit" disabled={state.busy || !passphrase}>
+          {state.busy ? "Unlocking…" : "Unlock"}
+        </button>
+      </div>
+      <Problem text={state.error} />
+    </form>
+  );
+}
+
+function CreateForm() {
+  const { profiles, legacyCount, create } = useProfile();
+  const [fields, setFields] = useState({ name: "", skinType: "", notes: "" });
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [adoptLegacy, setAdoptLegacy] = useState(true);
+  const [state, submit] = useSubmit(() => {
+    if (passphrase !== repeat) throw new Error("The passphrases don't match.");
+    return create({ ...fields, skinType: fields.skinType || null, passphrase, adoptLegacy: legacyCount > 0 && adoptLegacy });
+  });
+  const set = (k) => (e) => setFields((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <form onSubmit={submit} style={section}>
+      <b>{profiles.length ? "New profile" : "Create a profile"}</b>
+      <ProfileFields fields={fields} onChange={set} />
+      <div style={row}>
+        <label>
+          New passphrase{" "}
+          <input type="password" autoComplete="new-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} />
+        </label>
+        <label>
+          Repeat passphrase{" "}
+          <input type="password" autoComplete="new-password" value={repeat} onChange={(e) => setRepeat(e.target.value)} />
+        </label>
+      </div>
+      {legacyCount ? (
+        <label style={{ display: "block", marginTop: 6, fontSize: 13 }}>
+          <input type="checkbox" checked={adoptLegacy} onChange={(e) => setAdoptLegacy(e.target.checked)} /> Move the{" "}
+          {legacyCount} earlier scan{legacyCount === 1 ? "" : "s"} and settings into this profile
+        </label>
+      ) : null}
+      <div style={{ ...row, fontSize: 12, color: "#666" }}>
+        At least {MIN_PASSPHRASE} characters. Scans, photos and settings are encrypted with it; a forgotten passphrase
+        can't be recovered.
+      </div>
+      <button type="submit" disabled={state.busy || !fields.name.trim() || !passphrase} style={{ marginTop: 8 }}>
+        {state.busy ? "Creating…" : "Create profile"}
+      </button>
+      <Problem text={state.error} />
+    </form>
+  );
+}
+
+function ImportForm() {
+  const { importFile } = useProfile();
+  const [file, setFile] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [state, submit] = useSubmit(async () => importFile(await file.text(), passphrase));
+
+  return (
+    <form onSubmit={submit} style={section}>
+      <b>Import a profile</b>
+      <div style={row}>
+        <input type="file" accept="application/json,.json" aria-label="Profile export file" onChange={(e) => setFile(e.target.files?.[0] || null)} />
+        <label>
+          Its passphrase{" "}
+          <input type="password" autoComplete="off" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} />
+        </label>
+        <button type="submit" disabled={state.busy || !file || !passphrase}>
+          {state.busy ? "Importing…" : "Import"}
+        </button>
+      </div>
+      <Problem text={state.error} />
+    </form>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+const section = { marginTop: 12, border: "1px solid #333", borderRadius: 12, padding: 12 };
+const row = { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 6 };
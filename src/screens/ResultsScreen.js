@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useProfile } from "../ProfileProvider";
+import RecommendationsPanel from "../RecommendationsPanel";
+import { RegionCard, ScoreCard } from "../ScoreCards";
+import { useScanSettings } from "../ScannerProvider";
+import { deleteScan, getScan } from "../historyStore";
+import { DEFAULT_ACNE_CLASS_MAP, acneClassLabel } from "../ml";
+import { recommend, scanFacts } from "../recommendations";
+import { REGIONS } from "../regions";
+
+// One saved scan (historyStore record) of the unlocked profile at /results/:id. Reads straight from
+// IndexedDB, so the link works on its own (bookmarked, reloaded, opened from History).
+export default function ResultsScreen() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { vault } = useProfile();
+  const { config, label, rules, rulesNote } = useScanSettings();
+  const [scan, setScan] = useState(undefined); // undefined while loading, null when there's no such scan
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setScan(undefined);
+    setError("");
+    const key = Number(id);
+    if (!Number.isInteger(key)) {
+      setScan(null);
+      return undefined;
+    }
+    getScan(vault, key)
+      .then((record) => {
+        if (!cancelled) setScan(record || null);
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setError(e?.message || String(e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [vault, id]);
+
+  async function onDelete() {
+    if (!window.confirm("Delete this scan?")) return;
+    await deleteScan(vault, scan.id);
+    navigate("/history");
+  }
+
+  const back = (
+    <Link to="/history" style={{ fontSize: 13 }}>
+      ← History
+    </Link>
+  );
+
+  if (error) {
+    return (
+      <div>
+        {back}
+        <div style={{ marginTop: 10, color: "#b00020" }}>
+          <b>History error:</b> {error}
+        </div>
+      </div>
+    );
+  }
+  if (scan === undefined) return <div>{back}<p style={{ color: "#666" }}>Loading scan…</p></div>;
+  if (scan === null) {
+    return (
+      <div>
+        {back}
+        <h2>Scan not found</h2>
+        <p style={{ color: "#666" }}>There is no saved scan #{id} in this profile.</p>
+      </div>
+    );
+  }
+
+  const scores = {
+    lighting: scan.lighting,
+    redness: scan.redness,
+    shine: scan.shine,
+    roughness: scan.roughness,
+    pores: scan.pores,
+    lines: scan.lines,
+  };
+  const regions = scan.regions || {};
+  const mlResult = recordMlResult(scan);
+  // the labels of the model that made the scan, not of the one loaded now; older records: the 0–4 scale
+  const classMap = scan.classMap || DEFAULT_ACNE_CLASS_MAP;
+  const items = recommend(
+    rules,
+    scanFacts({
+      scores,
+      regionScores: regions,
+      mlResult,
+      skinTone: scan.skinTone,
+      labels: config.labels,
+      lightingGate: config.scoring.lightingGate,
+      classMap,
+    })
+  );
+  const note = (v) => (v === null || v === undefined ? "not measured" : label(v));
+
+  return (
+    <div>
+      {back}
+      <div style={{ display: "flex", gap: 10, alignItems: "baseline", flexWrap: "wrap" }}>
+        <h2 style={{ marginBottom: 0 }}>Scan #{scan.id}</h2>
+        <span style={{ color: "#666" }}>
+          {new Date(scan.ts).toLocaleString()} · {scan.source}
+        </span>
+        <button onClick={onDelete} style={{ padding: "6px 10px" }}>
+          Delete
+        </button>
+      </div>
+
+      {scan.snapshot || scan.thumbnail ? (
+        <img
+          src={scan.snapshot || scan.thumbnail}
+          alt={`Scan #${scan.id}`}
+          style={{ display: "block", marginTop: 12, maxWidth: 360, width: "100%", borderRadius: 10 }}
+        />
+      ) : null}
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        <ScoreCard
+          title="Lighting"
+          value={scores.lighting}
+          note={scores.lighting < config.scoring.lightingGate ? "Too dark" : "OK"}
+        />
+        <ScoreCard title="Redness" value={scores.redness} note={note(scores.redness)} />
+        <ScoreCard title="Shine/Oil" value={scores.shine} note={note(scores.shine)} />
+        <ScoreCard title="Texture/Dryness" value={scores.roughness ?? "—"} note={note(scores.roughness)} />
+        <ScoreCard title="Pores" value={scores.pores ?? "—"} note={note(scores.pores)} />
+        <ScoreCard title="Fine lines" value={scores.lines ?? "—"} note={note(scores.lines)} />
+        <ScoreCard
+          title="Skin tone"
+          value={scan.skinTone ? `ITA ${Math.round(scan.skinTone.ita)}°` : "—"}
+          note={scan.skinTone ? scan.skinTone.group : "no estimate"}
+        />
+      </div>
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        <ScoreCard
+          title="Acne"
+          value={acneClassLabel(scan.acneClass, classMap)}
+          note={scan.acneProb !== null && scan.acneProb !== undefined ? `p = ${scan.acneProb.toFixed(2)}` : "no ML result"}
+        />
+        <ScoreCard title="Dryness" value={scan.dryness ?? "—"} note={mlResult ? "ML" : "no ML result"} />
+        <ScoreCard title="ML Redness" value={scan.mlRedness ?? "—"} note={mlResult ? "ML" : "no ML result"} />
+      </div>
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        {REGIONS.filter((r) => regions[r.id]).map((r) => (
+          <RegionCard key={r.id} region={r} score={regions[r.id]} label={label} />
+        ))}
+      </div>
+
+      <RecommendationsPanel items={items} rules={rules} note={rulesNote} />
+    </div>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+// The slice of a normalized ML result (ml/schema.js) a history record keeps, or null without one
+function recordMlResult(scan) {
+  const values = [scan.acneClass, scan.acneProb, scan.dryness, scan.mlRedness];
+  if (values.every((v) => v === null || v === undefined)) return null;
+  const acneClass = scan.acneClass ?? null;
+  const acneProb = scan.acneProb ?? null;
+  let present = null;
+  if (acneClass !== null) present = acneClass > 0;
+  else if (acneProb !== null) present = acneProb >= 0.5;
+  return {
+    acne: { class: acneClass, prob: acneProb, present },
+    dryness: scan.dryness ?? null,
+    redness: scan.mlRedness ?? null,
+  };
+}
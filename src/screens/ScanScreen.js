@@ -0,0 +1,471 @@
+import React, { useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import RecommendationsPanel from "../RecommendationsPanel";
+import { FacePanel, HeatmapLegend, RegionCard, ScoreCard, SessionPanel } from "../ScoreCards";
+import { MAX_FACES, SESSION_FRAMES, WB_LABELS, useAnalysis, useMlClient, useScanSettings } from "../ScannerProvider";
+import TimelineView from "../TimelineView";
+import { swatchColor } from "../overlayDrawing";
+import { REGIONS } from "../regions";
+import { ANALYSIS_RATES, ML_INTERVALS } from "../videoFile";
+
+// Live camera / photo / recorded video scan. The frame itself is ScannerStage, which App renders
+// next to this screen so the camera survives navigation.
+export default function ScanScreen() {
+  const analysis = useAnalysis();
+  const ml = useMlClient();
+  const settings = useScanSettings();
+  const {
+    status,
+    faces,
+    saveNote,
+    scores,
+    stability,
+    skinTone,
+    regionScores,
+    multiFace,
+    faceResults,
+    faceMl,
+    mlPerFace,
+    session,
+    sessionMlFrames,
+    quality,
+    source,
+    canAnalyze,
+    canSave,
+    videoDuration,
+    videoOpts,
+    timeline,
+    videoCursor,
+    videoProgress,
+    debug,
+    wbInfo,
+  } = analysis;
+  const { config, label, smoothing, enabledRegions, rules, rulesNote, overlayMode, showLesions, wbMethod } = settings;
+  const { mlStatus, mlMode, mlUrl, modelMeta, mlResult, mlError } = ml;
+  const fileInputRef = useRef(null);
+  const videoFileInputRef = useRef(null);
+
+  const acneValue = ml.getAcneDisplay(mlResult);
+  const drynessValue = ml.getDrynessDisplay(mlResult);
+  const rednessMlValue = ml.getRednessMlDisplay(mlResult);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={analysis.startCamera} style={{ padding: "10px 14px" }}>
+          Start Scan
+        </button>
+        <button onClick={analysis.stopAll} style={{ padding: "10px 14px" }}>
+          Stop
+        </button>
+
+        <button onClick={() => fileInputRef.current?.click()} style={{ padding: "10px 14px" }}>
+          Upload Photo
+        </button>
+        {/* jpeg/png only: iOS converts HEIC shots to JPEG when the picker is restricted like this */}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/jpeg,image/png"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            analysis.analyzePhoto(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+
+        <button onClick={() => videoFileInputRef.current?.click()} style={{ padding: "10px 14px" }}>
+          Analyze Video
+        </button>
+        <input
+          ref={videoFileInputRef}
+          type="file"
+          accept="video/*"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            analysis.analyzeVideo(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+
+        <button
+          onClick={() => analysis.runInferenceNow()}
+          style={{ padding: "10px 14px" }}
+          disabled={!canAnalyze}
+          title={!canAnalyze ? "Start camera or upload a photo first" : "Run one-shot inference"}
+        >
+          Analyze Now
+        </button>
+
+        <button
+          onClick={analysis.saveCurrentScan}
+          style={{ padding: "10px 14px" }}
+          disabled={!canSave}
+          title={!canSave ? "No scan result to save yet" : "Save scores + ML result to history"}
+        >
+          Save Scan
+        </button>
+        <button
+          onClick={() => analysis.exportReport("json")}
+          style={{ padding: "10px 14px" }}
+          disabled={!canSave}
+          title="Download scores, ML outputs and the annotated frame as JSON"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => analysis.exportReport("print")}
+          style={{ padding: "10px 14px" }}
+          disabled={!canSave}
+          title="Printable report (use “Save as PDF” in the print dialog)"
+        >
+          Print / PDF
+        </button>
+        <button
+          onClick={() => analysis.exportReport("html")}
+          style={{ padding: "10px 14px" }}
+          disabled={!canSave}
+          title="Download the printable report as a standalone HTML file"
+        >
+          Export HTML
+        </button>
+
+        <div>
+          <div>
+            <b>Status:</b> {status}
+          </div>
+          <div>
+            <b>Faces:</b> {faces}
+          </div>
+          {saveNote ? <div style={{ fontSize: 12, opacity: 0.8 }}>{saveNote}</div> : null}
+        </div>
+      </div>
+
+      {source === "camera" ? <GuidedSteps /> : null}
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        <ScoreCard title="Lighting" value={scores.lighting} note={scores.lighting < config.scoring.lightingGate ? "Too dark" : "OK"} />
+        <ScoreCard title="Redness" value={scores.redness} note={label(scores.redness)} />
+        <ScoreCard title="Shine/Oil" value={scores.shine} note={label(scores.shine)} />
+        <ScoreCard title="Texture/Dryness" value={scores.roughness} note={label(scores.roughness)} />
+        <ScoreCard title="Pores" value={scores.pores} note={label(scores.pores)} />
+        <ScoreCard title="Fine lines" value={scores.lines} note={label(scores.lines)} />
+        <ScoreCard
+          title="Stability"
+          value={`${Math.round(stability * 100)}%`}
+          note={smoothing.mode === "off" ? "smoothing off" : stability >= 0.7 ? "steady" : "settling…"}
+        />
+        <ScoreCard
+          title="Skin tone"
+          value={skinTone ? `ITA ${Math.round(skinTone.ita)}°` : "—"}
+          note={skinToneNote(skinTone)}
+        />
+      </div>
+
+      <div style={{ display: "flex", gap: 10, marginTop: 12, flexWrap: "wrap", fontSize: 13 }}>
+        <b>Regions:</b>
+        {REGIONS.map((r) => (
+          <label key={r.id} style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+            <input type="checkbox" checked={enabledRegions.includes(r.id)} onChange={() => settings.toggleRegion(r.id)} />
+            <span style={{ width: 10, height: 10, borderRadius: 2, background: swatchColor(r.color) }} />
+            {r.label}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        {REGIONS.filter((r) => enabledRegions.includes(r.id) && regionScores[r.id]).map((r) => (
+          <RegionCard key={r.id} region={r} score={regionScores[r.id]} label={label} />
+        ))}
+      </div>
+
+      {multiFace && faceResults.length ? (
+        <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+          {faceResults.map((f) => (
+            <FacePanel
+              key={f.id}
+              face={f}
+              ml={faceMl[f.id]}
+              label={label}
+              acne={ml.getAcneDisplay}
+              dryness={ml.getDrynessDisplay}
+              primary={f.id === faceResults[0].id}
+            />
+          ))}
+        </div>
+      ) : null}
+
+      <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+        <ScoreCard
+          title="ML Status"
+          value={mlStatus}
+          note={`${mlBackendNote(mlMode, mlUrl)}${modelMeta?.modelVersion ? ` · model ${modelMeta.modelVersion}` : ""}`}
+        />
+        <ScoreCard title="Acne" value={acneValue} note={mlResultNote(mlResult)} />
+        <ScoreCard title="Dryness" value={drynessValue} note={mlResultNote(mlResult)} />
+        <ScoreCard title="ML Redness" value={rednessMlValue} note={mlResultNote(mlResult)} />
+      </div>
+
+      {mlError ? (
+        <div style={{ marginTop: 10, color: "#b00020", whiteSpace: "pre-wrap" }}>
+          <b>ML error:</b> {mlError}
+        </div>
+      ) : null}
+
+      {canSave || mlResult ? (
+        <RecommendationsPanel items={analysis.currentRecommendations()} rules={rules} note={rulesNote} />
+      ) : null}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <label>
+          <input type="checkbox" checked={multiFace} onChange={(e) => analysis.changeMultiFace(e.target.checked)} />{" "}
+          Multi-face (up to {MAX_FACES})
+        </label>
+        {multiFace ? (
+          <label>
+            <input type="checkbox" checked={mlPerFace} onChange={(e) => analysis.changeMlPerFace(e.target.checked)} /> ML
+            per face
+          </label>
+        ) : null}
+
+        <b style={{ marginLeft: 12 }}>Overlay:</b>
+        {[
+          ["regions", "Regions"],
+          ["redness", "Redness heatmap"],
+          ["shine", "Shine heatmap"],
+        ].map(([mode, text]) => (
+          <button
+            key={mode}
+            onClick={() => settings.changeOverlayMode(mode)}
+            style={{ padding: "6px 10px", fontWeight: overlayMode === mode ? 700 : 400 }}
+          >
+            {text}
+          </button>
+        ))}
+        {overlayMode !== "regions" ? <HeatmapLegend metric={overlayMode} /> : null}
+        <label>
+          <input type="checkbox" checked={showLesions} onChange={(e) => settings.changeShowLesions(e.target.checked)} />{" "}
+          ML lesions
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b>Session:</b>
+        {session && session.phase !== "done" ? (
+          <button onClick={analysis.cancelSession} style={{ padding: "6px 10px" }}>
+            Cancel session
+          </button>
+        ) : (
+          <button
+            onClick={analysis.startSession}
+            style={{ padding: "6px 10px" }}
+            disabled={status !== "Running" || multiFace}
+            title={
+              status !== "Running"
+                ? "Start camera first"
+                : multiFace
+                  ? "Sessions score a single face; turn multi-face off"
+                  : `Collect ${SESSION_FRAMES} good frames`
+            }
+          >
+            Start session ({SESSION_FRAMES} frames)
+          </button>
+        )}
+        <label>
+          ML frames{" "}
+          <select value={sessionMlFrames} onChange={(e) => analysis.setSessionMlFrames(Number(e.target.value))}>
+            {[0, 1, 3, 5].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <b style={{ marginLeft: 12 }}>White balance:</b> {WB_LABELS[wbMethod]}
+        <button
+          onClick={analysis.calibrateWhiteCard}
+          style={{ padding: "6px 10px" }}
+          disabled={!canAnalyze}
+          title="Hold a white card in the centre of the frame, then click"
+        >
+          Calibrate with white card
+        </button>
+      </div>
+
+      {session ? <SessionPanel session={session} label={label} /> : null}
+
+      {quality?.checks?.length ? (
+        <div style={{ display: "flex", gap: 6, marginTop: 12, flexWrap: "wrap", fontSize: 12 }}>
+          <b style={{ fontSize: 13 }}>Quality:</b>
+          {quality.checks.map((c) => (
+            <span
+              key={c.id}
+              title={c.ok ? "" : c.prompt}
+              style={{
+                padding: "2px 8px",
+                borderRadius: 10,
+                background: c.ok ? "#e6f4ea" : "#fde7e9",
+                color: c.ok ? "#137333" : "#b00020",
+              }}
+            >
+              {c.ok ? "✓" : "✗"} {c.label} {c.value}
+            </span>
+          ))}
+        </div>
+      ) : null}
+
+      {source === "video" && videoDuration > 0 ? (
+        <TimelineView
+          points={timeline}
+          duration={videoDuration}
+          current={videoCursor}
+          progress={videoProgress}
+          onSeek={analysis.scrubVideo}
+          onExportCsv={analysis.exportTimelineCsv}
+        />
+      ) : null}
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 12, fontSize: 13 }}>
+        <b>Video file:</b>
+        <label>
+          Analyze{" "}
+          <select
+            value={videoOpts.fps}
+            onChange={(e) => analysis.setVideoOpts((o) => ({ ...o, fps: Number(e.target.value) }))}
+          >
+            {ANALYSIS_RATES.map((f) => (
+              <option key={f} value={f}>
+                {f} frames/s
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          ML every{" "}
+          <select
+            value={videoOpts.mlEvery}
+            onChange={(e) => analysis.setVideoOpts((o) => ({ ...o, mlEvery: Number(e.target.value) }))}
+          >
+            {ML_INTERVALS.map((s) => (
+              <option key={s} value={s}>
+                {s === 0 ? "off" : `${s} s`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span style={{ color: "#666" }}>applies to the next “Analyze Video”</span>
+      </div>
+
+      <p style={{ color: "#666", marginTop: 12 }}>
+        Tip: Use bright, even lighting. Avoid backlight. Keep your face centered.
+        <br />
+        Live mode: when every quality check passes (lighting, pose, size, sharpness, stillness), the app auto-calls
+        Lambda every ~{config.inference.throttleMs / 1000}s.
+        <br />
+        Photo mode: upload a well-lit JPEG/PNG; it is scored once and sent to Lambda if lighting is OK.
+        <br />
+        Video mode: load a recording; it is scored frame by frame and the timeline seeks the video.
+      </p>
+
+      <pre
+        style={{
+          background: "#f5f5f5",
+          padding: 10,
+          borderRadius: 10,
+          fontSize: 12,
+          overflowX: "auto",
+        }}
+      >
+        {debug}
+        {wbInfo ? `\n${formatWb(wbInfo)}` : ""}
+      </pre>
+    </div>
+  );
+}
+
+// Guided live scan: camera on -> face framed (every quality check passes) -> hold still while a
+// session collects SESSION_FRAMES good frames -> save, which opens the result's own page.
+function GuidedSteps() {
+  const { status, quality, session, multiFace, canSave, startCamera, startSession, saveCurrentScan } = useAnalysis();
+  const navigate = useNavigate();
+
+  const running = status === "Running";
+  const done = session?.phase === "done";
+  const steps = [
+    { title: "Start the camera", done: running },
+    { title: "Frame your face", done: running && (quality?.ok || Boolean(session)), hint: quality?.prompt },
+    {
+      title: `Hold still for ${SESSION_FRAMES} good frames`,
+      done,
+      hint: session && !done ? `${session.count} / ${session.target}` : "",
+    },
+    { title: "Save and view the result", done: false },
+  ];
+  const current = steps.findIndex((s) => !s.done);
+
+  async function saveAndView() {
+    const id = await saveCurrentScan();
+    if (id !== null) navigate(`/results/${id}`);
+  }
+
+  const actions = [
+    <button onClick={startCamera}>Start camera</button>,
+    null,
+    <button onClick={startSession} disabled={multiFace} title={multiFace ? "Turn multi-face off for a guided scan" : ""}>
+      Start holding still
+    </button>,
+    <button onClick={saveAndView} disabled={!canSave}>
+      Save and view result
+    </button>,
+  ];
+
+  return (
+    <ol aria-label="Guided scan" style={{ display: "flex", gap: 8, flexWrap: "wrap", margin: "12px 0 0", padding: 0, listStyle: "none" }}>
+      {steps.map((s, i) => (
+        <li
+          key={s.title}
+          aria-current={i === current ? "step" : undefined}
+          style={{
+            border: `1px solid ${i === current ? "#1a73e8" : "#ccc"}`,
+            borderRadius: 10,
+            padding: "6px 10px",
+            fontSize: 13,
+            color: s.done ? "#137333" : i === current ? "inherit" : "#999",
+          }}
+        >
+          {s.done ? "✓" : `${i + 1}.`} {s.title}
+          {i === current && s.hint ? <span style={{ color: "#666" }}> · {s.hint}</span> : null}
+          {i === current && actions[i] && (i !== 2 || !session) ? <div style={{ marginTop: 4 }}>{actions[i]}</div> : null}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/** ---------- helpers ---------- **/
+
+function formatWb({ method, gains, ref, note }) {
+  const g = gains.map((v) => v.toFixed(2));
+  let line = `WB ${WB_LABELS[method] || method}: gains r×${g[0]} g×${g[1]} b×${g[2]}`;
+  if (ref) line += ` ref rgb(${ref.join(", ")})`;
+  if (note) line += ` (${note})`;
+  return line;
+}
+function mlBackendNote(mode, url) {
+  if (mode === "local") return "on-device model";
+  if (mode === "local-fallback") return url ? "on-device, Lambda fallback" : "on-device (no Lambda fallback)";
+  return url ? "Lambda wired" : "Missing REACT_APP_ML_URL";
+}
+function skinToneNote(t) {
+  if (!t) return "no estimate yet";
+  const parts = [`${t.label} (≈ type ${t.fitzpatrick})`];
+  if (!t.applied) parts.push("not applied");
+  if (!t.exposureNormalized) parts.push("eyes not visible, lighting-dependent");
+  return parts.join(" · ");
+}
+function mlResultNote(r) {
+  if (!r) return "no result yet";
+  const from = r.backend === "local" ? "on-device" : "from Lambda";
+  const n = r.lesions?.length || 0;
+  return n ? `${from} · ${n} lesion${n === 1 ? "" : "s"} marked` : from;
+}
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import CameraSettings from "../CameraSettings";
+import { WB_LABELS, useCameraSession, useMlClient, useScanSettings } from "../ScannerProvider";
+import TuningPanel from "../TuningPanel";
+import { SMOOTHING_MODES } from "../aggregate";
+import { ML_MODES, ML_MODE_LABELS } from "../ml";
+import { WB_METHODS } from "../scoring";
+
+// Everything that used to sit under the scan: inference backend and endpoint, what gets uploaded,
+// smoothing, white balance, camera and the scoring thresholds. All of it lives in ScannerProvider, so a
+// change here applies to a scan that is already running.
+export default function SettingsScreen() {
+  const ml = useMlClient();
+  const settings = useScanSettings();
+  const camera = useCameraSession();
+  const { mlMode, mlUrl, uploadPrefs, uploadInfo } = ml;
+  const { smoothing, wbMethod, config, configNote } = settings;
+  const [urlDraft, setUrlDraft] = useState(mlUrl);
+
+  return (
+    <div>
+      <h2 style={{ marginTop: 0 }}>Settings</h2>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b>Inference:</b>
+        <select value={mlMode} onChange={(e) => ml.changeMlMode(e.target.value)}>
+          {ML_MODES.map((m) => (
+            <option key={m} value={m}>
+              {ML_MODE_LABELS[m]}
+            </option>
+          ))}
+        </select>
+        {mlMode === "local" ? <span style={{ color: "#666" }}>Images never leave this device.</span> : null}
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          ml.changeMlUrl(urlDraft);
+        }}
+        style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}
+      >
+        <label>
+          <b>ML endpoint:</b>{" "}
+          <input
+            type="url"
+            value={urlDraft}
+            placeholder={process.env.REACT_APP_ML_URL || "https://…lambda-url…on.aws/"}
+            onChange={(e) => setUrlDraft(e.target.value)}
+            style={{ width: 340 }}
+          />
+        </label>
+        <button type="submit" disabled={urlDraft.trim() === mlUrl}>
+          Use endpoint
+        </button>
+        <span style={{ color: "#666" }}>
+          {mlUrl ? `in use: ${mlUrl}` : "none set"} · leave empty for the build's REACT_APP_ML_URL
+        </span>
+      </form>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b>Send:</b>
+        {[
+          ["crop", "Face crop"],
+          ["maskEyes", "Mask eyes"],
+          ["maskBackground", "Mask background"],
+          ["mirror", "Mirror"],
+        ].map(([key, text]) => (
+          <label key={key}>
+            <input
+              type="checkbox"
+              checked={uploadPrefs[key]}
+              onChange={(e) => ml.changeUploadPrefs({ [key]: e.target.checked })}
+            />{" "}
+            {text}
+          </label>
+        ))}
+        <label>
+          size{" "}
+          <select
+            value={uploadPrefs.size}
+            onChange={(e) => ml.changeUploadPrefs({ size: Number(e.target.value) })}
+          >
+            {[160, 224, 320, 448].map((n) => (
+              <option key={n} value={n}>
+                {n}px
+              </option>
+            ))}
+          </select>
+        </label>
+        {uploadInfo ? (
+          <span style={{ color: "#666" }}>
+            last: {uploadInfo.width}×{uploadInfo.height}, {(uploadInfo.bytes / 1024).toFixed(1)} KB
+          </span>
+        ) : null}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+        <b>Smoothing:</b>
+        <select value={smoothing.mode} onChange={(e) => settings.changeSmoothing({ mode: e.target.value })}>
+          {SMOOTHING_MODES.map((m) => (
+            <option key={m} value={m}>
+              {m === "off" ? "Off" : m === "median" ? "Rolling median" : "EMA"}
+            </option>
+          ))}
+        </select>
+        <label>
+          window{" "}
+          <input
+            type="number"
+            min={2}
+            max={120}
+            value={smoothing.window}
+            onChange={(e) => settings.changeSmoothing({ window: Math.max(2, Number(e.target.value) || 2) })}
+            style={{ width: 56 }}
+          />
+        </label>
+
+        <b style={{ marginLeft: 12 }}>White balance:</b>
+        <select value={wbMethod} onChange={(e) => settings.changeWbMethod(e.target.value)}>
+          {WB_METHODS.map((m) => (
+            <option key={m} value={m}>
+              {WB_LABELS[m]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <CameraSettings
+        prefs={camera.cameraPrefs}
+        cameras={camera.cameras}
+        caps={camera.camCaps}
+        controls={camera.camControls}
+        info={camera.streamInfo}
+        error={camera.cameraError}
+        onPrefs={camera.changeCameraPrefs}
+        onControls={camera.changeCamControls}
+      />
+
+      <TuningPanel config={config} note={configNote} onChange={settings.applyConfig} />
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline support. CRA builds this with Workbox InjectManifest: self.__WB_MANIFEST is the list of
+// app-shell files from the webpack build (files over 5 MB are left out of it).
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+import { MEDIAPIPE_ASSETS } from "./mediapipeAssets";
+import { MODEL_META_URL, ORT_BASE, ORT_FILES } from "./ml/ortAssets";
+
+clientsClaim();
+
+// App shell + the pinned FaceLandmarker runtime and model: the app must start with no network.
+precacheAndRoute([...self.__WB_MANIFEST, ...MEDIAPIPE_ASSETS]);
+
+// Single-page app: navigations get index.html (except real files like /foo.png and /_ paths)
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+const LARGE_ASSETS = "large-assets";
+
+// Large same-origin files that are too big for the precache (the ONNX Runtime in ORT_BASE, on-device
+// model files). Versioned paths / names, so cache-first is safe.
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    (url.pathname.startsWith(ORT_BASE) ||
+      url.pathname.endsWith(".wasm") ||
+      url.pathname.startsWith(`${process.env.PUBLIC_URL}/models/`)),
+  new CacheFirst({
+    cacheName: LARGE_ASSETS,
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// On-device mode is the offline path, so its files are downloaded at install rather than on first
+// use: local inference then works with no network even if it never ran online. The model's metadata
+// is always re-read (a new build may ship a new model); the runtime and model only when a real model
+// is installed, not for the placeholder (ml/local.js refuses it). A failure here leaves them to the
+// route above instead of failing the install.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    cacheOnDeviceModel().catch((e) => console.warn("On-device model not cached for offline use:", e))
+  );
+});
+
+// The remote ML call (cross-origin POST) is never cached.
+
+// Lets the page activate a waiting update right away (see serviceWorkerRegistration.js)
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+/** ---------- helpers ---------- **/
+
+async function cacheOnDeviceModel() {
+  const cache = await caches.open(LARGE_ASSETS);
+  const res = await fetch(MODEL_META_URL, { cache: "no-cache" });
+  if (!res.ok) return; // no on-device model in this deployment
+  const meta = await res.clone().json();
+  await cache.put(MODEL_META_URL, res);
+  if (meta.placeholder || !meta.model) return;
+  const modelUrl = new URL(meta.model, new URL(MODEL_META_URL, self.location.href)).href;
+  await cache.addAll([...ORT_FILES.map((f) => `${ORT_BASE}${f}`), modelUrl]);
+}
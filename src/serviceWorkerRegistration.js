@@ -0,0 +1,34 @@
+// Registers src/service-worker.js in production builds (localhost dev server excluded: a caching
+// worker during development only gets in the way). On an update, the new worker waits until all
+// tabs are closed, unless onUpdate tells it to take over.
+
+export function register({ onReady, onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  // Our service worker won't work if PUBLIC_URL is on a different origin (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== "installed") return;
+            // an existing controller means this is an update, otherwise it's the first install
+            if (navigator.serviceWorker.controller) onUpdate?.(registration);
+            else onReady?.(registration);
+          };
+        };
+      })
+      .catch((e) => console.error("Service worker registration failed:", e));
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {});
+}
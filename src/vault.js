@@ -0,0 +1,123 @@
+/**
+ * Encryption at rest for everything a profile stores (scans, face images, settings), with WebCrypto.
+ *
+ *   passphrase --PBKDF2-SHA-256 (salt, iterations)--> wrapping key (AES-GCM 256)
+ *   random data key (AES-GCM 256), stored only wrapped: { iv, data }
+ *   every stored value: JSON --AES-GCM (data key, fresh 96-bit iv)--> { iv, data }
+ *
+ * The data key never changes, so a profile export stays readable with the same passphrase, and the
+ * passphrase itself is never stored. AES-GCM authenticates, so a wrong passphrase or an edited record
+ * fails to decrypt instead of returning garbage.
+ */
+
+export const PBKDF2_ITERATIONS = 310000; // OWASP's figure for PBKDF2-HMAC-SHA256
+export const MIN_PASSPHRASE = 8;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class VaultError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = "VaultError";
+    if (cause) this.cause = cause;
+  }
+}
+
+// New profile keys: { kdf: { salt, iterations }, wrappedKey, key }. Store kdf + wrappedKey; key stays in memory.
+export async function createVault(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if ((passphrase || "").length < MIN_PASSPHRASE) {
+    throw new VaultError(`Use a passphrase of at least ${MIN_PASSPHRASE} characters.`);
+  }
+  const kdf = { salt: randomBytes(SALT_BYTES), iterations };
+  const key = await subtle().generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const iv = randomBytes(IV_BYTES);
+  const data = await subtle().wrapKey("raw", key, await wrappingKey(passphrase, kdf), { name: "AES-GCM", iv });
+  return { kdf, wrappedKey: { iv, data: new Uint8Array(data) }, key: await reimport(key) };
+}
+
+// The data key for { kdf, wrappedKey }; throws VaultError when the passphrase is wrong
+export async function openVault({ kdf, wrappedKey }, passphrase) {
+  try {
+    return await subtle().unwrapKey(
+      "raw",
+      wrappedKey.data,
+      await wrappingKey(passphrase, kdf),
+      { name: "AES-GCM", iv: wrappedKey.iv },
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  } catch (e) {
+    throw new VaultError("Wrong passphrase.", { cause: e });
+  }
+}
+
+export async function encryptJson(key, value) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await subtle().encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv, data: new Uint8Array(data) };
+}
+
+export async function decryptJson(key, { iv, data }) {
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: "AES-GCM", iv }, key, data);
+  } catch (e) {
+    throw new VaultError("Stored data could not be decrypted (wrong key or modified).", { cause: e });
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// { iv, data } byte arrays <-> base64 strings, for export files (IndexedDB stores the bytes as they are)
+export function boxToJson({ iv, data }) {
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+export function boxFromJson(box) {
+  if (typeof box?.iv !== "string" || typeof box?.data !== "string") throw new VaultError("Not an encrypted value.");
+  return { iv: fromBase64(box.iv), data: fromBase64(box.data) };
+}
+
+export function toBase64(bytes) {
+  let s = "";
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s);
+}
+
+export function fromBase64(text) {
+  if (typeof text !== "string") throw new VaultError("Not base64 data.");
+  try {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  } catch (e) {
+    throw new VaultError("Not base64 data.", { cause: e });
+  }
+}
+
+/** ---------- helpers ---------- **/
+
+function subtle() {
+  const s = typeof crypto === "undefined" ? undefined : crypto.subtle;
+  if (!s) throw new VaultError("WebCrypto is not available (the app must be served over HTTPS).");
+  return s;
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+async function wrappingKey(passphrase, { salt, iterations }) {
+  const material = await subtle().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return subtle().deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+// generateKey() had to be extractable to be wrapped; the copy kept in memory isn't
+async function reimport(key) {
+  const raw = await subtle().exportKey("raw", key);
+  return subtle().importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
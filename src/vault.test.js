@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+// Node has TextEncoder and btoa; WebCrypto is there too but Jest's sandbox doesn't expose the global.
+import { webcrypto } from 'crypto';
+import { PBKDF2_ITERATIONS, VaultError, boxFromJson, boxToJson, createVault, decryptJson, encryptJson, openVault } from './vault';
+
+Object.defineProperty(global, 'crypto', { configurable: true, value: webcrypto });
+
+const FAST = { iterations: 1000 }; // the real PBKDF2 cost is only about speed, not correctness
+
+test('a vault opens with its passphrase and round-trips JSON', async () => {
+  const { kdf, wrappedKey, key } = await createVault('correct horse', FAST);
+  expect(kdf.iterations).toBe(1000);
+  expect(kdf.salt).toHaveLength(16);
+
+  const box = await encryptJson(key, { redness: 61, snapshot: 'data:image/jpeg;base64,AAAA' });
+  expect(Buffer.from(box.data).toString('latin1')).not.toContain('snapshot');
+
+  const reopened = await openVault({ kdf, wrappedKey }, 'correct horse');
+  expect(await decryptJson(reopened, box)).toEqual({ redness: 61, snapshot: 'data:image/jpeg;base64,AAAA' });
+  expect(reopened.extractable).toBe(false);
+});
+
+test('a wrong passphrase or an edited value is rejected', async () => {
+  const { kdf, wrappedKey, key } = await createVault('correct horse', FAST);
+  await expect(openVault({ kdf, wrappedKey }, 'correct hoarse')).rejects.toThrow(new VaultError('Wrong passphrase.'));
+
+  const box = await encryptJson(key, { a: 1 });
+  box.data[0] ^= 1;
+  await expect(decryptJson(key, box)).rejects.toBeInstanceOf(VaultError);
+});
+
+test('short passphrases are refused; the default cost is the strong one', async () => {
+  await expect(createVault('short', FAST)).rejects.toThrow(/at least 8 characters/);
+  expect(PBKDF2_ITERATIONS).toBeGreaterThanOrEqual(310000);
+});
+
+test('encrypted values survive a JSON export', async () => {
+  const { key } = await createVault('correct horse', FAST);
+  const box = await encryptJson(key, ['x']);
+  const exported = JSON.parse(JSON.stringify(boxToJson(box)));
+  expect(await decryptJson(key, boxFromJson(exported))).toEqual(['x']);
+  expect(() => boxFromJson({ iv: 1 })).toThrow(VaultError);
+});
@@ -0,0 +1,145 @@
+/**
+ * Recorded-video analysis: load a file into the existing <video>, then step through it by seeking
+ * (not playback), so every sampled frame is processed exactly once and the run goes as fast as
+ * detection + scoring allow, independent of the clip's real-time speed.
+ *
+ *   await loadVideoFile(video, url);      // rejects when the clip can't be decoded or has no usable length
+ *   await stepThroughVideo(video, { fps: 10, onFrame: async (t, i, n) => {...}, cancelled: () => ... });
+ *
+ * Timeline points are { t, face, lighting, redness, shine, roughness, pores, lines, quality, ml }
+ * (see scanner/analysis.js analyzeVideo); the texture scores are null when a frame couldn't measure them.
+ */
+
+export const ANALYSIS_RATES = [2, 5, 10, 15, 30]; // frames per second of video
+export const ML_INTERVALS = [0, 1, 2, 5, 10]; // seconds of video between ML samples; 0 = off
+export const VIDEO_ANALYSIS_DEFAULTS = { fps: 10, mlEvery: 2 };
+
+const FAR_AWAY = 1e101; // seek target past the end of any clip, see resolveDuration
+
+// Sample times (seconds) for a clip; always includes t = 0, never goes past the last frame
+export function frameTimes(duration, fps) {
+  if (!Number.isFinite(duration) || duration <= 0 || !(fps > 0)) return [];
+  const n = Math.floor(duration * fps + 1e-6) + 1;
+  const times = [];
+  for (let i = 0; i < n; i += 1) {
+    const t = Math.round((i / fps) * 1000) / 1000;
+    if (t < duration) times.push(t);
+  }
+  return times;
+}
+
+export function loadVideoFile(video, url) {
+  return new Promise((resolve, reject) => {
+    video.onloadeddata = () => {
+      video.onloadeddata = null;
+      video.onerror = null;
+      resolveDuration(video)
+        .then((duration) => resolve({ duration, width: video.videoWidth, height: video.videoHeight }))
+        .catch(reject);
+    };
+    video.onerror = () => {
+      video.onloadeddata = null;
+      video.onerror = null;
+      reject(new Error("This video can't be decoded by the browser (try MP4/H.264 or WebM)."));
+    };
+    video.srcObject = null;
+    video.src = url;
+    video.load();
+  });
+}
+
+// The clip's length in seconds. Files straight from MediaRecorder (WebM) have none in their header, so
+// the element reports Infinity until it has seen the end: seek far past it, wait for that seek and the
+// durationchange, then go back to the start. Rejects when the length still isn't known after timeoutMs.
+export function resolveDuration(video, { timeoutMs = 10000 } = {}) {
+  const known = () => Number.isFinite(video.duration) && video.duration > 0;
+  if (known()) return Promise.resolve(video.duration);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(), timeoutMs);
+    let seeked = false;
+    function check(e) {
+      if (e?.type === "seeked") seeked = true;
+      if (seeked && known()) finish();
+    }
+    function finish() {
+      clearTimeout(timer);
+      video.removeEventListener("durationchange", check);
+      video.removeEventListener("seeked", check);
+      if (!known()) {
+        reject(
+          new Error(
+            "Couldn't tell how long this video is (browser recordings often don't store it). " +
+              "Re-save it as MP4, or with a tool that writes the duration, and try again."
+          )
+        );
+        return;
+      }
+      seekVideo(video, 0).then(() => resolve(video.duration), reject);
+    }
+    video.addEventListener("durationchange", check);
+    video.addEventListener("seeked", check);
+    video.currentTime = FAR_AWAY;
+  });
+}
+
+// Resolve once the frame at `t` is decoded. A seek to the current position fires no event.
+export function seekVideo(video, t, { timeoutMs = 5000 } = {}) {
+  if (Math.abs(video.currentTime - t) < 1e-4 && video.readyState >= 2) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      video.removeEventListener("seeked", done);
+      reject(new Error(`Seek to ${t.toFixed(2)}s timed out.`));
+    }, timeoutMs);
+    function done() {
+      clearTimeout(timer);
+      video.removeEventListener("seeked", done);
+      resolve();
+    }
+    video.addEventListener("seeked", done);
+    video.currentTime = t;
+  });
+}
+
+// Seek to each sample time in order and await onFrame(t, index, total) before moving on.
+// Stops early (resolving false) when cancelled() turns true; resolves true after the last frame.
+export async function stepThroughVideo(video, { fps, onFrame, cancelled = () => false }) {
+  video.pause();
+  const times = frameTimes(video.duration, fps);
+  for (let i = 0; i < times.length; i += 1) {
+    if (cancelled()) return false;
+    await seekVideo(video, times[i]);
+    if (cancelled()) return false;
+    await onFrame(times[i], i, times.length);
+  }
+  return true;
+}
+
+// Point closest to time t (points sorted by t); null for an empty timeline
+export function nearestPoint(points, t) {
+  let best = null;
+  for (const p of points) {
+    if (!best || Math.abs(p.t - t) < Math.abs(best.t - t)) best = p;
+  }
+  return best;
+}
+
+// Means over the frames that had a face; counts for the ones that didn't / failed the quality gate
+export function summarizeTimeline(points) {
+  const withFace = points.filter((p) => p.face);
+  const mean = (key) => {
+    const values = withFace.map((p) => p[key]).filter((v) => typeof v === "number");
+    return values.length ? Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 10) / 10 : null;
+  };
+  return {
+    frames: points.length,
+    faceFrames: withFace.length,
+    goodFrames: withFace.filter((p) => p.quality?.ok).length,
+    mlSamples: points.filter((p) => p.ml?.result).length,
+    lighting: mean("lighting"),
+    redness: mean("redness"),
+    shine: mean("shine"),
+    roughness: mean("roughness"),
+    pores: mean("pores"),
+    lines: mean("lines"),
+  };
+}
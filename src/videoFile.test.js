@@ -0,0 +1,111 @@
+import { frameTimes, nearestPoint, resolveDuration, stepThroughVideo, summarizeTimeline } from './videoFile';
+
+// Just enough of an HTMLVideoElement: seeking fires "seeked" asynchronously
+function fakeVideo(duration) {
+  const listeners = new Set();
+  let time = 0;
+  return {
+    duration,
+    readyState: 4,
+    pause: jest.fn(),
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+    get currentTime() {
+      return time;
+    },
+    set currentTime(t) {
+      time = t;
+      setTimeout(() => [...listeners].forEach((fn) => fn()), 0);
+    },
+  };
+}
+
+test('frameTimes samples the clip at the analysis rate without running past the end', () => {
+  expect(frameTimes(1, 4)).toEqual([0, 0.25, 0.5, 0.75]);
+  expect(frameTimes(0.5, 10)).toHaveLength(5);
+  expect(frameTimes(NaN, 10)).toEqual([]);
+  expect(frameTimes(3, 0)).toEqual([]);
+});
+
+// A MediaRecorder-style clip: Infinity until a seek past the end; `realDuration` null = never found out
+function unsizedVideo(realDuration) {
+  const listeners = { durationchange: new Set(), seeked: new Set() };
+  const fire = (type) => [...listeners[type]].forEach((fn) => fn({ type }));
+  let time = 0;
+  return {
+    duration: Infinity,
+    readyState: 4,
+    addEventListener: (type, fn) => listeners[type].add(fn),
+    removeEventListener: (type, fn) => listeners[type].delete(fn),
+    get currentTime() {
+      return time;
+    },
+    set currentTime(t) {
+      time = t;
+      setTimeout(() => {
+        if (t > 1e9 && realDuration) {
+          this.duration = realDuration;
+          fire('durationchange');
+        }
+        time = Math.min(t, this.duration);
+        fire('seeked');
+      }, 0);
+    },
+  };
+}
+
+test('resolveDuration finds the length of a clip that reports Infinity, or says it cannot', async () => {
+  const video = unsizedVideo(3.2);
+  expect(await resolveDuration(video)).toBe(3.2);
+  expect(video.currentTime).toBe(0);
+  expect(frameTimes(video.duration, 1)).toEqual([0, 1, 2, 3]);
+
+  await expect(resolveDuration(unsizedVideo(null), { timeoutMs: 20 })).rejects.toThrow(/how long this video is/);
+  expect(await resolveDuration(fakeVideo(2))).toBe(2);
+});
+
+test('stepThroughVideo visits every sample in order and stops when cancelled', async () => {
+  const video = fakeVideo(1);
+  const seen = [];
+  const done = await stepThroughVideo(video, {
+    fps: 2,
+    onFrame: async (t, i, n) => seen.push([t, video.currentTime, i, n]),
+  });
+  expect(done).toBe(true);
+  expect(video.pause).toHaveBeenCalled();
+  expect(seen).toEqual([
+    [0, 0, 0, 2],
+    [0.5, 0.5, 1, 2],
+  ]);
+
+  const visited = [];
+  const partial = await stepThroughVideo(fakeVideo(2), {
+    fps: 5,
+    onFrame: async (t) => visited.push(t),
+    cancelled: () => visited.length >= 3,
+  });
+  expect(partial).toBe(false);
+  expect(visited).toEqual([0, 0.2, 0.4]);
+});
+
+test('summarizes the frames that had a face and finds the nearest point', () => {
+  const points = [
+    { t: 0, face: true, lighting: 60, redness: 20, shine: 10, roughness: 30, pores: null, quality: { ok: true }, ml: { result: {} } },
+    { t: 0.5, face: false, quality: null, ml: null },
+    { t: 1, face: true, lighting: 80, redness: 30, shine: 15, roughness: 40, pores: null, quality: { ok: false }, ml: { error: 'x' } },
+  ];
+  expect(summarizeTimeline(points)).toEqual({
+    frames: 3,
+    faceFrames: 2,
+    goodFrames: 1,
+    mlSamples: 1,
+    lighting: 70,
+    redness: 25,
+    shine: 12.5,
+    roughness: 35,
+    pores: null,
+    lines: null,
+  });
+  expect(nearestPoint(points, 0.7).t).toBe(0.5);
+  expect(nearestPoint([], 1)).toBeNull();
+});